@@ -9,6 +9,7 @@
  *   dash4devs status          Show current active deployment
  *   dash4devs purge <paths>   Invalidate edge cache for one or more paths
  *   dash4devs rollback <id>   Activate a previous deployment
+ *   dash4devs check-secrets   Fail if a built client bundle contains a secret key
  *
  * Auth:
  *   Reads DASH4DEVS_API_KEY from env (falls back to .env.local / .env).
@@ -24,6 +25,7 @@ process.on("warning", () => {});
 import { run as runBuild } from "./commands/build.js";
 import { run as runStatus } from "./commands/status.js";
 import { run as runInit } from "./commands/init.js";
+import { run as runCheckSecrets } from "./commands/check-secrets.js";
 import { printBanner, printError } from "./ui.js";
 
 const COMMANDS = {
@@ -31,6 +33,7 @@ const COMMANDS = {
   build: runBuild,
   deploy: runBuild, // alias, activates by default
   status: runStatus,
+  "check-secrets": runCheckSecrets,
 };
 
 async function main() {
@@ -46,6 +49,7 @@ Commands:
   build                 Build Next.js and upload static assets
   deploy                Build + activate in one step
   status                Show active deployment for this org
+  check-secrets [dir]   Fail if a built client bundle contains a secret key
 
 Environment:
   DASH4DEVS_API_KEY     Secret key (sk_*) for your organization
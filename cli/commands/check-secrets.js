@@ -0,0 +1,37 @@
+/**
+ * `dash4devs check-secrets [dir...]` — fail when a built client bundle
+ * contains a secret API key. Run it between the build and the deploy.
+ *
+ * With no directories, scans whichever of .next/static, dist, build and out
+ * exist.
+ */
+
+import fs from "node:fs";
+import chalk from "chalk";
+import { scanForSecretKeys } from "../../security/index.js";
+import { step, success } from "../ui.js";
+
+const DEFAULT_DIRS = [".next/static", "dist", "build", "out"];
+
+export async function run(args) {
+  const dirs = args.filter((a) => !a.startsWith("-"));
+  const targets = dirs.length ? dirs : DEFAULT_DIRS.filter((d) => fs.existsSync(d));
+  if (targets.length === 0) {
+    throw new Error(`No build output found (looked for ${DEFAULT_DIRS.join(", ")}). Pass the directory to scan.`);
+  }
+
+  step("Scanning", targets.join(", "));
+  const { filesScanned, findings } = await scanForSecretKeys(targets);
+  if (findings.length === 0) {
+    success(`No secret keys in ${filesScanned} files`);
+    return;
+  }
+
+  for (const f of findings) {
+    console.log(`     ${chalk.red("✗")} ${f.file}:${f.line}:${f.column}  ${chalk.dim(f.key)}`);
+  }
+  throw new Error(
+    `Secret key found in the client bundle (${findings.length} occurrence${findings.length === 1 ? "" : "s"}). ` +
+      "Remove it from client code, rebuild, and rotate the key in your dashboard (Settings > API > Keys)."
+  );
+}
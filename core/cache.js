@@ -0,0 +1,404 @@
+/**
+ * Response Cache
+ *
+ * Framework-agnostic cache for anonymous GET reads (catalog, pages, blog…),
+ * so Express, Remix, Astro and browser storefronts get the same cache hit rate
+ * that Next.js gets from its Data Cache. Opt in with `new DashClient({ cache })`.
+ *
+ * Only the catalog and content routes in `CACHEABLE_ROUTES` are cached. Cart,
+ * checkout, ping and lock/status reads change with every write, and nothing
+ * short of a webhook would tell the cache, so they always go to the network.
+ *
+ * Entries are fresh for `ttlMs`, then served stale for up to
+ * `staleWhileRevalidateMs` while a single background request refreshes them.
+ * Every entry is tagged "dash4devs" — the same tag the Next.js path uses — so
+ * `dash.cache.invalidateTags(["dash4devs"])` (or a revalidate webhook) busts
+ * all of it at once. Entries are also tagged with their storefront API path
+ * and its parents (`path:/products/tee`, `path:/products`), so a webhook
+ * naming a path busts only the reads under it.
+ *
+ * With the client's circuit breaker on, entries are kept `staleIfErrorMs`
+ * longer so `fallback()` can stand in for a read while the backend is down
+ * (see core/circuit.js).
+ *
+ * Storage is pluggable. The default is an in-memory LRU; pass any object with
+ * `get`/`set`/`delete` (sync or async) to share the cache through Redis or KV.
+ * Tag invalidation is stored through the same adapter as timestamp markers, so
+ * a bust from one server instance is seen by every instance sharing the store.
+ * Every stored key is namespaced by the SHA-256 of the owning API key, so
+ * storefronts sharing a store never read each other's entries.
+ *
+ * Bodies are copied on the way in and on every hit: a caller that edits its
+ * result (sorting a product list in place, say) never changes what the next
+ * visitor is served.
+ */
+
+import { loadSubtleCrypto } from "#platform";
+
+/** Tag applied to every cached read, mirroring the Next.js cache tag. */
+export const CACHE_TAG = "dash4devs";
+
+/**
+ * Storefront routes (the path segment after /api/storefront/) whose
+ * anonymous GETs may be cached.
+ */
+export const CACHEABLE_ROUTES = [
+  "products",
+  "featured-variations",
+  "categories",
+  "brands",
+  "global",
+  "page",
+  "pages",
+  "blog",
+  "content-types",
+];
+
+/**
+ * The storefront route a URL belongs to: "products" for
+ * `/api/storefront/products/tee?x=1`, or null outside the storefront API.
+ * @param {string} url
+ * @returns {string|null}
+ * @private
+ */
+export function storefrontRoute(url) {
+  return /\/api\/storefront\/([^/?#]+)/.exec(url)?.[1] ?? null;
+}
+
+/**
+ * Cache tag for a storefront API path: "path:/products/tee" for
+ * "/products/tee/", "products/tee" or "/products/tee?x=1".
+ * @param {string} path
+ * @returns {string}
+ * @private
+ */
+export function pathTag(path) {
+  return `path:/${String(path).split(/[?#]/)[0].split("/").filter(Boolean).join("/")}`;
+}
+
+/**
+ * Path tags of a storefront URL, one per level:
+ * `/api/storefront/products/tee/options` → path:/products/tee/options,
+ * path:/products/tee and path:/products.
+ * @param {string} url
+ * @returns {string[]}
+ * @private
+ */
+export function pathTags(url) {
+  const path = /\/api\/storefront(\/[^?#]*)/.exec(url)?.[1];
+  if (!path) return [];
+  const segments = path.split("/").filter(Boolean);
+  return segments.map((_, i) => pathTag(segments.slice(0, i + 1).join("/")));
+}
+
+export const DEFAULT_CACHE = {
+  ttlMs: 60000,
+  staleWhileRevalidateMs: 300000,
+  maxEntries: 500,
+};
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {*} data - Parsed response body
+ * @property {number} storedAt - Epoch ms the entry was written
+ * @property {number} freshUntil - Epoch ms after which the entry is stale
+ * @property {number} staleUntil - Epoch ms after which the entry is unusable
+ * @property {number} [usableUntil] - Epoch ms until which `fallback()` may still serve it
+ * @property {string[]} tags - Invalidation tags
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {(key: string) => CacheEntry|undefined|Promise<CacheEntry|undefined>} get
+ * @property {(key: string, value: Object, ttlMs: number) => void|Promise<void>} set
+ *   Store a value; `ttlMs` is how long it must be kept at least (use it as the
+ *   Redis PX / KV expirationTtl)
+ * @property {(key: string) => void|Promise<void>} delete
+ * @property {() => void|Promise<void>} [clear] - Drop everything (optional)
+ */
+
+/**
+ * Default store: in-memory LRU, bounded by entry count.
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=500] - Evict least-recently-used entries beyond this
+   */
+  constructor({ maxEntries = DEFAULT_CACHE.maxEntries } = {}) {
+    this.maxEntries = maxEntries;
+    this._map = new Map();
+  }
+
+  get(key) {
+    const item = this._map.get(key);
+    if (!item) return undefined;
+    if (item.expiresAt <= Date.now()) {
+      this._map.delete(key);
+      return undefined;
+    }
+    // Re-insert to mark as most recently used.
+    this._map.delete(key);
+    this._map.set(key, item);
+    return item.value;
+  }
+
+  set(key, value, ttlMs) {
+    this._map.delete(key);
+    this._map.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this._map.size > this.maxEntries) {
+      this._map.delete(this._map.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this._map.delete(key);
+  }
+
+  clear() {
+    this._map.clear();
+  }
+
+  get size() {
+    return this._map.size;
+  }
+}
+
+/**
+ * Normalise the client's `cache` option. `true` uses the defaults; an object
+ * overrides them; anything falsy disables the cache.
+ * @param {boolean|Object} [option]
+ * @returns {Object|null}
+ * @private
+ */
+export function resolveCacheOptions(option) {
+  if (!option) return null;
+  if (option === true) return { ...DEFAULT_CACHE };
+  return { ...DEFAULT_CACHE, ...option };
+}
+
+/**
+ * Deep copy of a parsed JSON body.
+ * @param {*} data
+ * @returns {*}
+ * @private
+ */
+export function copyData(data) {
+  if (data === null || typeof data !== "object") return data;
+  if (typeof structuredClone === "function") return structuredClone(data);
+  return JSON.parse(JSON.stringify(data));
+}
+
+let lastStamp = 0;
+
+/**
+ * Strictly increasing time in ms, stepping by 1/1024 ms within one
+ * millisecond, so a write and an invalidation in the same millisecond still
+ * have an order.
+ * @private
+ */
+function stamp() {
+  const now = Date.now();
+  lastStamp = now > lastStamp ? now : lastStamp + 1 / 1024;
+  return lastStamp;
+}
+
+/**
+ * Hex SHA-256 of `value`. Collision-resistant, so two API keys can't end up
+ * sharing a namespace, and the key itself isn't written into Redis.
+ * @private
+ */
+async function sha256(value) {
+  const subtle = await loadSubtleCrypto();
+  const digest = await subtle.digest("SHA-256", new TextEncoder().encode(value));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * The cache attached to a DashClient as `dash.cache`. Store failures are
+ * swallowed — a Redis outage degrades to uncached reads, never to errors.
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} options - Resolved cache options (see resolveCacheOptions)
+   * @param {CacheStore} [options.store] - Storage adapter (default: MemoryCacheStore)
+   * @param {number} options.ttlMs - How long an entry is fresh
+   * @param {number} options.staleWhileRevalidateMs - How long a stale entry may still be served
+   * @param {number} [options.staleIfErrorMs=0] - How much longer `fallback()` may serve an entry
+   * @param {string[]} [options.routes=CACHEABLE_ROUTES] - Storefront routes whose reads are cached
+   * @param {string} apiKey - The owning client's API key (its SHA-256 prefixes every stored key)
+   */
+  constructor({ store, ttlMs, staleWhileRevalidateMs, staleIfErrorMs = 0, maxEntries, routes = CACHEABLE_ROUTES }, apiKey) {
+    this.store = store || new MemoryCacheStore({ maxEntries });
+    this.routes = routes;
+    this.ttlMs = ttlMs;
+    this.staleWhileRevalidateMs = staleWhileRevalidateMs;
+    this.staleIfErrorMs = staleIfErrorMs;
+    this._apiKey = apiKey;
+    this._prefix = null;
+    this._revalidating = new Set();
+  }
+
+  /**
+   * Cache key for a request, or null when the request must not be cached:
+   * only anonymous GETs of one of `routes`, without an explicit per-call
+   * `cache`/`next` choice, are. Keys are per client; the store sees them
+   * under the client's namespace.
+   * @param {import("./middleware.js").DashRequestContext} ctx
+   * @returns {string|null}
+   */
+  keyFor(ctx) {
+    if (ctx.method !== "GET") return null;
+    if (!this.routes.includes(storefrontRoute(ctx.url))) return null;
+    if (ctx.headers["Authorization"]) return null;
+    if (ctx.init.cache !== undefined || ctx.init.next !== undefined) return null;
+    return ctx.url;
+  }
+
+  /**
+   * Look up a key. The data is a copy, the caller's own to change.
+   * @param {string} key
+   * @returns {Promise<{data: *, stale: boolean}|null>}
+   */
+  async lookup(key) {
+    let storeKey;
+    let entry;
+    try {
+      storeKey = await this._storeKey(key);
+      entry = await this.store.get(storeKey);
+    } catch {
+      return null;
+    }
+    if (!entry) return null;
+
+    const now = Date.now();
+    if (now >= entry.staleUntil || (await this._invalidated(entry))) {
+      // Keep it for fallback() while it may still stand in for an outage.
+      if (!(now < entry.usableUntil)) this._safely(() => this.store.delete(storeKey));
+      return null;
+    }
+    return { data: copyData(entry.data), stale: now >= entry.freshUntil };
+  }
+
+  /**
+   * The last good response for a key, however old, as long as it is within
+   * `staleIfErrorMs` of going stale. Ignores tag invalidation: while the
+   * backend is down an outdated answer beats an error page.
+   * @param {string} key
+   * @returns {Promise<{data: *, storedAt: number}|null>}
+   */
+  async fallback(key) {
+    let entry;
+    try {
+      entry = await this.store.get(await this._storeKey(key));
+    } catch {
+      return null;
+    }
+    if (!entry || !(Date.now() < (entry.usableUntil ?? entry.staleUntil))) return null;
+    return { data: copyData(entry.data), storedAt: entry.storedAt };
+  }
+
+  /**
+   * Write a copy of a response body.
+   * @param {string} key
+   * @param {*} data
+   * @param {string[]} [tags] - Default: "dash4devs" plus the path tags of the key's URL
+   */
+  async put(key, data, tags = [CACHE_TAG, ...pathTags(key)]) {
+    const storedAt = stamp();
+    const entry = {
+      data: copyData(data),
+      storedAt,
+      freshUntil: storedAt + this.ttlMs,
+      staleUntil: storedAt + this.ttlMs + this.staleWhileRevalidateMs,
+      usableUntil: storedAt + this.ttlMs + this.staleWhileRevalidateMs + this.staleIfErrorMs,
+      tags,
+    };
+    await this._safely(async () => this.store.set(await this._storeKey(key), entry, entry.usableUntil - storedAt));
+  }
+
+  /**
+   * Run `refresh` in the background unless a refresh for `key` is already in
+   * flight. Failures keep the stale entry in place.
+   * @param {string} key
+   * @param {() => Promise<void>} refresh
+   */
+  revalidate(key, refresh) {
+    if (this._revalidating.has(key)) return;
+    this._revalidating.add(key);
+    Promise.resolve()
+      .then(refresh)
+      .catch(() => {})
+      .finally(() => this._revalidating.delete(key));
+  }
+
+  /**
+   * Invalidate every entry carrying any of `tags`. Entries written before this
+   * call are treated as misses from now on.
+   * @param {string[]} tags
+   * @example
+   * await dash.cache.invalidateTags(["dash4devs"]);
+   */
+  async invalidateTags(tags) {
+    const at = stamp();
+    const keepFor = this.ttlMs + this.staleWhileRevalidateMs;
+    await Promise.all(
+      tags.map((tag) => this._safely(async () => this.store.set(await this._tagKey(tag), { invalidatedAt: at }, keepFor)))
+    );
+  }
+
+  /**
+   * Drop every cached read for this client.
+   */
+  async clear() {
+    await this.invalidateTags([CACHE_TAG]);
+    if (this.store instanceof MemoryCacheStore) this.store.clear();
+  }
+
+  /** @private */
+  async _invalidated(entry) {
+    for (const tag of entry.tags || []) {
+      let marker;
+      try {
+        marker = await this.store.get(await this._tagKey(tag));
+      } catch {
+        continue;
+      }
+      if (marker && marker.invalidatedAt > entry.storedAt) return true;
+    }
+    return false;
+  }
+
+  /**
+   * `dash4devs:<sha256 of the API key>:`, computed once.
+   * @private
+   */
+  _namespace() {
+    if (!this._prefix) {
+      this._prefix = sha256(this._apiKey || "").then((digest) => `dash4devs:${digest}:`);
+      this._prefix.catch(() => {
+        this._prefix = null;
+      });
+    }
+    return this._prefix;
+  }
+
+  /** @private */
+  async _storeKey(key) {
+    return `${await this._namespace()}${key}`;
+  }
+
+  /** @private */
+  async _tagKey(tag) {
+    return `${await this._namespace()}tag:${tag}`;
+  }
+
+  /** @private */
+  async _safely(fn) {
+    try {
+      await fn();
+    } catch {
+      // Cache storage is best-effort.
+    }
+  }
+}
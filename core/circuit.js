@@ -0,0 +1,162 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops a client from hammering a backend that is down. Opt in with
+ * `new DashClient({ circuitBreaker: true })`.
+ *
+ *   closed    → requests flow; `failureThreshold` consecutive outage failures open it
+ *   open      → every call fails fast with DashCircuitOpenError for `cooldownMs`
+ *   half-open → one probe request is let through; success closes the circuit,
+ *               failure opens it for another cooldown
+ *
+ * Only outages count as failures: network errors, timeouts and 408/5xx
+ * answers. A 404 or a validation error means the backend is up.
+ *
+ * While the backend is failing, anonymous GET reads of the catalog and pages
+ * (`STALE_IF_ERROR_ROUTES`) are answered with the last good response for up to
+ * `staleIfErrorMs`, flagged as stale (see `markStale`), so pages keep
+ * rendering with a notice instead of falling back to a maintenance page.
+ */
+
+import { DashApiError, DashNetworkError } from "./errors.js";
+
+export const DEFAULT_CIRCUIT_BREAKER = {
+  /** Consecutive failures that open the circuit */
+  failureThreshold: 5,
+  /** How long the circuit stays open before a probe is allowed */
+  cooldownMs: 30000,
+  /** How long a last good response may stand in for a failing read */
+  staleIfErrorMs: 24 * 60 * 60 * 1000,
+};
+
+const OUTAGE_STATUS = new Set([408, 500, 502, 503, 504]);
+
+/**
+ * Storefront routes whose last good response may stand in during an outage.
+ * Carts, checkout, ping and lock checks are left out: after a failed write an
+ * old cart, or an old "not locked" answer, is worse than the error.
+ */
+export const STALE_IF_ERROR_ROUTES = ["products", "categories", "global", "page", "pages"];
+
+/**
+ * Normalise the client's `circuitBreaker` option. `true` uses the defaults; an
+ * object overrides them; anything falsy disables the breaker.
+ * @param {boolean|Object} [option]
+ * @returns {Object|null}
+ * @private
+ */
+export function resolveCircuitOptions(option) {
+  if (!option) return null;
+  if (option === true) return { ...DEFAULT_CIRCUIT_BREAKER };
+  return { ...DEFAULT_CIRCUIT_BREAKER, ...option };
+}
+
+/**
+ * Whether `error` means the backend is unavailable (as opposed to rejecting
+ * this particular request).
+ * @param {*} error
+ * @returns {boolean}
+ */
+export function isOutageError(error) {
+  if (error instanceof DashNetworkError) return true;
+  return error instanceof DashApiError && OUTAGE_STATUS.has(error.status);
+}
+
+/**
+ * Copy of a response body flagged as served from the stale-if-error fallback:
+ * `_stale` is `{ storedAt, reason }`. Arrays and primitives are returned as-is
+ * (check `meta.stale` in a `response` event handler for those).
+ * @param {*} data
+ * @param {{storedAt: number, reason: string}} info
+ * @returns {*}
+ * @private
+ */
+export function markStale(data, info) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return data;
+  return { ...data, _stale: info };
+}
+
+/**
+ * The breaker attached to a DashClient as `dash.circuit`.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Resolved options (see resolveCircuitOptions)
+   * @param {number} options.failureThreshold
+   * @param {number} options.cooldownMs
+   * @param {(change: {state: string, previous: string, failures: number}) => void} [onChange]
+   *   Called on every state transition
+   */
+  constructor({ failureThreshold, cooldownMs }, onChange) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this._onChange = onChange;
+    this.reset();
+  }
+
+  /**
+   * "closed", "open" or "half-open". An open circuit whose cooldown has passed
+   * reports "half-open".
+   * @returns {string}
+   */
+  get state() {
+    if (this._state === "open" && Date.now() >= this.openUntil) return "half-open";
+    return this._state;
+  }
+
+  /**
+   * Ask to send a request. False means fail fast. In half-open state only one
+   * probe is allowed until it settles.
+   * @returns {boolean}
+   */
+  allowRequest() {
+    const state = this.state;
+    if (state === "closed") return true;
+    if (state === "open" || this._probing) return false;
+    this._transition("half-open");
+    this._probing = true;
+    return true;
+  }
+
+  /** Record a request that reached a working backend. */
+  recordSuccess() {
+    this._probing = false;
+    this.failures = 0;
+    if (this._state !== "closed") this._transition("closed");
+  }
+
+  /** Record an outage failure. */
+  recordFailure() {
+    this._probing = false;
+    this.failures += 1;
+    if (this._state === "half-open" || this.failures >= this.failureThreshold) {
+      this.openUntil = Date.now() + this.cooldownMs;
+      this._transition("open");
+    }
+  }
+
+  /**
+   * Release a half-open probe whose outcome says nothing about the backend
+   * (e.g. the caller aborted it), so another request can probe instead.
+   */
+  releaseProbe() {
+    this._probing = false;
+  }
+
+  /** Close the circuit and forget past failures. */
+  reset() {
+    const previous = this._state;
+    this._state = "closed";
+    this.failures = 0;
+    this.openUntil = 0;
+    this._probing = false;
+    if (previous && previous !== "closed") this._onChange?.({ state: "closed", previous, failures: 0 });
+  }
+
+  /** @private */
+  _transition(state) {
+    const previous = this._state;
+    this._state = state;
+    if (previous !== state) this._onChange?.({ state, previous, failures: this.failures });
+  }
+}
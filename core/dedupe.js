@@ -0,0 +1,180 @@
+/**
+ * In-flight Request Coalescing
+ *
+ * During SSR a single page often asks for the same data from several
+ * components at once (`getGlobalData()`, `categories.getTree()`, …). Identical
+ * concurrent GETs — same URL and the same headers, as middleware left them —
+ * share one network call; every caller gets the same outcome. The
+ * caller who made the request gets the parsed body; each waiter gets its own
+ * copy, so one caller mutating its result never changes another's.
+ *
+ * Scoping:
+ *   dedupe: true       coalesce across the whole client (default). Reads are
+ *                      keyed on the bearer token, so one customer's data is
+ *                      never handed to another.
+ *   dedupe: "request"  coalesce only inside `dash.runInRequestScope(fn)`, for
+ *                      servers that want a hard per-request boundary.
+ *   dedupe: false      never coalesce.
+ *
+ * Inside a request scope every mode except `false` uses the scope's own map.
+ * Scopes need AsyncLocalStorage (Node, and edge runtimes that expose it);
+ * where it is missing, `runInRequestScope` simply runs `fn` unscoped.
+ */
+
+import { loadAsyncLocalStorage } from "#platform";
+import { copyData } from "./cache.js";
+
+let storage = null;
+let storageLoading = null;
+
+/**
+ * Lazily resolve the shared AsyncLocalStorage instance (see core/platform.node.js);
+ * memoized as a promise so scopes opened concurrently still share one instance.
+ * @returns {Promise<Object|null>}
+ * @private
+ */
+function loadStorage() {
+  if (!storageLoading) {
+    storageLoading = (async () => {
+      const AsyncLocalStorage = await loadAsyncLocalStorage();
+      storage = AsyncLocalStorage ? new AsyncLocalStorage() : null;
+      return storage;
+    })();
+  }
+  return storageLoading;
+}
+
+/**
+ * Run `fn` with its own in-flight map: requests inside it only coalesce with
+ * each other.
+ * @template T
+ * @param {() => T|Promise<T>} fn
+ * @returns {Promise<T>}
+ */
+export async function runInRequestScope(fn) {
+  const als = await loadStorage();
+  if (!als) return fn();
+  return als.run(new Map(), fn);
+}
+
+const ABORTED = Symbol("aborted");
+
+/**
+ * Resolve with `promise`'s value, or with ABORTED as soon as `signal` aborts.
+ * @private
+ */
+function unlessAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.resolve(ABORTED);
+  return new Promise((resolve) => {
+    const onAbort = () => resolve(ABORTED);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then((value) => {
+      signal.removeEventListener("abort", onAbort);
+      resolve(value);
+    });
+  });
+}
+
+/**
+ * A failure that belongs to the caller who made the shared request (their
+ * signal or their deadline), not to the request itself.
+ * @private
+ */
+function isCallerSpecific(error) {
+  return !!error && (error.name === "AbortError" || error.code === "timeout");
+}
+
+/**
+ * Headers that differ on every call without changing the response: trace
+ * propagation and idempotency keys. Left out of the coalescing key.
+ * @private
+ */
+const PER_CALL_HEADERS = new Set(["traceparent", "tracestate", "baggage", "b3", "sentry-trace", "idempotency-key"]);
+
+/**
+ * A request's final headers (after middleware), as a stable string: names
+ * lowercased, sorted, per-call headers dropped.
+ * @private
+ */
+function headerKey(headers) {
+  const entries = Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), String(value)])
+    .filter(([name]) => !PER_CALL_HEADERS.has(name));
+  return JSON.stringify(entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+}
+
+export class InFlightRequests {
+  /**
+   * @param {boolean|"request"} mode - See the module comment
+   * @param {string} apiKey - Owning client's key; scopes can be shared by several clients
+   */
+  constructor(mode, apiKey) {
+    this.mode = mode;
+    this._apiKey = apiKey;
+    this._global = new Map();
+  }
+
+  /**
+   * Coalescing key for a request, or null when it must run on its own. Call
+   * it once middleware has run, so headers it sets (locale, A/B bucket…) are
+   * part of the key.
+   * @param {import("./middleware.js").DashRequestContext} ctx
+   * @returns {string|null}
+   */
+  keyFor(ctx) {
+    if (!this.mode || ctx.method !== "GET" || ctx.body != null) return null;
+    return `${this._apiKey}\n${headerKey(ctx.headers)}\n${ctx.url}`;
+  }
+
+  /**
+   * Run `send` for `ctx`, or wait for an identical request already in flight
+   * and copy its outcome onto `ctx` (setting `ctx.meta.deduped`), with a copy
+   * of its data. If that request was cancelled or timed out by its own caller,
+   * `ctx` is sent on its own instead.
+   * @param {string} key
+   * @param {import("./middleware.js").DashRequestContext} ctx
+   * @param {() => Promise<void>} send
+   */
+  async share(key, ctx, send) {
+    const map = this._currentMap();
+    if (!map) return send();
+
+    const inFlight = map.get(key);
+    if (inFlight) {
+      const outcome = await unlessAborted(inFlight, ctx.init.signal);
+      if (outcome !== ABORTED && outcome.thrown) throw outcome.thrown;
+      if (outcome !== ABORTED && !isCallerSpecific(outcome.error)) {
+        ctx.response = outcome.response;
+        ctx.data = copyData(outcome.data);
+        ctx.error = outcome.error;
+        ctx.meta.deduped = true;
+        return;
+      }
+      // Our own abort (send fails fast on the aborted signal) or theirs.
+      return send();
+    }
+
+    // Settles with the outcome rather than rejecting, so waiting callers
+    // never see an unhandled rejection.
+    const promise = send().then(
+      () => ({ response: ctx.response, data: ctx.data, error: ctx.error }),
+      (thrown) => ({ thrown })
+    );
+    map.set(key, promise);
+    let outcome;
+    try {
+      outcome = await promise;
+    } finally {
+      if (map.get(key) === promise) map.delete(key);
+    }
+    if (outcome.thrown) throw outcome.thrown;
+  }
+
+  /** @private */
+  _currentMap() {
+    const scoped = storage ? storage.getStore() : undefined;
+    if (scoped) return scoped;
+    return this.mode === "request" ? null : this._global;
+  }
+}
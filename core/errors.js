@@ -0,0 +1,174 @@
+/**
+ * Error Classes
+ *
+ * Every failure the SDK raises is a `DashError`, so callers can branch on the
+ * class (or the stable `code`) instead of string-matching messages:
+ *
+ *   DashError                       code
+ *   ├── DashApiError                api_error | bad_request | not_found | conflict | server_error | invalid_response
+ *   │   ├── DashValidationError     validation_error   (422, or bad arguments caught client-side)
+ *   │   ├── DashAuthError           unauthorized | forbidden
+ *   │   ├── DashRateLimitError      rate_limited       (429)
+ *   │   └── DashBannedError         banned             (403 { error: "banned" })
+ *   ├── DashNetworkError            network_error      (no response at all)
+ *   │   ├── DashTimeoutError        timeout
+ *   │   └── DashCircuitOpenError    circuit_open       (not sent: the API is failing, see core/circuit.js)
+ *   └── DashUnknownTenantError      unknown_tenant     (DashClientPool found no storefront for a request)
+ *
+ * `status` and `details` (the parsed response body) are kept on API errors for
+ * code written against the old plain-`Error` shape.
+ */
+
+export class DashError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code="dash_error"] - Stable machine-readable code
+   * @param {number|null} [options.status=null] - HTTP status, when there was a response
+   * @param {*} [options.details=null] - Parsed response body or extra context
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, { code = "dash_error", status = null, details = null, cause } = {}) {
+    super(message, cause !== undefined ? { cause } : undefined);
+    this.name = "DashError";
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/** The API answered with an error status (or an unreadable body). */
+export class DashApiError extends DashError {
+  constructor(message, options = {}) {
+    super(message, { code: "api_error", ...options });
+    this.name = "DashApiError";
+  }
+}
+
+/** The request was rejected as invalid. `fields` maps field names to messages. */
+export class DashValidationError extends DashApiError {
+  constructor(message, { fields = {}, ...options } = {}) {
+    super(message, { code: "validation_error", ...options });
+    this.name = "DashValidationError";
+    this.fields = fields;
+  }
+}
+
+/** Missing, expired or insufficient credentials (401/403). */
+export class DashAuthError extends DashApiError {
+  constructor(message, options = {}) {
+    super(message, { code: "unauthorized", ...options });
+    this.name = "DashAuthError";
+  }
+}
+
+/** Too many requests (429). `retryAfterMs` is set when the server said how long to wait. */
+export class DashRateLimitError extends DashApiError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, { code: "rate_limited", status: 429, ...options });
+    this.name = "DashRateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** The visitor or IP is banned from this storefront (403 `{ error: "banned" }`). */
+export class DashBannedError extends DashApiError {
+  constructor(message, { reason = null, ...options } = {}) {
+    super(message, { code: "banned", status: 403, ...options });
+    this.name = "DashBannedError";
+    this.reason = reason;
+  }
+}
+
+/** No response was received (DNS failure, connection reset, offline, CORS). */
+export class DashNetworkError extends DashError {
+  constructor(message, options = {}) {
+    super(message, { code: "network_error", ...options });
+    this.name = "DashNetworkError";
+  }
+}
+
+/** The request did not complete within its time limit. */
+export class DashTimeoutError extends DashNetworkError {
+  constructor(message, { timeoutMs = null, ...options } = {}) {
+    super(message, { code: "timeout", ...options });
+    this.name = "DashTimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * The request was not sent because the client's circuit breaker is open after
+ * repeated failures. `retryAt` is when the next probe request will be allowed.
+ */
+export class DashCircuitOpenError extends DashNetworkError {
+  constructor(message, { retryAt = null, ...options } = {}) {
+    super(message, { code: "circuit_open", ...options });
+    this.name = "DashCircuitOpenError";
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * A DashClientPool could not map a request to a storefront. `hostname` is the
+ * hostname it looked up (null when the request had none).
+ */
+export class DashUnknownTenantError extends DashError {
+  constructor(message, { hostname = null, ...options } = {}) {
+    super(message, { code: "unknown_tenant", ...options });
+    this.name = "DashUnknownTenantError";
+    this.hostname = hostname;
+  }
+}
+
+/**
+ * Normalise the various shapes the backend uses for field errors
+ * (`{ fields }`, `{ errors: { field: ["msg"] } }`, `{ errors: [{ field, message }] }`).
+ * @private
+ */
+function extractFields(data) {
+  const raw = data?.fields ?? data?.errors ?? data?.field_errors;
+  if (!raw || typeof raw !== "object") return {};
+  if (Array.isArray(raw)) {
+    const fields = {};
+    for (const item of raw) {
+      if (item && item.field) fields[item.field] = item.message || item.error || "invalid";
+    }
+    return fields;
+  }
+  const fields = {};
+  for (const [key, value] of Object.entries(raw)) {
+    fields[key] = Array.isArray(value) ? value.join(" ") : String(value);
+  }
+  return fields;
+}
+
+/**
+ * Build the right DashError subclass for a non-2xx API response.
+ *
+ * @param {number} status - HTTP status
+ * @param {Object|null} data - Parsed response body (null when it wasn't JSON)
+ * @param {Object} [options]
+ * @param {number|null} [options.retryAfterMs] - Parsed Retry-After header
+ * @returns {DashApiError}
+ */
+export function errorFromResponse(status, data, { retryAfterMs = null } = {}) {
+  const body = data && typeof data === "object" ? data : {};
+  const message = body.message || body.error || body.detail || `API request failed (HTTP ${status})`;
+  const options = { status, details: data };
+
+  if (status === 403 && body.error === "banned") {
+    return new DashBannedError(message, { ...options, reason: body.reason || null });
+  }
+  if (status === 401) return new DashAuthError(message, { ...options, code: "unauthorized" });
+  if (status === 403) return new DashAuthError(message, { ...options, code: "forbidden" });
+  if (status === 422) return new DashValidationError(message, { ...options, fields: extractFields(body) });
+  if (status === 429) return new DashRateLimitError(message, { ...options, retryAfterMs });
+
+  let code = "api_error";
+  if (status === 404) code = "not_found";
+  else if (status === 409) code = "conflict";
+  else if (status >= 500) code = "server_error";
+  else if (status >= 400) code = "bad_request";
+  return new DashApiError(message, { ...options, code });
+}
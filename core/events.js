@@ -0,0 +1,92 @@
+/**
+ * Event Emitter
+ *
+ * Minimal synchronous emitter used by the client and its modules to announce
+ * lifecycle events (session expiry, token refresh, …) without depending on
+ * Node's `events` module, so it runs the same in the browser and on the server.
+ * A throwing handler never breaks the emitter or the SDK call that emitted.
+ *
+ * Events with a built-in reaction (the client's `banned` and `locked`
+ * redirects) are sent through `emitCancelable`: any handler can call
+ * `payload.preventDefault()` to take over from the SDK.
+ *
+ * An emitter can have a parent that hears everything it emits after its own
+ * handlers — request clients from a DashClientPool report to their tenant's
+ * client this way.
+ */
+
+export class Emitter {
+  /**
+   * @param {Emitter} [parent] - Also receives every event emitted here
+   */
+  constructor(parent) {
+    this._handlers = new Map();
+    this._parent = parent || null;
+  }
+
+  /**
+   * Subscribe to an event.
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, handler) {
+    if (typeof handler !== "function") {
+      throw new Error("event handler must be a function");
+    }
+    if (!this._handlers.has(event)) this._handlers.set(event, new Set());
+    this._handlers.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Unsubscribe a handler previously passed to `on()`.
+   * @param {string} event - Event name
+   * @param {Function} handler - The same function passed to `on()`
+   */
+  off(event, handler) {
+    const handlers = this._handlers.get(event);
+    if (handlers) handlers.delete(handler);
+  }
+
+  /**
+   * Call every handler subscribed to `event`.
+   * @param {string} event - Event name
+   * @param {*} [payload] - Passed to each handler
+   * @returns {boolean} Whether any handler was subscribed (here or on the parent)
+   */
+  emit(event, payload) {
+    const handlers = this._handlers.get(event);
+    const heard = !!handlers && handlers.size > 0;
+    if (heard) {
+      for (const handler of [...handlers]) {
+        try {
+          handler(payload);
+        } catch { /* a listener must never break the SDK */ }
+      }
+    }
+    const heardByParent = this._parent ? this._parent.emit(event, payload) : false;
+    return heard || heardByParent;
+  }
+
+  /**
+   * Emit an event whose default action handlers may cancel. The payload is
+   * copied and given `preventDefault()` and `defaultPrevented`.
+   * @param {string} event - Event name
+   * @param {Object} [payload] - Passed to each handler
+   * @returns {boolean} Whether the caller should run the default action
+   */
+  emitCancelable(event, payload = {}) {
+    const cancelable = {
+      ...payload,
+      defaultPrevented: false,
+      preventDefault() {
+        cancelable.defaultPrevented = true;
+      },
+    };
+    this.emit(event, cancelable);
+    return !cancelable.defaultPrevented;
+  }
+}
+
+export default Emitter;
@@ -0,0 +1,93 @@
+/**
+ * Webhook HTTP Adapters
+ *
+ * The webhook receivers (revalidation, store events) are written once as
+ * `handle(rawBody, getHeader) → { status, body }` and exposed to each server
+ * style through these wrappers. Handlers need the raw body — signatures are
+ * computed over the exact bytes sent — which is why every adapter reads it
+ * itself rather than taking a parsed object.
+ */
+
+/**
+ * @callback WebhookCore
+ * @param {string} rawBody
+ * @param {(name: string) => string|null} getHeader
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+
+/**
+ * Fetch `Request` → `Response` (Next.js route handlers, Remix, Bun, Deno, Workers).
+ * @param {WebhookCore} handle
+ * @param {Object} [options]
+ * @param {(data: Object, init: Object) => Response} [options.json] - Response factory (default: `Response.json`)
+ * @returns {(request: Request) => Promise<Response>}
+ */
+export function toFetchHandler(handle, { json } = {}) {
+  return async function POST(request) {
+    const { status, body } = await handle(await request.text(), (name) => request.headers.get(name));
+    return (json || Response.json.bind(Response))(body, { status });
+  };
+}
+
+/**
+ * Hono handler: reads the underlying Fetch request.
+ * @param {WebhookCore} handle
+ * @returns {(c: Object) => Promise<Response>}
+ */
+export function toHonoHandler(handle) {
+  const fetchHandler = toFetchHandler(handle);
+  return (c) => fetchHandler(c.req.raw);
+}
+
+/**
+ * Express/Connect middleware. Mount it before any JSON body parser, or behind
+ * `express.raw({ type: "application/json" })`.
+ * @param {WebhookCore} handle
+ * @returns {(req: Object, res: Object, next?: Function) => Promise<void>}
+ */
+export function toExpressHandler(handle) {
+  return async function webhookMiddleware(req, res, next) {
+    try {
+      const rawBody = await readNodeBody(req);
+      const getHeader = (name) => {
+        const value = req.headers?.[name.toLowerCase()];
+        return Array.isArray(value) ? value[0] : value ?? null;
+      };
+      const { status, body } = await handle(rawBody, getHeader);
+      res.statusCode = status;
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(body));
+    } catch (err) {
+      if (next) next(err);
+      else {
+        res.statusCode = 500;
+        res.end();
+      }
+    }
+  };
+}
+
+/**
+ * Raw body of a Node request, whether or not a body parser already ran.
+ * @private
+ */
+async function readNodeBody(req) {
+  if (typeof req.rawBody === "string") return req.rawBody;
+  if (req.rawBody && typeof req.rawBody.toString === "function") return req.rawBody.toString("utf8");
+  if (typeof req.body === "string") return req.body;
+  if (req.body instanceof Uint8Array) return new TextDecoder().decode(req.body);
+  // Already parsed by express.json(): a signature over this will only match
+  // if the sender's serialisation happens to be identical.
+  if (req.body && typeof req.body === "object") return JSON.stringify(req.body);
+
+  const chunks = [];
+  for await (const chunk of req) chunks.push(typeof chunk === "string" ? new TextEncoder().encode(chunk) : chunk);
+  const total = chunks.reduce((n, c) => n + c.length, 0);
+  const buffer = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    buffer.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return new TextDecoder().decode(buffer);
+}
@@ -0,0 +1,244 @@
+/**
+ * Logger
+ *
+ * Every message the SDK writes goes through a `DashLogger`, so production log
+ * pipelines can ingest it as structured data:
+ *
+ *   new DashClient({ apiKey, logger: pino(), logLevel: "warn" })
+ *
+ * Each entry is one object — `{ level, message, namespace, time, ...fields }` —
+ * handed to the configured sink:
+ *
+ *   - a function: called with the entry
+ *   - an object with level methods (pino, winston, console): `sink[level](entry)`
+ *   - nothing: the console, formatted as `[namespace] message`
+ *
+ * Entries are redacted before they reach any sink, whatever its level: API
+ * keys, bearer tokens and JWTs, card numbers and card fields, passwords and
+ * secrets, and email addresses never leave the SDK.
+ */
+
+import { DashValidationError } from "./errors.js";
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+export const REDACTED = "[REDACTED]";
+
+/** Field names whose values are always replaced, compared case-insensitively. */
+const SECRET_FIELDS = new Set(
+  [
+    "authorization",
+    "x-api-key",
+    "apikey",
+    "api_key",
+    "token",
+    "access_token",
+    "refresh_token",
+    "id_token",
+    "password",
+    "secret",
+    "client_secret",
+    "otp",
+    "card_number",
+    "cardnumber",
+    "card_code",
+    "cardcode",
+    "cvv",
+    "cvc",
+    "expiration_date",
+    "expirationdate",
+    "payment_token",
+    "datavalue",
+    "email",
+  ].map((key) => key.toLowerCase())
+);
+
+const STRING_PATTERNS = [
+  // API keys: keep the prefix so "which key?" is still answerable.
+  [/\b((?:pk|sk)_(?:live|test)_)[A-Za-z0-9]+/g, `$1${REDACTED}`],
+  [/\b(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, `$1${REDACTED}`],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, REDACTED],
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, REDACTED],
+];
+
+/** 15–19 digits, optionally grouped by spaces or dashes. */
+const CARD_PATTERN = /\b\d(?:[ -]?\d){14,18}\b/g;
+
+/**
+ * Luhn checksum, so order numbers and timestamps are not mistaken for cards.
+ * @private
+ */
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/** @private */
+function redactString(value) {
+  let out = value;
+  for (const [pattern, replacement] of STRING_PATTERNS) out = out.replace(pattern, replacement);
+  return out.replace(CARD_PATTERN, (match) => (isLuhnValid(match.replace(/\D/g, "")) ? REDACTED : match));
+}
+
+/**
+ * Copy of `value` with credentials, card data and emails removed. Errors
+ * become `{ name, message, code, status }`.
+ * @param {*} value
+ * @returns {*}
+ */
+export function redactLogValue(value) {
+  const seen = new WeakSet();
+  const walk = (node) => {
+    if (typeof node === "string") return redactString(node);
+    if (!node || typeof node !== "object") return node;
+    if (seen.has(node)) return "[Circular]";
+    seen.add(node);
+    if (node instanceof Error) {
+      const out = { name: node.name, message: redactString(node.message) };
+      if (node.code !== undefined) out.code = node.code;
+      if (node.status != null) out.status = node.status;
+      return out;
+    }
+    if (Array.isArray(node)) return node.map(walk);
+    const out = {};
+    for (const [key, child] of Object.entries(node)) {
+      out[key] = SECRET_FIELDS.has(key.toLowerCase()) && child != null ? REDACTED : walk(child);
+    }
+    return out;
+  };
+  return walk(value);
+}
+
+/** @private */
+function writeToConsole(entry) {
+  if (typeof console === "undefined") return;
+  const { level, message, namespace, time, ...fields } = entry;
+  const method = level === "debug" ? "debug" : level === "info" ? "log" : level;
+  const text = namespace ? `[${namespace}] ${message}` : message;
+  if (Object.keys(fields).length) console[method](text, fields);
+  else console[method](text);
+}
+
+/**
+ * The logger behind `dash.logger`. Create child loggers per subsystem with
+ * `child(namespace)`; they share the sink and level.
+ */
+export class Logger {
+  /**
+   * @param {Object} [options]
+   * @param {Function|Object} [options.logger] - Sink: `(entry) => void`, or an object with
+   *   `debug`/`info`/`warn`/`error` methods. Default: the console.
+   * @param {string} [options.level="info"] - "debug", "info", "warn", "error" or "silent"
+   * @param {string} [options.namespace] - Added to every entry
+   */
+  constructor({ logger, level = "info", namespace } = {}) {
+    if (!(level in LOG_LEVELS)) {
+      throw new DashValidationError(`logLevel must be one of ${Object.keys(LOG_LEVELS).join(", ")}`, {
+        fields: { logLevel: "invalid" },
+      });
+    }
+    this._sink = logger || null;
+    this.level = level;
+    this.namespace = namespace;
+  }
+
+  /** Whether a sink other than the console was configured. */
+  get custom() {
+    return !!this._sink;
+  }
+
+  /**
+   * @param {string} level
+   * @returns {boolean} Whether entries at `level` are written
+   */
+  enabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Logger that tags its entries with `namespace`.
+   * @param {string} namespace
+   * @returns {Logger}
+   */
+  child(namespace) {
+    return new Logger({ logger: this._sink, level: this.level, namespace });
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  debug(message, fields) {
+    this.log("debug", message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  info(message, fields) {
+    this.log("info", message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  warn(message, fields) {
+    this.log("warn", message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  error(message, fields) {
+    this.log("error", message, fields);
+  }
+
+  /**
+   * Write one entry. A throwing sink never breaks the SDK call that logged.
+   * @param {string} level
+   * @param {string} message
+   * @param {Object} [fields]
+   */
+  log(level, message, fields) {
+    if (!this.enabled(level)) return;
+    const entry = {
+      level,
+      message: redactString(String(message)),
+      ...(this.namespace ? { namespace: this.namespace } : {}),
+      time: new Date().toISOString(),
+      ...redactLogValue(fields || {}),
+    };
+    try {
+      if (typeof this._sink === "function") this._sink(entry);
+      else if (this._sink) (this._sink[level] || this._sink.log).call(this._sink, entry);
+      else writeToConsole(entry);
+    } catch {
+      // Logging is best-effort.
+    }
+  }
+}
+
+/**
+ * Accept a `Logger`, or build one from a sink and level.
+ * @param {Logger|Function|Object} [logger]
+ * @param {string} [level]
+ * @returns {Logger}
+ */
+export function createLogger(logger, level) {
+  if (logger instanceof Logger) return logger;
+  return new Logger({ logger, level });
+}
+
+/** Console logger for code with no client at hand (standalone storage, webhook handlers). */
+export const defaultLogger = new Logger();
@@ -0,0 +1,70 @@
+/**
+ * Request Middleware
+ *
+ * Onion-style middleware chain wrapped around every DashClient._fetch call.
+ * Each middleware receives the request context and a `next()` function:
+ *
+ *   dash.use(async (ctx, next) => {
+ *     ctx.headers["X-Experiment"] = "checkout-b";   // before the request
+ *     const started = Date.now();
+ *     await next();                                  // send it
+ *     console.log(ctx.method, ctx.url, ctx.response?.status, Date.now() - started);
+ *   });
+ *
+ * Before `next()` the context describes the outgoing request (method, url,
+ * headers, body) and may be rewritten freely. After `next()` resolves,
+ * `ctx.response` holds the raw Response and either `ctx.data` (parsed body) or
+ * `ctx.error` is set. A middleware can recover from a failure by clearing
+ * `ctx.error` and assigning `ctx.data`, or short-circuit the network entirely
+ * by setting `ctx.data` and not calling `next()`.
+ */
+
+/**
+ * @typedef {Object} DashRequestContext
+ * @property {Object} client - The DashClient making the call
+ * @property {string} method - Upper-case HTTP method
+ * @property {string} url - Absolute request URL
+ * @property {Object<string, string>} headers - Outgoing request headers
+ * @property {*} body - Request body (usually a JSON string)
+ * @property {Object} init - Remaining fetch() options (cache, next, …); `init.signal` combines the
+ *   caller's AbortSignal with the request timeout
+ * @property {Object} retry - Effective retry policy for this call (see core/retry.js)
+ * @property {boolean} authRefresh - Whether a 401 may trigger a token refresh and replay
+ * @property {boolean} cacheRefresh - Whether this is a background refresh that bypasses cache reads
+ * @property {Response|null} response - Raw response, once received
+ * @property {*} data - Parsed response body on success
+ * @property {Error|null} error - Failure, if the request did not succeed
+ * @property {Object} meta - Scratch space for middleware to share state
+ */
+
+/**
+ * Compose middleware functions into a single runner.
+ *
+ * @param {Function[]} middleware - `(ctx, next) => Promise<void>` functions, outermost first
+ * @returns {(ctx: DashRequestContext, core: Function) => Promise<void>}
+ */
+export function composeMiddleware(middleware) {
+  return function run(ctx, core) {
+    let index = -1;
+
+    const dispatch = (i) => {
+      if (i <= index) {
+        return Promise.reject(new Error("next() called multiple times"));
+      }
+      index = i;
+
+      const fn = i === middleware.length ? core : middleware[i];
+      if (!fn) return Promise.resolve();
+
+      try {
+        return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    };
+
+    return dispatch(0);
+  };
+}
+
+export default composeMiddleware;
@@ -0,0 +1,213 @@
+/**
+ * Pagination
+ *
+ * Async iterators over the SDK's list endpoints, so callers stop writing
+ * limit/offset loops:
+ *
+ *   for await (const product of dash.products.iterate({ category: "flower" })) { … }
+ *   for await (const page of dash.blog.iterate().pages()) { … }
+ *   const orders = await dash.admin.iterate("listOrders", { status: "paid" }).toArray({ max: 500 });
+ *
+ * Two request styles are supported — `offset` (limit/offset, the storefront
+ * endpoints) and `page` (page/per_page, admin and affiliate endpoints) — and
+ * each page's response is read for whichever metadata it carries:
+ *
+ *   pagination.has_more / has_next, pagination.total (+ limit/offset),
+ *   total_pages / num_pages / pages, a DRF-style `next`, or a top-level
+ *   `total` (page groups).
+ *
+ * A response with none of these is treated as the only page, so an endpoint
+ * that ignores paging params can never loop forever.
+ *
+ * With `concurrency > 1`, once the first page reveals the total the remaining
+ * pages are fetched that many at a time — for bulk exports. Items are always
+ * yielded in order.
+ */
+
+/**
+ * Arrays returned under a name other than the endpoint's own key.
+ * @private
+ */
+const FALLBACK_ITEM_KEYS = ["results", "items", "data"];
+
+/**
+ * Pull the page's items out of a list response.
+ * @param {Object} response
+ * @param {string} [itemsKey]
+ * @returns {Array}
+ * @private
+ */
+function extractItems(response, itemsKey) {
+  if (Array.isArray(response)) return response;
+  if (!response || typeof response !== "object") return [];
+  if (itemsKey && Array.isArray(response[itemsKey])) return response[itemsKey];
+  for (const key of FALLBACK_ITEM_KEYS) {
+    if (Array.isArray(response[key])) return response[key];
+  }
+  const firstArray = Object.values(response).find(Array.isArray);
+  return firstArray || [];
+}
+
+/**
+ * Read whatever paging metadata a response carries.
+ * @returns {{hasMore: boolean|null, total: number|null, totalPages: number|null, pageSize: number|null}}
+ * @private
+ */
+function readPagination(response) {
+  const p = (response && typeof response === "object" && !Array.isArray(response) && response.pagination) || {};
+  const top = (response && typeof response === "object" && !Array.isArray(response)) ? response : {};
+  const num = (value) => (value == null || value === "" || !Number.isFinite(Number(value)) ? null : Number(value));
+
+  let hasMore = null;
+  if (typeof p.has_more === "boolean") hasMore = p.has_more;
+  else if (typeof p.has_next === "boolean") hasMore = p.has_next;
+  else if (typeof top.has_more === "boolean") hasMore = top.has_more;
+  else if (typeof top.has_next === "boolean") hasMore = top.has_next;
+  else if ("next" in p) hasMore = !!p.next;
+  else if ("next" in top) hasMore = !!top.next;
+
+  return {
+    hasMore,
+    total: num(p.total ?? p.count ?? top.total ?? top.count),
+    totalPages: num(p.total_pages ?? p.num_pages ?? p.pages ?? top.total_pages ?? top.num_pages),
+    pageSize: num(p.limit ?? p.per_page ?? p.page_size ?? top.per_page),
+  };
+}
+
+export class Paginator {
+  /**
+   * @param {Object} options
+   * @param {(params: {limit: number, offset: number, page: number}) => Promise<Object>} options.fetchPage
+   *   Fetch one page. Offset-style endpoints read `limit`/`offset`, page-style
+   *   ones `page` (1-based) and `limit` as the page size.
+   * @param {"offset"|"page"} [options.style="offset"]
+   * @param {string} [options.itemsKey] - Response key holding the items (e.g. "products")
+   * @param {number} [options.pageSize=50] - Items requested per page
+   * @param {number} [options.concurrency=1] - Pages fetched at once after the first
+   * @param {number} [options.offset=0] - Offset-style: first item to fetch
+   * @param {number} [options.page=1] - Page-style: first page to fetch
+   */
+  constructor({ fetchPage, style = "offset", itemsKey, pageSize = 50, concurrency = 1, offset = 0, page = 1 }) {
+    this._fetchPage = fetchPage;
+    this.style = style;
+    this.itemsKey = itemsKey;
+    this.pageSize = pageSize;
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+    this._startOffset = Number(offset) || 0;
+    this._startPage = Number(page) || 1;
+  }
+
+  /**
+   * Iterate page by page. Each page is `{ items, response, index }`, where
+   * `response` is the endpoint's full answer and `index` counts from 0.
+   * @returns {AsyncGenerator<{items: Array, response: Object, index: number}>}
+   */
+  async *pages() {
+    const first = await this._fetch(0);
+    yield first;
+    if (!first.items.length) return;
+
+    const meta = readPagination(first.response);
+    const step = this.style === "offset" ? meta.pageSize || this.pageSize : null;
+    const lastIndex = this._lastIndex(meta, first.items.length, step);
+
+    // Known length: fetch the rest in order, `concurrency` pages ahead.
+    if (lastIndex !== null) {
+      const ahead = [];
+      let next = 1;
+      const schedule = () => {
+        while (ahead.length < this.concurrency && next <= lastIndex) {
+          const promise = this._fetch(next++, step);
+          promise.catch(() => {}); // surfaced when awaited, in order
+          ahead.push(promise);
+        }
+      };
+      schedule();
+      while (ahead.length) {
+        const page = await ahead.shift();
+        schedule();
+        if (!page.items.length) return;
+        yield page;
+      }
+      return;
+    }
+
+    // Only "is there more?" is known: walk one page at a time.
+    if (meta.hasMore !== true) return;
+    for (let index = 1; ; index++) {
+      const page = await this._fetch(index, step);
+      if (!page.items.length) return;
+      yield page;
+      if (readPagination(page.response).hasMore !== true) return;
+    }
+  }
+
+  /**
+   * Iterate item by item.
+   * @returns {AsyncGenerator<*>}
+   */
+  async *[Symbol.asyncIterator]() {
+    for await (const page of this.pages()) {
+      yield* page.items;
+    }
+  }
+
+  /**
+   * Collect every item (or the first `max`) into an array.
+   * @param {Object} [options]
+   * @param {number} [options.max] - Stop after this many items
+   * @returns {Promise<Array>}
+   */
+  async toArray({ max = Infinity } = {}) {
+    const out = [];
+    if (max <= 0) return out;
+    for await (const page of this.pages()) {
+      for (const item of page.items) {
+        out.push(item);
+        if (out.length >= max) return out;
+      }
+    }
+    return out;
+  }
+
+  /** @private */
+  async _fetch(index, step = this.pageSize) {
+    const params =
+      this.style === "page"
+        ? { page: this._startPage + index, limit: this.pageSize, offset: 0 }
+        : { offset: this._startOffset + index * step, limit: this.pageSize, page: 1 };
+    const response = await this._fetchPage(params);
+    return { items: extractItems(response, this.itemsKey), response, index };
+  }
+
+  /**
+   * Index of the last page when the first page reveals it, else null.
+   * @private
+   */
+  _lastIndex(meta, firstCount, step) {
+    if (this.style === "page") {
+      if (meta.totalPages !== null) return meta.totalPages - this._startPage;
+      const size = meta.pageSize || firstCount;
+      if (meta.total !== null && size) return Math.ceil(meta.total / size) - this._startPage;
+      return null;
+    }
+    if (meta.total !== null && step) {
+      return Math.max(0, Math.ceil((meta.total - this._startOffset) / step) - 1);
+    }
+    return null;
+  }
+}
+
+/**
+ * Split iterator options from the endpoint's own options.
+ * @param {Object} [options]
+ * @returns {{paging: Object, rest: Object}}
+ * @private
+ */
+export function splitPagingOptions(options = {}) {
+  const { pageSize, concurrency, limit, offset, page, per_page, ...rest } = options;
+  return {
+    paging: { pageSize: pageSize ?? limit ?? per_page, concurrency, offset, page },
+    rest,
+  };
+}
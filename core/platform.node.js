@@ -0,0 +1,49 @@
+/**
+ * Platform Hooks — Node flavour
+ *
+ * The few places the SDK needs something outside the Web platform go through
+ * the package-internal `#platform` import (see package.json "imports"). Node,
+ * Bun, Deno and Next.js's Node runtime resolve it to this file; edge runtimes
+ * and browsers get core/platform.web.js, so their bundlers never see a
+ * `node:` specifier or an import of `next`.
+ *
+ * Both files export the same functions.
+ */
+
+/**
+ * AsyncLocalStorage constructor, or null where there is none.
+ * @returns {Promise<Function|null>}
+ */
+export async function loadAsyncLocalStorage() {
+  if (globalThis.AsyncLocalStorage) return globalThis.AsyncLocalStorage;
+  try {
+    return (await import("node:async_hooks")).AsyncLocalStorage;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Web Crypto's SubtleCrypto. Node 18 only exposes it through `node:crypto`.
+ * @returns {Promise<SubtleCrypto>}
+ */
+export async function loadSubtleCrypto() {
+  if (globalThis.crypto?.subtle) return globalThis.crypto.subtle;
+  return (await import("node:crypto")).webcrypto.subtle;
+}
+
+/**
+ * Import Next's server/cache helpers, or null outside a Next.js app.
+ * @returns {Promise<{NextResponse: Object, revalidatePath: Function, revalidateTag: Function}|null>}
+ */
+export async function loadNext() {
+  try {
+    const [{ NextResponse }, { revalidatePath, revalidateTag }] = await Promise.all([
+      import("next/server"),
+      import("next/cache"),
+    ]);
+    return { NextResponse, revalidatePath, revalidateTag };
+  } catch {
+    return null;
+  }
+}
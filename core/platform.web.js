@@ -0,0 +1,35 @@
+/**
+ * Platform Hooks — Web flavour
+ *
+ * Resolved for `#platform` under the "edge-light" (Vercel Edge), "workerd" /
+ * "worker" (Cloudflare Workers) and "browser" conditions. Uses Web-standard
+ * globals only; see core/platform.node.js for the contract.
+ */
+
+/**
+ * AsyncLocalStorage where the runtime exposes it globally (Vercel Edge, and
+ * Workers with nodejs_als), else null.
+ * @returns {Promise<Function|null>}
+ */
+export async function loadAsyncLocalStorage() {
+  return globalThis.AsyncLocalStorage || null;
+}
+
+/**
+ * @returns {Promise<SubtleCrypto>}
+ */
+export async function loadSubtleCrypto() {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error("Web Crypto (crypto.subtle) is not available in this runtime");
+  }
+  return globalThis.crypto.subtle;
+}
+
+/**
+ * Never imported here: pass `next: { revalidatePath, revalidateTag }` to
+ * `createRevalidateHandler` from an edge route instead.
+ * @returns {Promise<null>}
+ */
+export async function loadNext() {
+  return null;
+}
@@ -0,0 +1,168 @@
+/**
+ * Client Pool
+ *
+ * For one deployment serving many storefronts. Instead of constructing a
+ * DashClient per request per org, keep one pool:
+ *
+ *   const pool = new DashClientPool({
+ *     tenants: { "shop-a.com": "pk_live_…", "shop-b.com": { apiKey: "pk_live_…", timeoutMs: 5000 } },
+ *     clientOptions: { cache: true, circuitBreaker: true },
+ *   });
+ *
+ *   const dash = await pool.forRequest(request);
+ *
+ * Each tenant (API key + base URL) gets one long-lived client holding the
+ * expensive parts: response cache, request dedupe, circuit breaker,
+ * telemetry, middleware. `forRequest` hands out a request client on top of
+ * it with fresh modules, so cart, login and session state belong to that
+ * request alone.
+ *
+ * Isolation does not depend on callers keying things correctly:
+ *
+ *   - the API key comes only from the tenant resolution, never from the caller
+ *   - cache entries and cache tags are stored under the SHA-256 of the API
+ *     key, and in-flight dedupe is keyed by the key itself (see core/cache.js
+ *     and core/dedupe.js), so tenants sharing a cache store never read each
+ *     other's entries; authenticated reads are never cached
+ *   - request clients share no mutable state with each other
+ *   - the startup table prints once per tenant
+ *
+ * The hostname is taken from the `Host` header (or the request URL); set
+ * `trustProxy` to use `X-Forwarded-Host`, and only behind a proxy that
+ * overwrites it — otherwise a visitor could pick the tenant.
+ */
+
+import { DashClient } from "../index.js";
+import { DashUnknownTenantError } from "./errors.js";
+
+const DEFAULT_MAX_TENANTS = 100;
+
+/**
+ * Lowercase hostname without port or trailing dot.
+ * @private
+ */
+function normalizeHostname(host) {
+  let value = String(host).trim().toLowerCase();
+  if (value.includes("://")) {
+    try {
+      value = new URL(value).host;
+    } catch {
+      return null;
+    }
+  }
+  return value.replace(/:\d+$/, "").replace(/\.$/, "") || null;
+}
+
+/**
+ * Hostname a request was made to: a Fetch `Request`, a Node/Express request,
+ * or a hostname (or URL) string.
+ * @param {Request|Object|string} request
+ * @param {boolean} [trustProxy=false] - Prefer X-Forwarded-Host
+ * @returns {string|null}
+ */
+export function hostnameOf(request, trustProxy = false) {
+  if (typeof request === "string") return normalizeHostname(request);
+  const headers = request?.headers;
+  const header = (name) => (typeof headers?.get === "function" ? headers.get(name) : headers?.[name]) || null;
+
+  let host = (trustProxy && header("x-forwarded-host")?.split(",")[0]) || header("host");
+  if (!host && request?.url) {
+    try {
+      host = new URL(request.url).host;
+    } catch {}
+  }
+  return host ? normalizeHostname(host) : null;
+}
+
+export class DashClientPool {
+  /**
+   * @param {Object} options
+   * @param {Object<string, string|Object>|Map} [options.tenants] - Hostname → API key, or →
+   *   DashClient options (`{ apiKey, baseURL, … }`)
+   * @param {(request: *, hostname: string|null) => string|Object|null|Promise<string|Object|null>} [options.resolveTenant] -
+   *   Look the tenant up yourself (database, path, header); called when `tenants` has no entry
+   * @param {Object} [options.clientOptions] - DashClient options every tenant shares (cache,
+   *   retry, logger, middleware…); a tenant's own options override them
+   * @param {(client: DashClient, tenant: {apiKey: string, hostname: string|null}) => void} [options.setup] -
+   *   Called once per tenant client: register middleware and `on()` listeners there and they
+   *   apply to (and hear events from) all of that tenant's requests
+   * @param {boolean} [options.trustProxy=false] - Read the hostname from X-Forwarded-Host
+   * @param {number} [options.maxTenants=100] - Tenant clients kept; the least recently used are dropped
+   */
+  constructor({ tenants, resolveTenant, clientOptions = {}, setup, trustProxy = false, maxTenants = DEFAULT_MAX_TENANTS } = {}) {
+    this._tenants = new Map();
+    const entries = tenants instanceof Map ? tenants : Object.entries(tenants || {});
+    for (const [hostname, tenant] of entries) this._tenants.set(normalizeHostname(hostname), tenant);
+    this._resolveTenant = resolveTenant || null;
+    this._clientOptions = clientOptions;
+    this._setup = setup || null;
+    this.trustProxy = trustProxy;
+    this.maxTenants = maxTenants;
+    this._clients = new Map();
+    this._byRequest = new WeakMap();
+  }
+
+  /** Number of tenant clients currently kept. */
+  get size() {
+    return this._clients.size;
+  }
+
+  /**
+   * The client to use while handling `request`. Calling it again with the same
+   * request object returns the same client.
+   * @param {Request|Object|string} request - Fetch or Node request, or a hostname
+   * @returns {Promise<DashClient>}
+   * @throws {DashUnknownTenantError} When no tenant matches
+   *
+   * @example
+   * export async function GET(request) {
+   *   const dash = await pool.forRequest(request);
+   *   return Response.json(await dash.products.list());
+   * }
+   */
+  async forRequest(request) {
+    const isObject = request !== null && typeof request === "object";
+    if (isObject && this._byRequest.has(request)) return this._byRequest.get(request);
+    const client = (await this.tenantClient(request))._fork();
+    if (isObject) this._byRequest.set(request, client);
+    return client;
+  }
+
+  /**
+   * The tenant's shared client, e.g. to invalidate its cache from a
+   * revalidation webhook or watch its circuit. Don't use it for carts or
+   * logins — its modules are shared by every request.
+   * @param {Request|Object|string} request - Fetch or Node request, or a hostname
+   * @returns {Promise<DashClient>}
+   * @throws {DashUnknownTenantError} When no tenant matches
+   */
+  async tenantClient(request) {
+    const hostname = hostnameOf(request, this.trustProxy);
+    let tenant = hostname ? this._tenants.get(hostname) : undefined;
+    if (tenant == null && this._resolveTenant) tenant = await this._resolveTenant(request, hostname);
+    if (tenant == null) {
+      throw new DashUnknownTenantError(`No storefront is configured for ${hostname || "this request"}`, { hostname });
+    }
+
+    const options = { ...this._clientOptions, ...(typeof tenant === "string" ? { apiKey: tenant } : tenant) };
+    const key = `${options.apiKey}|${options.baseURL || ""}`;
+    let client = this._clients.get(key);
+    if (client) {
+      // Most recently used last, so eviction drops the coldest tenant.
+      this._clients.delete(key);
+    } else {
+      client = new DashClient(options);
+      this._setup?.(client, { apiKey: client.apiKey, hostname });
+    }
+    this._clients.set(key, client);
+    while (this._clients.size > this.maxTenants) {
+      this._clients.delete(this._clients.keys().next().value);
+    }
+    return client;
+  }
+
+  /** Drop every tenant client (and with them their in-memory caches). */
+  clear() {
+    this._clients.clear();
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Retry Policy
+ *
+ * Decides whether a failed DashClient request may be sent again and how long
+ * to wait first. Only requests that are safe to repeat are retried:
+ *
+ *   - GET/HEAD requests, and
+ *   - any request carrying an `Idempotency-Key` header (the backend collapses
+ *     repeats with the same key into one operation, so a retried
+ *     `checkout.complete()` can never place a second order).
+ *
+ * Those are retried on network errors and on 408/429/5xx gateway responses,
+ * with exponential backoff and full jitter. A `Retry-After` header on 429/503
+ * takes precedence over the computed backoff. A 429 is retried for every
+ * method — a rate-limited request was rejected before it was processed.
+ */
+
+/** Default retry settings; override per client via `new DashClient({ retry })`. */
+export const DEFAULT_RETRY = {
+  /** Extra attempts after the first one (0 disables retrying) */
+  retries: 2,
+  /** Base backoff delay for the first retry */
+  minDelayMs: 300,
+  /** Upper bound for a computed backoff delay */
+  maxDelayMs: 5000,
+  /** Backoff multiplier per attempt */
+  factor: 2,
+  /** Give up rather than wait when the server asks for a longer Retry-After */
+  maxRetryAfterMs: 30000,
+};
+
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/**
+ * Normalise a user-supplied retry option into a full policy.
+ * @param {Object|number|boolean} [option] - Policy overrides, a retry count, or `false` to disable
+ * @param {Object} [base=DEFAULT_RETRY] - Policy to layer the overrides onto
+ * @returns {typeof DEFAULT_RETRY}
+ */
+export function resolveRetryOptions(option, base = DEFAULT_RETRY) {
+  if (option === false) return { ...base, retries: 0 };
+  if (typeof option === "number") return { ...base, retries: option };
+  if (option && typeof option === "object") return { ...base, ...option };
+  return { ...base };
+}
+
+/**
+ * Generate a fresh idempotency key for a mutating call.
+ * @returns {string}
+ */
+export function createIdempotencyKey() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return "idem_" + Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds.
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with full jitter for the given (zero-based) retry.
+ * @param {number} attempt
+ * @param {typeof DEFAULT_RETRY} policy
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, policy) {
+  const ceiling = Math.min(policy.maxDelayMs, policy.minDelayMs * Math.pow(policy.factor, attempt));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Work out how long to wait before retrying the request described by `ctx`,
+ * or `null` if it must not be retried.
+ *
+ * @param {Object} ctx - Request context after an attempt (see core/middleware.js)
+ * @param {number} attempt - Zero-based index of the attempt that just finished
+ * @param {typeof DEFAULT_RETRY} policy
+ * @returns {number|null}
+ */
+export function retryDelay(ctx, attempt, policy) {
+  if (!ctx.error || attempt >= policy.retries) return null;
+  // Cancelled by the caller or past its deadline — never resurrect it.
+  if (ctx.error.name === "AbortError" || ctx.init?.signal?.aborted) return null;
+
+  const status = ctx.response ? ctx.response.status : null;
+  const repeatable =
+    SAFE_METHODS.has(ctx.method) ||
+    Object.keys(ctx.headers).some((h) => h.toLowerCase() === "idempotency-key");
+
+  if (status === null) {
+    // Network failure: the request may or may not have reached the server.
+    if (!repeatable) return null;
+  } else {
+    if (!RETRYABLE_STATUS.has(status)) return null;
+    if (!repeatable && status !== 429) return null;
+  }
+
+  if (status === 429 || status === 503) {
+    const retryAfter = parseRetryAfter(ctx.response.headers?.get?.("Retry-After"));
+    if (retryAfter !== null) {
+      return retryAfter <= policy.maxRetryAfterMs ? retryAfter : null;
+    }
+  }
+
+  return backoffDelay(attempt, policy);
+}
@@ -0,0 +1,203 @@
+/**
+ * Revalidation Webhooks
+ *
+ * DevDash calls the storefront's revalidation endpoint whenever catalog data
+ * changes, with `{ paths, tags }` in the body. Each adapter below verifies the
+ * request, then
+ *
+ *   - calls `revalidatePath` / `revalidateTag` when running inside Next.js
+ *     (the Fetch adapter only),
+ *   - calls your `onRevalidate({ paths, tags })` callback, if given, and
+ *   - invalidates `client.cache` when a client is passed: each tag, and each
+ *     path as the storefront API path it names (see core/cache.js), so
+ *     "/products/tee" busts that product's reads and nothing else.
+ *
+ * Adapters: `createRevalidateHandler` (Fetch `Request` → `Response`: Next.js
+ * route handlers, Remix, Bun, Deno, Workers), `createExpressRevalidateHandler`
+ * (Express/Connect) and `createHonoRevalidateHandler` (Hono).
+ *
+ * Authentication: an `X-Dash-Signature` HMAC header (see core/signature.js)
+ * is verified when present, with a timestamp tolerance and replay protection.
+ * Requests without one fall back to the legacy plaintext `body.secret`,
+ * compared in constant time, unless `requireSignature` is set — turn it on
+ * once your backend signs its webhooks.
+ */
+
+import { pathTag } from "./cache.js";
+import {
+  SIGNATURE_HEADER,
+  DEFAULT_TOLERANCE_SEC,
+  ReplayGuard,
+  verifyWebhookSignature,
+  timingSafeEqual,
+} from "./signature.js";
+import { toFetchHandler, toHonoHandler, toExpressHandler } from "./http-adapters.js";
+import { createLogger } from "./logger.js";
+import { loadNext } from "#platform";
+
+/**
+ * The platform-independent part: authenticate a raw body + headers and run
+ * every invalidation.
+ * @returns {(rawBody: string, getHeader: (name: string) => string|null, next: Object|null) => Promise<{status: number, body: Object}>}
+ * @private
+ */
+function createRevalidator({ secret, client, onRevalidate, requireSignature = false, toleranceSec = DEFAULT_TOLERANCE_SEC, replayStore, logger }) {
+  const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+  const log = createLogger(logger ?? client?.logger).child("revalidate");
+  const guard = new ReplayGuard({ store: replayStore, toleranceSec });
+
+  return async function revalidate(rawBody, getHeader, next) {
+    if (secrets.length === 0) {
+      return { status: 401, body: { error: "Invalid secret" } };
+    }
+
+    const header = getHeader(SIGNATURE_HEADER);
+    if (header || requireSignature) {
+      const result = await verifyWebhookSignature({ secret: secrets, body: rawBody, header, toleranceSec });
+      if (!result.ok) {
+        return { status: 401, body: { error: "Invalid signature", reason: result.reason } };
+      }
+      if (await guard.check(result.signature)) {
+        return { status: 409, body: { error: "Request already processed" } };
+      }
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      return { status: 400, body: { error: "Invalid JSON" } };
+    }
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return { status: 400, body: { error: "Body must be a JSON object" } };
+    }
+
+    if (!header && !requireSignature && !secrets.some((s) => timingSafeEqual(s, body.secret))) {
+      return { status: 401, body: { error: "Invalid secret" } };
+    }
+
+    const paths = Array.isArray(body.paths) ? body.paths : [];
+    // `tags` busts cache by tag (revalidateTag) — used for changes that can't
+    // map to a specific page path (gallery/media-library images, async
+    // variant-ready completion); send ["dash4devs"] to refresh ALL cached
+    // catalog data. At least one of paths/tags must be present.
+    const tags = Array.isArray(body.tags) ? body.tags : [];
+    if (paths.length === 0 && tags.length === 0) {
+      return { status: 400, body: { error: "paths or tags must be provided" } };
+    }
+
+    const revalidated = [];
+
+    if (next) {
+      // Always revalidate the root layout so navbar/footer update
+      try {
+        next.revalidatePath("/", "layout");
+        revalidated.push("/ (layout)");
+      } catch {}
+
+      for (const p of paths) {
+        try {
+          next.revalidatePath(p);
+          revalidated.push(p);
+        } catch (e) {
+          log.error(`Failed for ${p}`, { path: p, error: e });
+        }
+      }
+
+      for (const t of tags) {
+        try {
+          next.revalidateTag(t);
+          revalidated.push(`tag:${t}`);
+        } catch (e) {
+          log.error(`Failed for tag ${t}`, { tag: t, error: e });
+        }
+      }
+    }
+
+    if (onRevalidate) {
+      try {
+        await onRevalidate({ paths, tags });
+        revalidated.push(...paths, ...tags.map((t) => `tag:${t}`));
+      } catch (e) {
+        log.error("onRevalidate failed", { error: e });
+        return { status: 500, body: { error: "onRevalidate failed" } };
+      }
+    }
+
+    if (client?.cache) {
+      const cacheTags = [...new Set([...tags, ...paths.map(pathTag)])];
+      await client.cache.invalidateTags(cacheTags);
+      revalidated.push(...cacheTags.map((t) => `cache:${t}`));
+    }
+
+    const entries = [...new Set(revalidated)];
+    log.info(`Revalidated ${entries.length} entries`, { revalidated: entries });
+    return { status: 200, body: { revalidated: entries } };
+  };
+}
+
+/**
+ * Create a POST handler for on-demand revalidation: Fetch `Request` in,
+ * `Response` out. Inside Next.js it calls `revalidatePath` / `revalidateTag`;
+ * anywhere else it only runs `onRevalidate` and the client cache.
+ *
+ * @param {Object} options
+ * @param {string|string[]} options.secret - Shared secret (several while rotating)
+ * @param {DashClient} [options.client] - Also invalidate this client's response cache
+ * @param {Function} [options.onRevalidate] - `async ({ paths, tags }) => {}`, e.g. purge a CDN
+ * @param {boolean} [options.requireSignature=false] - Reject requests without a valid X-Dash-Signature
+ * @param {number} [options.toleranceSec=300] - Accepted signature age, in seconds
+ * @param {Object} [options.replayStore] - Cache store shared between instances for replay protection
+ * @param {Function|Object} [options.logger] - Logger (default: the client's, else the console)
+ * @param {Object|null} [options.next] - `{ revalidatePath, revalidateTag }` from "next/cache".
+ *   Found automatically on Node; pass it from edge routes, where the SDK never imports Next.
+ *   `null` skips Next.js entirely.
+ * @returns {(request: Request) => Promise<Response>}
+ *
+ * @example
+ * // app/api/revalidate/route.ts
+ * export const POST = createRevalidateHandler({ secret: process.env.REVALIDATE_SECRET, requireSignature: true });
+ *
+ * @example
+ * // An edge route
+ * import { revalidatePath, revalidateTag } from "next/cache";
+ * export const runtime = "edge";
+ * export const POST = createRevalidateHandler({ secret: process.env.REVALIDATE_SECRET, next: { revalidatePath, revalidateTag } });
+ */
+export function createRevalidateHandler(options) {
+  const revalidate = createRevalidator(options);
+  return async function POST(request) {
+    const next = options.next !== undefined ? options.next : await loadNext();
+    const handle = (rawBody, getHeader) => revalidate(rawBody, getHeader, next);
+    return toFetchHandler(handle, { json: next?.NextResponse ? (data, init) => next.NextResponse.json(data, init) : undefined })(request);
+  };
+}
+
+/**
+ * Hono adapter: `app.post("/api/revalidate", createHonoRevalidateHandler(options))`.
+ * Never calls Next.js; options as for `createRevalidateHandler`.
+ * @param {Object} options
+ * @returns {(c: Object) => Promise<Response>}
+ */
+export function createHonoRevalidateHandler(options) {
+  const revalidate = createRevalidator(options);
+  return toHonoHandler((rawBody, getHeader) => revalidate(rawBody, getHeader, null));
+}
+
+/**
+ * Express/Connect adapter. Signatures cover the raw body, so mount it before
+ * any JSON body parser or with `express.raw({ type: "application/json" })`;
+ * `req.rawBody`, a string or a Buffer body are used as-is. Never calls
+ * Next.js; options as for `createRevalidateHandler`.
+ *
+ * @param {Object} options
+ * @returns {(req: Object, res: Object, next?: Function) => Promise<void>}
+ *
+ * @example
+ * app.post("/api/revalidate", express.raw({ type: "application/json" }),
+ *   createExpressRevalidateHandler({ secret: process.env.REVALIDATE_SECRET, client: dash }));
+ */
+export function createExpressRevalidateHandler(options) {
+  const revalidate = createRevalidator(options);
+  return toExpressHandler((rawBody, getHeader) => revalidate(rawBody, getHeader, null));
+}
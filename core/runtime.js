@@ -0,0 +1,45 @@
+/**
+ * Runtime Detection
+ *
+ * The client runs on Node, Bun, Deno, Vercel Edge, Cloudflare Workers and in
+ * the browser. Nothing here touches a Node global without checking for it
+ * first, and configuration that used to come from `process.env` can be passed
+ * as `new DashClient({ env })` — Workers hand it to the fetch handler instead.
+ */
+
+/**
+ * Which runtime this is.
+ * @returns {"node"|"bun"|"deno"|"edge-light"|"workerd"|"browser"|"unknown"}
+ */
+export function detectRuntime() {
+  if (typeof globalThis.EdgeRuntime === "string") return "edge-light";
+  if (typeof navigator !== "undefined" && navigator.userAgent === "Cloudflare-Workers") return "workerd";
+  if (typeof globalThis.Deno !== "undefined") return "deno";
+  if (typeof globalThis.Bun !== "undefined") return "bun";
+  if (typeof process !== "undefined" && process.versions?.node) return "node";
+  if (typeof window !== "undefined") return "browser";
+  return "unknown";
+}
+
+/** Label for the startup table. */
+export const RUNTIME_LABELS = {
+  node: "Server (Node.js)",
+  bun: "Server (Bun)",
+  deno: "Server (Deno)",
+  "edge-light": "Edge (Vercel)",
+  workerd: "Edge (Workers)",
+  browser: "Browser",
+  unknown: "Unknown runtime",
+};
+
+/**
+ * Environment variables: the `env` option when given, else `process.env`
+ * where it exists, else an empty object.
+ * @param {Object} [env]
+ * @returns {Object<string, string|undefined>}
+ */
+export function resolveEnv(env) {
+  if (env) return env;
+  if (typeof process !== "undefined" && process.env) return process.env;
+  return {};
+}
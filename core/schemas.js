@@ -0,0 +1,301 @@
+/**
+ * Response Schemas
+ *
+ * Runtime copies of the response types in index.d.ts for the endpoints that
+ * matter most — products, cart, checkout, orders and page data — so drift
+ * between the API and the SDK's types shows up in development instead of in
+ * production:
+ *
+ *   new DashClient({ apiKey, validateResponses: process.env.NODE_ENV !== "production" })
+ *
+ * Every JSON response from a listed route is checked; each mismatch is
+ * reported with its path and the expected type:
+ *
+ *   ProductsListResponse: products[3].price expected string | null, received number
+ *
+ * Objects are open: fields the SDK doesn't know yet are fine, missing or
+ * mistyped known ones are not. Keep these in step with index.d.ts.
+ */
+
+// =============================================================================
+// SCHEMA VOCABULARY
+// =============================================================================
+
+/** @private */
+const primitive = (name) => ({ name, check: (value) => typeof value === name });
+
+export const string = primitive("string");
+export const number = primitive("number");
+export const boolean = primitive("boolean");
+export const any = { name: "any", check: () => true };
+
+/**
+ * `null` or `schema`.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function nullable(schema) {
+  return { ...schema, name: `${schema.name} | null`, nullable: true };
+}
+
+/**
+ * A field that may be absent (`undefined`); `null` is still a mismatch.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function optional(schema) {
+  return { ...schema, optional: true };
+}
+
+/**
+ * @param {Object} items - Schema for every element
+ * @returns {Object}
+ */
+export function array(items) {
+  return { name: `${items.name}[]`, check: Array.isArray, items };
+}
+
+/**
+ * An object with at least these fields.
+ * @param {Object<string, Object>} fields
+ * @param {string} [name="object"] - Type name used in reports
+ * @returns {Object}
+ */
+export function object(fields, name = "object") {
+  return { name, check: (value) => !!value && typeof value === "object" && !Array.isArray(value), fields };
+}
+
+/**
+ * An object whose values all match `values`.
+ * @param {Object} values
+ * @returns {Object}
+ */
+export function record(values) {
+  return { name: `Record<string, ${values.name}>`, check: (value) => !!value && typeof value === "object" && !Array.isArray(value), values };
+}
+
+/** @private */
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Check `value` against `schema`.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {string} [options.path=""] - Path of `value` in reports
+ * @param {number} [options.maxIssues=20] - Stop after this many
+ * @returns {Array<{path: string, expected: string, received: string}>} Empty when it matches
+ */
+export function validateSchema(schema, value, { path = "", maxIssues = 20 } = {}) {
+  const issues = [];
+  const walk = (node, current, at) => {
+    if (issues.length >= maxIssues) return;
+    if (current === undefined && node.optional) return;
+    if (current === null && node.nullable) return;
+    if (!node.check(current)) {
+      issues.push({ path: at || "(root)", expected: node.name, received: describe(current) });
+      return;
+    }
+    if (node.items) current.forEach((item, i) => walk(node.items, item, `${at}[${i}]`));
+    if (node.values) for (const [key, item] of Object.entries(current)) walk(node.values, item, at ? `${at}.${key}` : key);
+    if (node.fields) for (const [key, field] of Object.entries(node.fields)) walk(field, current[key], at ? `${at}.${key}` : key);
+  };
+  walk(schema, value, path);
+  return issues;
+}
+
+// =============================================================================
+// SHARED TYPES
+// =============================================================================
+
+const Pagination = object({ total: number, limit: number, offset: number, has_more: boolean }, "Pagination");
+
+const CategoryRef = object({
+  id: string,
+  name: string,
+  slug: string,
+  parent: optional(nullable(object({ id: string, name: string, slug: string }))),
+}, "CategoryRef");
+
+export const ProductSize = object({
+  id: string,
+  label: string,
+  price: string,
+  discounted_price: nullable(string),
+  stock: number,
+  in_stock: boolean,
+  image: nullable(string),
+  main: boolean,
+  weight: nullable(string),
+  weight_unit: string,
+  points: number,
+  tax_class: optional(string),
+  bulk_discounts: optional(array(any)),
+  has_custom_price: optional(boolean),
+}, "ProductSize");
+
+const SelectableVariation = object({
+  id: string,
+  name: string,
+  slug: string,
+  image: nullable(string),
+  main: boolean,
+  stock: number,
+  sizes: array(ProductSize),
+}, "SelectableVariation");
+
+export const Product = object({
+  id: string,
+  name: string,
+  slug: string,
+  main_image: nullable(string),
+  category: nullable(CategoryRef),
+  categories: optional(array(CategoryRef)),
+  price: nullable(string),
+  discounted_price: nullable(string),
+  in_stock: boolean,
+  avg_rating: optional(number),
+  reviews_count: optional(number),
+  has_variations: optional(boolean),
+  selectable_variations: optional(nullable(array(SelectableVariation))),
+  sizes: optional(array(ProductSize)),
+  images: optional(array(object({ id: string, url: string }))),
+}, "Product");
+
+const ProductFacets = object({
+  attributes: array(object({
+    name: string,
+    slug: string,
+    values: array(object({ value: string, slug: string, count: number }, "FacetValue")),
+  }, "AttributeFacet")),
+  price: object({
+    min: nullable(string),
+    max: nullable(string),
+    buckets: array(object({ min: string, max: nullable(string), count: number }, "PriceBucket")),
+  }, "PriceFacet"),
+  in_stock: number,
+}, "ProductFacets");
+
+export const CartItem = object({
+  product_id: string,
+  product_name: string,
+  product_image: nullable(string),
+  size_id: string,
+  size_label: string,
+  quantity: number,
+  unit_price: string,
+  total_price: string,
+}, "CartItem");
+
+const Cart = object({
+  cart_id: nullable(string),
+  items: array(CartItem),
+  subtotal: string,
+  item_count: number,
+}, "Cart");
+
+const CheckoutShipping = object({
+  first_name: string,
+  last_name: string,
+  address: string,
+  city: string,
+  state: string,
+  zip_code: string,
+}, "CheckoutShipping");
+
+export const Order = object({
+  id: string,
+  order_number: number,
+  status: string,
+  payment_status: string,
+  email: string,
+  shipping: CheckoutShipping,
+  items: array(object({
+    product_name: string,
+    size_label: string,
+    product_image: nullable(string),
+    quantity: number,
+    unit_price: string,
+    total_price: string,
+  }, "CheckoutOrderItem")),
+  subtotal: string,
+  shipping_cost: string,
+  tax_amount: string,
+  total: string,
+  created_at: string,
+}, "CheckoutOrder");
+
+const Customer = object({
+  id: string,
+  email: string,
+  first_name: string,
+  last_name: string,
+}, "Customer");
+
+const PageInfo = object({ name: string, path: string, title: nullable(string), description: nullable(string) }, "PageInfo");
+
+const GlobalData = object({ store_name: nullable(string), currency: string }, "GlobalData");
+
+// =============================================================================
+// RESPONSES BY ROUTE
+// =============================================================================
+
+/** @private */
+const response = (name, fields) => object(fields, name);
+
+/**
+ * `[method, path below /api/storefront, schema]`; the first match wins.
+ * @private
+ */
+const ROUTES = [
+  ["GET", /^\/products$/, response("ProductsListResponse", { products: array(Product), pagination: Pagination, facets: optional(ProductFacets) })],
+  ["GET", /^\/products\/[^/]+$/, response("ProductGetResponse", { product: Product })],
+  ["GET", /^\/products\/[^/]+\/core$/, response("ProductCoreResponse", {
+    product: object({ id: string, name: string, slug: string, in_stock: boolean, main_image: nullable(string), category: nullable(CategoryRef) }),
+  })],
+  ["GET", /^\/products\/[^/]+\/options$/, response("ProductOptionsResponse", {
+    options: object({ has_variations: boolean, sizes: array(ProductSize), selectable_variations: nullable(array(SelectableVariation)) }),
+  })],
+  ["POST", /^\/cart\/add$/, response("CartAddResponse", { cart_id: string, item: CartItem })],
+  ["GET", /^\/cart\/[^/]+$/, Cart],
+  ["POST", /^\/cart\/[^/]+\/update$/, response("CartUpdateResponse", { cart_id: string, item: optional(CartItem) })],
+  ["DELETE", /^\/cart\/[^/]+\/(remove\/[^/]+|clear)$/, response("CartRemoveResponse", { cart: Cart })],
+  ["POST", /^\/checkout\/start$/, response("CheckoutStartResponse", {
+    email: string,
+    authenticated: boolean,
+    cart_summary: object({ item_count: number, subtotal: string, items: array(CartItem) }),
+  })],
+  ["POST", /^\/checkout\/complete$/, response("CheckoutCompleteResponse", { order: Order, customer: Customer, access_token: string, refresh_token: string })],
+  ["GET", /^\/auth\/orders$/, response("CustomerOrdersResponse", { orders: array(Order), pagination: Pagination })],
+  ["GET", /^\/auth\/orders\/[^/]+$/, response("CustomerOrderResponse", { order: Order })],
+  ["GET", /^\/global$/, response("GlobalDataResponse", { global: GlobalData })],
+  ["GET", /^\/pages$/, response("PagesListResponse", { pages: array(PageInfo) })],
+  ["GET", /^\/page$/, response("PageDataResponse", { page: PageInfo, params: record(string), global: GlobalData, data: record(any) })],
+];
+
+const STOREFRONT_PREFIX = "/api/storefront";
+
+/**
+ * The response schema for a request, or null when its route has none.
+ * @param {string} method
+ * @param {string} url - Absolute request URL
+ * @returns {Object|null}
+ */
+export function responseSchemaFor(method, url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return null;
+  }
+  if (!pathname.startsWith(STOREFRONT_PREFIX)) return null;
+  const route = pathname.slice(STOREFRONT_PREFIX.length).replace(/\/$/, "");
+  for (const [routeMethod, pattern, schema] of ROUTES) {
+    if (routeMethod === method && pattern.test(route)) return schema;
+  }
+  return null;
+}
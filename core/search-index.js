@@ -0,0 +1,353 @@
+/**
+ * Search Index
+ *
+ * A small in-memory full-text index for instant search without a round-trip
+ * per keystroke. `dash.search.build()` fills one from the catalog and content
+ * (see services/search.js); it can also be filled by hand:
+ *
+ *   const index = new SearchIndex({ synonyms: [["tee", "tshirt", "shirt"]] });
+ *   index.add({ type: "product", id: "p1", title: "Blue Dream", keywords: ["Flower"], body: "…" });
+ *   index.search("blu dre"); // [{ type, id, title, score, highlights, … }]
+ *
+ * Each query word must match (AND). A word matches a term exactly, through a
+ * synonym, as a prefix ("blu" → "blue"), or within a typo budget: one edit
+ * from 4 letters, two from 8. The last word, usually still being typed, may
+ * also be a misspelt prefix ("drea" → "dream", "draem" → "dreams").
+ * Better matches and matches in heavier fields (`boost`) score higher.
+ *
+ * `toJSON()` keeps only the documents and settings; the term index is rebuilt
+ * by `SearchIndex.load()` in a few milliseconds for a typical catalog, so the
+ * serialized asset stays small.
+ */
+
+import { DashError } from "./errors.js";
+
+const FORMAT_VERSION = 1;
+
+/** Searchable fields and their default weights. */
+export const DEFAULT_SEARCH_BOOST = { title: 3, keywords: 1.5, body: 1 };
+
+/** @private */
+const FIELDS = Object.keys(DEFAULT_SEARCH_BOOST);
+
+/** Match quality by kind; the score is quality × field boost. @private */
+const QUALITY = { exact: 1, synonym: 0.9, prefix: 0.75, typo: 0.6, typo2: 0.4 };
+
+/** @private */
+const WORD = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Lowercase, without diacritics, apostrophes or hyphens ("T-Shirt" → "tshirt"),
+ * so documents and queries compare equal however they were typed.
+ * @param {string} word
+ * @returns {string}
+ */
+export function foldTerm(word) {
+  return word.normalize("NFKD").replace(/[\u0300-\u036f'’-]/g, "").toLowerCase();
+}
+
+/**
+ * Words of `text` with their folded term and position.
+ * @private
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text ?? "").matchAll(WORD)) {
+    tokens.push({ term: foldTerm(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/** @private */
+function typoBudget(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Optimal-string-alignment distance, or `max + 1` once it's known to exceed `max`.
+ * @private
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prev2[j - 2] + 1);
+      }
+      row.push(value);
+      best = Math.min(best, value);
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * `text` split into matched and unmatched segments, trimmed to a window
+ * around the first match when `maxLength` is given.
+ * @private
+ */
+function segmentsOf(text, terms, maxLength) {
+  const hits = tokenize(text).filter((t) => terms.has(t.term));
+  if (hits.length === 0) return null;
+
+  let from = 0;
+  let to = text.length;
+  if (maxLength && text.length > maxLength) {
+    from = Math.max(0, hits[0].start - Math.floor(maxLength / 4));
+    to = Math.min(text.length, from + maxLength);
+    // Don't cut words in half.
+    if (from > 0) from = text.indexOf(" ", from) + 1 || from;
+    if (to < text.length) to = text.lastIndexOf(" ", to) > hits[0].end ? text.lastIndexOf(" ", to) : to;
+  }
+
+  const segments = [];
+  let at = from;
+  for (const hit of hits) {
+    if (hit.start < from || hit.end > to) continue;
+    if (hit.start > at) segments.push({ text: text.slice(at, hit.start), match: false });
+    segments.push({ text: text.slice(hit.start, hit.end), match: true });
+    at = hit.end;
+  }
+  if (at < to) segments.push({ text: text.slice(at, to), match: false });
+  if (from > 0) segments.unshift({ text: "…", match: false });
+  if (to < text.length) segments.push({ text: "…", match: false });
+  return segments;
+}
+
+export class SearchIndex {
+  /**
+   * @param {Object} [options]
+   * @param {Object<string, number>} [options.boost] - Field weights; defaults to `DEFAULT_SEARCH_BOOST`
+   * @param {Array<string[]>|Object<string, string[]>} [options.synonyms] - Groups of interchangeable
+   *   words (`[["tee", "tshirt"]]`), or one-way expansions (`{ pen: ["vape"] }`: "pen" also finds "vape")
+   * @param {number} [options.snippetLength=120] - Length of the `body` highlight window
+   */
+  constructor({ boost = {}, synonyms = [], snippetLength = 120 } = {}) {
+    this.boost = { ...DEFAULT_SEARCH_BOOST, ...boost };
+    this.snippetLength = snippetLength;
+    this._synonymSource = synonyms;
+    this._synonyms = new Map();
+    const link = (from, to) => {
+      const key = foldTerm(from);
+      const set = this._synonyms.get(key) || new Set();
+      for (const word of to) if (foldTerm(word) !== key) set.add(foldTerm(word));
+      this._synonyms.set(key, set);
+    };
+    if (Array.isArray(synonyms)) {
+      for (const group of synonyms) for (const word of group) link(word, group);
+    } else {
+      for (const [word, expansions] of Object.entries(synonyms)) link(word, expansions);
+    }
+
+    this._docs = [];
+    this._keys = new Map();
+    /** term → [[docIndex, field, count]] */
+    this._postings = new Map();
+    this._terms = null;
+  }
+
+  /** Number of documents. */
+  get size() {
+    return this._keys.size;
+  }
+
+  /**
+   * Add a document, replacing any with the same `type` and `id`.
+   * @param {Object} doc
+   * @param {string} doc.type - e.g. "product", "category", "post"
+   * @param {string} doc.id
+   * @param {string} doc.title
+   * @param {string|string[]} [doc.keywords] - Category, brand, tag names…
+   * @param {string} [doc.body] - Plain text (strip HTML first)
+   * @param {string} [doc.url] - Where the result links to
+   * @param {Object} [doc.data] - Anything else to hand back with results (image, price…)
+   * @returns {SearchIndex} this
+   */
+  add(doc) {
+    const key = `${doc.type}:${doc.id}`;
+    if (this._keys.has(key)) this.remove(doc.type, doc.id);
+
+    const stored = { type: doc.type, id: String(doc.id), title: String(doc.title ?? "") };
+    if (doc.keywords?.length) stored.keywords = Array.isArray(doc.keywords) ? doc.keywords.filter(Boolean) : [doc.keywords];
+    if (doc.body) stored.body = String(doc.body);
+    if (doc.url) stored.url = doc.url;
+    if (doc.data) stored.data = doc.data;
+
+    const index = this._docs.push(stored) - 1;
+    this._keys.set(key, index);
+    this._indexDoc(stored, index);
+    return this;
+  }
+
+  /**
+   * @param {string} type
+   * @param {string} id
+   * @returns {boolean} Whether a document was removed
+   */
+  remove(type, id) {
+    const key = `${type}:${id}`;
+    const index = this._keys.get(key);
+    if (index === undefined) return false;
+    this._keys.delete(key);
+    this._docs[index] = null;
+    for (const [term, postings] of this._postings) {
+      const kept = postings.filter(([doc]) => doc !== index);
+      if (kept.length) this._postings.set(term, kept);
+      else this._postings.delete(term);
+    }
+    this._terms = null;
+    return true;
+  }
+
+  /** @private */
+  _indexDoc(doc, index) {
+    for (const field of FIELDS) {
+      const text = field === "keywords" ? doc.keywords?.join(" ") : doc[field];
+      const counts = new Map();
+      for (const { term } of tokenize(text)) counts.set(term, (counts.get(term) || 0) + 1);
+      for (const [term, count] of counts) {
+        const postings = this._postings.get(term) || [];
+        postings.push([index, field, count]);
+        this._postings.set(term, postings);
+      }
+    }
+    this._terms = null;
+  }
+
+  /**
+   * Terms a query word matches, with the quality of each match.
+   * @private
+   */
+  _expand(word, isLast, { prefix, fuzzy }) {
+    const found = new Map([[word, QUALITY.exact]]);
+    const offer = (term, quality) => {
+      if ((found.get(term) || 0) < quality) found.set(term, quality);
+    };
+    for (const synonym of this._synonyms.get(word) || []) offer(synonym, QUALITY.synonym);
+
+    this._terms ||= [...this._postings.keys()].sort();
+    const budget = fuzzy ? typoBudget(word) : 0;
+    if (prefix) {
+      for (const term of this._terms) {
+        if (term.length > word.length && term.startsWith(word)) offer(term, QUALITY.prefix);
+      }
+    }
+    if (budget > 0) {
+      for (const term of this._terms) {
+        // A partly typed last word may be a typo of a longer term's start.
+        const target = isLast && prefix && term.length > word.length ? term.slice(0, word.length) : term;
+        const distance = editDistance(word, target, budget);
+        if (distance > budget || distance === 0) continue;
+        offer(term, distance === 1 ? QUALITY.typo : QUALITY.typo2);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Search the index.
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit=10]
+   * @param {string[]} [options.types] - Only these document types
+   * @param {boolean} [options.prefix=true] - Let words match the start of longer terms
+   * @param {boolean} [options.fuzzy=true] - Tolerate typos
+   * @returns {Array<Object>} Best first. Each result is the stored document plus `score` and
+   *   `highlights` (`{ title?, body? }`, arrays of `{ text, match }` segments; `body` is a snippet)
+   *
+   * @example
+   * index.search("blu drem").map((r) => r.highlights.title.map((s) => (s.match ? `<b>${s.text}</b>` : s.text)).join(""));
+   */
+  search(query, { limit = 10, types, prefix = true, fuzzy = true } = {}) {
+    const words = [...new Set(tokenize(query).map((t) => t.term))];
+    if (words.length === 0) return [];
+
+    // Per document: total score and the terms it matched (for highlighting).
+    let scores = null;
+    words.forEach((word, i) => {
+      const best = new Map();
+      for (const [term, quality] of this._expand(word, i === words.length - 1, { prefix, fuzzy })) {
+        for (const [doc, field, count] of this._postings.get(term) || []) {
+          const score = quality * this.boost[field] * (1 + Math.log(count) / 4);
+          const seen = best.get(doc);
+          if (!seen) best.set(doc, { score, terms: [term] });
+          else {
+            seen.score = Math.max(seen.score, score);
+            seen.terms.push(term);
+          }
+        }
+      }
+      const next = new Map();
+      for (const [doc, match] of best) {
+        const before = scores ? scores.get(doc) : { score: 0, terms: new Set() };
+        if (!before) continue;
+        match.terms.forEach((t) => before.terms.add(t));
+        next.set(doc, { score: before.score + match.score, terms: before.terms });
+      }
+      scores = next;
+    });
+
+    const results = [];
+    for (const [index, { score, terms }] of scores) {
+      const doc = this._docs[index];
+      if (types && !types.includes(doc.type)) continue;
+      results.push({ index, doc, score, terms });
+    }
+    // Ties go to the shorter title (the closer match), then index order.
+    results.sort((a, b) => b.score - a.score || a.doc.title.length - b.doc.title.length || a.index - b.index);
+
+    return results.slice(0, limit).map(({ doc, score, terms }) => {
+      const highlights = {};
+      const title = segmentsOf(doc.title, terms);
+      if (title) highlights.title = title;
+      const body = doc.body && segmentsOf(doc.body, terms, this.snippetLength);
+      if (body) highlights.body = body;
+      return { ...doc, score: Math.round(score * 1000) / 1000, highlights };
+    });
+  }
+
+  /**
+   * Serializable form: documents and settings. Write it to a static asset at
+   * build time and hand it to `SearchIndex.load()` (or `dash.search.load()`).
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: FORMAT_VERSION,
+      boost: this.boost,
+      synonyms: this._synonymSource,
+      snippetLength: this.snippetLength,
+      docs: this._docs.filter(Boolean),
+    };
+  }
+
+  /**
+   * Rebuild an index from `toJSON()` output (or its JSON string).
+   * @param {Object|string} serialized
+   * @returns {SearchIndex}
+   * @throws {DashError} `invalid_search_index` when it isn't one this version can read
+   */
+  static load(serialized) {
+    const data = typeof serialized === "string" ? JSON.parse(serialized) : serialized;
+    if (!data || data.version !== FORMAT_VERSION || !Array.isArray(data.docs)) {
+      throw new DashError(
+        `Not a search index this SDK version can read (expected version ${FORMAT_VERSION}, got ${data?.version ?? "none"}). Rebuild it with dash.search.build().`,
+        { code: "invalid_search_index" }
+      );
+    }
+    const index = new SearchIndex({ boost: data.boost, synonyms: data.synonyms, snippetLength: data.snippetLength });
+    for (const doc of data.docs) index.add(doc);
+    return index;
+  }
+}
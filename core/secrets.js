@@ -0,0 +1,93 @@
+/**
+ * Secret-Key Leak Detection
+ *
+ * A secret key (`sk_live_*` / `sk_test_*`) grants admin access to the store,
+ * so it must never reach a browser. The two ways it usually gets there:
+ *
+ *   1. It is stored in an env var the bundler inlines into client code
+ *      (`NEXT_PUBLIC_*`, `VITE_*`, `REACT_APP_*`, …). `findExposedSecretKeys`
+ *      checks an env object for that; DashClient runs it on every construction.
+ *   2. It ends up in a built bundle some other way (hard-coded, a config
+ *      import). `findSecretKeysInText` finds keys in file contents; the
+ *      `dash4devs/security` scanner runs it over a build directory.
+ *
+ * Reports only ever contain masked keys.
+ */
+
+/**
+ * Env-var prefixes that bundlers expose to client code: Next.js, Vite,
+ * Create React App, Nuxt 3 and 2, Astro/SvelteKit, Gatsby, Expo and Vue CLI.
+ */
+export const PUBLIC_ENV_PREFIXES = [
+  "NEXT_PUBLIC_",
+  "VITE_",
+  "REACT_APP_",
+  "NUXT_PUBLIC_",
+  "NUXT_ENV_",
+  "PUBLIC_",
+  "GATSBY_",
+  "EXPO_PUBLIC_",
+  "VUE_APP_",
+];
+
+/**
+ * A secret key inside arbitrary text. The minimum length skips the bare
+ * prefixes (the SDK's own checks contain "sk_live_") and short placeholders.
+ */
+const SECRET_KEY_IN_TEXT = /\bsk_(?:live|test)_[A-Za-z0-9]{10,}/g;
+
+/**
+ * Whether `value` is a secret API key.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isSecretKey(value) {
+  if (typeof value !== "string") return false;
+  const trimmed = value.trim();
+  return trimmed.startsWith("sk_live_") || trimmed.startsWith("sk_test_");
+}
+
+/**
+ * `sk_live_••••••••ab12`: enough to tell keys apart, never enough to use one.
+ * @param {string} key
+ * @returns {string}
+ */
+export function maskSecretKey(key) {
+  const prefix = key.slice(0, key.indexOf("_", 3) + 1);
+  return `${prefix}${"•".repeat(8)}${key.slice(-4)}`;
+}
+
+/**
+ * The public-prefixed variables in `env` that hold a secret key.
+ * @param {Object<string, string|undefined>} env - e.g. `process.env` or `import.meta.env`
+ * @param {string[]} [prefixes=PUBLIC_ENV_PREFIXES]
+ * @returns {Array<{name: string, prefix: string}>}
+ */
+export function findExposedSecretKeys(env, prefixes = PUBLIC_ENV_PREFIXES) {
+  const found = [];
+  for (const [name, value] of Object.entries(env || {})) {
+    const prefix = prefixes.find((p) => name.startsWith(p));
+    if (prefix && isSecretKey(value)) found.push({ name, prefix });
+  }
+  return found;
+}
+
+/**
+ * Every secret key in `text`, with its 1-based line and column.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Array<string|RegExp>} [options.allow] - Matches to ignore (documentation placeholders)
+ * @returns {Array<{key: string, line: number, column: number}>} `key` is masked
+ */
+export function findSecretKeysInText(text, { allow = [] } = {}) {
+  const found = [];
+  for (const match of String(text).matchAll(SECRET_KEY_IN_TEXT)) {
+    const key = match[0];
+    if (allow.some((a) => (a instanceof RegExp ? a.test(key) : a === key))) continue;
+    const before = text.slice(0, match.index);
+    const line = before.split("\n").length;
+    const column = match.index - before.lastIndexOf("\n");
+    found.push({ key: maskSecretKey(key), line, column });
+  }
+  return found;
+}
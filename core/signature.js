@@ -0,0 +1,187 @@
+/**
+ * Webhook Signatures
+ *
+ * HMAC-SHA256 signing for webhooks sent from DevDash to a storefront. The
+ * signature travels in one header together with the time it was made:
+ *
+ *   X-Dash-Signature: t=1760000000,v1=5f2b…
+ *
+ * `v1` is the hex HMAC of `${t}.${rawBody}` keyed with the shared secret.
+ * Receivers reject signatures older (or newer) than the tolerance window and
+ * compare in constant time; `ReplayGuard` additionally refuses a signature it
+ * has already accepted, so a captured request cannot be re-sent inside the
+ * window. Several `v1` entries may be sent while a secret is being rotated.
+ *
+ * Uses Web Crypto, so it runs unchanged on Node 18+, edge runtimes and Deno.
+ */
+
+import { loadSubtleCrypto } from "#platform";
+
+export const SIGNATURE_HEADER = "X-Dash-Signature";
+
+/** How far a signature's timestamp may drift from now, in seconds. */
+export const DEFAULT_TOLERANCE_SEC = 300;
+
+let subtlePromise = null;
+
+/** @private */
+function getSubtle() {
+  if (!subtlePromise) subtlePromise = loadSubtleCrypto();
+  return subtlePromise;
+}
+
+/** @private */
+async function hmacHex(secret, message) {
+  const subtle = await getSubtle();
+  const encoder = new TextEncoder();
+  const key = await subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = await subtle.sign("HMAC", key, encoder.encode(message));
+  return [...new Uint8Array(mac)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Compare two strings without leaking where they differ through timing.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function timingSafeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  // A length mismatch still walks all of `a`, so the time taken depends only
+  // on the expected value's length.
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Sign a payload. Use it from your own backend or in tests.
+ * @param {string} secret - Shared webhook secret
+ * @param {string} body - The exact raw request body
+ * @param {Object} [options]
+ * @param {number} [options.timestamp] - Unix seconds (default: now)
+ * @returns {Promise<string>} Header value, `t=…,v1=…`
+ *
+ * @example
+ * const body = JSON.stringify({ paths: ["/products/tee"] });
+ * await fetch(url, {
+ *   method: "POST",
+ *   headers: { "Content-Type": "application/json", "X-Dash-Signature": await signWebhookPayload(secret, body) },
+ *   body,
+ * });
+ */
+export async function signWebhookPayload(secret, body, { timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  return `t=${timestamp},v1=${await hmacHex(secret, `${timestamp}.${body}`)}`;
+}
+
+/**
+ * Split a signature header into its timestamp and `v1` signatures.
+ * @param {string} header
+ * @returns {{timestamp: number|null, signatures: string[]}}
+ */
+export function parseSignatureHeader(header) {
+  let timestamp = null;
+  const signatures = [];
+  for (const part of String(header || "").split(",")) {
+    const [key, value] = part.trim().split("=", 2);
+    if (key === "t" && /^\d+$/.test(value || "")) timestamp = Number(value);
+    else if (key === "v1" && value) signatures.push(value);
+  }
+  return { timestamp, signatures };
+}
+
+/**
+ * Verify a signed payload.
+ *
+ * @param {Object} options
+ * @param {string|string[]} options.secret - Shared secret; pass several while rotating
+ * @param {string} options.body - The exact raw request body
+ * @param {string|null} options.header - The X-Dash-Signature header value
+ * @param {number} [options.toleranceSec=300] - Accepted clock drift, in seconds
+ * @param {number} [options.now] - Current time in ms (for tests)
+ * @returns {Promise<{ok: true, timestamp: number, signature: string}|{ok: false, reason: string}>}
+ *   `reason` is "missing_signature", "malformed_signature",
+ *   "timestamp_out_of_range" or "signature_mismatch"
+ */
+export async function verifyWebhookSignature({ secret, body, header, toleranceSec = DEFAULT_TOLERANCE_SEC, now = Date.now() }) {
+  if (!header) return { ok: false, reason: "missing_signature" };
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (timestamp === null || signatures.length === 0) return { ok: false, reason: "malformed_signature" };
+  if (Math.abs(now / 1000 - timestamp) > toleranceSec) return { ok: false, reason: "timestamp_out_of_range" };
+
+  const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+  for (const s of secrets) {
+    const expected = await hmacHex(s, `${timestamp}.${body}`);
+    for (const signature of signatures) {
+      if (timingSafeEqual(expected, signature)) return { ok: true, timestamp, signature };
+    }
+  }
+  return { ok: false, reason: "signature_mismatch" };
+}
+
+/**
+ * Remembers accepted signatures for the tolerance window so each signed
+ * request is honoured once. In-memory by default; pass a cache store
+ * (`get`/`set`, sync or async — see core/cache.js) to share it between
+ * server instances. Also used to remember processed webhook event ids.
+ */
+export class ReplayGuard {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - `{ get(key), set(key, value, ttlMs) }`
+   * @param {number} [options.toleranceSec=300] - Keep signatures this long (twice, for clock drift)
+   * @param {number} [options.ttlMs] - Keep entries this long instead
+   */
+  constructor({ store, toleranceSec = DEFAULT_TOLERANCE_SEC, ttlMs } = {}) {
+    this.store = store || null;
+    this.ttlMs = ttlMs ?? toleranceSec * 2 * 1000;
+    this._seen = new Map();
+  }
+
+  /**
+   * Record `signature`; resolves false the first time, true on a replay.
+   * @param {string} signature
+   * @returns {Promise<boolean>}
+   */
+  async check(signature) {
+    if (await this.has(signature)) return true;
+    await this.remember(signature);
+    return false;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether `id` was remembered and has not expired
+   */
+  async has(id) {
+    const key = `dash4devs:webhook:${id}`;
+    if (this.store) return !!(await this.store.get(key));
+    this._prune();
+    return this._seen.has(key);
+  }
+
+  /**
+   * @param {string} id
+   */
+  async remember(id) {
+    const key = `dash4devs:webhook:${id}`;
+    if (this.store) {
+      await this.store.set(key, { seenAt: Date.now() }, this.ttlMs);
+      return;
+    }
+    this._seen.delete(key);
+    this._seen.set(key, Date.now() + this.ttlMs);
+  }
+
+  /** @private */
+  _prune() {
+    const now = Date.now();
+    // Insertion order is expiry order (every entry gets the same TTL).
+    for (const [key, expiresAt] of this._seen) {
+      if (expiresAt > now) break;
+      this._seen.delete(key);
+    }
+  }
+}
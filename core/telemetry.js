@@ -0,0 +1,199 @@
+/**
+ * OpenTelemetry
+ *
+ * With `new DashClient({ telemetry: true })` every API call becomes a CLIENT
+ * span named after the SDK method that made it — `dash.products.list`,
+ * `dash.checkout.complete`, `dash.getGlobalData` — as a child of whatever
+ * span is active in the app. Attributes:
+ *
+ *   dash.operation             "products.list"
+ *   dash.route                 API path, e.g. "/api/storefront/products"
+ *   dash.environment           "live" or "test", from the API key
+ *   http.request.method        "GET"
+ *   http.response.status_code  200 (absent when no response arrived)
+ *   dash.cache                 "hit", "stale", "miss" or "stale-if-error"
+ *   dash.retries               extra attempts made
+ *   dash.deduped               true when shared with an identical request in flight
+ *
+ * Failed calls record the exception and an ERROR status. The span's context is
+ * sent with the request as `traceparent` (and `tracestate`), so the API's own
+ * traces join the storefront's.
+ *
+ * `@opentelemetry/api` is an optional peer dependency, imported on first use:
+ * when it isn't installed, or no tracer provider is registered, all of this is
+ * a no-op. Bundled apps (where the SDK cannot import it by name) pass the
+ * module instead: `telemetry: { api: otel }`.
+ */
+
+/** @private */
+const OPERATION_KEY_NAME = "dash4devs.operation";
+
+/**
+ * Import `@opentelemetry/api`, or null when it isn't installed.
+ * @returns {Promise<Object|null>}
+ * @private
+ */
+async function loadOpenTelemetry() {
+  try {
+    const mod = await import(/* webpackIgnore: true */ "@opentelemetry/api");
+    // Its CommonJS build may only expose a default export to `import()`.
+    return mod.trace ? mod : mod.default;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalise the client's `telemetry` option. `true` imports the API itself;
+ * anything falsy disables telemetry.
+ * @param {boolean|Object} [option]
+ * @returns {{api?: Object, tracerName: string}|null}
+ * @private
+ */
+export function resolveTelemetryOptions(option) {
+  if (!option) return null;
+  return { tracerName: "dash4devs", ...(option === true ? {} : option) };
+}
+
+/**
+ * Path of `url` below the API origin, without the query string (which can
+ * carry emails and tokens).
+ * @private
+ */
+function routeOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return String(url).split("?")[0];
+  }
+}
+
+/**
+ * The instrumentation attached to a DashClient as `dash.telemetry`.
+ */
+export class Telemetry {
+  /**
+   * @param {Object} options - Resolved options (see resolveTelemetryOptions)
+   * @param {Object} [options.api] - The `@opentelemetry/api` module; imported when omitted
+   * @param {string} options.tracerName
+   * @param {string} apiKey - Tells live from test for `dash.environment`
+   */
+  constructor({ api, tracerName }, apiKey) {
+    this.tracerName = tracerName;
+    this.environment = apiKey.includes("_live_") ? "live" : apiKey.includes("_test_") ? "test" : "unknown";
+    this.api = null;
+    /** Resolves once the API is loaded (or found missing). */
+    this.ready = api ? Promise.resolve(this._use(api)) : loadOpenTelemetry().then((loaded) => this._use(loaded));
+  }
+
+  /** Whether spans are being recorded (the API is loaded). */
+  get enabled() {
+    return !!this.api;
+  }
+
+  /**
+   * Run `fn` with `operation` ("products.list") as the name for the spans of
+   * the API calls it makes.
+   * @param {string} operation
+   * @param {Function} fn
+   * @returns {*} Whatever `fn` returns
+   */
+  withOperation(operation, fn) {
+    if (!this.api) return fn();
+    const { context } = this.api;
+    return context.with(context.active().setValue(this._operationKey, operation), fn);
+  }
+
+  /**
+   * Name the spans of every public method of `target` ("products",
+   * "checkout", …; "" for the client itself). Methods are wrapped on the
+   * instance, so calls between them are named too.
+   * @param {Object} target
+   * @param {string} [name]
+   */
+  instrument(target, name = "") {
+    const seen = new Set();
+    for (let proto = Object.getPrototypeOf(target); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+      for (const key of Object.getOwnPropertyNames(proto)) {
+        if (key === "constructor" || key.startsWith("_") || seen.has(key)) continue;
+        seen.add(key);
+        const method = Object.getOwnPropertyDescriptor(proto, key).value;
+        if (typeof method !== "function") continue;
+        const operation = name ? `${name}.${key}` : key;
+        const telemetry = this;
+        target[key] = function (...args) {
+          return telemetry.withOperation(operation, () => method.apply(this, args));
+        };
+      }
+    }
+  }
+
+  /**
+   * Start the span for one API call, as a child of the active context. Call
+   * synchronously at the top of `_fetch`, before anything is awaited.
+   * @param {{method: string, url: string}} request
+   * @returns {{span: Object, context: Object}|null} Null while disabled
+   * @private
+   */
+  _startRequest({ method, url }) {
+    if (!this.api) return null;
+    const { context, trace, SpanKind } = this.api;
+    const parent = context.active();
+    const operation = parent.getValue(this._operationKey);
+    const span = this._tracer.startSpan(
+      operation ? `dash.${operation}` : "dash.request",
+      {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          ...(operation ? { "dash.operation": operation } : {}),
+          "dash.route": routeOf(url),
+          "dash.environment": this.environment,
+          "http.request.method": method,
+        },
+      },
+      parent
+    );
+    return { span, context: trace.setSpan(parent, span) };
+  }
+
+  /**
+   * Add the span's `traceparent`/`tracestate` to outgoing headers.
+   * @param {{context: Object}|null} request - From `_startRequest`
+   * @param {Object} headers - Mutated
+   * @private
+   */
+  _inject(request, headers) {
+    if (request) this.api.propagation.inject(request.context, headers);
+  }
+
+  /**
+   * Record the outcome in `ctx` (see `DashClient#_send`) and end the span.
+   * @param {{span: Object}|null} request - From `_startRequest`
+   * @param {Object} ctx
+   * @param {*} [thrown] - Set when middleware threw instead of storing `ctx.error`
+   * @private
+   */
+  _endRequest(request, ctx, thrown) {
+    if (!request) return;
+    const { span } = request;
+    const error = thrown ?? ctx.error;
+    if (ctx.response?.status != null) span.setAttribute("http.response.status_code", ctx.response.status);
+    if (ctx.meta.cache) span.setAttribute("dash.cache", ctx.meta.cache);
+    if (ctx.meta.retries) span.setAttribute("dash.retries", ctx.meta.retries);
+    if (ctx.meta.deduped) span.setAttribute("dash.deduped", true);
+    if (error) {
+      span.recordException(error instanceof Error ? error : String(error));
+      span.setAttribute("error.type", error?.code || error?.name || "Error");
+      span.setStatus({ code: this.api.SpanStatusCode.ERROR, message: error?.message });
+    }
+    span.end();
+  }
+
+  /** @private */
+  _use(api) {
+    if (!api?.trace) return;
+    this.api = api;
+    this._tracer = api.trace.getTracer(this.tracerName);
+    this._operationKey = api.createContextKey(OPERATION_KEY_NAME);
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Request Deadlines
+ *
+ * Combines a caller's AbortSignal with the client/per-call timeout into the
+ * single signal handed to fetch(). The timeout covers the whole call —
+ * retries and token-refresh replays included — so a slow API makes an SSR
+ * render fail fast instead of stalling it.
+ *
+ * Every public service-module method accepts `{ signal, timeoutMs }` — either
+ * in its existing options object or as a trailing argument — and forwards them
+ * to DashClient._fetch:
+ *
+ *   useEffect(() => {
+ *     const controller = new AbortController();
+ *     dash.products.list({ category, signal: controller.signal }).then(setProducts);
+ *     return () => controller.abort();
+ *   }, [category]);
+ */
+
+import { DashTimeoutError } from "./errors.js";
+
+/** Client-wide default; override via `new DashClient({ timeoutMs })`. */
+export const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Cancel the request
+ * @property {number} [timeoutMs] - Override the client-wide timeout (0 disables)
+ */
+
+/**
+ * Create the deadline for one call.
+ *
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Caller's signal
+ * @param {number} [options.timeoutMs] - Time limit; 0 or null for none
+ * @returns {{signal: AbortSignal|undefined, timedOut: boolean, error: DashTimeoutError|null, clear: Function}}
+ */
+export function createDeadline({ signal, timeoutMs }) {
+  const deadline = { signal, timedOut: false, error: null, clear() {} };
+  const limited = Number.isFinite(timeoutMs) && timeoutMs > 0;
+  if (!limited || typeof AbortController === "undefined") return deadline;
+
+  const controller = new AbortController();
+  const forward = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) forward();
+    else signal.addEventListener("abort", forward, { once: true });
+  }
+
+  const timer = setTimeout(() => {
+    deadline.timedOut = true;
+    deadline.error = new DashTimeoutError(`Request timed out after ${timeoutMs}ms`, { timeoutMs });
+    controller.abort(deadline.error);
+  }, timeoutMs);
+
+  deadline.signal = controller.signal;
+  deadline.clear = () => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", forward);
+  };
+  return deadline;
+}
+
+/**
+ * Wait for `promise`, or only until `signal` aborts. The promise keeps
+ * running either way; its outcome is ignored after an abort.
+ *
+ * @param {Promise<*>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function untilAborted(promise, signal) {
+  const settled = promise.then(() => {}, () => {});
+  if (!signal) return settled;
+  return new Promise((resolve) => {
+    if (signal.aborted) return resolve();
+    const done = () => {
+      signal.removeEventListener("abort", done);
+      resolve();
+    };
+    signal.addEventListener("abort", done, { once: true });
+    settled.then(done);
+  });
+}
+
+/**
+ * What a cancelled call rejects with: the signal's reason, which is an
+ * `AbortError` DOMException unless the caller passed one to `abort()`. Code
+ * that doesn't go through fetch (XHR uploads) uses this so every module
+ * reports cancellation the same way.
+ *
+ * @param {AbortSignal} signal
+ * @returns {*}
+ */
+export function abortReason(signal) {
+  return signal?.reason ?? new DOMException("This operation was aborted", "AbortError");
+}
+
+/**
+ * Promise-based delay that resolves early (and harmlessly) if `signal` aborts,
+ * so a retry backoff never outlives a cancelled or timed-out call.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function abortableSleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
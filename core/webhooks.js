@@ -0,0 +1,151 @@
+/**
+ * Store Event Webhooks
+ *
+ * DevDash POSTs an event to the storefront's webhook endpoint whenever
+ * something happens in the store, so servers can react instead of polling
+ * `admin.listOrders`. Every delivery is one JSON envelope:
+ *
+ *   { "id": "evt_…", "type": "order.created", "created_at": "…", "data": { … } }
+ *
+ * signed with `X-Dash-Signature` exactly like revalidation webhooks (see
+ * core/signature.js). Event types:
+ *
+ *   order.created          an order was placed
+ *   order.status_changed   an order's fulfilment or payment status moved
+ *   product.stock_changed  a product size's stock level changed
+ *   form.submitted         a dashboard-built form received a submission
+ *   booking.created        a booking was made
+ *
+ * Deliveries are retried until the endpoint answers 2xx, so the same event can
+ * arrive more than once: handlers run once per event id. A handler that throws
+ * answers 500 and leaves the id unprocessed, so the retry runs it again.
+ */
+
+import { DEFAULT_TOLERANCE_SEC, ReplayGuard, SIGNATURE_HEADER, verifyWebhookSignature } from "./signature.js";
+import { toFetchHandler, toHonoHandler, toExpressHandler } from "./http-adapters.js";
+import { createLogger } from "./logger.js";
+
+export const WEBHOOK_EVENT_TYPES = [
+  "order.created",
+  "order.status_changed",
+  "product.stock_changed",
+  "form.submitted",
+  "booking.created",
+];
+
+/** How long processed event ids are remembered: longer than the sender retries. */
+const DEFAULT_DEDUPE_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Verify, parse, dedupe and dispatch one delivery.
+ * @returns {import("./http-adapters.js").WebhookCore}
+ * @private
+ */
+function createReceiver({ secret, on = {}, toleranceSec = DEFAULT_TOLERANCE_SEC, dedupeStore, dedupeTtlMs = DEFAULT_DEDUPE_TTL_MS, logger }) {
+  const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+  const log = createLogger(logger).child("webhooks");
+  const processed = new ReplayGuard({ store: dedupeStore, ttlMs: dedupeTtlMs });
+  // Ids being handled right now, so a retry racing the first delivery waits
+  // its turn instead of running the handler twice.
+  const inProgress = new Set();
+
+  return async function receive(rawBody, getHeader) {
+    if (secrets.length === 0) {
+      return { status: 401, body: { error: "Invalid secret" } };
+    }
+
+    const result = await verifyWebhookSignature({
+      secret: secrets,
+      body: rawBody,
+      header: getHeader(SIGNATURE_HEADER),
+      toleranceSec,
+    });
+    if (!result.ok) {
+      return { status: 401, body: { error: "Invalid signature", reason: result.reason } };
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody);
+    } catch {
+      return { status: 400, body: { error: "Invalid JSON" } };
+    }
+    if (!event || typeof event.id !== "string" || typeof event.type !== "string") {
+      return { status: 400, body: { error: "id and type must be provided" } };
+    }
+
+    const key = `event:${event.id}`;
+    if (await processed.has(key)) {
+      return { status: 200, body: { received: true, id: event.id, duplicate: true } };
+    }
+    if (inProgress.has(key)) {
+      return { status: 409, body: { error: "Event is already being processed" } };
+    }
+
+    const handlers = [on[event.type], on["*"]].filter(Boolean);
+    inProgress.add(key);
+    try {
+      for (const handler of handlers) {
+        await handler(event);
+      }
+      await processed.remember(key);
+    } catch (e) {
+      log.error(`Handler for ${event.type} failed`, { event_id: event.id, event_type: event.type, error: e });
+      return { status: 500, body: { error: "Handler failed" } };
+    } finally {
+      inProgress.delete(key);
+    }
+
+    return { status: 200, body: { received: true, id: event.id, type: event.type, handled: handlers.length > 0 } };
+  };
+}
+
+/**
+ * Create a POST handler for store events: Fetch `Request` in, `Response` out
+ * (Next.js route handlers, Remix, Bun, Deno, Workers).
+ *
+ * @param {Object} options
+ * @param {string|string[]} options.secret - Shared webhook secret (several while rotating)
+ * @param {Object<string, Function>} options.on - `async (event) => {}` per event type;
+ *   `"*"` receives every event, including types this SDK doesn't know yet
+ * @param {number} [options.toleranceSec=300] - Accepted signature age, in seconds
+ * @param {Object} [options.dedupeStore] - Cache store shared between instances for event-id dedupe
+ * @param {number} [options.dedupeTtlMs=86400000] - How long processed ids are remembered
+ * @param {Function|Object} [options.logger] - Logger for handler failures, e.g. `dash.logger` (default: the console)
+ * @returns {(request: Request) => Promise<Response>}
+ *
+ * @example
+ * // app/api/dash-events/route.ts
+ * export const POST = createWebhookHandler({
+ *   secret: process.env.DASH_WEBHOOK_SECRET,
+ *   on: {
+ *     "order.created": async ({ data }) => notifyWarehouse(data.order),
+ *     "product.stock_changed": async ({ data }) => { if (!data.in_stock) await alertBuyer(data.product_slug); },
+ *   },
+ * });
+ */
+export function createWebhookHandler(options) {
+  return toFetchHandler(createReceiver(options));
+}
+
+/**
+ * Hono adapter: `app.post("/api/dash-events", createHonoWebhookHandler(options))`.
+ * Options as for `createWebhookHandler`.
+ * @param {Object} options
+ * @returns {(c: Object) => Promise<Response>}
+ */
+export function createHonoWebhookHandler(options) {
+  return toHonoHandler(createReceiver(options));
+}
+
+/**
+ * Express/Connect adapter. Mount it before any JSON body parser or behind
+ * `express.raw({ type: "application/json" })` so the signature can be checked
+ * against the raw body. Options as for `createWebhookHandler`.
+ *
+ * @param {Object} options
+ * @returns {(req: Object, res: Object, next?: Function) => Promise<void>}
+ */
+export function createExpressWebhookHandler(options) {
+  return toExpressHandler(createReceiver(options));
+}
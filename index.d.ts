@@ -358,9 +358,391 @@ export interface DashClientOptions {
   apiKey: string;
   /** Backend URL (default: "http://localhost:8000") */
   baseURL?: string;
+  /** Request middleware, outermost first. Same as calling `dash.use(fn)` for each. */
+  middleware?: DashMiddleware[];
+  /**
+   * Retry policy for failed requests: overrides, a retry count, or `false` to
+   * disable. Defaults to 2 retries with exponential backoff and jitter.
+   */
+  retry?: RetryOptions | number | false;
+  /**
+   * Deadline for each call in milliseconds, covering retries and token-refresh
+   * replays (default: 30000, 0 disables). Override per call with `timeoutMs`.
+   */
+  timeoutMs?: number;
+  /**
+   * Cache anonymous GET reads in the SDK itself — for Express, Remix, Astro or
+   * the browser, where Next.js's Data Cache isn't available. `true` uses an
+   * in-memory LRU with the defaults. Off by default.
+   */
+  cache?: boolean | CacheOptions;
+  /**
+   * Share one network call between concurrent identical GETs (same URL and
+   * Authorization). `"request"` only shares inside `dash.runInRequestScope()`;
+   * `false` disables it. Default: `true`.
+   */
+  dedupe?: boolean | "request";
+  /**
+   * `fetch`-compatible function every request goes through. Defaults to the
+   * global `fetch`; pass `createMockBackend().transport` from
+   * "dash4devs/testing" to run offline.
+   */
+  transport?: DashTransport;
+  /**
+   * Fail fast while the API is down instead of sending every call into a dead
+   * backend, and answer anonymous GET reads (products, categories, global
+   * data, pages…) with their last good response, flagged `_stale`. `true`
+   * uses the defaults. Off by default.
+   */
+  circuitBreaker?: boolean | CircuitBreakerOptions;
+  /**
+   * Where SDK log entries go: a function receiving each entry, or a
+   * pino/winston-style logger (called as `logger[level](entry)`). Defaults to
+   * the console. Entries are always redacted.
+   */
+  logger?: LogSink | Logger;
+  /** Minimum level written. Default: "info" */
+  logLevel?: LogLevel;
+  /**
+   * Environment variables to read instead of `process.env` (`NODE_ENV`,
+   * `DASH4DEVS_SILENT`, `DASH4DEVS_REVALIDATE` and the secret-key leak
+   * check). Pass the Workers `env` binding on runtimes without `process`.
+   */
+  env?: Record<string, string | undefined>;
+  /**
+   * OpenTelemetry spans for every API call, named after the SDK method that
+   * made it (`dash.products.list`), with `traceparent` sent to the API.
+   * `true` imports `@opentelemetry/api` (a no-op when it isn't installed).
+   * Off by default.
+   */
+  telemetry?: boolean | TelemetryOptions;
+  /**
+   * Development aid: check responses from the products, cart, checkout,
+   * order and page endpoints against the SDK's types. `true`/"warn" logs each
+   * mismatch once (path, expected and received type); "throw" also fails
+   * reads with a DashApiError coded `invalid_response`. Writes are only
+   * logged. Off by default.
+   */
+  validateResponses?: boolean | "warn" | "throw";
 }
 
-export interface ProductsListOptions {
+export type LogLevel = "debug" | "info" | "warn" | "error" | "silent";
+
+/**
+ * One structured log entry. API keys, bearer tokens, JWTs, card numbers and
+ * card fields, passwords, secrets and emails are already redacted.
+ */
+export interface LogEntry {
+  level: Exclude<LogLevel, "silent">;
+  message: string;
+  /** Subsystem: "tracking", "revalidate", "cart", "storage", … */
+  namespace?: string;
+  /** ISO timestamp */
+  time: string;
+  [field: string]: unknown;
+}
+
+export type LogSink =
+  | ((entry: LogEntry) => void)
+  | Partial<Record<Exclude<LogLevel, "silent">, (entry: LogEntry) => void>> & { log?: (entry: LogEntry) => void };
+
+/** The SDK's logger, available as `dash.logger`. */
+export declare class Logger {
+  constructor(options?: { logger?: LogSink; level?: LogLevel; namespace?: string });
+  readonly level: LogLevel;
+  readonly namespace: string | undefined;
+  /** Whether a sink other than the console was configured */
+  readonly custom: boolean;
+  enabled(level: LogLevel): boolean;
+  /** Logger that tags its entries with `namespace` */
+  child(namespace: string): Logger;
+  debug(message: string, fields?: Record<string, unknown>): void;
+  info(message: string, fields?: Record<string, unknown>): void;
+  warn(message: string, fields?: Record<string, unknown>): void;
+  error(message: string, fields?: Record<string, unknown>): void;
+  log(level: Exclude<LogLevel, "silent">, message: string, fields?: Record<string, unknown>): void;
+}
+
+/** Accept a `Logger`, or build one from a sink and level. */
+export function createLogger(logger?: LogSink | Logger, level?: LogLevel): Logger;
+
+/** Copy of `value` with credentials, card data and emails replaced by "[REDACTED]". */
+export function redactLogValue<T>(value: T): T;
+
+export declare const LOG_LEVELS: Record<LogLevel, number>;
+
+export interface CircuitBreakerOptions {
+  /** Consecutive outage failures (network errors, timeouts, 408/5xx) that open the circuit (default: 5) */
+  failureThreshold?: number;
+  /** How long the circuit stays open before one probe request is let through (default: 30000) */
+  cooldownMs?: number;
+  /** How long a last good response may stand in for a failing read (default: 24 hours) */
+  staleIfErrorMs?: number;
+}
+
+/** Set on a response body served from the stale-if-error fallback. */
+export interface StaleInfo {
+  /** Epoch ms the response was originally received */
+  storedAt: number;
+  /** Code of the error it stands in for, e.g. "network_error" or "circuit_open" */
+  reason: string;
+}
+
+/**
+ * The circuit breaker attached to a client as `dash.circuit`.
+ * Closed → open after `failureThreshold` failures → half-open after `cooldownMs`.
+ */
+export declare class CircuitBreaker {
+  readonly failureThreshold: number;
+  readonly cooldownMs: number;
+  readonly state: "closed" | "open" | "half-open";
+  /** Consecutive outage failures so far */
+  readonly failures: number;
+  /** Epoch ms until which the circuit stays open */
+  readonly openUntil: number;
+  /** Close the circuit and forget past failures */
+  reset(): void;
+}
+
+/** Whether an error means the API is unavailable (network error, timeout, 408/5xx, open circuit). */
+export function isOutageError(error: unknown): boolean;
+
+/** Storefront routes whose last good response may stand in during an outage: products, categories, global, pages */
+export declare const STALE_IF_ERROR_ROUTES: string[];
+
+export interface TelemetryOptions {
+  /**
+   * The `@opentelemetry/api` module. Pass it in bundled apps, where the SDK
+   * can't import it by name; imported automatically when omitted.
+   */
+  api?: any;
+  /** Name of the tracer spans are created with. Default: "dash4devs" */
+  tracerName?: string;
+}
+
+/**
+ * OpenTelemetry instrumentation attached to a client as `dash.telemetry`.
+ * Span attributes: `dash.operation`, `dash.route`, `dash.environment`,
+ * `http.request.method`, `http.response.status_code`, `dash.cache`,
+ * `dash.retries`, `dash.deduped` and, on failure, `error.type`.
+ */
+export declare class Telemetry {
+  readonly tracerName: string;
+  /** "live", "test" or "unknown", from the API key */
+  readonly environment: string;
+  /** The loaded `@opentelemetry/api`, or null */
+  readonly api: any;
+  /** Resolves once the API is loaded (or found missing) */
+  readonly ready: Promise<void>;
+  /** Whether spans are being recorded */
+  readonly enabled: boolean;
+  /** Run `fn` with `operation` as the span name for the API calls it makes */
+  withOperation<T>(operation: string, fn: () => T): T;
+  /** Name the spans of every public method of `target` (`"<name>.<method>"`) */
+  instrument(target: object, name?: string): void;
+}
+
+/** A `fetch`-compatible function. */
+export type DashTransport = (url: string, init?: RequestInit) => Promise<Response>;
+
+/**
+ * Per-call options accepted by every service-module method, either in its
+ * existing options object or as a trailing argument.
+ */
+export interface RequestOptions {
+  /** Cancel the request; the call rejects with the signal's reason */
+  signal?: AbortSignal;
+  /** Override the client-wide timeout for this call (0 disables) */
+  timeoutMs?: number;
+}
+
+/** Options accepted by every `iterate*()` helper, on top of the endpoint's own filters. */
+export interface PagingOptions extends RequestOptions {
+  /** Items requested per page. Default: 50 (`limit` / `per_page` are accepted as aliases) */
+  pageSize?: number;
+  /** Pages fetched at once once the total is known (bulk exports). Default: 1 */
+  concurrency?: number;
+}
+
+export interface PaginatorPage<T> {
+  items: T[];
+  /** The endpoint's full response for this page */
+  response: any;
+  /** 0-based page index */
+  index: number;
+}
+
+/**
+ * Async iterator over a list endpoint, returned by the `iterate*()` helpers.
+ *
+ * @example
+ * for await (const product of dash.products.iterate({ category: "flower" })) { ... }
+ * for await (const page of dash.blog.iterate().pages()) { ... }
+ * const first100 = await dash.products.iterate().toArray({ max: 100 });
+ */
+export declare class Paginator<T = any> implements AsyncIterable<T> {
+  readonly style: "offset" | "page";
+  readonly pageSize: number;
+  readonly concurrency: number;
+  [Symbol.asyncIterator](): AsyncGenerator<T>;
+  /** Iterate page by page */
+  pages(): AsyncGenerator<PaginatorPage<T>>;
+  /** Collect every item, or the first `max` */
+  toArray(options?: { max?: number }): Promise<T[]>;
+}
+
+/**
+ * Retry policy. GET requests and requests carrying an `Idempotency-Key` are
+ * retried on network errors and 408/429/5xx responses; `Retry-After` on
+ * 429/503 takes precedence over the computed backoff.
+ */
+export interface RetryOptions {
+  /** Extra attempts after the first one (default: 2, 0 disables) */
+  retries?: number;
+  /** Base backoff delay for the first retry (default: 300) */
+  minDelayMs?: number;
+  /** Upper bound for a computed backoff delay (default: 5000) */
+  maxDelayMs?: number;
+  /** Backoff multiplier per attempt (default: 2) */
+  factor?: number;
+  /** Give up rather than wait when Retry-After asks for longer than this (default: 30000) */
+  maxRetryAfterMs?: number;
+}
+
+/** A cached response body plus its freshness window. */
+export interface CacheEntry {
+  data: any;
+  /** Epoch ms the entry was written */
+  storedAt: number;
+  /** Epoch ms after which the entry is stale (served while revalidating) */
+  freshUntil: number;
+  /** Epoch ms after which the entry is unusable */
+  staleUntil: number;
+  tags: string[];
+}
+
+/**
+ * Storage adapter for the response cache. Methods may be sync or async.
+ *
+ * @example
+ * // Redis (ioredis)
+ * const store: CacheStore = {
+ *   get: async (key) => JSON.parse((await redis.get(key)) ?? "null") ?? undefined,
+ *   set: (key, value, ttlMs) => redis.set(key, JSON.stringify(value), "PX", ttlMs),
+ *   delete: (key) => redis.del(key),
+ * };
+ */
+export interface CacheStore {
+  get(key: string): any | undefined | Promise<any | undefined>;
+  /** Store `value`; keep it for at least `ttlMs` */
+  set(key: string, value: any, ttlMs: number): void | Promise<unknown>;
+  delete(key: string): void | Promise<unknown>;
+  /** Drop everything (optional) */
+  clear?(): void | Promise<unknown>;
+}
+
+export interface CacheOptions {
+  /** Storage adapter (default: in-memory LRU) */
+  store?: CacheStore;
+  /** How long an entry is fresh (default: 60000) */
+  ttlMs?: number;
+  /** How long a stale entry may still be served while it refreshes in the background (default: 300000) */
+  staleWhileRevalidateMs?: number;
+  /** Entry limit for the default in-memory store (default: 500) */
+  maxEntries?: number;
+  /**
+   * Storefront routes (the path segment after /api/storefront/) whose reads
+   * are cached (default: `CACHEABLE_ROUTES`). Cart, checkout and status reads
+   * should never be added.
+   */
+  routes?: string[];
+}
+
+/** Catalog and content routes cached by default: products, categories, brands, global, pages, blog… */
+export declare const CACHEABLE_ROUTES: string[];
+
+/** Default cache store: an in-memory LRU bounded by entry count. */
+export declare class MemoryCacheStore implements CacheStore {
+  constructor(options?: { maxEntries?: number });
+  readonly maxEntries: number;
+  readonly size: number;
+  get(key: string): any | undefined;
+  set(key: string, value: any, ttlMs: number): void;
+  delete(key: string): void;
+  clear(): void;
+}
+
+/** The response cache attached to a client as `dash.cache`. */
+export declare class ResponseCache {
+  readonly store: CacheStore;
+  readonly ttlMs: number;
+  readonly staleWhileRevalidateMs: number;
+  /** How much longer entries are kept as stale-if-error fallbacks (0 unless `circuitBreaker` is on) */
+  readonly staleIfErrorMs: number;
+  /** Storefront routes whose reads are cached */
+  readonly routes: string[];
+  /**
+   * Invalidate every entry carrying any of `tags`. Every cached read carries
+   * the "dash4devs" tag, plus a `path:` tag for its storefront API path and
+   * each parent (`path:/products/tee`, `path:/products`).
+   */
+  invalidateTags(tags: string[]): Promise<void>;
+  /** Drop every cached read for this client */
+  clear(): Promise<void>;
+}
+
+/**
+ * The request/response context passed through the middleware chain.
+ * Before `next()` it describes the outgoing request and may be rewritten;
+ * after `next()` resolves, `response` and either `data` or `error` are set.
+ */
+export interface DashRequestContext {
+  /** The client making the call */
+  client: DashClient;
+  /** Upper-case HTTP method */
+  method: string;
+  /** Absolute request URL (rewrite it to route through a proxy) */
+  url: string;
+  /** Outgoing request headers */
+  headers: Record<string, string>;
+  /** Request body (usually a JSON string) */
+  body?: any;
+  /** Remaining fetch() options (cache, next, …); `init.signal` combines the caller's signal with the timeout */
+  init: Record<string, any>;
+  /** Effective retry policy for this call */
+  retry: Required<RetryOptions>;
+  /** Whether a 401 may trigger a token refresh and replay (false for the refresh call itself) */
+  authRefresh: boolean;
+  /** True for the background refresh of a stale cache entry (skips the cache read) */
+  cacheRefresh: boolean;
+  /** Raw response, once received */
+  response: Response | null;
+  /** Parsed response body on success */
+  data: any;
+  /** Failure, if the request did not succeed. Clear it to recover. */
+  error: Error | null;
+  /**
+   * Scratch space for middleware to share state. The SDK sets `retries`,
+   * `replayed`, `deduped` (outcome shared from an identical in-flight GET),
+   * `cache` ("hit" | "stale" | "miss" | "stale-if-error") for cacheable reads,
+   * and `stale` when a failed read was answered with its last good response.
+   */
+  meta: Record<string, any>;
+}
+
+/** Onion-style request middleware. Call `next()` to continue the chain. */
+export type DashMiddleware = (ctx: DashRequestContext, next: () => Promise<void>) => void | Promise<void>;
+
+export type ProductSort = "price_asc" | "price_desc" | "newest" | "rating" | "name";
+
+/** A custom-field filter: an exact value, or operators (`in` for any of several values). */
+export type CustomFieldFilter =
+  | string
+  | number
+  | boolean
+  | { gt?: number; gte?: number; lt?: number; lte?: number; in?: Array<string | number> };
+
+export interface ProductsListOptions extends RequestOptions {
   /** Number of products per page (default: 20, max: 100) */
   limit?: number;
   /** Pagination offset (default: 0) */
@@ -378,8 +760,30 @@ export interface ProductsListOptions {
   brand?: string;
   /** Search in product name */
   search?: string;
-  /** Filter by custom fields (e.g. {popular: true, homepage_section: "hero"}) */
-  customFields?: Record<string, string | number | boolean>;
+  /**
+   * Filter by custom fields (e.g. {popular: true, homepage_section: "hero"}).
+   * An object applies operators: `{thc: {gte: 20, lt: 30}}`,
+   * `{strain: {in: ["indica", "hybrid"]}}`.
+   */
+  customFields?: Record<string, CustomFieldFilter>;
+  /** Lowest effective price (the discounted price when on sale), inclusive */
+  priceMin?: number;
+  /** Highest effective price, inclusive */
+  priceMax?: number;
+  /** Only products with at least one size in stock */
+  inStock?: boolean;
+  /**
+   * Attribute filters keyed by attribute slug: `{size: ["s", "m"], flavor: "mango"}`.
+   * Values within one attribute match ANY; separate attributes must ALL match.
+   */
+  attributes?: Record<string, string | string[]>;
+  /** Sort order (default: the store's manual order, or relevance when searching) */
+  sort?: ProductSort;
+  /**
+   * Also return `facets` with the response. Pass attribute slugs to limit
+   * which attributes are counted.
+   */
+  facets?: boolean | string[];
   /**
    * Comma-separated list of related resources to inline in each product object.
    * Supported values depend on the backend version (e.g. "variations", "sizes").
@@ -466,7 +870,7 @@ export interface SubmitReviewResponse {
   message: string;
 }
 
-export interface CategoriesListOptions {
+export interface CategoriesListOptions extends RequestOptions {
   /** If true, returns nested tree structure */
   tree?: boolean;
   /** Filter by parent category slug */
@@ -477,7 +881,7 @@ export interface CategoriesListOptions {
   customFields?: Record<string, string | number | boolean>;
 }
 
-export interface CategoryGetOptions {
+export interface CategoryGetOptions extends RequestOptions {
   /** Include products in response (default: true) */
   includeProducts?: boolean;
   /** Number of products */
@@ -486,7 +890,7 @@ export interface CategoryGetOptions {
   offset?: number;
 }
 
-export interface CartAddOptions {
+export interface CartAddOptions extends RequestOptions {
   /** Product ID */
   productId: string;
   /** Size/variant ID */
@@ -495,6 +899,8 @@ export interface CartAddOptions {
   quantity?: number;
   /** Freestyle bundle selections (slot_id + option_id pairs) */
   freestyleSelections?: { slot_id: string; option_id: string }[];
+  /** Idempotency-Key sent with the request (generated when omitted), so a retried add never doubles the line */
+  idempotencyKey?: string;
 }
 
 // =============================================================================
@@ -509,9 +915,35 @@ export interface PingResponse {
   timestamp: string;
 }
 
+/**
+ * Counts for a filter sidebar. Each facet is counted with every other active
+ * filter applied but not its own, so the counts show what picking another
+ * value would return.
+ */
+export interface ProductFacets {
+  attributes: Array<{
+    /** Attribute name (e.g. "Size") */
+    name: string;
+    /** Key for `ProductsListOptions.attributes` */
+    slug: string;
+    values: Array<{ value: string; slug: string; count: number }>;
+  }>;
+  price: {
+    /** Lowest and highest effective price among the matches, null when none */
+    min: string | null;
+    max: string | null;
+    /** Non-empty buckets; `min` inclusive, `max` exclusive, null `max` is open-ended */
+    buckets: Array<{ min: string; max: string | null; count: number }>;
+  };
+  /** Matching products that are in stock */
+  in_stock: number;
+}
+
 export interface ProductsListResponse {
   products: Product[];
   pagination: Pagination;
+  /** Present when the request asked for `facets` */
+  facets?: ProductFacets;
 }
 
 export interface ProductGetResponse {
@@ -748,7 +1180,7 @@ export interface PagesListResponse {
   pages: PageInfo[];
 }
 
-export interface GetPageDataOptions {
+export interface GetPageDataOptions extends RequestOptions {
   /** If true, treats the first parameter as a page name instead of path */
   byName?: boolean;
 }
@@ -763,40 +1195,48 @@ declare class ProductsModule {
    */
   list(options?: ProductsListOptions): Promise<ProductsListResponse>;
 
+  /**
+   * Iterate every product matching the filters, fetching pages as needed
+   *
+   * @example
+   * for await (const product of dash.products.iterate({ category: "flower" })) { ... }
+   */
+  iterate(options?: ProductsListOptions & PagingOptions): Paginator<Product>;
+
   /**
    * Get a single product by slug (full data — use getCore for SSR)
    * @param slug - Product slug
    * @param options - Optional query params forwarded to the backend (e.g. { variation: "strain-a" })
    */
-  get(slug: string, options?: Record<string, string | number | boolean | undefined>): Promise<ProductGetResponse>;
+  get(slug: string, options?: RequestOptions & Record<string, unknown>): Promise<ProductGetResponse>;
 
   /**
    * Get lightweight core product data for SSR.
    * No variations, sizes, or bulk discounts — fast TTFB.
    * @param slug - Product slug
    */
-  getCore(slug: string): Promise<ProductCoreResponse>;
+  getCore(slug: string, options?: RequestOptions): Promise<ProductCoreResponse>;
 
   /**
    * Get heavy options data (variations, sizes, bulk discounts, related, includes).
    * Intended for client-side fetching after SSR of core data.
    * @param slug - Product slug
    */
-  getOptions(slug: string): Promise<ProductOptionsResponse>;
+  getOptions(slug: string, options?: RequestOptions): Promise<ProductOptionsResponse>;
 
   /**
    * Get reviews for a product
    * @param slug - Product slug
    * @param options - Pagination options
    */
-  getReviews(slug: string, options?: { limit?: number; offset?: number }): Promise<ProductReviewsResponse>;
+  getReviews(slug: string, options?: { limit?: number; offset?: number } & RequestOptions): Promise<ProductReviewsResponse>;
 
   /**
    * Submit a review for a product
    * @param slug - Product slug
    * @param data - Review data
    */
-  submitReview(slug: string, data: SubmitReviewData): Promise<SubmitReviewResponse>;
+  submitReview(slug: string, data: SubmitReviewData, options?: RequestOptions): Promise<SubmitReviewResponse>;
 
   /**
    * Get all approved reviews across all products
@@ -808,26 +1248,34 @@ declare class ProductsModule {
     rating?: number | string;
     sort?: "highest" | "lowest" | "newest" | "oldest" | string;
     has_media?: boolean | string;
-  }): Promise<AllReviewsResponse>;
+  } & RequestOptions): Promise<AllReviewsResponse>;
+
+  /** Iterate every approved review across all products, fetching pages as needed */
+  iterateAllReviews(options?: {
+    product?: string;
+    rating?: number | string;
+    sort?: "highest" | "lowest" | "newest" | "oldest" | string;
+    has_media?: boolean | string;
+  } & PagingOptions): Paginator<ProductReview>;
 
   /**
    * Get featured variations (variations with show_in_bg custom field)
    */
-  getFeaturedVariations(): Promise<FeaturedVariationsResponse>;
+  getFeaturedVariations(options?: RequestOptions): Promise<FeaturedVariationsResponse>;
 
   /**
    * Get the labelled file attachments for a product, sorted by `order`.
    * @param slug - Product slug
    * @param options.label - Only return files with this exact label
    */
-  getFiles(slug: string, options?: { label?: string }): Promise<ProductFile[]>;
+  getFiles(slug: string, options?: { label?: string } & RequestOptions): Promise<ProductFile[]>;
 
   /**
    * Get a single file from a product by label (lowest order wins, else null).
    * @param slug - Product slug
    * @param label - The file label to select
    */
-  getFile(slug: string, label: string): Promise<ProductFile | null>;
+  getFile(slug: string, label: string, options?: RequestOptions): Promise<ProductFile | null>;
 }
 
 declare class CategoriesModule {
@@ -846,33 +1294,33 @@ declare class CategoriesModule {
    * Convenience method for building navbars (depth 0) or submenus
    * @param depth - Depth level (0 = root categories)
    */
-  getByDepth(depth?: number): Promise<CategoriesListResponse>;
+  getByDepth(depth?: number, options?: RequestOptions): Promise<CategoriesListResponse>;
 
   /**
    * Get category tree starting from root
    * Returns full nested hierarchy
    */
-  getTree(): Promise<CategoriesListResponse>;
+  getTree(options?: RequestOptions): Promise<CategoriesListResponse>;
 
   /**
    * Get children of a specific category
    * @param parentSlug - Parent category slug
    */
-  getChildren(parentSlug: string): Promise<CategoriesListResponse>;
+  getChildren(parentSlug: string, options?: RequestOptions): Promise<CategoriesListResponse>;
 
   /**
    * Get the labelled file attachments for a category (sorted by order).
    * @param slug - Category slug
    * @param options.label - Only return files with this exact label
    */
-  getFiles(slug: string, options?: { label?: string }): Promise<CategoryFile[]>;
+  getFiles(slug: string, options?: { label?: string } & RequestOptions): Promise<CategoryFile[]>;
 
   /**
    * Get a single file from a category by label (lowest order wins, else null).
    * @param slug - Category slug
    * @param label - The file label to select
    */
-  getFile(slug: string, label: string): Promise<CategoryFile | null>;
+  getFile(slug: string, label: string, options?: RequestOptions): Promise<CategoryFile | null>;
 }
 
 // =============================================================================
@@ -915,7 +1363,7 @@ export interface BrandDetailResponse {
   };
 }
 
-export interface BrandGetOptions {
+export interface BrandGetOptions extends RequestOptions {
   limit?: number;
   offset?: number;
 }
@@ -924,7 +1372,7 @@ declare class BrandsModule {
   /**
    * List all active brands
    */
-  list(): Promise<BrandsListResponse>;
+  list(options?: RequestOptions): Promise<BrandsListResponse>;
 
   /**
    * Get a single brand with its products
@@ -944,7 +1392,7 @@ declare class MarketingModule {
    * Fetches email provider config and injects the appropriate script tag.
    * Safe to call multiple times — only runs once.
    */
-  init(): Promise<MarketingConfig>;
+  init(options?: RequestOptions): Promise<MarketingConfig>;
 
   /**
    * Get the cached config (call init() first).
@@ -989,7 +1437,7 @@ declare class CartModule {
    * Load an existing cart by ID
    * @param cartId - Cart ID to load
    */
-  load(cartId: string): Promise<CartGetResponse>;
+  load(cartId: string, options?: RequestOptions): Promise<CartGetResponse>;
 
   /**
    * Add item to cart
@@ -1005,25 +1453,25 @@ declare class CartModule {
    * Set the per-location quantity split for a multi-location wholesale order.
    * The server derives each line's quantity from the sum across locations.
    */
-  setLocations(locations: Record<string, { label?: string; state?: string; items: Record<string, number> }>): Promise<CartState>;
+  setLocations(locations: Record<string, { label?: string; state?: string; items: Record<string, number> }>, options?: RequestOptions): Promise<CartState>;
 
-  update(sizeId: string, quantity: number): Promise<CartUpdateResponse>;
+  update(sizeId: string, quantity: number, options?: RequestOptions): Promise<CartUpdateResponse>;
 
   /**
    * Get cart contents from server
    */
-  get(): Promise<CartGetResponse>;
+  get(options?: RequestOptions): Promise<CartGetResponse>;
 
   /**
    * Remove item from cart
    * @param sizeId - Size ID of item to remove
    */
-  remove(sizeId: string): Promise<CartRemoveResponse>;
+  remove(sizeId: string, options?: RequestOptions): Promise<CartRemoveResponse>;
 
   /**
    * Clear all items from cart
    */
-  clear(): Promise<CartClearResponse>;
+  clear(options?: RequestOptions): Promise<CartClearResponse>;
 
   /**
    * Get cart totals
@@ -1038,7 +1486,7 @@ declare class CartModule {
   /**
    * Get upsell recommendations for the current cart
    */
-  getUpsells(): Promise<{
+  getUpsells(options?: RequestOptions): Promise<{
     upsells: Array<{
       upsell_id: string; product_id: string; product_name: string; product_slug: string
       product_image: string | null; variation_id: string | null; variation_name: string | null
@@ -1051,14 +1499,14 @@ declare class CartModule {
   /**
    * Start an upsell session (creates server-side timer)
    */
-  startUpsellSession(upsellIds: string[]): Promise<{
+  startUpsellSession(upsellIds: string[], options?: RequestOptions): Promise<{
     session_id: string; expires_at: string; remaining_seconds: number; timer_minutes: number
   }>;
 
   /**
    * Check the status of the active upsell session
    */
-  getUpsellStatus(): Promise<{
+  getUpsellStatus(options?: RequestOptions): Promise<{
     active: boolean; session_id?: string; expires_at?: string; remaining_seconds: number
   }>;
 
@@ -1068,7 +1516,7 @@ declare class CartModule {
    * @param sessionId - CheckoutUpsellSession ID
    * @param sizeId - Optional size override for "All variations" mode upsells
    */
-  addUpsellToCart(upsellId: string, sessionId: string, sizeId?: string | null): Promise<{
+  addUpsellToCart(upsellId: string, sessionId: string, sizeId?: string | null, options?: RequestOptions): Promise<{
     cart_id: string; item: CartItem; message: string
   }>;
 
@@ -1085,20 +1533,20 @@ declare class CartModule {
    *
    * Always returns the fully-hydrated cart state from the server.
    */
-  init(fallbackCartId?: string | null): Promise<CartGetResponse>;
+  init(fallbackCartId?: string | null, options?: RequestOptions): Promise<CartGetResponse>;
 
   /**
    * Load the authenticated user's cart from the backend by customer FK.
    * Works across devices/browsers. Requires an active access token on
    * the client's auth module.
    */
-  loadUserCart(): Promise<CartGetResponse>;
+  loadUserCart(options?: RequestOptions): Promise<CartGetResponse>;
 
   /**
    * Migrate a guest cart to the authenticated user's cart. Falls back to
    * `loadUserCart()` if there is no guest cart to migrate.
    */
-  migrateToUser(): Promise<CartGetResponse>;
+  migrateToUser(options?: RequestOptions): Promise<CartGetResponse>;
 
   /**
    * Reset cart state (used on logout).
@@ -1108,29 +1556,29 @@ declare class CartModule {
   /**
    * Apply a discount code to the cart.
    */
-  applyDiscount(code: string): Promise<{ message: string; cart: CartGetResponse }>;
+  applyDiscount(code: string, email?: string | null, options?: RequestOptions): Promise<{ message: string; cart: CartGetResponse }>;
 
   /**
    * Remove the active discount code from the cart.
    */
-  removeDiscount(): Promise<{ message: string; cart: CartGetResponse }>;
+  removeDiscount(options?: RequestOptions): Promise<{ message: string; cart: CartGetResponse }>;
 }
 
 declare class PagesModule {
   /**
    * List all configured pages
    */
-  list(): Promise<PagesListResponse>;
+  list(options?: RequestOptions): Promise<PagesListResponse>;
 
   /**
    * Get page data by path (with dynamic route matching)
    */
-  getByPath(path: string): Promise<PageDataResponse>;
+  getByPath(path: string, options?: RequestOptions): Promise<PageDataResponse>;
 
   /**
    * Get page data by name
    */
-  getByName(name: string): Promise<PageDataResponse>;
+  getByName(name: string, options?: RequestOptions): Promise<PageDataResponse>;
 }
 
 // =============================================================================
@@ -1221,6 +1669,18 @@ export interface CustomerProfileUpdate {
   metadata?: Record<string, unknown>;
 }
 
+/** Payloads of the events emitted by `dash.auth.on()`. */
+export interface AuthEvents {
+  /** Tokens after a successful refresh — persist them if you store the session */
+  "token-refreshed": { access_token: string; refresh_token: string | null; expires_in: number | null };
+  /** The refresh token was rejected; the local session has been cleared */
+  "session-expired": { error: Error };
+  /** `verifyOTP()`, `login()` or `loginWithCheckoutToken()` started a session */
+  login: { customer: Customer };
+  /** `logout()` cleared the session */
+  logout: Record<string, never>;
+}
+
 declare class AuthModule {
   /** Current access token (public getter — same value as _accessToken) */
   readonly accessToken: string | null;
@@ -1242,9 +1702,9 @@ declare class AuthModule {
    * Request OTP code via email
    * @param email - Customer email address
    */
-  requestOTP(email: string, options?: { accepts_marketing?: boolean; captcha_token?: string }): Promise<{ message: string; email: string }>;
+  requestOTP(email: string, options?: { accepts_marketing?: boolean; captcha_token?: string } & RequestOptions): Promise<{ message: string; email: string }>;
   /** Check whether a customer already exists for this org by email and/or phone. */
-  checkExists(params: { email?: string; phone?: string }): Promise<{ email_exists: boolean; phone_exists: boolean }>;
+  checkExists(params: { email?: string; phone?: string }, options?: RequestOptions): Promise<{ email_exists: boolean; phone_exists: boolean }>;
 
   /**
    * Verify OTP and get tokens.
@@ -1252,26 +1712,45 @@ declare class AuthModule {
    * The positional `(email, code)` overload is also accepted for compat.
    */
   verifyOTP(email: string, code: string): Promise<AuthTokenResponse>;
-  verifyOTP(options: { email: string; code: string }): Promise<AuthTokenResponse>;
+  verifyOTP(options: { email: string; code: string } & RequestOptions): Promise<AuthTokenResponse>;
 
   /**
    * Login with email and password.
    */
-  login(options: { email: string; password: string; captcha_token?: string }): Promise<AuthTokenResponse>;
+  login(options: { email: string; password: string; captcha_token?: string } & RequestOptions): Promise<AuthTokenResponse>;
 
   /**
    * Log a customer in from an abandoned-checkout recovery token
    * ("checkout__<hash>" from a Klaviyo recovery email /checkout?token=...).
    * Applies the returned session; persist the returned cart_id to resume cart.
    */
-  loginWithCheckoutToken(token: string): Promise<CheckoutResumeResponse>;
+  loginWithCheckoutToken(token: string, options?: RequestOptions): Promise<CheckoutResumeResponse>;
 
   /**
    * Refresh access token using the stored refresh token.
    * Runtime method is `refreshAccessToken()`; alias `refresh()` is also present.
    */
   refresh(): Promise<AuthRefreshResponse>;
-  refreshAccessToken(): Promise<AuthRefreshResponse>;
+  refreshAccessToken(options?: RequestOptions): Promise<AuthRefreshResponse>;
+
+  /**
+   * Refresh once however many callers ask concurrently (single-flight). The
+   * client calls this automatically on a 401 and shortly before `expires_in`.
+   * A rejected refresh token clears the session and emits `session-expired`.
+   */
+  refreshSession(): Promise<AuthRefreshResponse>;
+
+  /**
+   * Subscribe to an auth event. Returns an unsubscribe function.
+   *
+   * @example
+   * dash.auth.on("token-refreshed", (t) => localStorage.setItem("token", t.access_token));
+   * dash.auth.on("session-expired", () => router.push("/login"));
+   */
+  on<E extends keyof AuthEvents>(event: E, handler: (payload: AuthEvents[E]) => void): () => void;
+
+  /** Unsubscribe a handler previously passed to `on()`. */
+  off<E extends keyof AuthEvents>(event: E, handler: (payload: AuthEvents[E]) => void): void;
 
   /**
    * Logout current customer
@@ -1281,20 +1760,20 @@ declare class AuthModule {
   /**
    * Get current customer profile
    */
-  getProfile(): Promise<{ customer: Customer }>;
+  getProfile(options?: RequestOptions): Promise<{ customer: Customer }>;
 
   /**
    * Update customer profile
    */
-  updateProfile(data: CustomerProfileUpdate): Promise<{ customer: Customer }>;
+  updateProfile(data: CustomerProfileUpdate, options?: RequestOptions): Promise<{ customer: Customer }>;
 
   /**
    * Update customer metadata (key-value pairs, merged server-side).
    */
-  updateMetadata(metadata: Record<string, unknown>): Promise<{ customer: Customer }>;
+  updateMetadata(metadata: Record<string, unknown>, options?: RequestOptions): Promise<{ customer: Customer }>;
 
   /** List the authenticated customer's saved addresses. */
-  getAddresses(): Promise<{ addresses: SavedAddress[] }>;
+  getAddresses(options?: RequestOptions): Promise<{ addresses: SavedAddress[] }>;
 
   /** Create a new saved address. Set `is_main` to make it the main address. */
   createAddress(data: {
@@ -1306,7 +1785,7 @@ declare class AuthModule {
     zip_code?: string;
     country?: string;
     is_main?: boolean;
-  }): Promise<{ address: SavedAddress }>;
+  }, options?: RequestOptions): Promise<{ address: SavedAddress }>;
 
   /** Update a saved address. Pass `{ is_main: true }` to make it the main one. */
   updateAddress(
@@ -1320,36 +1799,40 @@ declare class AuthModule {
       zip_code: string;
       country: string;
       is_main: boolean;
-    }>
+    }>,
+    options?: RequestOptions
   ): Promise<{ address: SavedAddress }>;
 
   /** Delete a saved address. If it was the main one, another is promoted. */
-  deleteAddress(addressId: string): Promise<{ deleted: boolean }>;
+  deleteAddress(addressId: string, options?: RequestOptions): Promise<{ deleted: boolean }>;
 
   /** Mark a saved address as the customer's main address. */
-  setMainAddress(addressId: string): Promise<{ address: SavedAddress }>;
+  setMainAddress(addressId: string, options?: RequestOptions): Promise<{ address: SavedAddress }>;
 
   /**
    * Get customer's order history
    */
-  getOrders(options?: { limit?: number; offset?: number }): Promise<CustomerOrdersResponse>;
+  getOrders(options?: { limit?: number; offset?: number } & RequestOptions): Promise<CustomerOrdersResponse>;
+
+  /** Iterate the customer's whole order history, fetching pages as needed */
+  iterateOrders(options?: PagingOptions & { offset?: number }): Paginator<CheckoutOrder>;
 
   /**
    * Get a single order by ID
    */
-  getOrder(orderId: string): Promise<{ order: CheckoutOrder }>;
+  getOrder(orderId: string, options?: RequestOptions): Promise<{ order: CheckoutOrder }>;
 
   /**
    * Check if current IP/session is banned
    */
-  checkBan(): Promise<{ banned: boolean; reason?: string }>;
+  checkBan(options?: RequestOptions): Promise<{ banned: boolean; reason?: string }>;
 
   /**
    * Set auth token (positional form used by legacy code).
    * Prefer `setTokens(access, refresh)` for clarity.
    * Passing null clears the stored token.
    */
-  setToken(token: string | null, refreshToken?: string | null): void;
+  setToken(token: string | null, refreshToken?: string | null, expiresIn?: number | null): void;
 
   /**
    * Set tokens manually (e.g., from localStorage on page load)
@@ -1364,22 +1847,22 @@ declare class AuthModule {
   /**
    * Set a password for the authenticated customer (min 8 chars).
    */
-  setPassword(password: string): Promise<{ message: string; customer: Customer }>;
+  setPassword(password: string, options?: RequestOptions): Promise<{ message: string; customer: Customer }>;
 
   /**
    * Merge a guest cart into the authenticated customer's cart.
    */
-  mergeCart(cartId: string): Promise<{ cart: CartGetResponse; cart_id?: string }>;
+  mergeCart(cartId: string, options?: RequestOptions): Promise<{ cart: CartGetResponse; cart_id?: string }>;
 
   /**
    * Request a password reset code sent to the customer's email.
    */
-  requestPasswordReset(email: string): Promise<{ message: string }>;
+  requestPasswordReset(email: string, options?: RequestOptions): Promise<{ message: string }>;
 
   /**
    * Reset password using OTP code.
    */
-  resetPassword(options: { email: string; code: string; password: string }): Promise<{ message: string }>;
+  resetPassword(options: { email: string; code: string; password: string } & RequestOptions): Promise<{ message: string }>;
 }
 
 export interface CustomerOrdersResponse {
@@ -1440,6 +1923,8 @@ export interface ChargeData {
     zip_code?: string;
     country?: string;
   };
+  /** Idempotency-Key sent with the request (generated when omitted). Reuse it to retry safely. */
+  idempotencyKey?: string;
 }
 
 export interface ChargeResult {
@@ -1482,6 +1967,8 @@ export interface AuthorizeData {
     zip_code?: string;
     country?: string;
   };
+  /** Idempotency-Key sent with the request (generated when omitted). Reuse it to retry safely. */
+  idempotencyKey?: string;
 }
 
 export interface AuthorizeResult {
@@ -1504,6 +1991,8 @@ export interface CaptureData {
   transactionId: string;
   /** Amount to capture (optional, defaults to original auth amount) */
   amount?: string | number;
+  /** Idempotency-Key sent with the request (generated when omitted). Reuse it to retry safely. */
+  idempotencyKey?: string;
 }
 
 export interface CaptureResult {
@@ -1522,6 +2011,8 @@ export interface CaptureResult {
 export interface VoidData {
   /** Transaction ID from authorize() */
   transactionId: string;
+  /** Idempotency-Key sent with the request (generated when omitted). Reuse it to retry safely. */
+  idempotencyKey?: string;
 }
 
 export interface VoidResult {
@@ -1654,6 +2145,8 @@ export declare class GooglePayCSR {
     cardNetworks?: string[];
     authMethods?: string[];
     descriptor?: string;
+    /** Logger for failures (default: the console; `dash.payment.googlePay()` passes the client's) */
+    logger?: LogSink | Logger;
   });
   /** Load pay.js and build the PaymentsClient. Idempotent. */
   load(): Promise<void>;
@@ -1694,12 +2187,12 @@ declare class PaymentModule {
    * const processor = await dash.payment.load();
    * console.log(processor.slug); // "authorize-net"
    */
-  load(): Promise<StorefrontPaymentProcessor>;
+  load(options?: RequestOptions): Promise<StorefrontPaymentProcessor>;
 
   /**
    * Get the active processor info without loading the client library.
    */
-  getProcessor(): Promise<StorefrontPaymentProcessor | null>;
+  getProcessor(options?: RequestOptions): Promise<StorefrontPaymentProcessor | null>;
 
   /**
    * Tokenize card data. CSR only — must call load() first.
@@ -1747,7 +2240,7 @@ declare class PaymentModule {
    *   invoiceNumber: "1001",
    * });
    */
-  charge(data: ChargeData): Promise<ChargeResult>;
+  charge(data: ChargeData, options?: RequestOptions): Promise<ChargeResult>;
 
   /**
    * Authorize a payment without capturing (place a hold on the card).
@@ -1761,7 +2254,7 @@ declare class PaymentModule {
    * });
    * // Store auth.authorization.transaction_id for later
    */
-  authorize(data: AuthorizeData): Promise<AuthorizeResult>;
+  authorize(data: AuthorizeData, options?: RequestOptions): Promise<AuthorizeResult>;
 
   /**
    * Capture a previously authorized payment.
@@ -1773,7 +2266,7 @@ declare class PaymentModule {
    *   amount: "89.99", // Optional: capture less than authorized
    * });
    */
-  capture(data: CaptureData): Promise<CaptureResult>;
+  capture(data: CaptureData, options?: RequestOptions): Promise<CaptureResult>;
 
   /**
    * Void a previously authorized payment.
@@ -1784,7 +2277,7 @@ declare class PaymentModule {
    *   transactionId: "123456789",
    * });
    */
-  void(data: VoidData): Promise<VoidResult>;
+  void(data: VoidData, options?: RequestOptions): Promise<VoidResult>;
 
   /**
    * Get the underlying processor handler for advanced usage.
@@ -1846,7 +2339,7 @@ export interface BlogPostSEO {
   og_image: string | null;
 }
 
-export interface BlogPostsListOptions {
+export interface BlogPostsListOptions extends RequestOptions {
   /** Number of posts per page (default: 20, max: 100) */
   limit?: number;
   /** Pagination offset (default: 0) */
@@ -1870,7 +2363,7 @@ export interface BlogPostsListResponse {
   blogs?: BlogPost[];
 }
 
-export interface BlogPostGetOptions {
+export interface BlogPostGetOptions extends RequestOptions {
   /** View tracking mode (default: "session") */
   trackViews?: "session" | "always" | "none";
 }
@@ -1893,12 +2386,12 @@ declare class SeoModule {
   /**
    * Get SEO metadata for a product
    */
-  product(slug: string): Promise<{ seo: ProductSEO & { canonical_slug: string } }>;
+  product(slug: string, options?: RequestOptions): Promise<{ seo: ProductSEO & { canonical_slug: string } }>;
 
   /**
    * Get SEO metadata for a blog post
    */
-  blogPost(slug: string): Promise<BlogPostSeoResponse>;
+  blogPost(slug: string, options?: RequestOptions): Promise<BlogPostSeoResponse>;
 }
 
 declare class BlogModule {
@@ -1907,6 +2400,9 @@ declare class BlogModule {
    */
   list(options?: BlogPostsListOptions): Promise<BlogPostsListResponse>;
 
+  /** Iterate every post matching the filters, fetching pages as needed */
+  iterate(options?: BlogPostsListOptions & PagingOptions): Paginator<BlogPost>;
+
   /**
    * Get a single blog post by slug (with full content)
    * @param slug - Blog post slug
@@ -1917,12 +2413,12 @@ declare class BlogModule {
   /**
    * Get SEO metadata for a blog post
    */
-  getSeo(slug: string): Promise<BlogPostSeoResponse>;
+  getSeo(slug: string, options?: RequestOptions): Promise<BlogPostSeoResponse>;
 
   /**
    * List active blog categories
    */
-  listCategories(): Promise<BlogCategoriesListResponse>;
+  listCategories(options?: RequestOptions): Promise<BlogCategoriesListResponse>;
 
   /**
    * Legacy callable alias for `listCategories()`.
@@ -2024,6 +2520,12 @@ export interface CheckoutCompleteData {
   };
   /** Captcha token for bot protection */
   captcha_token?: string;
+  /**
+   * Idempotency-Key sent with the request (generated when omitted). Pass the
+   * same key when retrying after an ambiguous failure so the backend returns
+   * the original order instead of placing a second one.
+   */
+  idempotencyKey?: string;
 }
 
 export interface CheckoutOrderItem {
@@ -2133,7 +2635,7 @@ declare class CheckoutModule {
    *   email: "customer@example.com",
    * });
    */
-  start(data: CheckoutStartData): Promise<CheckoutStartResponse>;
+  start(data: CheckoutStartData, options?: RequestOptions): Promise<CheckoutStartResponse>;
 
   /**
    * Complete checkout — verifies OTP code, creates order from cart.
@@ -2151,7 +2653,7 @@ declare class CheckoutModule {
    *   },
    * });
    */
-  complete(data: CheckoutCompleteData): Promise<CheckoutCompleteResponse>;
+  complete(data: CheckoutCompleteData, options?: RequestOptions): Promise<CheckoutCompleteResponse>;
 
   /**
    * Get allowed shipping locations (countries and states).
@@ -2160,7 +2662,7 @@ declare class CheckoutModule {
    * @example
    * const { countries } = await dash.checkout.getShippingLocations();
    */
-  getShippingLocations(): Promise<{
+  getShippingLocations(options?: RequestOptions): Promise<{
     countries: Array<{
       id: string;
       name: string;
@@ -2176,7 +2678,7 @@ declare class CheckoutModule {
    * @example
    * const { banned_states } = await dash.checkout.getBannedStateNames();
    */
-  getBannedStateNames(): Promise<{
+  getBannedStateNames(options?: RequestOptions): Promise<{
     banned_states: Array<{ code: string; name: string }>;
   }>;
 
@@ -2193,7 +2695,7 @@ declare class CheckoutModule {
    * @example
    * const r = await dash.checkout.resume("checkout__abc123...");
    */
-  resume(token: string): Promise<CheckoutResumeResponse>;
+  resume(token: string, options?: RequestOptions): Promise<CheckoutResumeResponse>;
 
   /**
    * Place a wholesale order request — NO payment, NO OTP.
@@ -2214,7 +2716,282 @@ declare class CheckoutModule {
    *   customerNotes: "Company: Acme Clinic",
    * });
    */
-  placeWholesaleRequest(data: WholesaleRequestData): Promise<WholesaleRequestResponse>;
+  placeWholesaleRequest(data: WholesaleRequestData, options?: RequestOptions): Promise<WholesaleRequestResponse>;
+}
+
+// =============================================================================
+// SEARCH MODULE
+// =============================================================================
+
+/** A document in a SearchIndex. */
+export interface SearchDocument<D = Record<string, any>> {
+  /** e.g. "product", "category", "brand", "post", "page" */
+  type: string;
+  id: string;
+  title: string;
+  /** Category, brand, tag names… */
+  keywords?: string | string[];
+  /** Plain text (strip HTML first) */
+  body?: string;
+  /** Where the result links to */
+  url?: string;
+  /** Anything else to hand back with results (image, price…) */
+  data?: D;
+}
+
+/** Part of a highlighted field; render `match` segments as e.g. `<mark>`. */
+export interface SearchHighlightSegment {
+  text: string;
+  match: boolean;
+}
+
+export interface SearchResult<D = Record<string, any>> extends SearchDocument<D> {
+  keywords?: string[];
+  score: number;
+  /** Present for fields that matched; `body` is a snippet around the first match */
+  highlights: { title?: SearchHighlightSegment[]; body?: SearchHighlightSegment[] };
+}
+
+export interface SearchIndexOptions {
+  /** Field weights (default: title 3, keywords 1.5, body 1) */
+  boost?: Partial<Record<"title" | "keywords" | "body", number>>;
+  /**
+   * Groups of interchangeable words (`[["tee", "tshirt"]]`), or one-way
+   * expansions (`{ pen: ["vape"] }`: "pen" also finds "vape").
+   */
+  synonyms?: string[][] | Record<string, string[]>;
+  /** Length of the `body` highlight window (default: 120) */
+  snippetLength?: number;
+}
+
+export interface SearchQueryOptions {
+  /** Default: 10 */
+  limit?: number;
+  /** Only these document types */
+  types?: string[];
+  /** Let words match the start of longer terms: "blu" finds "blue" (default: true) */
+  prefix?: boolean;
+  /** Tolerate typos: one edit from 4 letters, two from 8 (default: true) */
+  fuzzy?: boolean;
+}
+
+/** Output of `SearchIndex#toJSON()`; ship it as a static asset. */
+export interface SerializedSearchIndex {
+  version: number;
+  boost: Record<string, number>;
+  synonyms: string[][] | Record<string, string[]>;
+  snippetLength: number;
+  docs: SearchDocument[];
+}
+
+export declare const DEFAULT_SEARCH_BOOST: { title: number; keywords: number; body: number };
+
+/** Lowercase, without diacritics, apostrophes or hyphens ("T-Shirt" → "tshirt"). */
+export declare function foldTerm(word: string): string;
+
+/**
+ * In-memory full-text index with typo-tolerant prefix matching, synonyms,
+ * field boosts and highlighting. Every query word must match.
+ */
+export declare class SearchIndex {
+  constructor(options?: SearchIndexOptions);
+  readonly boost: Record<string, number>;
+  readonly snippetLength: number;
+  /** Number of documents */
+  readonly size: number;
+  /** Add a document, replacing any with the same `type` and `id` */
+  add(doc: SearchDocument): this;
+  remove(type: string, id: string): boolean;
+  search(query: string, options?: SearchQueryOptions): SearchResult[];
+  toJSON(): SerializedSearchIndex;
+  /** @throws {DashError} `invalid_search_index` for an index built by an incompatible version */
+  static load(serialized: SerializedSearchIndex | string): SearchIndex;
+}
+
+export type SearchSource = "products" | "categories" | "brands" | "blog" | "pageGroups";
+
+export declare const SEARCH_SOURCES: SearchSource[];
+
+export interface SearchBuildOptions extends RequestOptions, SearchIndexOptions {
+  /** Sources to read (default: all) */
+  sources?: SearchSource[];
+  /** Page group slugs to index (default: every group) */
+  pageGroups?: string[];
+  /** Characters of description/excerpt kept per document (default: 300) */
+  bodyLength?: number;
+  /** Adjust each document (set `url`, add `data`) or return null to leave it out */
+  transform?: (doc: SearchDocument, item: any) => SearchDocument | null;
+}
+
+export declare class SearchModule {
+  /** The index `query()` searches; set by `build()` and `load()` */
+  index: SearchIndex | null;
+
+  /**
+   * Fetch products, categories, brands, blog posts and page group items and
+   * index them. Run it at build time and ship `JSON.stringify(index)`.
+   * @throws {DashValidationError} For an unknown source
+   */
+  build(options?: SearchBuildOptions): Promise<SearchIndex>;
+
+  /** Use a serialized index (or a SearchIndex) for `query()` */
+  load(serialized: SerializedSearchIndex | string | SearchIndex): SearchIndex;
+
+  /**
+   * Search the loaded index. Synchronous, no network.
+   * @throws {DashError} `search_index_not_loaded` before `build()` or `load()`
+   *
+   * @example
+   * dash.search.load(await fetch("/search-index.json").then((r) => r.json()));
+   * const results = dash.search.query("blu drem", { limit: 8 });
+   */
+  query(query: string, options?: SearchQueryOptions): SearchResult[];
+}
+
+// =============================================================================
+// WISHLIST MODULE
+// =============================================================================
+
+/** A saved product. `product` is a snapshot for guests and the live product for customers. */
+export interface WishlistItem {
+  product_id: string;
+  /** Null when the product, not one size of it, was saved */
+  size_id: string | null;
+  /** ISO timestamp */
+  added_at: string;
+  product: {
+    id: string;
+    name: string;
+    slug: string;
+    main_image: string | null;
+    price: string | number | null;
+    discounted_price: string | number | null;
+    in_stock: boolean | null;
+  } | null;
+}
+
+/** A product id, or a product (and optionally one size of it). */
+export type WishlistTarget = string | { productId: string; sizeId?: string | null; product?: Partial<Product> };
+
+/** Where guest items are kept — a `StorageManager` from `dash4devs/storage` by default. */
+export interface WishlistStorage {
+  get(key: string, defaultValue?: any): any;
+  set(key: string, value: any): void;
+  remove(key: string): void;
+}
+
+export interface WishlistEvents {
+  /** After every add, remove, clear, list and merge, and on logout */
+  change: { items: WishlistItem[] };
+}
+
+export declare class WishlistModule {
+  /** Guest item storage; assign another `StorageManager` to change the prefix or type */
+  storage: WishlistStorage;
+  /** The last known items, without a request */
+  readonly items: WishlistItem[];
+
+  on<E extends keyof WishlistEvents>(event: E, handler: (payload: WishlistEvents[E]) => void): () => void;
+  off<E extends keyof WishlistEvents>(event: E, handler: (payload: WishlistEvents[E]) => void): void;
+
+  /** Whether a product (and size, when given) is saved, going by `items` */
+  has(item: WishlistTarget): boolean;
+
+  /** The customer's wishlist (merging guest items first), or the guest's */
+  list(options?: RequestOptions): Promise<{ items: WishlistItem[] }>;
+
+  /**
+   * Save a product. Fires the Meta Pixel `AddToWishlist` event and an
+   * `added_to_wishlist` capture unless `track: false`, and only when the
+   * wishlist didn't already have it. The pixel gets a `value` only when the
+   * currency is known (`options.currency`, else `product.currency`).
+   *
+   * @example
+   * await dash.wishlist.add({ productId: product.id, product }, { currency: global.currency });
+   */
+  add(item: WishlistTarget, options?: { track?: boolean; currency?: string } & RequestOptions): Promise<{ items: WishlistItem[] }>;
+
+  /** Remove a product or size; captures `removed_from_wishlist` only when something was removed */
+  remove(item: WishlistTarget, options?: { track?: boolean } & RequestOptions): Promise<{ items: WishlistItem[] }>;
+
+  toggle(item: WishlistTarget, options?: { track?: boolean; currency?: string } & RequestOptions): Promise<{ items: WishlistItem[]; added: boolean }>;
+
+  /**
+   * Add a saved product to the cart and take it off the wishlist.
+   * @throws {DashValidationError} When neither `item` nor the saved item has a size
+   */
+  moveToCart(item: WishlistTarget, options?: { quantity?: number } & RequestOptions): Promise<{ cart: CartAddResponse; items: WishlistItem[] }>;
+
+  clear(options?: RequestOptions): Promise<{ items: WishlistItem[] }>;
+
+  /**
+   * Merge the guest wishlist into the logged-in customer's. Runs on its own
+   * after login and before the first account read.
+   * @throws {DashAuthError} When no customer is logged in
+   */
+  merge(options?: RequestOptions): Promise<{ items: WishlistItem[] }>;
+}
+
+// =============================================================================
+// HISTORY MODULE
+// =============================================================================
+
+/** A stored product view. */
+export interface HistoryEntry {
+  product_id: string;
+  slug: string;
+  /** Name, image and price as seen at the time */
+  name: string | null;
+  main_image: string | null;
+  price: string | number | null;
+  /** ISO timestamp of the last view */
+  viewed_at: string;
+}
+
+export interface RecentlyViewedOptions extends RequestOptions {
+  /** Default: 10 */
+  limit?: number;
+  /** Product ids to leave out (e.g. the one on screen) */
+  excludeIds?: string[];
+  /** Set false to return the stored entries without requests (default: true) */
+  hydrate?: boolean;
+  /** Products fetched at once (default: 4) */
+  concurrency?: number;
+}
+
+export declare class HistoryModule {
+  /** Most views kept (default: 50) */
+  maxEntries: number;
+  /** Where views are kept; assign another `StorageManager` to change the prefix or type */
+  storage: WishlistStorage;
+  /** Stored views, newest first */
+  readonly entries: HistoryEntry[];
+
+  /**
+   * Record a product detail view: stored newest first, one entry per product,
+   * and fires `marketing.viewedProduct` and `insights.track("view_item")`
+   * unless `track: false`. A repeat view within 30 seconds isn't tracked again.
+   * @throws {DashValidationError} When `id` or `slug` is missing
+   *
+   * @example
+   * useEffect(() => { dash.history.record(product); }, [product.id]);
+   */
+  record(
+    product: { id: string; slug: string; [key: string]: any },
+    options?: { url?: string; track?: boolean },
+  ): HistoryEntry;
+
+  /**
+   * Recently viewed products, newest first, fetched with `products.getCore()`
+   * a few at a time. Products that no longer exist are dropped from the
+   * history and replaced by older views.
+   */
+  recentlyViewed(options?: RecentlyViewedOptions): Promise<{ products: Array<Record<string, any> & { id: string; slug: string; viewed_at: string }> }>;
+
+  /** Forget one product's views */
+  remove(productId: string): void;
+  /** Forget every view */
+  clear(): void;
 }
 
 // =============================================================================
@@ -2239,7 +3016,7 @@ export interface ShippingRate {
   [key: string]: any;
 }
 
-export interface ShippingRateOptions {
+export interface ShippingRateOptions extends RequestOptions {
   /** Carrier code (e.g., "stamps_com", "fedex", "ups") */
   carrier_code?: string;
   /** Carrier IDs (e.g., ["se-xxxxxx"]) */
@@ -2363,7 +3140,7 @@ export declare class ShippingModule {
    *   postal_code: "10001",
    * });
    */
-  validateAddress(address: AddressValidationInput): Promise<AddressValidationResult>;
+  validateAddress(address: AddressValidationInput, options?: RequestOptions): Promise<AddressValidationResult>;
 
   /**
    * Track a shipment by tracking number.
@@ -2372,7 +3149,7 @@ export declare class ShippingModule {
    * const tracking = await dash.shipping.track("1Z999AA10123456784", "ups");
    * console.log(tracking.tracking_url);
    */
-  track(trackingNumber: string, carrierCode?: string): Promise<TrackingResult>;
+  track(trackingNumber: string, carrierCode?: string, options?: RequestOptions): Promise<TrackingResult>;
 
   /**
    * Get the cheapest shipping rate for a package.
@@ -2427,7 +3204,7 @@ export declare class ShippingModule {
    *   console.log(`Add $${result.remaining.toFixed(2)} more for free shipping`);
    * }
    */
-  checkFreeShipping(subtotal: number | string): Promise<FreeShippingCheck>;
+  checkFreeShipping(subtotal: number | string, options?: RequestOptions): Promise<FreeShippingCheck>;
 }
 
 // =============================================================================
@@ -2524,7 +3301,7 @@ export declare class TaxModule {
    * console.log(result.total_tax);  // "12.50"
    * console.log(result.is_legal);   // true
    */
-  calculate(options: TaxCalculateOptions): Promise<TaxCalculateResponse>;
+  calculate(options: TaxCalculateOptions, requestOptions?: RequestOptions): Promise<TaxCalculateResponse>;
 
   /**
    * Calculate tax for the current cart in a given state.
@@ -2534,7 +3311,7 @@ export declare class TaxModule {
    * const result = await dash.tax.calculateForCart("NY");
    * console.log(result.total_tax);  // "8.50"
    */
-  calculateForCart(state: string): Promise<TaxCalculateResponse>;
+  calculateForCart(state: string, options?: RequestOptions): Promise<TaxCalculateResponse>;
 
   /**
    * Check if all items are legal to sell in a given state.
@@ -2546,7 +3323,7 @@ export declare class TaxModule {
    *   check.illegal_items.forEach(item => console.log(item.message));
    * }
    */
-  checkLegality(state: string, options?: Omit<TaxCalculateOptions, "state">): Promise<TaxLegalityCheck>;
+  checkLegality(state: string, options?: Omit<TaxCalculateOptions, "state"> & RequestOptions): Promise<TaxLegalityCheck>;
 
   /**
    * Parse the total tax amount from a calculation result as a number.
@@ -2660,13 +3437,13 @@ export declare class CoaModule {
   constructor(client: DashClient);
 
   /** List products that have at least one variation with a lab-report file */
-  list(options?: { q?: string; includeVariations?: boolean }): Promise<CoaListResponse>;
+  list(options?: { q?: string; includeVariations?: boolean } & RequestOptions): Promise<CoaListResponse>;
 
   /** Get a product and its variations that have COA files */
-  getProduct(productSlug: string): Promise<CoaProductResponse>;
+  getProduct(productSlug: string, options?: RequestOptions): Promise<CoaProductResponse>;
 
   /** Get a single variation's COA detail (lab report URL) */
-  getVariation(productSlug: string, variationSlug: string): Promise<CoaDetailResponse>;
+  getVariation(productSlug: string, variationSlug: string, options?: RequestOptions): Promise<CoaDetailResponse>;
 }
 
 // =============================================================================
@@ -2698,10 +3475,10 @@ export declare class LegalModule {
   constructor(client: DashClient);
 
   /** List all published legal documents (title, slug, updated_at) */
-  list(): Promise<LegalDocumentsListResponse>;
+  list(options?: RequestOptions): Promise<LegalDocumentsListResponse>;
 
   /** Get a single legal document by slug (full content) */
-  get(slug: string): Promise<LegalDocumentResponse>;
+  get(slug: string, options?: RequestOptions): Promise<LegalDocumentResponse>;
 }
 
 // =============================================================================
@@ -2721,7 +3498,7 @@ export interface MediaItem {
   metadata: Record<string, string>;
 }
 
-export interface MediaGetFolderOptions {
+export interface MediaGetFolderOptions extends RequestOptions {
   metadata?: Record<string, string>;
 }
 
@@ -2766,7 +3543,7 @@ export declare class MediaModule {
    * const { file } = await dash.media.getByName("brick_desktop");
    * console.log(file.url);
    */
-  getByName(name: string): Promise<MediaByNameResponse>;
+  getByName(name: string, options?: RequestOptions): Promise<MediaByNameResponse>;
 }
 
 export interface HtmlTemplate {
@@ -2786,7 +3563,7 @@ export declare class HtmlTemplatesModule {
    * const { template } = await dash.htmlTemplates.get("htmltmpl__abc123");
    * // template.html → raw HTML string
    */
-  get(idOrSlug: string): Promise<{ template: HtmlTemplate }>;
+  get(idOrSlug: string, options?: RequestOptions): Promise<{ template: HtmlTemplate }>;
 }
 
 export declare class EmailModule {
@@ -2801,7 +3578,7 @@ export declare class EmailModule {
     last_name?: string;
     phone?: string;
     properties?: Record<string, any>;
-  }): Promise<{ message: string }>;
+  } & RequestOptions): Promise<{ message: string }>;
 
   /**
    * Track an event in the email provider (Klaviyo).
@@ -2811,7 +3588,7 @@ export declare class EmailModule {
     email: string;
     event: string;
     properties?: Record<string, any>;
-  }): Promise<{ message: string }>;
+  } & RequestOptions): Promise<{ message: string }>;
 }
 
 // =============================================================================
@@ -2854,10 +3631,10 @@ export declare class DiscountStoreModule {
   constructor(client: DashClient);
 
   /** List available discount store products (includes customer points if authenticated) */
-  list(): Promise<DiscountStoreListResponse>;
+  list(options?: RequestOptions): Promise<DiscountStoreListResponse>;
 
   /** Redeem a product using loyalty points (requires auth) */
-  redeem(productId: string): Promise<DiscountStoreRedeemResponse>;
+  redeem(productId: string, options?: RequestOptions): Promise<DiscountStoreRedeemResponse>;
 }
 
 // =============================================================================
@@ -2879,10 +3656,10 @@ export declare class EarnPointsModule {
   constructor(client: DashClient);
 
   /** List completed earn-point tasks for the authenticated customer */
-  list(): Promise<EarnPointsListResponse>;
+  list(options?: RequestOptions): Promise<EarnPointsListResponse>;
 
   /** Mark a social task as completed and award points (requires auth) */
-  complete(taskId: string): Promise<EarnPointsCompleteResponse>;
+  complete(taskId: string, options?: RequestOptions): Promise<EarnPointsCompleteResponse>;
 }
 
 // =============================================================================
@@ -2984,10 +3761,10 @@ export declare class FormsModule {
   constructor(client: DashClient);
 
   /** Fetch the published form schema for `slug`. */
-  get(slug: string): Promise<FormGetResponse>;
+  get(slug: string, options?: RequestOptions): Promise<FormGetResponse>;
 
   /** Submit answers + signatures to form `slug`. */
-  submit(slug: string, payload: FormSubmitPayload): Promise<FormSubmitResponse>;
+  submit(slug: string, payload: FormSubmitPayload, options?: RequestOptions): Promise<FormSubmitResponse>;
 }
 
 // =============================================================================
@@ -3052,7 +3829,7 @@ export interface SurveyValidateResult {
   fields: Record<string, string>;
 }
 
-export interface SurveySubmitOptions {
+export interface SurveySubmitOptions extends RequestOptions {
   /** URL of the page that originated the submission (defaults to window.location.href). */
   sourceUrl?: string;
   /** Optional respondent identity for anonymous submissions. */
@@ -3094,7 +3871,7 @@ export declare class SurveyModule {
   constructor(client: DashClient);
 
   /** Fetch a published survey's schema/metadata for `slug`. */
-  get(slug: string): Promise<SurveyGetResponse>;
+  get(slug: string, options?: RequestOptions): Promise<SurveyGetResponse>;
 
   /**
    * Client-side validation against a fetched survey schema (same rules the
@@ -3117,7 +3894,7 @@ export declare class SurveyModule {
    * dashboard-built schema. Attributed to the logged-in customer via the Bearer
    * token when present, else anonymous.
    */
-  submitLanding(payload: LandingSurveyPayload): Promise<LandingSurveySubmitResponse>;
+  submitLanding(payload: LandingSurveyPayload, options?: RequestOptions): Promise<LandingSurveySubmitResponse>;
 }
 
 // =============================================================================
@@ -3215,7 +3992,7 @@ export interface PageGroupItem {
   [key: string]: any;
 }
 
-export interface PageGroupAllOptions {
+export interface PageGroupAllOptions extends RequestOptions {
   /** Max items returned (default: 50) */
   limit?: number;
   /** Pagination offset (default: 0) */
@@ -3259,6 +4036,9 @@ export declare class PageGroup {
   /** Fetch every published item in this group (paginated). */
   all(options?: PageGroupAllOptions): Promise<PageGroupItemsResponse>;
 
+  /** Iterate every published item in this group, fetching pages as needed. */
+  iterate(options?: PagingOptions & { offset?: number }): Paginator<PageGroupItem>;
+
   /**
    * Filter items in this group using a predicate function or an object
    * spec. Filtering runs client-side after `all()`.
@@ -3269,20 +4049,20 @@ export declare class PageGroup {
   ): Promise<PageGroupItem[]>;
 
   /** Fetch a single published item by its slug. */
-  get(itemSlug: string): Promise<PageGroupItemResponse>;
+  get(itemSlug: string, options?: RequestOptions): Promise<PageGroupItemResponse>;
 
   /** Find the first item matching the predicate, or `null`. */
-  find(predicate: PageGroupPredicate): Promise<PageGroupItem | null>;
+  find(predicate: PageGroupPredicate, options?: RequestOptions): Promise<PageGroupItem | null>;
 
   /** Count published items (uses pagination metadata). */
-  count(): Promise<number>;
+  count(options?: RequestOptions): Promise<number>;
 }
 
 export declare class PageGroupsModule {
   constructor(client: DashClient);
 
   /** List every published Page Group (collection metadata, not items). */
-  list(): Promise<PageGroupListResponse>;
+  list(options?: RequestOptions): Promise<PageGroupListResponse>;
 
   /** Get a fluent builder for a specific group. */
   group(slug: string): PageGroup;
@@ -3298,9 +4078,9 @@ export declare class PageGroupsModule {
  */
 export declare class ContentTypesModule {
   constructor(client: DashClient);
-  list(): Promise<PageGroupListResponse>;
+  list(options?: RequestOptions): Promise<PageGroupListResponse>;
   listItems(typeSlug: string, options?: PageGroupAllOptions): Promise<PageGroupItemsResponse>;
-  getItem(typeSlug: string, itemSlug: string): Promise<PageGroupItemResponse>;
+  getItem(typeSlug: string, itemSlug: string, options?: RequestOptions): Promise<PageGroupItemResponse>;
 }
 
 // =============================================================================
@@ -3374,7 +4154,7 @@ export declare class TrackingModule {
    * Initialize tracking by fetching org config.
    * Call once on page load: `await dash.tracking.init()`
    */
-  init(): Promise<{ active: boolean }>;
+  init(options?: RequestOptions): Promise<{ active: boolean }>;
 
   /**
    * Capture a custom event.
@@ -3424,7 +4204,7 @@ export declare class TrackingModule {
   /**
    * Track a storefront visit with UTM parameters.
    */
-  trackVisit(options?: { customer_id?: string; session_id?: string }): Promise<{ success: boolean }>;
+  trackVisit(options?: { customer_id?: string; session_id?: string } & RequestOptions): Promise<{ success: boolean }>;
 
   optIn(): void;
   optOut(): void;
@@ -3478,7 +4258,7 @@ export declare class AffiliatesModule {
   /**
    * Get the affiliate application form configuration.
    */
-  getFormConfig(): Promise<{
+  getFormConfig(options?: RequestOptions): Promise<{
     is_active: boolean;
     custom_fields: any[];
     welcome_message: string;
@@ -3495,12 +4275,12 @@ export declare class AffiliatesModule {
     custom_fields?: Record<string, any>;
     source_url?: string;
     turnstile_token?: string;
-  }): Promise<{ success: boolean; message: string; request_id: string }>;
+  }, options?: RequestOptions): Promise<{ success: boolean; message: string; request_id: string }>;
 
   /**
    * Get current customer's affiliate status. Requires authentication.
    */
-  getMyStatus(): Promise<{
+  getMyStatus(options?: RequestOptions): Promise<{
     is_affiliate: boolean;
     has_pending_request: boolean;
     request_status: string | null;
@@ -3510,7 +4290,7 @@ export declare class AffiliatesModule {
   /**
    * Get affiliate dashboard data. Requires authentication + approved status.
    */
-  getMyDashboard(): Promise<{
+  getMyDashboard(options?: RequestOptions): Promise<{
     tier_name: string;
     commission_rate: number;
     total_orders: number;
@@ -3523,7 +4303,7 @@ export declare class AffiliatesModule {
   /**
    * Create a discount code as an affiliate.
    */
-  createCode(data: { code: string }): Promise<{
+  createCode(data: { code: string }, options?: RequestOptions): Promise<{
     success: boolean;
     message: string;
     discount_code: Record<string, any>;
@@ -3532,7 +4312,7 @@ export declare class AffiliatesModule {
   /**
    * Update affiliate profile (e.g., PayPal email).
    */
-  updateProfile(data: { paypal_email?: string }): Promise<{
+  updateProfile(data: { paypal_email?: string }, options?: RequestOptions): Promise<{
     success: boolean;
     paypal_email: string;
   }>;
@@ -3540,16 +4320,21 @@ export declare class AffiliatesModule {
   /**
    * Deactivate one of the affiliate's own discount codes (one-way).
    */
-  deactivateCode(codeId: string): Promise<{ success: boolean; message: string }>;
+  deactivateCode(codeId: string, options?: RequestOptions): Promise<{ success: boolean; message: string }>;
 
   /**
    * List the current affiliate's product requests.
    */
-  listProductRequests(params?: { page?: number }): Promise<{
+  listProductRequests(params?: { page?: number }, options?: RequestOptions): Promise<{
     requests: any[];
     pagination: Pagination;
   }>;
 
+  /**
+   * Iterate all of the current affiliate's product requests, page by page.
+   */
+  iterateProductRequests(params?: { page?: number }, options?: RequestOptions & { concurrency?: number }): Paginator<any>;
+
   /**
    * Submit a new product request.
    */
@@ -3567,17 +4352,17 @@ export declare class AffiliatesModule {
     expected_sales: string;
     content_links?: string;
     additional_notes?: string;
-  }): Promise<{ success: boolean; message: string; request_id: string }>;
+  }, options?: RequestOptions): Promise<{ success: boolean; message: string; request_id: string }>;
 
   /**
    * Get a single product request by ID.
    */
-  getProductRequest(requestId: string): Promise<{ request: Record<string, any> }>;
+  getProductRequest(requestId: string, options?: RequestOptions): Promise<{ request: Record<string, any> }>;
 
   /**
    * Update a pending product request.
    */
-  updateProductRequest(requestId: string, data: Record<string, any>): Promise<{
+  updateProductRequest(requestId: string, data: Record<string, any>, options?: RequestOptions): Promise<{
     success: boolean;
     message: string;
   }>;
@@ -3596,7 +4381,7 @@ export declare class ReferralsModule {
   validate(data: {
     secret: string;
     subtotal: string | number;
-  }): Promise<{
+  }, options?: RequestOptions): Promise<{
     valid: boolean;
     referrer_first_name: string;
     code: string;
@@ -3611,7 +4396,7 @@ export declare class ReferralsModule {
   /**
    * Get referral dashboard data for the authenticated customer.
    */
-  dashboard(): Promise<{
+  dashboard(options?: RequestOptions): Promise<{
     referral_secret: string;
     referral_link: string;
     total_referrals: number;
@@ -3621,6 +4406,102 @@ export declare class ReferralsModule {
   }>;
 }
 
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/** Stable machine-readable error codes. Branch on these, not on messages. */
+export type DashErrorCode =
+  | "dash_error"
+  | "api_error"
+  | "bad_request"
+  | "not_found"
+  | "conflict"
+  | "server_error"
+  | "invalid_response"
+  | "validation_error"
+  | "unauthorized"
+  | "forbidden"
+  | "rate_limited"
+  | "banned"
+  | "network_error"
+  | "timeout"
+  | "circuit_open"
+  | "aborted"
+  | "no_cart"
+  | "no_processor"
+  | "processor_not_loaded"
+  | "processor_misconfigured"
+  | "unsupported_processor"
+  | "unsupported_environment"
+  | "secret_key_exposed";
+
+export interface DashErrorOptions {
+  code?: DashErrorCode | string;
+  status?: number | null;
+  details?: any;
+  cause?: unknown;
+}
+
+/** Base class of every error the SDK throws. */
+export declare class DashError extends Error {
+  constructor(message: string, options?: DashErrorOptions);
+  /** Stable machine-readable code */
+  readonly code: DashErrorCode | string;
+  /** HTTP status, when there was a response */
+  readonly status: number | null;
+  /** Parsed response body (or `{ body }` excerpt for non-JSON responses) */
+  readonly details: any;
+}
+
+/** The API answered with an error status, or with a body that wasn't JSON. */
+export declare class DashApiError extends DashError {}
+
+/** 422 from the API, or bad arguments caught before sending. */
+export declare class DashValidationError extends DashApiError {
+  constructor(message: string, options?: DashErrorOptions & { fields?: Record<string, string> });
+  /** Field name → message */
+  readonly fields: Record<string, string>;
+}
+
+/** Missing, expired or insufficient credentials (`unauthorized` / `forbidden`). */
+export declare class DashAuthError extends DashApiError {}
+
+/** 429 Too Many Requests. */
+export declare class DashRateLimitError extends DashApiError {
+  constructor(message: string, options?: DashErrorOptions & { retryAfterMs?: number | null });
+  /** How long the server asked us to wait, when it said */
+  readonly retryAfterMs: number | null;
+}
+
+/** The visitor or IP is banned from this storefront. */
+export declare class DashBannedError extends DashApiError {
+  constructor(message: string, options?: DashErrorOptions & { reason?: string | null });
+  readonly reason: string | null;
+}
+
+/** No response was received at all (offline, DNS, connection reset, CORS). */
+export declare class DashNetworkError extends DashError {}
+
+/** The request did not complete within its time limit. */
+export declare class DashTimeoutError extends DashNetworkError {
+  constructor(message: string, options?: DashErrorOptions & { timeoutMs?: number | null });
+  readonly timeoutMs: number | null;
+}
+
+/** Not sent: the circuit breaker is open after repeated failures. `retryAt` is when a probe is next allowed. */
+export declare class DashCircuitOpenError extends DashNetworkError {
+  constructor(message: string, options?: DashErrorOptions & { retryAt?: number | null });
+  readonly retryAt: number | null;
+}
+
+/** A DashClientPool found no storefront for a request (code "unknown_tenant"). */
+export declare class DashUnknownTenantError extends DashError {
+  constructor(message: string, options?: DashErrorOptions & { hostname?: string | null });
+  /** The hostname looked up, or null when the request had none */
+  readonly hostname: string | null;
+}
+
 // =============================================================================
 // MAIN CLIENT
 // =============================================================================
@@ -3633,7 +4514,7 @@ export interface HealthStatus {
   reachable: boolean;
   /** Show a maintenance page (operator maintenance_mode OR backend down)? */
   maintenance: boolean;
-  /** Org is locked (billing/suspension). Reported for info; lock still redirects via _fetch. */
+  /** Org is locked (billing/suspension). Reported for info; the `locked` event fires from _fetch. */
   locked: boolean;
   /** "operator" | "timeout" | "unreachable" | "http_5xx" | null */
   reason: string | null;
@@ -3643,6 +4524,33 @@ export interface HealthStatus {
   until: string | null;
 }
 
+/** Added to `banned` and `locked` payloads: cancel the SDK's redirect. */
+export interface CancelableEvent {
+  /** Skip the SDK's default redirect */
+  preventDefault(): void;
+  readonly defaultPrevented: boolean;
+}
+
+/** Payloads of the events emitted by `dash.on()`. */
+export interface DashClientEvents {
+  /** Before each call */
+  request: { method: string; url: string };
+  /** After a successful call; `status` is null when answered from the cache */
+  response: { method: string; url: string; status: number | null; data: any; meta: Record<string, any>; durationMs: number };
+  /** After a failed call */
+  error: { method: string; url: string; status: number | null; error: Error; meta: Record<string, any>; durationMs: number };
+  /** The API reports this visitor as banned. Browser default: redirect to `/banned?reason=…` */
+  banned: { reason: string | null; error: Error } & CancelableEvent;
+  /** A response shows the store is locked. Browser default: redirect to codecraftstudios.net */
+  locked: { organization: Record<string, any> } & CancelableEvent;
+  /** `checkHealth()` gated the site */
+  maintenance: HealthStatus;
+  /** The circuit breaker changed state */
+  circuit: { state: "closed" | "open" | "half-open"; previous: "closed" | "open" | "half-open"; failures: number };
+  /** The customer session could not be refreshed and has been cleared */
+  "auth:expired": { error: Error };
+}
+
 export declare class DashClient {
   /**
    * Create a new DashClient instance
@@ -3655,6 +4563,24 @@ export declare class DashClient {
   /** Backend URL */
   readonly baseURL: string;
 
+  /** Response cache, or `null` unless enabled with the `cache` option */
+  readonly cache: ResponseCache | null;
+
+  /** Circuit breaker, or `null` unless enabled with the `circuitBreaker` option */
+  readonly circuit: CircuitBreaker | null;
+
+  /** The logger every SDK message goes through (see `DashClientOptions.logger`) */
+  readonly logger: Logger;
+
+  /** OpenTelemetry instrumentation, or `null` unless enabled with the `telemetry` option */
+  readonly telemetry: Telemetry | null;
+
+  /** Response validation mode (see `DashClientOptions.validateResponses`) */
+  readonly validateResponses: false | "warn" | "throw";
+
+  /** The function requests are sent through (see `DashClientOptions.transport`) */
+  readonly transport: DashTransport;
+
   /** Products API */
   readonly products: ProductsModule;
 
@@ -3713,8 +4639,10 @@ export declare class DashClient {
      * @param file - The file to upload
      * @param options - Optional upload options
      * @param options.onProgress - Progress callback receiving upload percentage (0–100)
+     * @param options.signal - Cancel the upload
+     * @param options.timeoutMs - Give up after this long (uploads ignore the client-wide timeout)
      */
-    file(file: File, options?: { onProgress?: (percent: number) => void }): Promise<{ url: string; name: string }>;
+    file(file: File, options?: { onProgress?: (percent: number) => void } & RequestOptions): Promise<{ url: string; name: string }>;
   };
 
   /** Contact form submission */
@@ -3731,7 +4659,7 @@ export declare class DashClient {
       cookies?: Record<string, string>;
       metadata?: Record<string, any>;
       turnstile_token?: string;
-    }): Promise<{ success: boolean; message: string; submission_id: string }>;
+    }, options?: RequestOptions): Promise<{ success: boolean; message: string; submission_id: string }>;
   };
 
   /** Tax calculation API */
@@ -3779,6 +4707,15 @@ export declare class DashClient {
    */
   readonly pageGroups: PageGroupsModule;
 
+  /** Client-side instant search over an index built from the catalog and content */
+  readonly search: SearchModule;
+
+  /** Saved products: in the browser for guests, on the account for customers */
+  readonly wishlist: WishlistModule;
+
+  /** Recently viewed products, kept in the browser */
+  readonly history: HistoryModule;
+
   /**
    * Fluent shortcut: `dash.pageGroup(slug)` ≡ `dash.pageGroups.group(slug)`.
    *
@@ -3797,7 +4734,7 @@ export declare class DashClient {
   /**
    * Health check - validates API key and returns organization info
    */
-  ping(): Promise<PingResponse>;
+  ping(options?: RequestOptions): Promise<PingResponse>;
 
   /**
    * Timeout-bounded health probe for a maintenance gate. Never throws. `ok:false`
@@ -3832,30 +4769,159 @@ export declare class DashClient {
    * console.log(global.logo);             // "https://..."
    * console.log(global.business_email);   // "contact@mystore.com"
    */
-  getGlobalData(): Promise<GlobalDataResponse>;
+  getGlobalData(options?: RequestOptions): Promise<GlobalDataResponse>;
 
   /** Get the current session ID used for analytics tracking */
   getSessionId(): string;
 
   /** Manually set the session ID (e.g., from PostHog or your own tracking) */
   setSessionId(id: string): void;
+
+  /**
+   * Register a request middleware that wraps every call made by every module.
+   *
+   * @example
+   * dash.use(async (ctx, next) => {
+   *   const started = Date.now();
+   *   await next();
+   *   console.log(ctx.method, ctx.url, ctx.response?.status, Date.now() - started);
+   * });
+   */
+  use(middleware: DashMiddleware): this;
+
+  /**
+   * Run `fn` with its own request-dedupe scope: identical concurrent GETs made
+   * inside it share one network call, and never share with calls outside it.
+   * Requires AsyncLocalStorage; elsewhere `fn` runs unscoped.
+   *
+   * @example
+   * app.use((req, res, next) => dash.runInRequestScope(next));
+   */
+  runInRequestScope<T>(fn: () => T | Promise<T>): Promise<T>;
+
+  /**
+   * Subscribe to a client event. Returns an unsubscribe function. Call
+   * `event.preventDefault()` in a `banned` / `locked` handler to replace the
+   * SDK's redirect with your own handling.
+   *
+   * @example
+   * dash.on("banned", (event) => {
+   *   event.preventDefault();
+   *   navigate(`/banned?reason=${event.reason ?? ""}`);
+   * });
+   */
+  on<E extends keyof DashClientEvents>(event: E, handler: (payload: DashClientEvents[E]) => void): () => void;
+
+  /** Unsubscribe a handler previously passed to `on()`. */
+  off<E extends keyof DashClientEvents>(event: E, handler: (payload: DashClientEvents[E]) => void): void;
+}
+
+/** Anything a tenant can be looked up from: a Fetch `Request`, a Node/Express request, or a hostname (or URL). */
+export type TenantRequest = Request | { headers?: any; url?: string } | string;
+
+export interface DashClientPoolOptions {
+  /** Hostname → API key, or → DashClient options (`{ apiKey, baseURL, … }`) */
+  tenants?: Record<string, string | DashClientOptions> | Map<string, string | DashClientOptions>;
+  /** Look the tenant up yourself (database, path, header); called when `tenants` has no entry */
+  resolveTenant?: (
+    request: TenantRequest,
+    hostname: string | null
+  ) => string | DashClientOptions | null | undefined | Promise<string | DashClientOptions | null | undefined>;
+  /** DashClient options every tenant shares; a tenant's own options override them */
+  clientOptions?: Partial<DashClientOptions>;
+  /**
+   * Called once per tenant client. Middleware and `on()` listeners registered
+   * here apply to, and hear events from, all of that tenant's requests.
+   */
+  setup?: (client: DashClient, tenant: { apiKey: string; hostname: string | null }) => void;
+  /** Read the hostname from X-Forwarded-Host. Only behind a proxy that overwrites it. Default: false */
+  trustProxy?: boolean;
+  /** Tenant clients kept; the least recently used are dropped. Default: 100 */
+  maxTenants?: number;
+}
+
+/**
+ * One deployment serving many storefronts. Each tenant gets one long-lived
+ * client (cache, dedupe, circuit breaker, middleware); each request gets a
+ * client on top of it with its own modules, so cart, login and session
+ * state never cross requests. Caches are keyed by API key.
+ *
+ * @example
+ * const pool = new DashClientPool({
+ *   tenants: { "shop-a.com": process.env.SHOP_A_KEY, "shop-b.com": process.env.SHOP_B_KEY },
+ *   clientOptions: { cache: true },
+ * });
+ * const dash = await pool.forRequest(request);
+ */
+export declare class DashClientPool {
+  constructor(options?: DashClientPoolOptions);
+  readonly trustProxy: boolean;
+  readonly maxTenants: number;
+  /** Number of tenant clients currently kept */
+  readonly size: number;
+  /**
+   * The client to use while handling `request`; the same request object
+   * always gets the same client.
+   * @throws {DashUnknownTenantError} When no tenant matches
+   */
+  forRequest(request: TenantRequest): Promise<DashClient>;
+  /**
+   * The tenant's shared client, e.g. to invalidate its cache. Don't use it
+   * for carts or logins: its modules are shared by every request.
+   */
+  tenantClient(request: TenantRequest): Promise<DashClient>;
+  /** Drop every tenant client */
+  clear(): void;
 }
 
+/** Lowercase hostname (no port) a request was made to, or null. */
+export function hostnameOf(request: TenantRequest, trustProxy?: boolean): string | null;
+
 export default DashClient;
 
 // =============================================================================
-// REVALIDATION HANDLER (Next.js App Router)
+// REVALIDATION HANDLERS
 // =============================================================================
 
 export interface RevalidateHandlerOptions {
-  /** Shared secret that must match between backend and frontend */
-  secret: string | undefined;
+  /** Shared secret that must match between backend and frontend. Pass several while rotating. */
+  secret: string | string[] | undefined;
+  /**
+   * Also invalidate this client's response cache. Tags are invalidated as-is;
+   * any path invalidates the whole "dash4devs" tag.
+   */
+  client?: DashClient;
+  /** Called with the paths and tags to revalidate (purge a CDN, rebuild a page, …). A throw answers 500. */
+  onRevalidate?: (change: { paths: string[]; tags: string[] }) => void | Promise<void>;
+  /**
+   * Reject requests without a valid `X-Dash-Signature` header. When false
+   * (the default), unsigned requests may still authenticate with the legacy
+   * plaintext `secret` in the body.
+   */
+  requireSignature?: boolean;
+  /** How far the signature timestamp may drift from now, in seconds. Default: 300 */
+  toleranceSec?: number;
+  /** Share replay protection between server instances (any `CacheStore`) */
+  replayStore?: Pick<CacheStore, "get" | "set">;
+  /** Logger for results and failures. Default: `client.logger`, else the console */
+  logger?: LogSink | Logger;
+  /**
+   * `revalidatePath` / `revalidateTag` from "next/cache". Found automatically
+   * on Node; pass them from edge routes, where the SDK never imports Next.
+   * `null` skips Next.js entirely.
+   */
+  next?: {
+    revalidatePath: (path: string, type?: "layout" | "page") => void;
+    revalidateTag: (tag: string) => void;
+  } | null;
 }
 
 /**
- * Create a Next.js App Router POST handler for on-demand ISR revalidation.
- * Validates a shared secret from the request body, then calls revalidatePath()
- * for each path in the paths array.
+ * Create a POST handler for on-demand revalidation (Fetch `Request` →
+ * `Response`). Verifies the `X-Dash-Signature` HMAC (or the legacy body
+ * secret), then calls revalidatePath() for each path and revalidateTag() for
+ * each tag inside Next.js, runs `onRevalidate`, and invalidates `client.cache`.
+ * Outside Next.js it returns a standard `Response`.
  *
  * @example
  * // app/api/revalidate/route.ts
@@ -3863,3 +4929,167 @@ export interface RevalidateHandlerOptions {
  * export const POST = createRevalidateHandler({ secret: process.env.REVALIDATE_SECRET });
  */
 export function createRevalidateHandler(options: RevalidateHandlerOptions): (request: Request) => Promise<Response>;
+
+/**
+ * Express/Connect revalidation middleware. Mount it before JSON body parsers
+ * (or behind `express.raw({ type: "application/json" })`) so the signature
+ * can be checked against the raw body. Never calls Next.js.
+ */
+export function createExpressRevalidateHandler(
+  options: RevalidateHandlerOptions,
+): (req: any, res: any, next?: (err?: unknown) => void) => Promise<void>;
+
+/** Hono revalidation handler: `app.post("/api/revalidate", createHonoRevalidateHandler(options))`. Never calls Next.js. */
+export function createHonoRevalidateHandler(
+  options: RevalidateHandlerOptions,
+): (c: { req: { raw: Request } }) => Promise<Response>;
+
+/** Header carrying `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">` */
+export declare const SIGNATURE_HEADER: "X-Dash-Signature";
+
+/** Sign a raw webhook body; returns the `X-Dash-Signature` header value. */
+export function signWebhookPayload(secret: string, body: string, options?: { timestamp?: number }): Promise<string>;
+
+export type WebhookVerification =
+  | { ok: true; timestamp: number; signature: string }
+  | { ok: false; reason: "missing_signature" | "malformed_signature" | "timestamp_out_of_range" | "signature_mismatch" };
+
+/** Verify a signed webhook body in constant time. */
+export function verifyWebhookSignature(options: {
+  secret: string | string[];
+  body: string;
+  header: string | null | undefined;
+  toleranceSec?: number;
+  now?: number;
+}): Promise<WebhookVerification>;
+
+// =============================================================================
+// STORE EVENT WEBHOOKS
+// =============================================================================
+
+export interface OrderCreatedEventData {
+  order: CheckoutOrder;
+  /** The customer account, or null for guest checkouts */
+  customer: Pick<Customer, "id" | "email" | "first_name" | "last_name"> | null;
+}
+
+export interface OrderStatusChangedEventData {
+  order_id: string;
+  order_number: number;
+  previous_status: string;
+  status: string;
+  payment_status: string;
+  previous_payment_status?: string;
+  tracking_number?: string | null;
+  carrier?: string | null;
+}
+
+export interface ProductStockChangedEventData {
+  product_id: string;
+  product_slug: string;
+  size_id: string;
+  size_label: string;
+  previous_stock: number;
+  stock: number;
+  in_stock: boolean;
+}
+
+export interface FormSubmittedEventData {
+  form_slug: string;
+  submission_id: string;
+  /** Field-name keyed answers, as submitted */
+  answers: Record<string, unknown>;
+  source_url?: string;
+  submitted_at: string;
+}
+
+export interface BookingCreatedEventData {
+  booking: {
+    id: string;
+    /** ISO start/end times */
+    start: string;
+    end: string;
+    status: string;
+    customer_name: string;
+    customer_email: string;
+    customer_phone?: string;
+    notes?: string;
+    [key: string]: any;
+  };
+}
+
+/** Event type → `data` payload. */
+export interface WebhookEventMap {
+  "order.created": OrderCreatedEventData;
+  "order.status_changed": OrderStatusChangedEventData;
+  "product.stock_changed": ProductStockChangedEventData;
+  "form.submitted": FormSubmittedEventData;
+  "booking.created": BookingCreatedEventData;
+}
+
+export type WebhookEventType = keyof WebhookEventMap;
+
+/** Every event type the SDK knows about. */
+export declare const WEBHOOK_EVENT_TYPES: WebhookEventType[];
+
+/** One webhook delivery. `id` is stable across retries of the same event. */
+export interface WebhookEvent<T extends WebhookEventType = WebhookEventType> {
+  id: string;
+  type: T;
+  created_at: string;
+  data: WebhookEventMap[T];
+}
+
+/** Any event, including types newer than this SDK. */
+export type AnyWebhookEvent =
+  | { [T in WebhookEventType]: WebhookEvent<T> }[WebhookEventType]
+  | { id: string; type: string; created_at: string; data: unknown };
+
+export type WebhookHandlers = {
+  [T in WebhookEventType]?: (event: WebhookEvent<T>) => void | Promise<void>;
+} & {
+  /** Runs for every event, after the type's own handler. */
+  "*"?: (event: AnyWebhookEvent) => void | Promise<void>;
+};
+
+export interface WebhookHandlerOptions {
+  /** Shared webhook secret. Pass several while rotating. */
+  secret: string | string[] | undefined;
+  /** Handlers by event type. A throw answers 500 and the event is retried. */
+  on: WebhookHandlers;
+  /** How far the signature timestamp may drift from now, in seconds. Default: 300 */
+  toleranceSec?: number;
+  /** Share event-id dedupe between server instances (any `CacheStore`) */
+  dedupeStore?: Pick<CacheStore, "get" | "set">;
+  /** How long processed event ids are remembered, in ms. Default: 24 hours */
+  dedupeTtlMs?: number;
+  /** Logger for handler failures, e.g. `dash.logger`. Default: the console */
+  logger?: LogSink | Logger;
+}
+
+/**
+ * Create a POST handler for store events (Fetch `Request` → `Response`).
+ * Verifies `X-Dash-Signature`, then runs the handler for the event's type once
+ * per event id. Duplicate deliveries answer 200 with `duplicate: true`.
+ *
+ * @example
+ * // app/api/dash-events/route.ts
+ * export const POST = createWebhookHandler({
+ *   secret: process.env.DASH_WEBHOOK_SECRET,
+ *   on: { "order.created": async ({ data }) => notifyWarehouse(data.order) },
+ * });
+ */
+export function createWebhookHandler(options: WebhookHandlerOptions): (request: Request) => Promise<Response>;
+
+/**
+ * Express/Connect store-event middleware. Mount it before JSON body parsers
+ * (or behind `express.raw({ type: "application/json" })`).
+ */
+export function createExpressWebhookHandler(
+  options: WebhookHandlerOptions,
+): (req: any, res: any, next?: (err?: unknown) => void) => Promise<void>;
+
+/** Hono store-event handler: `app.post("/api/dash-events", createHonoWebhookHandler(options))`. */
+export function createHonoWebhookHandler(
+  options: WebhookHandlerOptions,
+): (c: { req: { raw: Request } }) => Promise<Response>;
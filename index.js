@@ -39,6 +39,29 @@ import { PageGroupsModule, PageGroup } from "./services/page-groups.js";
 import { FormsModule } from "./services/forms.js";
 import { SurveyModule } from "./services/survey.js";
 import { CalendarModule } from "./services/calendar.js";
+import { SearchModule } from "./services/search.js";
+import { WishlistModule } from "./services/wishlist.js";
+import { HistoryModule } from "./services/history.js";
+import { composeMiddleware } from "./core/middleware.js";
+import { resolveRetryOptions, retryDelay, parseRetryAfter } from "./core/retry.js";
+import { DEFAULT_TIMEOUT_MS, createDeadline, abortableSleep, untilAborted } from "./core/timeout.js";
+import { ResponseCache, resolveCacheOptions, DEFAULT_CACHE, storefrontRoute } from "./core/cache.js";
+import { CircuitBreaker, resolveCircuitOptions, isOutageError, markStale, STALE_IF_ERROR_ROUTES } from "./core/circuit.js";
+import { InFlightRequests, runInRequestScope } from "./core/dedupe.js";
+import { Emitter } from "./core/events.js";
+import { createLogger } from "./core/logger.js";
+import { Telemetry, resolveTelemetryOptions } from "./core/telemetry.js";
+import { responseSchemaFor, validateSchema } from "./core/schemas.js";
+import { findExposedSecretKeys } from "./core/secrets.js";
+import { detectRuntime, resolveEnv, RUNTIME_LABELS } from "./core/runtime.js";
+import {
+  DashError,
+  DashApiError,
+  DashNetworkError,
+  DashValidationError,
+  DashCircuitOpenError,
+  errorFromResponse,
+} from "./core/errors.js";
 
 /**
  * Keep in sync with the `version` field in package.json.
@@ -50,6 +73,13 @@ import { CalendarModule } from "./services/calendar.js";
  */
 export const SDK_VERSION = "0.1.19-alpha";
 
+/**
+ * `${apiKey}|${baseURL}` pairs whose startup table has been printed by this
+ * copy of the SDK.
+ * @private
+ */
+const printedStartupInfo = new Set();
+
 // =============================================================================
 // MAIN CLIENT
 // =============================================================================
@@ -60,61 +90,162 @@ export class DashClient {
    * @param {Object} options - Configuration options
    * @param {string} options.apiKey - Your API key (pk_* or sk_*) from DevDash dashboard
    * @param {string} [options.baseURL] - Optional: Override API URL (for local development only)
+   * @param {Function[]} [options.middleware] - Optional: Request middleware, outermost first (see `use()`)
+   * @param {Object|number|false} [options.retry] - Optional: Retry policy for failed requests
+   *   (`{ retries, minDelayMs, maxDelayMs, factor, maxRetryAfterMs }`, a retry count, or
+   *   `false` to disable). Defaults to 2 retries with exponential backoff — see core/retry.js.
+   * @param {number} [options.timeoutMs=30000] - Optional: Default time limit for every call, retries
+   *   included (0 disables). Override per call with `{ timeoutMs }`.
+   * @param {boolean|Object} [options.cache] - Optional: Cache anonymous GET reads outside Next.js
+   *   (`true`, or `{ store, ttlMs, staleWhileRevalidateMs, maxEntries, routes }`) — see core/cache.js.
+   *   Off by default.
+   * @param {boolean|string} [options.dedupe=true] - Optional: Share one network call between
+   *   concurrent identical GETs. `"request"` limits sharing to `runInRequestScope()`; `false`
+   *   disables it — see core/dedupe.js.
+   * @param {Function} [options.transport] - Optional: `fetch`-compatible function every request
+   *   goes through (`(url, init) => Promise<Response>`). Defaults to the global `fetch`; tests
+   *   pass the mock backend from "dash4devs/testing".
+   * @param {boolean|Object} [options.circuitBreaker] - Optional: Fail fast while the API is down and
+   *   answer anonymous GET reads with their last good response, flagged `_stale`
+   *   (`true`, or `{ failureThreshold, cooldownMs, staleIfErrorMs }`) — see core/circuit.js. Off by default.
+   * @param {Function|Object} [options.logger] - Optional: Where SDK log entries go — `(entry) => void`
+   *   or a pino/winston-style logger. Defaults to the console; entries are always redacted — see core/logger.js.
+   * @param {string} [options.logLevel="info"] - Optional: "debug", "info", "warn", "error" or "silent"
+   * @param {Object} [options.env] - Optional: Environment variables to read instead of `process.env`
+   *   (`NODE_ENV`, `DASH4DEVS_SILENT`, `DASH4DEVS_REVALIDATE`, and the secret-key leak check) — pass
+   *   the Workers `env` binding on runtimes without `process`, or `import.meta.env` under Vite so its
+   *   `VITE_` variables are checked too. See core/runtime.js.
+   * @param {boolean|Object} [options.telemetry] - Optional: OpenTelemetry spans per SDK call, named
+   *   after the method (`dash.products.list`), with `traceparent` sent to the API (`true`, or
+   *   `{ api, tracerName }`) — see core/telemetry.js. A no-op without `@opentelemetry/api`. Off by default.
+   * @param {boolean|string} [options.validateResponses] - Optional: Development aid. Check responses from
+   *   the products, cart, checkout, order and page endpoints against the SDK's types and log each mismatch
+   *   (`true` or "warn"), or fail reads with DashApiError `invalid_response` ("throw") — see core/schemas.js.
    */
-  constructor({ apiKey, baseURL = "https://api.dashfordevs.com" }) {
+  constructor({
+    apiKey,
+    baseURL = "https://api.dashfordevs.com",
+    middleware = [],
+    retry,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    cache,
+    dedupe = true,
+    transport,
+    circuitBreaker,
+    logger,
+    logLevel = "info",
+    env,
+    telemetry,
+    validateResponses = false,
+  }) {
     if (!apiKey) {
-      throw new Error("apiKey is required");
+      throw new DashValidationError("apiKey is required", { fields: { apiKey: "required" } });
     }
 
     if (!apiKey.startsWith("pk_") && !apiKey.startsWith("sk_")) {
-      throw new Error("apiKey must start with 'pk_' or 'sk_'");
+      throw new DashValidationError("apiKey must start with 'pk_' or 'sk_'", { fields: { apiKey: "invalid" } });
     }
 
     // SECURITY: Prevent secret keys from being used in browser environments
     if (typeof window !== "undefined" && apiKey.startsWith("sk_")) {
-      throw new Error(
+      throw new DashError(
         "\n\n🚨 DASH4DEVS SECURITY ERROR 🚨\n\n" +
         "You are using a SECRET key (sk_*) in a browser environment.\n" +
         "This exposes your entire store to anyone who views your site.\n\n" +
         "SECRET keys must ONLY be used in server-side code (API routes, backend).\n" +
         "Use your PUBLIC key (pk_*) for client-side / NEXT_PUBLIC_ env vars.\n\n" +
         "If this key has been exposed, rotate it immediately in your dashboard:\n" +
-        "Settings > API > Keys\n"
+        "Settings > API > Keys\n",
+        { code: "secret_key_exposed" }
       );
     }
 
-    // SECURITY: Detect if secret key was leaked via NEXT_PUBLIC_ env vars
-    if (typeof process !== "undefined" && typeof process.env !== "undefined") {
-      const envEntries = Object.entries(process.env || {});
-      for (const [key, value] of envEntries) {
-        if (key.startsWith("NEXT_PUBLIC_") && typeof value === "string" && (value.startsWith("sk_live_") || value.startsWith("sk_test_"))) {
-          throw new Error(
-            "\n\n🚨 DASH4DEVS SECURITY ERROR 🚨\n\n" +
-            `Secret key detected in ${key}!\n` +
-            "NEXT_PUBLIC_ variables are exposed to the browser.\n" +
-            "Move your secret key to a non-NEXT_PUBLIC_ variable and use it only in server-side code.\n\n" +
-            "Use your PUBLIC key (pk_*) for NEXT_PUBLIC_ env vars.\n"
-          );
-        }
-      }
+    const envVars = resolveEnv(env);
+
+    // SECURITY: Detect if secret key was leaked via env vars that bundlers
+    // inline into client code (NEXT_PUBLIC_, VITE_, REACT_APP_, … — see core/secrets.js)
+    const [exposed] = findExposedSecretKeys(envVars);
+    if (exposed) {
+      throw new DashError(
+        "\n\n🚨 DASH4DEVS SECURITY ERROR 🚨\n\n" +
+        `Secret key detected in ${exposed.name}!\n` +
+        `${exposed.prefix} variables are bundled into browser code, where anyone can read them.\n` +
+        `Move your secret key to a variable without the ${exposed.prefix} prefix and use it only in server-side code.\n\n` +
+        `Use your PUBLIC key (pk_*) for ${exposed.prefix} env vars.\n`,
+        { code: "secret_key_exposed", details: { variable: exposed.name } }
+      );
     }
 
     this.apiKey = apiKey;
     this.baseURL = baseURL.replace(/\/$/, ""); // Remove trailing slash
+    this.env = envVars;
+    this.logger = createLogger(logger, logLevel);
     this._sessionId = null;
     this.version = SDK_VERSION;
+    this._retry = resolveRetryOptions(retry);
+    this.timeoutMs = timeoutMs;
+    const circuitOptions = resolveCircuitOptions(circuitBreaker);
+    const staleIfErrorMs = circuitOptions ? circuitOptions.staleIfErrorMs : 0;
+    const cacheOptions = resolveCacheOptions(cache);
+    this.cache = cacheOptions ? new ResponseCache({ ...cacheOptions, staleIfErrorMs }, apiKey) : null;
+    this.circuit = circuitOptions
+      ? new CircuitBreaker(circuitOptions, (change) => this._events.emit("circuit", change))
+      : null;
+    // Last good responses for stale-if-error: the response cache when it is
+    // on, otherwise a store that is only ever read during an outage. Either
+    // way only STALE_IF_ERROR_ROUTES are saved and replayed (`_lastGoodKey`).
+    this._lastGood = circuitOptions
+      ? this.cache || new ResponseCache({
+        ...DEFAULT_CACHE, ttlMs: 0, staleWhileRevalidateMs: 0, staleIfErrorMs, routes: STALE_IF_ERROR_ROUTES,
+      }, apiKey)
+      : null;
+    this._inFlight = new InFlightRequests(dedupe, apiKey);
+    if (![false, true, "warn", "throw"].includes(validateResponses)) {
+      throw new DashValidationError('validateResponses must be true, false, "warn" or "throw"', {
+        fields: { validateResponses: "invalid" },
+      });
+    }
+    this.validateResponses = validateResponses === true ? "warn" : validateResponses;
+    // Mismatches already logged, so a drifted field is reported once, not per request.
+    this._reportedMismatches = new Set();
+    const telemetryOptions = resolveTelemetryOptions(telemetry);
+    this.telemetry = telemetryOptions ? new Telemetry(telemetryOptions, apiKey) : null;
+    // Looked up per call so polyfills or test spies installed after construction still apply.
+    this.transport = transport || ((url, init) => fetch(url, init));
+    this._middleware = [];
+    for (const fn of middleware) this.use(fn);
+    this._events = new Emitter();
 
     // Startup info table — prints once per process, not per DashClient instance
     // (Next.js SSR creates a new client per request/worker, which used to spam logs)
     this._printStartupInfo();
 
-    // Initialize modules
+    this._initModules();
+
+    // Inject footer branding for all keys (production and test)
+    if (typeof window !== "undefined") {
+      this._injectFooterBranding();
+    }
+
+    // Check org lock status on client-side init
+    if (typeof window !== "undefined") {
+      this._checkLockStatus();
+    }
+  }
+
+  /**
+   * Create the service modules. They hold the per-user state (cart, login
+   * session), so every request client from a DashClientPool gets its own.
+   * @private
+   */
+  _initModules() {
     this.products = new ProductsModule(this);
     this.categories = new CategoriesModule(this);
     this.cart = new CartModule(this);
     this.pages = new PagesModule(this);
     this.seo = new SeoModule(this);
     this.auth = new AuthModule(this);
+    this.auth.on("session-expired", (payload) => this._events.emit("auth:expired", payload));
     this.payment = new PaymentModule(this);
     this.blog = new BlogModule(this);
     this.checkout = new CheckoutModule(this);
@@ -138,6 +269,26 @@ export class DashClient {
     this.sitemap = new SitemapModule(this);
     this.calendar = new CalendarModule(this);
 
+    // ── Instant search ────────────────────────────────────────────────
+    // Build an index from the catalog once (`dash.search.build()`), ship
+    // it as JSON, then `dash.search.load(json)` and `dash.search.query(q)`
+    // in the browser with no network per keystroke.
+    this.search = new SearchModule(this);
+
+    // ── Wishlist ──────────────────────────────────────────────────────
+    // Guests' wishlists are kept in the browser, customers' on their
+    // account. Logging in merges the guest items into the account.
+    this.wishlist = new WishlistModule(this);
+    this.auth.on("login", () => this.wishlist._onLogin());
+    this.auth.on("logout", () => this.wishlist._onLogout());
+    this.auth.on("session-expired", () => this.wishlist._onLogout());
+
+    // ── Browsing history ──────────────────────────────────────────────
+    // `dash.history.record(product)` on a product page stores the view and
+    // fires the Klaviyo and Insights view events in one call;
+    // `recentlyViewed()` reads it back for a "recently viewed" strip.
+    this.history = new HistoryModule(this);
+
     // ── Forms ─────────────────────────────────────────────────────────
     // Storefront-side intake / contact / lead-capture / signed forms.
     // The dashboard owns the schema; storefronts read it via
@@ -164,7 +315,7 @@ export class DashClient {
     this.pageGroup = (slug) => this.pageGroups.group(slug);
 
     // Admin module — only available with secret keys (sk_*)
-    if (apiKey.startsWith("sk_")) {
+    if (this.apiKey.startsWith("sk_")) {
       this.admin = new AdminModule(this);
     }
     // Legacy alias — kept so existing apps keep working. New code should use
@@ -172,63 +323,101 @@ export class DashClient {
     // removed in a future major version.
     this.contentTypes = new ContentTypesModule(this);
 
-    // Inject footer branding for all keys (production and test)
-    if (typeof window !== "undefined") {
-      this._injectFooterBranding();
+    // Name each API call's span after the public method that made it.
+    if (this.telemetry) {
+      this.telemetry.instrument(this);
+      for (const [name, module] of Object.entries(this)) {
+        if (module?.client === this) this.telemetry.instrument(module, name);
+      }
     }
+  }
 
-    // Check org lock status on client-side init
-    if (typeof window !== "undefined") {
-      this._checkLockStatus();
+  /**
+   * A client for one request that shares this client's configuration, cache,
+   * request dedupe, circuit breaker, logger, telemetry and middleware, but
+   * has its own modules, session id and event listeners — so nothing one
+   * request stores (cart id, access token) is visible to another. Its events
+   * are also emitted on this client. Used by DashClientPool.
+   * @returns {DashClient}
+   * @private
+   */
+  _fork() {
+    const fork = Object.create(DashClient.prototype);
+    for (const key of ["apiKey", "baseURL", "env", "logger", "version", "_retry", "timeoutMs", "cache", "circuit", "_lastGood", "_inFlight", "telemetry", "transport", "validateResponses", "_reportedMismatches"]) {
+      fork[key] = this[key];
     }
+    fork._sessionId = null;
+    fork._middleware = [...this._middleware];
+    fork._events = new Emitter(this._events);
+    fork._initModules();
+    return fork;
   }
 
   /**
-   * Print startup info table to console
+   * Log startup info: a table on the console, one structured entry for a custom logger
    * @private
    */
   _printStartupInfo() {
     // Only print on server side (terminal) — never expose key info in browser
     if (typeof window !== "undefined") return;
 
-    // Guard: print once per (process, apiKey) pair. Next.js SSR instantiates a
-    // new DashClient per request/worker so the banner used to fire dozens of
-    // times per page. Setting DASH4DEVS_SILENT=1 silences it entirely.
-    if (process.env.DASH4DEVS_SILENT === "1") return;
-    if (!globalThis.__DASH4DEVS_PRINTED__) globalThis.__DASH4DEVS_PRINTED__ = new Set();
+    // Guard: print once per (module instance, apiKey) pair. Next.js SSR
+    // instantiates a new DashClient per request/worker so the banner used to
+    // fire dozens of times per page. Setting DASH4DEVS_SILENT=1 silences it
+    // entirely.
+    if (this.env.DASH4DEVS_SILENT === "1") return;
     const fingerprint = `${this.apiKey}|${this.baseURL}`;
-    if (globalThis.__DASH4DEVS_PRINTED__.has(fingerprint)) return;
-    globalThis.__DASH4DEVS_PRINTED__.add(fingerprint);
+    if (printedStartupInfo.has(fingerprint)) return;
+    printedStartupInfo.add(fingerprint);
+    const runtime = detectRuntime();
 
+    // The last 4 characters only when they leave most of the key hidden, and
+    // never overlapping the prefix: "pk_test_x" → "pk_test_*".
     const maskKey = (key) => {
       if (!key || key.length < 8) return key;
       const prefix = key.slice(0, key.indexOf("_", 3) + 1);
-      const last4 = key.slice(-4);
-      return `${prefix}${"*".repeat(Math.max(0, key.length - prefix.length - 4))}${last4}`;
+      const rest = key.slice(prefix.length);
+      const last4 = rest.length > 8 ? rest.slice(-4) : "";
+      return `${prefix}${"*".repeat(rest.length - last4.length)}${last4}`;
     };
 
     const keyType = this.apiKey.startsWith("pk_") ? "Public" : "Secret";
     const env = this.apiKey.includes("_live_") ? "Production" : this.apiKey.includes("_test_") ? "Test" : "Unknown";
 
-    console.log("");
-    console.log("┌─────────────────────────────────────────────┐");
-    console.log(`│  Dash4Devs SDK v${this.version}                          │`);
-    console.log("├──────────────────┬──────────────────────────┤");
-    console.log(`│  Key Type        │  ${(keyType + " (" + env + ")").padEnd(24)} │`);
-    console.log(`│  API Key         │  ${maskKey(this.apiKey).padEnd(24)} │`);
-    console.log(`│  Base URL        │  ${this.baseURL.slice(0, 24).padEnd(24)} │`);
-    console.log(`│  Environment     │  ${"Server (Node.js)".padEnd(24)} │`);
-    console.log("└──────────────────┴──────────────────────────┘");
+    // Log pipelines get one structured entry; the table is for terminals.
+    if (this.logger.custom) {
+      this.logger.info("Dash4Devs SDK initialized", {
+        sdk_version: this.version,
+        key_type: keyType.toLowerCase(),
+        environment: env.toLowerCase(),
+        api_key: maskKey(this.apiKey),
+        base_url: this.baseURL,
+        runtime,
+      });
+      return;
+    }
 
+    const lines = [
+      "",
+      "┌─────────────────────────────────────────────┐",
+      `│  Dash4Devs SDK v${this.version}                          │`,
+      "├──────────────────┬──────────────────────────┤",
+      `│  Key Type        │  ${(keyType + " (" + env + ")").padEnd(24)} │`,
+      `│  API Key         │  ${maskKey(this.apiKey).padEnd(24)} │`,
+      `│  Base URL        │  ${this.baseURL.slice(0, 24).padEnd(24)} │`,
+      `│  Environment     │  ${RUNTIME_LABELS[runtime].padEnd(24)} │`,
+      "└──────────────────┴──────────────────────────┘",
+    ];
     if (env === "Production" && keyType === "Public") {
-      console.log("  ✓ Production mode — branding will be injected");
+      lines.push("  ✓ Production mode — branding will be injected");
     } else if (env === "Test") {
-      console.log("  ⚡ Test mode — branding disabled");
+      lines.push("  ⚡ Test mode — branding disabled");
     }
     if (keyType === "Secret") {
-      console.log("  🔒 Secret key — server-side only");
+      lines.push("  🔒 Secret key — server-side only");
     }
-    console.log("");
+    lines.push("");
+    this.logger.info(lines.join("\n"));
   }
 
   /**
@@ -336,15 +525,13 @@ export class DashClient {
   }
 
   /**
-   * Check if the organization is locked and redirect if so.
+   * Check if the organization is locked. The ping response goes through
+   * `_fetch`, which emits `locked` (and redirects unless prevented).
    * @private
    */
   async _checkLockStatus() {
     try {
-      const res = await this.ping();
-      if (res.organization?.is_locked) {
-        window.location.href = "https://www.codecraftstudios.net";
-      }
+      await this.ping();
     } catch {
       // Silently fail — don't block the page if ping fails
     }
@@ -380,15 +567,124 @@ export class DashClient {
     this._sessionId = id;
   }
 
+  /**
+   * Register a request middleware. Middleware wraps every call made by every
+   * module, outermost first, in the order registered.
+   *
+   * @param {Function} fn - `async (ctx, next) => {}` — see core/middleware.js
+   * @returns {DashClient} this, for chaining
+   *
+   * @example
+   * dash.use(async (ctx, next) => {
+   *   ctx.headers["X-Request-Id"] = crypto.randomUUID();
+   *   await next();
+   *   if (ctx.error) reportToSentry(ctx.error);
+   * });
+   */
+  use(fn) {
+    if (typeof fn !== "function") {
+      throw new DashValidationError("middleware must be a function");
+    }
+    this._middleware.push(fn);
+    return this;
+  }
+
+  /**
+   * Subscribe to a client event.
+   *
+   * - `request` — `{ method, url }` before each call
+   * - `response` — `{ method, url, status, data, meta, durationMs }` after a successful call
+   *   (`status` is null when the answer came from the cache)
+   * - `error` — `{ method, url, status, error, meta, durationMs }` after a failed call
+   * - `banned` — `{ reason, error }` when the API reports this visitor as banned.
+   *   In the browser the SDK then redirects to `/banned?reason=…`.
+   * - `locked` — `{ organization }` when a response shows the store is locked.
+   *   In the browser the SDK then redirects to https://www.codecraftstudios.net.
+   * - `maintenance` — the `checkHealth()` result whenever it gates the site
+   * - `circuit` — `{ state, previous, failures }` when the circuit breaker opens,
+   *   half-opens or closes (with `circuitBreaker` on)
+   * - `auth:expired` — `{ error }` when the customer session could not be refreshed
+   *   and has been cleared (same as `dash.auth.on("session-expired")`)
+   *
+   * Call `event.preventDefault()` in a `banned` or `locked` handler to skip the
+   * redirect and handle it yourself — e.g. with your SPA's router.
+   *
+   * @param {string} event
+   * @param {Function} handler
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * dash.on("banned", (event) => {
+   *   event.preventDefault();
+   *   router.replace({ pathname: "/banned", query: { reason: event.reason } });
+   * });
+   */
+  on(event, handler) {
+    return this._events.on(event, handler);
+  }
+
+  /**
+   * Unsubscribe a handler previously passed to `on()`.
+   * @param {string} event
+   * @param {Function} handler
+   */
+  off(event, handler) {
+    this._events.off(event, handler);
+  }
+
+  /**
+   * Run `fn` with its own request-dedupe scope: identical concurrent GETs made
+   * inside it (by any client) share one network call, and never share with
+   * calls outside it. Use it per incoming request on servers that create the
+   * client once, together with `dedupe: "request"`.
+   *
+   * @param {Function} fn - Work to run inside the scope
+   * @returns {Promise<*>} Whatever `fn` returns
+   *
+   * @example
+   * app.use((req, res, next) => dash.runInRequestScope(next));
+   */
+  runInRequestScope(fn) {
+    return runInRequestScope(fn);
+  }
+
   /**
    * Internal fetch wrapper
+   *
+   * @param {string} url - Absolute request URL
+   * @param {Object} [options] - fetch() init plus SDK flags (`retry`, `authRefresh`, `cacheRefresh`)
+   * @param {Object} [requestOptions] - The caller's per-call options; only
+   *   `signal` and `timeoutMs` are read, so a module can pass its whole
+   *   options argument through.
    * @private
    */
-  async _fetch(url, options = {}) {
+  async _fetch(url, options = {}, requestOptions = {}) {
+    const { headers: extraHeaders, body, method, retry, authRefresh = true, cacheRefresh = false, signal, timeoutMs, ...init } = options;
+    // Before any await, while the calling method's context is still active.
+    const span = this.telemetry?._startRequest({ method: (method || "GET").toUpperCase(), url });
+
+    const deadline = createDeadline({
+      signal: requestOptions?.signal ?? signal,
+      timeoutMs: requestOptions?.timeoutMs ?? timeoutMs ?? this.timeoutMs,
+    });
+    if (deadline.signal) init.signal = deadline.signal;
+
+    // Refresh an access token that is about to expire before using it. The
+    // refresh counts against the deadline: a hung refresh ends the call.
+    if (authRefresh && this.auth) {
+      await untilAborted(this.auth._refreshIfExpiring(), deadline.signal);
+      if (deadline.signal?.aborted) {
+        deadline.clear();
+        const error = deadline.timedOut ? deadline.error : deadline.signal.reason;
+        this.telemetry?._endRequest(span, { response: null, meta: {} }, error);
+        throw error;
+      }
+    }
+
     const headers = {
       "X-API-Key": this.apiKey,
       "Content-Type": "application/json",
-      ...options.headers,
+      ...extraHeaders,
     };
 
     // Include auth token if available (for customer-specific features like discounts)
@@ -408,14 +704,223 @@ export class DashClient {
       } catch { /* ignore */ }
     }
 
+    this.telemetry?._inject(span, headers);
+
+    const ctx = {
+      client: this,
+      method: (method || "GET").toUpperCase(),
+      url,
+      headers,
+      body,
+      init,
+      retry: resolveRetryOptions(retry, this._retry),
+      authRefresh,
+      cacheRefresh,
+      response: null,
+      data: undefined,
+      error: null,
+      meta: {},
+      _deadline: deadline,
+      _request: { url, options },
+    };
+
+    const startedAt = Date.now();
+    this._events.emit("request", { method: ctx.method, url });
+    try {
+      await composeMiddleware(this._middleware)(ctx, () => this._send(ctx));
+    } catch (err) {
+      this.telemetry?._endRequest(span, ctx, err);
+      throw err;
+    } finally {
+      deadline.clear();
+    }
+    this.telemetry?._endRequest(span, ctx);
+
+    const outcome = {
+      method: ctx.method,
+      url,
+      status: ctx.response?.status ?? null,
+      meta: ctx.meta,
+      durationMs: Date.now() - startedAt,
+    };
+    if (ctx.error) {
+      this._events.emit("error", { ...outcome, error: ctx.error });
+      throw ctx.error;
+    }
+    this._events.emit("response", { ...outcome, data: ctx.data });
+
+    // Locked store: send the storefront away unless an app handler takes over.
+    if (ctx.data?.organization?.is_locked) {
+      const redirect = this._events.emitCancelable("locked", { organization: ctx.data.organization });
+      if (redirect && typeof window !== "undefined") {
+        window.location.href = "https://www.codecraftstudios.net";
+      }
+    }
+
+    return ctx.data;
+  }
+
+  /**
+   * Innermost step of the middleware chain: answer from `this.cache` when
+   * possible, otherwise perform the HTTP request described by `ctx`, retrying
+   * per `ctx.retry` and replaying once after a token refresh on 401, and
+   * record the outcome on it. Never throws for API failures — they are stored
+   * on `ctx.error` so middleware can inspect or recover. `ctx.meta.retries`
+   * counts the extra attempts made; `ctx.meta.cache` is "hit", "stale" or
+   * "miss" for cacheable reads; `ctx.meta.deduped` is set when the outcome
+   * was shared from an identical request already in flight. With the circuit
+   * breaker on, `ctx.meta.stale` is set (and `ctx.meta.cache` is
+   * "stale-if-error") when a failed read was answered with its last good
+   * response.
+   * @private
+   */
+  async _send(ctx) {
+    const cacheKey = this.cache ? this.cache.keyFor(ctx) : null;
+    if (cacheKey && !ctx.cacheRefresh) {
+      const hit = await this.cache.lookup(cacheKey);
+      if (hit) {
+        ctx.data = hit.data;
+        ctx.meta.cache = hit.stale ? "stale" : "hit";
+        if (hit.stale) {
+          // Serve stale now; refresh once in the background, detached from
+          // this caller's signal.
+          const { signal, ...options } = ctx._request.options;
+          this.cache.revalidate(cacheKey, () => this._fetch(ctx._request.url, { ...options, cacheRefresh: true }));
+        }
+        return;
+      }
+    }
+
+    ctx.meta.retries = 0;
+    const flightKey = this._inFlight.keyFor(ctx);
+    if (flightKey) {
+      await this._inFlight.share(flightKey, ctx, () => this._sendThroughCircuit(ctx));
+    } else {
+      await this._sendThroughCircuit(ctx);
+    }
+
+    if (ctx.error) {
+      await this._serveStaleIfError(ctx);
+      return;
+    }
+    if (ctx.meta.deduped) return;
+    if (cacheKey) {
+      ctx.meta.cache = "miss";
+      await this.cache.put(cacheKey, ctx.data);
+    } else if (this._lastGood && this._lastGood !== this.cache) {
+      const key = this._lastGoodKey(ctx);
+      if (key) await this._lastGood.put(key, ctx.data);
+    }
+  }
+
+  /**
+   * Key of a read in the stale-if-error store, or null for anything outside
+   * STALE_IF_ERROR_ROUTES — even when the response cache holds it.
+   * @private
+   */
+  _lastGoodKey(ctx) {
+    if (!STALE_IF_ERROR_ROUTES.includes(storefrontRoute(ctx.url))) return null;
+    return this._lastGood.keyFor(ctx);
+  }
+
+  /**
+   * `_sendNetwork` behind the circuit breaker, when there is one: fail fast
+   * while it is open, and feed it the outcome otherwise.
+   * @private
+   */
+  async _sendThroughCircuit(ctx) {
+    if (!this.circuit) {
+      await this._sendNetwork(ctx);
+      return;
+    }
+    if (!this.circuit.allowRequest()) {
+      ctx.error = new DashCircuitOpenError(
+        `DevDash API is unavailable; requests are paused until ${new Date(this.circuit.openUntil).toISOString()}`,
+        { retryAt: this.circuit.openUntil }
+      );
+      return;
+    }
+
+    await this._sendNetwork(ctx);
+    if (!ctx.error) this.circuit.recordSuccess();
+    else if (isOutageError(ctx.error)) this.circuit.recordFailure();
+    else if (ctx.response) this.circuit.recordSuccess(); // the backend answered
+    else this.circuit.releaseProbe(); // aborted by the caller: no verdict
+  }
+
+  /**
+   * Answer a read that failed because of an outage with its last good
+   * response, flagged as stale.
+   * @private
+   */
+  async _serveStaleIfError(ctx) {
+    if (!this._lastGood || !isOutageError(ctx.error)) return;
+    const key = this._lastGoodKey(ctx);
+    const hit = key ? await this._lastGood.fallback(key) : null;
+    if (!hit) return;
+    ctx.data = markStale(hit.data, { storedAt: hit.storedAt, reason: ctx.error.code });
+    ctx.meta.stale = true;
+    ctx.meta.cache = "stale-if-error";
+    ctx.response = null;
+    ctx.error = null;
+  }
+
+  /**
+   * Network half of `_send`: retries plus the 401 refresh-and-replay.
+   * @private
+   */
+  async _sendNetwork(ctx) {
+    await this._sendWithRetries(ctx);
+
+    // Expired access token: refresh once (shared by every concurrent caller)
+    // and replay the request with the new token.
+    const sentToken = /^Bearer (.+)$/.exec(ctx.headers["Authorization"] || "")?.[1];
+    if (ctx.response?.status === 401 && ctx.authRefresh && sentToken && this.auth) {
+      if (await this.auth._recoverFromUnauthorized(sentToken)) {
+        ctx.headers["Authorization"] = `Bearer ${this.auth._accessToken}`;
+        ctx.response = null;
+        ctx.error = null;
+        ctx.meta.replayed = true;
+        await this._sendWithRetries(ctx);
+      }
+    }
+  }
+
+  /**
+   * Send `ctx`, retrying per `ctx.retry`.
+   * @private
+   */
+  async _sendWithRetries(ctx) {
+    for (let attempt = 0; ; attempt++) {
+      await this._attempt(ctx);
+
+      const delay = retryDelay(ctx, attempt, ctx.retry);
+      if (delay === null) return;
+
+      await abortableSleep(delay, ctx.init.signal);
+      if (ctx.init.signal?.aborted) {
+        ctx.error = ctx._deadline.timedOut ? ctx._deadline.error : (ctx.init.signal.reason ?? ctx.error);
+        return;
+      }
+      ctx.meta.retries += 1;
+      ctx.response = null;
+      ctx.error = null;
+    }
+  }
+
+  /**
+   * A single HTTP attempt for `_send`.
+   * @private
+   */
+  async _attempt(ctx) {
+    const { method, headers } = ctx;
+
     // Cache server reads in production; skip the cache outside production so
     // local changes show instantly. Keyed on NODE_ENV (always "production" in a
     // real build/deploy) rather than a manual DEV flag — a stray DEV=true in
     // .env.local was forcing no-store in prod builds and disabling all caching.
-    const isProd =
-      (typeof process !== "undefined" && process.env?.NODE_ENV) === "production";
-    const fetchOptions = { ...options, headers };
-    const method = (options.method || "GET").toUpperCase();
+    const isProd = this.env.NODE_ENV === "production";
+    const fetchOptions = { ...ctx.init, method, headers, body: ctx.body };
     const isServer = typeof window === "undefined";
     if (!isProd) {
       fetchOptions.cache = "no-store";
@@ -423,8 +928,8 @@ export class DashClient {
       isServer &&
       method === "GET" &&
       !headers["Authorization"] &&          // never cache personalized/authed reads
-      options.cache === undefined &&        // respect explicit per-call cache choices
-      options.next === undefined
+      ctx.init.cache === undefined &&       // respect explicit per-call cache choices
+      ctx.init.next === undefined
     ) {
       // Cache anonymous server-side reads (catalog: categories/products/blogs/
       // etc.) in Next's Data Cache so SSR pages render from cache instead of
@@ -432,9 +937,7 @@ export class DashClient {
       // The revalidate webhook (createRevalidateHandler) busts these the moment
       // data changes, so this TTL is just a safety net. Override with the
       // DASH4DEVS_REVALIDATE env var (seconds).
-      const ttl = Number(
-        (typeof process !== "undefined" && process.env?.DASH4DEVS_REVALIDATE) || 60
-      );
+      const ttl = Number(this.env.DASH4DEVS_REVALIDATE || 60);
       // Tag every cached read with a global "dash4devs" tag so changes that
       // can't be mapped to a specific page path (gallery/media-library images,
       // async variant-ready completion) can bust ALL cached catalog data at
@@ -447,39 +950,105 @@ export class DashClient {
       };
     }
 
-    const response = await fetch(url, fetchOptions);
+    let response;
+    let text;
+    try {
+      response = await this.transport(ctx.url, fetchOptions);
+      ctx.response = response;
+      text = await response.text();
+    } catch (err) {
+      if (ctx._deadline.timedOut) {
+        ctx.error = ctx._deadline.error;
+      } else if (ctx.init.signal?.aborted || (err && err.name === "AbortError")) {
+        // Caller-initiated aborts surface unchanged so they can be told apart.
+        ctx.error = err;
+      } else {
+        ctx.error = new DashNetworkError(`Network request failed: ${err?.message || err}`, { cause: err });
+      }
+      return;
+    }
 
-    const data = await response.json();
+    // Parse defensively: a proxy's HTML 502 page must not surface as a SyntaxError.
+    let data = {};
+    let parsed = true;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch {
+        data = null;
+        parsed = false;
+      }
+    }
 
     if (!response.ok) {
-      // Auto-redirect to /banned on ban responses (client-side only)
-      if (response.status === 403 && data.error === "banned" && typeof window !== "undefined") {
-        const reason = data.reason ? `?reason=${encodeURIComponent(data.reason)}` : "";
-        window.location.href = `/banned${reason}`;
-      }
+      const body = data || { body: text.slice(0, 500) };
+      ctx.error = errorFromResponse(response.status, body, {
+        retryAfterMs: parseRetryAfter(response.headers?.get?.("Retry-After")),
+      });
 
-      const error = new Error(data.message || data.error || "API request failed");
-      error.status = response.status;
-      error.details = data;
-      throw error;
+      // Banned visitor: redirect to /banned (client-side only) unless an app
+      // handler takes over.
+      if (response.status === 403 && body.error === "banned") {
+        const redirect = this._events.emitCancelable("banned", { reason: body.reason || null, error: ctx.error });
+        if (redirect && typeof window !== "undefined") {
+          const reason = body.reason ? `?reason=${encodeURIComponent(body.reason)}` : "";
+          window.location.href = `/banned${reason}`;
+        }
+      }
+      return;
     }
 
-    // Check if organization is locked — redirect storefront to codecraftstudios.net
-    if (data.organization?.is_locked && typeof window !== "undefined") {
-      window.location.href = "https://www.codecraftstudios.net";
-      return data;
+    if (!parsed) {
+      ctx.error = new DashApiError(`Expected JSON from the API but received ${response.headers?.get?.("Content-Type") || "a non-JSON body"}`, {
+        code: "invalid_response",
+        status: response.status,
+        details: { body: text.slice(0, 500) },
+      });
+      return;
     }
 
-    return data;
+    ctx.data = data;
+    if (this.validateResponses) this._validateResponse(ctx);
+  }
+
+  /**
+   * Compare a successful response with the SDK's schema for its route (see
+   * core/schemas.js). In "throw" mode a mismatching read fails; writes are
+   * only reported, since the change has already happened.
+   * @private
+   */
+  _validateResponse(ctx) {
+    const schema = responseSchemaFor(ctx.method, ctx.url);
+    if (!schema) return;
+    const issues = validateSchema(schema, ctx.data);
+    if (issues.length === 0) return;
+
+    const route = new URL(ctx.url).pathname;
+    const message = `${schema.name} from ${ctx.method} ${route} does not match the SDK's types: ` +
+      issues.map((i) => `${i.path} expected ${i.expected}, received ${i.received}`).join("; ");
+    if (this.validateResponses === "throw" && ctx.method === "GET") {
+      ctx.error = new DashApiError(message, {
+        code: "invalid_response",
+        status: ctx.response.status,
+        details: { schema: schema.name, issues },
+      });
+      return;
+    }
+    // Array indexes dropped: products[0].price and products[7].price are one drift.
+    const fingerprint = `${schema.name}|${issues.map((i) => i.path.replace(/\[\d+\]/g, "[]")).join(",")}`;
+    if (this._reportedMismatches.has(fingerprint)) return;
+    this._reportedMismatches.add(fingerprint);
+    this.logger.warn(message, { schema: schema.name, method: ctx.method, route, issues });
   }
 
   /**
    * Health check - validates API key and returns organization info
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{status: string, organization: Object, environment: string}>}
    */
-  async ping() {
+  async ping(options = {}) {
     const url = `${this.baseURL}/api/storefront/ping`;
-    return this._fetch(url);
+    return this._fetch(url, {}, options);
   }
 
   /**
@@ -497,7 +1066,8 @@ export class DashClient {
    * A 4xx (bad key, wrong origin) is a *config* problem, not an outage, so it
    * does NOT gate — you want that error visible, not hidden behind "be right
    * back". Org lock is reported as `locked` but left to the existing _fetch
-   * redirect, so this doesn't change lock behavior.
+   * redirect, so this doesn't change lock behavior. Emits `maintenance` with
+   * the result whenever it gates the site.
    *
    * @param {Object} [opts]
    * @param {number} [opts.timeoutMs=2500] Abort the probe after this long.
@@ -507,17 +1077,21 @@ export class DashClient {
   async checkHealth({ timeoutMs = 2500 } = {}) {
     const controller = new AbortController();
     const timer = setTimeout(() => controller.abort(), timeoutMs);
-    const down = (reason) => ({
-      ok: false,
-      reachable: reason.indexOf("http_") === 0,
-      maintenance: true,
-      locked: false,
-      reason,
-      message: null,
-      until: null,
-    });
+    const down = (reason) => {
+      const result = {
+        ok: false,
+        reachable: reason.indexOf("http_") === 0,
+        maintenance: true,
+        locked: false,
+        reason,
+        message: null,
+        until: null,
+      };
+      this._events.emit("maintenance", result);
+      return result;
+    };
     try {
-      const res = await fetch(`${this.baseURL}/api/storefront/ping`, {
+      const res = await this.transport(`${this.baseURL}/api/storefront/ping`, {
         method: "GET",
         headers: { "X-API-Key": this.apiKey },
         cache: "no-store",
@@ -557,7 +1131,7 @@ export class DashClient {
         data.maintenance === true ||
         data.maintenance_mode === true;
 
-      return {
+      const result = {
         ok: !inMaintenance,
         reachable: true,
         maintenance: inMaintenance,
@@ -566,6 +1140,8 @@ export class DashClient {
         message: m.message || null,
         until: m.until || null,
       };
+      if (inMaintenance) this._events.emit("maintenance", result);
+      return result;
     } catch (err) {
       return down(err && err.name === "AbortError" ? "timeout" : "unreachable");
     } finally {
@@ -578,8 +1154,10 @@ export class DashClient {
    * Fetches all configured data for a page in a single request.
    *
    * @param {string} pathOrName - URL path (e.g., "/products/my-product") or page name (e.g., "home")
-   * @param {Object} options - Options
-   * @param {boolean} options.byName - If true, treats pathOrName as a page name instead of path
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.byName] - If true, treats pathOrName as a page name instead of path
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{page: Object, params: Object, global: Object, data: Object}>}
    *
    * @example
@@ -592,10 +1170,11 @@ export class DashClient {
    * const { page, global, data } = await dash.getPageData("home", { byName: true });
    */
   async getPageData(pathOrName, options = {}) {
-    if (options.byName) {
-      return this.pages.getByName(pathOrName);
+    const { byName, signal, timeoutMs } = options;
+    if (byName) {
+      return this.pages.getByName(pathOrName, { signal, timeoutMs });
     }
-    return this.pages.getByPath(pathOrName);
+    return this.pages.getByPath(pathOrName, { signal, timeoutMs });
   }
 
   /**
@@ -609,6 +1188,7 @@ export class DashClient {
    * - Business type and industry
    * - Global data sources (if configured)
    *
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{global: Object}>}
    *
    * @example
@@ -618,85 +1198,68 @@ export class DashClient {
    * console.log(global.business_email);   // "contact@mystore.com"
    * console.log(global.nav_categories);   // [...] if configured
    */
-  async getGlobalData() {
+  async getGlobalData(options = {}) {
     const url = `${this.baseURL}/api/storefront/global`;
-    return this._fetch(url);
+    return this._fetch(url, {}, options);
   }
 }
 
 // =============================================================================
-// REVALIDATION HANDLER (Next.js App Router)
+// REVALIDATION HANDLERS
 // =============================================================================
 
-/**
- * Create a Next.js App Router POST handler for on-demand ISR revalidation.
- * Validates a shared secret, then calls revalidatePath() for each path.
- *
- * @param {Object} options
- * @param {string} options.secret - Shared secret (must match backend REVALIDATE_SECRET)
- * @returns {Function} POST handler for route.ts
- *
- * @example
- * // app/api/revalidate/route.ts
- * import { createRevalidateHandler } from "@/lib/dash4devs";
- * export const POST = createRevalidateHandler({ secret: process.env.REVALIDATE_SECRET });
- */
-export function createRevalidateHandler({ secret }) {
-  return async function POST(request) {
-    const { NextResponse } = await import("next/server");
-    const { revalidatePath, revalidateTag } = await import("next/cache");
-
-    let body;
-    try {
-      body = await request.json();
-    } catch {
-      return NextResponse.json({ error: "Invalid JSON" }, { status: 400 });
-    }
-
-    if (!secret || body.secret !== secret) {
-      return NextResponse.json({ error: "Invalid secret" }, { status: 401 });
-    }
-
-    const paths = Array.isArray(body.paths) ? body.paths : [];
-    // `tags` busts cache by tag (revalidateTag) — used for changes that can't
-    // map to a specific page path (gallery/media-library images, async
-    // variant-ready completion); send ["dash4devs"] to refresh ALL cached
-    // catalog data. At least one of paths/tags must be present.
-    const tags = Array.isArray(body.tags) ? body.tags : [];
-    if (paths.length === 0 && tags.length === 0) {
-      return NextResponse.json({ error: "paths or tags must be provided" }, { status: 400 });
-    }
-
-    const revalidated = [];
-
-    // Always revalidate the root layout so navbar/footer update
-    try {
-      revalidatePath("/", "layout");
-      revalidated.push("/ (layout)");
-    } catch {}
-
-    for (const p of paths) {
-      try {
-        revalidatePath(p);
-        revalidated.push(p);
-      } catch (e) {
-        console.error(`[revalidate] Failed for ${p}:`, e.message);
-      }
-    }
-
-    for (const t of tags) {
-      try {
-        revalidateTag(t);
-        revalidated.push(`tag:${t}`);
-      } catch (e) {
-        console.error(`[revalidate] Failed for tag ${t}:`, e.message);
-      }
-    }
-
-    console.log(`[revalidate] Revalidated ${revalidated.length} entries:`, revalidated);
-    return NextResponse.json({ revalidated });
-  };
-}
+// Webhook endpoints that revalidate Next.js pages and/or the SDK cache when
+// catalog data changes — see core/revalidate.js and core/signature.js.
+export {
+  createRevalidateHandler,
+  createExpressRevalidateHandler,
+  createHonoRevalidateHandler,
+} from "./core/revalidate.js";
+export { SIGNATURE_HEADER, signWebhookPayload, verifyWebhookSignature } from "./core/signature.js";
+
+// Store event webhooks (order placed, stock changed, …) — see core/webhooks.js.
+export {
+  WEBHOOK_EVENT_TYPES,
+  createWebhookHandler,
+  createExpressWebhookHandler,
+  createHonoWebhookHandler,
+} from "./core/webhooks.js";
+
+// Response cache — `MemoryCacheStore` is the default store; export it so apps
+// can size it or wrap it.
+export { MemoryCacheStore, ResponseCache, CACHEABLE_ROUTES } from "./core/cache.js";
+
+// `dash.circuit` is a CircuitBreaker; `isOutageError` tells outages from API rejections.
+export { CircuitBreaker, isOutageError, STALE_IF_ERROR_ROUTES } from "./core/circuit.js";
+
+// `dash.logger` is a Logger; `redactLogValue` applies the same redaction to your own logs.
+export { Logger, LOG_LEVELS, createLogger, redactLogValue } from "./core/logger.js";
+
+// `dash.telemetry` is a Telemetry; `withOperation` names spans for your own wrappers.
+export { Telemetry } from "./core/telemetry.js";
+
+// One deployment, many storefronts: a client per tenant, a fresh module set per request.
+export { DashClientPool, hostnameOf } from "./core/pool.js";
+
+// `dash.search` builds and queries a SearchIndex; usable on its own for custom documents.
+export { SearchIndex, DEFAULT_SEARCH_BOOST, foldTerm } from "./core/search-index.js";
+
+// Returned by the `iterate*()` helpers; exported so custom list calls can reuse it.
+export { Paginator } from "./core/paginate.js";
+
+// Error classes — branch on these (or `error.code`) instead of messages
+export {
+  DashError,
+  DashApiError,
+  DashValidationError,
+  DashAuthError,
+  DashRateLimitError,
+  DashBannedError,
+  DashNetworkError,
+  DashTimeoutError,
+  DashCircuitOpenError,
+  DashUnknownTenantError,
+} from "./core/errors.js";
 
 // Re-export modules for advanced usage
 export { ProductsModule } from "./services/products.js";
@@ -725,6 +1288,9 @@ export { DiscountStoreModule } from "./services/discount-store.js";
 export { EarnPointsModule } from "./services/earn-points.js";
 export { SitemapModule } from "./services/sitemap.js";
 export { CalendarModule } from "./services/calendar.js";
+export { SearchModule, SEARCH_SOURCES } from "./services/search.js";
+export { WishlistModule } from "./services/wishlist.js";
+export { HistoryModule } from "./services/history.js";
 export { PageGroupsModule, PageGroup } from "./services/page-groups.js";
 export { FormsModule } from "./services/forms.js";
 export { SurveyModule } from "./services/survey.js";
@@ -33,6 +33,8 @@
  *    btoa(paymentData.paymentMethodData.tokenizationData.token)
  */
 
+import { createLogger } from "../core/logger.js";
+
 const GOOGLE_PAY_JS = "https://pay.google.com/gp/p/js/pay.js";
 
 // Authorize.net opaque-data descriptor for Google Pay tokens.
@@ -62,9 +64,12 @@ export class GooglePayCSR {
    * @param {string[]} [config.cardNetworks] - Allowed card networks.
    * @param {string[]} [config.authMethods] - Allowed auth methods.
    * @param {string} [config.descriptor] - Override the opaque-data descriptor.
+   * @param {Object} [config.logger] - Logger for failures (default: the console).
+   *   `dash.payment.googlePay()` passes the client's.
    */
   constructor(config = {}) {
     this._gateway = config.gateway || "authorizenet";
+    this._logger = createLogger(config.logger).child("google-pay");
     this._gatewayMerchantId = config.gatewayMerchantId || "";
     this._environment = config.environment === "live" ? "PRODUCTION" : "TEST";
     this._merchantName = config.merchantName || "";
@@ -284,9 +289,7 @@ export class GooglePayCSR {
       const res = await this._client.isReadyToPay(req);
       return !!res.result;
     } catch (err) {
-      if (typeof console !== "undefined") {
-        console.warn("[GooglePay] isReadyToPay failed:", err?.message || err);
-      }
+      this._logger.warn("isReadyToPay failed", { error: err });
       return false;
     }
   }
@@ -356,7 +359,7 @@ export class GooglePayCSR {
           return;
         }
         if (onError) onError(err);
-        else if (typeof console !== "undefined") console.error("[GooglePay]", err);
+        else this._logger.error("Google Pay payment failed", { error: err });
       }
     };
 
@@ -426,8 +429,8 @@ export class GooglePayCSR {
 
     // Authorize.net expects the Base64-encoded token blob.
     const b64 =
-      typeof window !== "undefined" && typeof window.btoa === "function"
-        ? window.btoa(rawToken)
+      typeof globalThis.btoa === "function"
+        ? globalThis.btoa(rawToken)
         : Buffer.from(rawToken, "utf-8").toString("base64");
 
     return {
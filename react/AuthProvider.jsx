@@ -146,6 +146,32 @@ export function AuthProvider({
     localStorage.removeItem(customerKey);
   }, [accessTokenKey, refreshTokenKey, customerKey]);
 
+  // Keep persisted tokens in step with automatic refreshes, and drop the
+  // session when the client reports the refresh token was rejected.
+  useEffect(() => {
+    if (!client?.auth?.on) return undefined;
+
+    const offRefreshed = client.auth.on("token-refreshed", (tokens) => {
+      if (typeof window === "undefined") return;
+      localStorage.setItem(accessTokenKey, tokens.access_token);
+      if (tokens.refresh_token) {
+        localStorage.setItem(refreshTokenKey, tokens.refresh_token);
+      }
+    });
+    const offExpired = client.auth.on("session-expired", () => {
+      setCustomer(null);
+      clearAuth();
+      if (onLogout) {
+        onLogout();
+      }
+    });
+
+    return () => {
+      offRefreshed();
+      offExpired();
+    };
+  }, [client, accessTokenKey, refreshTokenKey, clearAuth, onLogout]);
+
   const requestOTP = useCallback(
     async (email) => {
       return client.auth.requestOTP(email);
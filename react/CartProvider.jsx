@@ -355,7 +355,7 @@ export function CartProvider({
       // Cart is now associated with user, refresh
       await refreshCart();
     } catch (err) {
-      console.error("Failed to transfer cart:", err);
+      client.logger.child("cart").error("Failed to transfer cart", { error: err });
       setError(err.message);
     }
   }, [client, cartId, refreshCart]);
@@ -1,5 +1,13 @@
 import { ReactNode } from "react";
-import type { DashClient } from "../index";
+import type { DashClient, WishlistItem, WishlistTarget, CartAddResponse } from "../index";
+import type {
+  ProductConfigurator,
+  ConfiguratorVariation,
+  ConfiguratorSize,
+  ConfiguratorPrice,
+  ConfiguratorSlot,
+  ConfiguratorIssue,
+} from "../utils/index";
 
 // ============================================================================
 // Cart Types
@@ -272,3 +280,92 @@ export interface MaintenancePageProps {
  * stylesheets are down.
  */
 export function MaintenancePage(props?: MaintenancePageProps): JSX.Element;
+
+// ============================================================================
+// useProductOptions
+// ============================================================================
+
+export interface UseProductOptionsOptions {
+  /** Explicit DashClient (defaults to the one from <DashProvider>). */
+  client?: DashClient;
+  /** `getOptions()` response fetched on the server, for a first paint without a request. */
+  initialOptions?: any;
+  /** Needed for `addToCart()` when `product` is a slug. */
+  productId?: string;
+  /** Initial variation slug */
+  variation?: string;
+  /** Initial size label */
+  size?: string;
+  /** Initial quantity */
+  quantity?: number;
+  /** Picks a "choose" bundle needs */
+  chooseCount?: number;
+  /** Called with the `cart.add` response */
+  onAdded?: (response: any) => void;
+}
+
+export interface UseProductOptionsResult {
+  loading: boolean;
+  error: string | null;
+  configurator: ProductConfigurator | null;
+  variations: ConfiguratorVariation[];
+  sizes: ConfiguratorSize[];
+  variation: Record<string, any> | null;
+  size: Record<string, any> | null;
+  sizeId: string | null;
+  quantity: number;
+  maxQuantity: number | null;
+  price: ConfiguratorPrice | null;
+  slots: ConfiguratorSlot[];
+  freestyleSelections: { slot_id: string; option_id: string }[];
+  errors: ConfiguratorIssue[];
+  canAddToCart: boolean;
+  select: (changes: { variation?: string; size?: string; quantity?: number }) => void;
+  pickSlotOption: (slotId: string, optionId: string) => void;
+  unpickSlotOption: (slotId: string, optionId: string) => void;
+  /** Add the current choice with `client.cart.add`; resolves to null (and sets `error`) on failure. */
+  addToCart: () => Promise<any>;
+  adding: boolean;
+}
+
+/**
+ * Variation / size / quantity / bundle state for a product page.
+ * `product` is a slug, a product from `getCore()` (options are fetched), or a
+ * full product from `get()` (used as is).
+ */
+export function useProductOptions(
+  product: string | { id?: string; slug: string; [key: string]: any },
+  options?: UseProductOptionsOptions,
+): UseProductOptionsResult;
+
+// ============================================================================
+// useWishlist
+// ============================================================================
+
+export interface UseWishlistOptions {
+  /** Explicit DashClient (defaults to the one from <DashProvider>). */
+  client?: DashClient;
+  /** Called with the `cart.add` response after `moveToCart()` */
+  onMovedToCart?: (response: CartAddResponse) => void;
+}
+
+export interface UseWishlistResult {
+  items: WishlistItem[];
+  count: number;
+  loading: boolean;
+  error: string | null;
+  has: (item: WishlistTarget) => boolean;
+  /** Actions resolve to null (and set `error`) on failure. */
+  add: (item: WishlistTarget, options?: { track?: boolean }) => Promise<{ items: WishlistItem[] } | null>;
+  remove: (item: WishlistTarget) => Promise<{ items: WishlistItem[] } | null>;
+  toggle: (item: WishlistTarget, options?: { track?: boolean }) => Promise<{ items: WishlistItem[]; added: boolean } | null>;
+  moveToCart: (item: WishlistTarget, options?: { quantity?: number }) => Promise<{ cart: CartAddResponse; items: WishlistItem[] } | null>;
+  clear: () => Promise<{ items: WishlistItem[] } | null>;
+  refresh: () => Promise<{ items: WishlistItem[] } | null>;
+}
+
+/**
+ * The wishlist as React state. Every component using it follows
+ * `dash.wishlist`, including the merge on login and the reset on logout.
+ */
+export function useWishlist(options?: UseWishlistOptions): UseWishlistResult;
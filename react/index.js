@@ -15,4 +15,6 @@ export { DashProvider, useDash } from "./DashProvider.jsx";
 export { DashImage, default as DashImageDefault } from "./DashImage.jsx";
 export { SignaturePad } from "./SignaturePad.jsx";
 export { useDashForm } from "./useDashForm.jsx";
+export { useProductOptions } from "./useProductOptions.jsx";
+export { useWishlist } from "./useWishlist.jsx";
 export { MaintenancePage, default as MaintenancePageDefault } from "./MaintenancePage.jsx";
@@ -332,12 +332,10 @@ export function useDashForm(slug, options = {}) {
         );
       }
       // Unknown type — fall back to a text input so the form still
-      // renders. Surfaces via console.warn so authors notice.
-      if (typeof console !== "undefined") {
-        console.warn(
-          `useDashForm: unknown field type "${t}" for "${name}"; rendering as text.`,
-        );
-      }
+      // renders. Surfaces as a warning so authors notice.
+      client.logger.child("forms").warn(
+        `useDashForm: unknown field type "${t}" for "${name}"; rendering as text.`,
+      );
       return (
         <input
           {...baseProps}
@@ -0,0 +1,204 @@
+"use client";
+
+/**
+ * useProductOptions — variation / size / quantity / bundle state for a
+ * product page, on top of `ProductConfigurator` (dash4devs/utils).
+ *
+ * Quick start:
+ *
+ *   import { useProductOptions } from "dash4devs/react";
+ *
+ *   function BuyBox({ product }) {            // product from getCore() in SSR
+ *     const p = useProductOptions(product);
+ *     if (p.loading) return <Skeleton />;
+ *     return (
+ *       <>
+ *         {p.variations.map((v) => (
+ *           <button key={v.id} disabled={v.disabled} aria-pressed={v.selected}
+ *                   onClick={() => p.select({ variation: v.slug })}>{v.name}</button>
+ *         ))}
+ *         {p.sizes.map((s) => (
+ *           <button key={s.id} disabled={s.disabled} aria-pressed={s.selected}
+ *                   onClick={() => p.select({ size: s.label })}>{s.label}</button>
+ *         ))}
+ *         <input type="number" min={1} max={p.maxQuantity ?? undefined} value={p.quantity}
+ *                onChange={(e) => p.select({ quantity: e.target.valueAsNumber })} />
+ *         <p>{p.price && formatPrice(p.price.total)}</p>
+ *         <button disabled={!p.canAddToCart || p.adding} onClick={p.addToCart}>Add to cart</button>
+ *       </>
+ *     );
+ *   }
+ *
+ * Design notes:
+ *   - `product` may be a slug, a product from `getCore()` (options are then
+ *     fetched with `getOptions()`), or a full product from `get()`, which
+ *     already carries its options and is used as is.
+ *   - Pass `initialOptions` (a `getOptions()` response fetched on the server)
+ *     to render the first paint without a request.
+ *   - The hook holds a `ProductConfigurator`; everything it returns is read
+ *     from it, and `configurator` is exposed for anything not covered here.
+ *   - Needs a `<DashProvider>` ancestor for the client, or `options.client`.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useDash } from "./DashProvider.jsx";
+import { ProductConfigurator } from "../utils/product-configurator.js";
+
+function hasOwnOptions(product) {
+  return !!product && typeof product === "object" && (Array.isArray(product.sizes) || Array.isArray(product.selectable_variations));
+}
+
+/**
+ * @param {string|Object} product — slug, or a product object (`id` and `slug`)
+ * @param {Object} [options]
+ * @param {Object} [options.client] — explicit DashClient (defaults to DashProvider's)
+ * @param {Object} [options.initialOptions] — `getOptions()` response from SSR
+ * @param {string} [options.productId] — when `product` is a slug
+ * @param {string} [options.variation] — initial variation slug
+ * @param {string} [options.size] — initial size label
+ * @param {number} [options.quantity] — initial quantity
+ * @param {number} [options.chooseCount] — picks a "choose" bundle needs
+ * @param {Function} [options.onAdded] — called with the `cart.add` response
+ */
+export function useProductOptions(product, options = {}) {
+  const dashCtx = useDashSafely();
+  const client = options.client || dashCtx?.client;
+  const slug = typeof product === "string" ? product : product?.slug;
+  const productId = options.productId ?? (typeof product === "object" ? product?.id : undefined);
+  const ownOptions = hasOwnOptions(product) ? product : null;
+
+  const [payload, setPayload] = useState(() => ownOptions || options.initialOptions || null);
+  const [loading, setLoading] = useState(!payload);
+  const [error, setError] = useState(null);
+  const [selection, setSelection] = useState({
+    variation: options.variation,
+    size: options.size,
+    quantity: options.quantity,
+  });
+  const [adding, setAdding] = useState(false);
+
+  // ── Load options ───────────────────────────────────────────────────
+  useEffect(() => {
+    if (ownOptions) {
+      setPayload(ownOptions);
+      setLoading(false);
+      return;
+    }
+    if (options.initialOptions) return;
+    if (!client) {
+      setError("useProductOptions: no client. Wrap your app in <DashProvider> or pass options.client.");
+      setLoading(false);
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    client.products
+      .getOptions(slug)
+      .then((res) => {
+        if (!cancelled) setPayload(res);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err?.message || "Failed to load product options.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [client, slug, ownOptions]);
+
+  const configurator = useMemo(
+    () =>
+      payload
+        ? new ProductConfigurator(payload, { ...selection, productId, chooseCount: options.chooseCount })
+        : null,
+    [payload, selection, productId, options.chooseCount],
+  );
+
+  // Keep the state in step with the configurator's resolution (a variation
+  // change may move the size, a quantity may be clamped).
+  const select = useCallback(
+    (changes) => {
+      if (!configurator) return;
+      const next = configurator.select(changes);
+      setSelection({
+        variation: next.variation?.slug,
+        size: next.size?.label ?? changes.size,
+        quantity: next.quantity,
+        freestyleSelections: next.freestyleSelections,
+      });
+    },
+    [configurator],
+  );
+
+  const pickSlotOption = useCallback(
+    (slotId, optionId) => {
+      if (!configurator) return;
+      const next = configurator.pickSlotOption(slotId, optionId);
+      setSelection((prev) => ({ ...prev, freestyleSelections: next.freestyleSelections }));
+    },
+    [configurator],
+  );
+
+  const unpickSlotOption = useCallback(
+    (slotId, optionId) => {
+      if (!configurator) return;
+      const next = configurator.unpickSlotOption(slotId, optionId);
+      setSelection((prev) => ({ ...prev, freestyleSelections: next.freestyleSelections }));
+    },
+    [configurator],
+  );
+
+  const addToCart = useCallback(async () => {
+    if (!configurator || !client) return null;
+    setAdding(true);
+    setError(null);
+    try {
+      const response = await client.cart.add(configurator.toCartItem());
+      options.onAdded?.(response);
+      return response;
+    } catch (err) {
+      setError(err?.message || "Failed to add to cart.");
+      return null;
+    } finally {
+      setAdding(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [configurator, client, options.onAdded]);
+
+  return {
+    loading,
+    error,
+    configurator,
+    variations: configurator?.variations ?? [],
+    sizes: configurator?.sizes ?? [],
+    variation: configurator?.variation ?? null,
+    size: configurator?.size ?? null,
+    sizeId: configurator?.sizeId ?? null,
+    quantity: configurator?.quantity ?? 1,
+    maxQuantity: configurator?.maxQuantity ?? null,
+    price: configurator?.price ?? null,
+    slots: configurator?.slots ?? [],
+    freestyleSelections: configurator?.freestyleSelections ?? [],
+    errors: configurator?.errors ?? [],
+    canAddToCart: !!configurator?.canAddToCart,
+    select,
+    pickSlotOption,
+    unpickSlotOption,
+    addToCart,
+    adding,
+  };
+}
+
+function useDashSafely() {
+  try {
+    return useDash();
+  } catch (_) {
+    return undefined;
+  }
+}
+
+export default useProductOptions;
@@ -0,0 +1,134 @@
+"use client";
+
+/**
+ * useWishlist — the wishlist as React state, on top of `dash.wishlist`.
+ *
+ * Quick start:
+ *
+ *   import { useWishlist } from "dash4devs/react";
+ *
+ *   function HeartButton({ product }) {
+ *     const wishlist = useWishlist();
+ *     const saved = wishlist.has(product.id);
+ *     return (
+ *       <button aria-pressed={saved} onClick={() => wishlist.toggle({ productId: product.id, product })}>
+ *         {saved ? "♥" : "♡"}
+ *       </button>
+ *     );
+ *   }
+ *
+ * Design notes:
+ *   - Every component using the hook shares `dash.wishlist`, so a heart on a
+ *     product card and a wishlist page stay in step through its `change`
+ *     event; logging in (merge) and out update them too.
+ *   - Actions resolve to null and set `error` when the request fails.
+ *   - Needs a `<DashProvider>` ancestor for the client, or `options.client`.
+ */
+
+import { useCallback, useEffect, useState } from "react";
+import { useDash } from "./DashProvider.jsx";
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.client] — explicit DashClient (defaults to DashProvider's)
+ * @param {Function} [options.onMovedToCart] — called with the `cart.add` response
+ */
+export function useWishlist(options = {}) {
+  const dashCtx = useDashSafely();
+  const client = options.client || dashCtx?.client;
+  const wishlist = client?.wishlist;
+
+  const [items, setItems] = useState(() => wishlist?.items ?? []);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // ── Load, and follow changes made anywhere ─────────────────────────
+  useEffect(() => {
+    if (!wishlist) {
+      setError("useWishlist: no client. Wrap your app in <DashProvider> or pass options.client.");
+      setLoading(false);
+      return;
+    }
+    let cancelled = false;
+    const unsubscribe = wishlist.on("change", ({ items: next }) => {
+      if (!cancelled) setItems(next);
+    });
+    setLoading(true);
+    wishlist
+      .list()
+      .catch((err) => {
+        if (!cancelled) setError(err?.message || "Failed to load the wishlist.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [wishlist]);
+
+  const run = useCallback(
+    async (action, fallback) => {
+      if (!wishlist) return null;
+      setError(null);
+      try {
+        return await action();
+      } catch (err) {
+        setError(err?.message || fallback);
+        return null;
+      }
+    },
+    [wishlist],
+  );
+
+  const has = useCallback(
+    (item) => {
+      const productId = typeof item === "string" ? item : item?.productId;
+      const sizeId = typeof item === "string" ? null : item?.sizeId ?? null;
+      return items.some((i) => i.product_id === productId && (i.size_id ?? null) === sizeId);
+    },
+    [items],
+  );
+
+  const add = useCallback((item, opts) => run(() => wishlist.add(item, opts), "Failed to save to the wishlist."), [run, wishlist]);
+  const remove = useCallback((item, opts) => run(() => wishlist.remove(item, opts), "Failed to remove from the wishlist."), [run, wishlist]);
+  const toggle = useCallback((item, opts) => run(() => wishlist.toggle(item, opts), "Failed to update the wishlist."), [run, wishlist]);
+  const clear = useCallback(() => run(() => wishlist.clear(), "Failed to clear the wishlist."), [run, wishlist]);
+  const refresh = useCallback(() => run(() => wishlist.list(), "Failed to load the wishlist."), [run, wishlist]);
+
+  const moveToCart = useCallback(
+    (item, opts) =>
+      run(async () => {
+        const result = await wishlist.moveToCart(item, opts);
+        options.onMovedToCart?.(result.cart);
+        return result;
+      }, "Failed to move to the cart."),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [run, wishlist, options.onMovedToCart],
+  );
+
+  return {
+    items,
+    count: items.length,
+    loading,
+    error,
+    has,
+    add,
+    remove,
+    toggle,
+    moveToCart,
+    clear,
+    refresh,
+  };
+}
+
+function useDashSafely() {
+  try {
+    return useDash();
+  } catch (_) {
+    return undefined;
+  }
+}
+
+export default useWishlist;
@@ -0,0 +1,72 @@
+// ============================================================================
+// Public-env leak detection
+// ============================================================================
+
+/**
+ * Env-var prefixes that bundlers expose to client code: NEXT_PUBLIC_, VITE_,
+ * REACT_APP_, NUXT_PUBLIC_, NUXT_ENV_, PUBLIC_, GATSBY_, EXPO_PUBLIC_, VUE_APP_.
+ */
+export declare const PUBLIC_ENV_PREFIXES: string[];
+
+/** Whether `value` is a secret API key (`sk_live_*` / `sk_test_*`). */
+export function isSecretKey(value: unknown): boolean;
+
+/** `sk_live_••••••••ab12` */
+export function maskSecretKey(key: string): string;
+
+/** The public-prefixed variables in `env` that hold a secret key. */
+export function findExposedSecretKeys(
+  env: Record<string, string | undefined>,
+  prefixes?: string[]
+): Array<{ name: string; prefix: string }>;
+
+export interface SecretKeyMatch {
+  /** Masked key */
+  key: string;
+  /** 1-based */
+  line: number;
+  /** 1-based */
+  column: number;
+}
+
+/** Every secret key in `text`. `allow` skips documentation placeholders. */
+export function findSecretKeysInText(text: string, options?: { allow?: Array<string | RegExp> }): SecretKeyMatch[];
+
+// ============================================================================
+// Bundle scanner (Node only)
+// ============================================================================
+
+/** File types read by default; source maps are included because they embed the original source. */
+export declare const BUNDLE_EXTENSIONS: string[];
+
+export interface SecretScanOptions {
+  /** File types to read. Default: BUNDLE_EXTENSIONS */
+  extensions?: string[];
+  /** Matches to ignore (documentation placeholders) */
+  allow?: Array<string | RegExp>;
+}
+
+export interface SecretKeyFinding extends SecretKeyMatch {
+  /** Relative to the current directory */
+  file: string;
+}
+
+/**
+ * Search built files for secret API keys. Rejects with a DashValidationError
+ * when a directory doesn't exist.
+ */
+export function scanForSecretKeys(
+  bundleDir: string | string[],
+  options?: SecretScanOptions
+): Promise<{ filesScanned: number; findings: SecretKeyFinding[] }>;
+
+/**
+ * Fail when a built client bundle contains a secret API key: rejects with a
+ * DashError coded `secret_key_exposed` whose `details.findings` lists each
+ * (masked) occurrence. Call it from the build pipeline before deploying.
+ *
+ * @example
+ * import { assertNoSecretKeys } from "dash4devs/security";
+ * await assertNoSecretKeys(".next/static");
+ */
+export function assertNoSecretKeys(bundleDir: string | string[], options?: SecretScanOptions): Promise<{ filesScanned: number }>;
@@ -0,0 +1,99 @@
+/**
+ * Security checks for build pipelines (Node only)
+ *
+ * Run after the client build, before deploying:
+ *
+ *   import { assertNoSecretKeys } from "dash4devs/security";
+ *   await assertNoSecretKeys(".next/static");
+ *
+ * or from a package script: `dash4devs check-secrets .next/static`.
+ */
+
+import { readdir, readFile, stat } from "node:fs/promises";
+import path from "node:path";
+
+import { DashError, DashValidationError } from "../core/errors.js";
+import { findSecretKeysInText } from "../core/secrets.js";
+
+export {
+  PUBLIC_ENV_PREFIXES,
+  isSecretKey,
+  maskSecretKey,
+  findExposedSecretKeys,
+  findSecretKeysInText,
+} from "../core/secrets.js";
+
+/** Files a browser bundle is made of (source maps embed the original source). */
+export const BUNDLE_EXTENSIONS = [".js", ".mjs", ".cjs", ".jsx", ".html", ".htm", ".json", ".map", ".txt", ".css"];
+
+/** @private */
+async function* walk(dir) {
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) yield* walk(full);
+    else if (entry.isFile()) yield full;
+  }
+}
+
+/**
+ * Search built files for secret API keys.
+ * @param {string|string[]} bundleDir - Build output directories, e.g. ".next/static" or "dist"
+ * @param {Object} [options]
+ * @param {string[]} [options.extensions=BUNDLE_EXTENSIONS] - File types to read
+ * @param {Array<string|RegExp>} [options.allow] - Matches to ignore (documentation placeholders)
+ * @returns {Promise<{filesScanned: number, findings: Array<{file: string, key: string, line: number, column: number}>}>}
+ *   `key` is masked; `file` is relative to the current directory
+ * @throws {DashValidationError} When a directory doesn't exist
+ */
+export async function scanForSecretKeys(bundleDir, { extensions = BUNDLE_EXTENSIONS, allow = [] } = {}) {
+  const dirs = Array.isArray(bundleDir) ? bundleDir : [bundleDir];
+  const wanted = new Set(extensions.map((e) => e.toLowerCase()));
+  const findings = [];
+  let filesScanned = 0;
+
+  for (const dir of dirs) {
+    const info = await stat(dir).catch(() => null);
+    if (!info?.isDirectory()) {
+      throw new DashValidationError(`Bundle directory not found: ${dir}`, { fields: { bundleDir: "not_found" } });
+    }
+    for await (const file of walk(dir)) {
+      if (!wanted.has(path.extname(file).toLowerCase())) continue;
+      filesScanned += 1;
+      const text = await readFile(file, "utf8");
+      for (const found of findSecretKeysInText(text, { allow })) {
+        findings.push({ file: path.relative(process.cwd(), file), ...found });
+      }
+    }
+  }
+
+  return { filesScanned, findings };
+}
+
+/**
+ * Fail when a built client bundle contains a secret API key. Call it from the
+ * build pipeline before deploying.
+ * @param {string|string[]} bundleDir - Build output directories, e.g. ".next/static" or "dist"
+ * @param {Object} [options] - As for `scanForSecretKeys`
+ * @returns {Promise<{filesScanned: number}>}
+ * @throws {DashError} `secret_key_exposed`, with the (masked) findings in `details.findings`
+ *
+ * @example
+ * // scripts/predeploy.mjs
+ * import { assertNoSecretKeys } from "dash4devs/security";
+ * await assertNoSecretKeys(["dist/client"]);
+ */
+export async function assertNoSecretKeys(bundleDir, options) {
+  const { filesScanned, findings } = await scanForSecretKeys(bundleDir, options);
+  if (findings.length > 0) {
+    const shown = findings.slice(0, 10).map((f) => `  ${f.file}:${f.line}:${f.column}  ${f.key}`);
+    if (findings.length > shown.length) shown.push(`  …and ${findings.length - shown.length} more`);
+    throw new DashError(
+      `Secret key found in the client bundle (${findings.length} occurrence${findings.length === 1 ? "" : "s"}):\n` +
+        `${shown.join("\n")}\n` +
+        "Anyone who loads the site can read it. Remove it from client code, rebuild, and rotate the key " +
+        "in your dashboard (Settings > API > Keys).",
+      { code: "secret_key_exposed", details: { findings } }
+    );
+  }
+  return { filesScanned };
+}
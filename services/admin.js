@@ -5,11 +5,49 @@
  * Products, Categories, Brands, Blog Posts, Reviews, Contact Forms, Orders, Customers, Media
  */
 
+import { DashValidationError } from "../core/errors.js";
+import { Paginator, splitPagingOptions } from "../core/paginate.js";
+
 export class AdminModule {
   constructor(client) {
     this.client = client;
   }
 
+  /**
+   * Iterate every record of any `list*` method, requesting `page`/`per_page`
+   * as needed. Leading arguments (e.g. a product id) are passed through; the
+   * options object takes the method's filters plus `pageSize` and `concurrency`.
+   *
+   * @param {string} method - Name of a list method, e.g. "listOrders"
+   * @param {...*} args - The method's arguments
+   * @returns {Paginator} Async-iterable; also has `.pages()` and `.toArray({ max })`
+   *
+   * @example
+   * for await (const order of dash.admin.iterate("listOrders", { status: "paid", concurrency: 4 })) {
+   *   await exportRow(order);
+   * }
+   * const sizes = await dash.admin.iterate("listProductSizes", productId).toArray();
+   */
+  iterate(method, ...args) {
+    if (!/^list[A-Z]/.test(method) || typeof this[method] !== "function") {
+      throw new DashValidationError(`admin.iterate: "${method}" is not an admin list method`);
+    }
+    const list = this[method];
+    const positional = args.slice(0, list.length);
+    const { paging, rest } = splitPagingOptions(args[list.length]);
+    // "listContactForms" → "contact_forms"
+    const itemsKey = method
+      .slice(4)
+      .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+      .toLowerCase();
+    return new Paginator({
+      ...paging,
+      style: "page",
+      itemsKey,
+      fetchPage: ({ page, limit }) => list.call(this, ...positional, { ...rest, page, per_page: limit }),
+    });
+  }
+
   // ─── Products ───────────────────────────────────────────────────────
 
   async listProducts(options = {}) {
@@ -20,431 +58,445 @@ export class AdminModule {
     if (options.category) params.set("category", options.category);
     if (options.active !== undefined) params.set("active", options.active);
     const qs = params.toString();
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products${qs ? `?${qs}` : ""}`);
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products${qs ? `?${qs}` : ""}`, {}, options);
   }
 
-  async getProduct(productId) {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}`);
+  async getProduct(productId, options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}`, {}, options);
   }
 
-  async createProduct(data) {
+  async createProduct(data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async updateProduct(productId, data) {
+  async updateProduct(productId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async deleteProduct(productId) {
+  async deleteProduct(productId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
-  async importProducts(data) {
+  async importProducts(data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/import`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   // ─── Categories ─────────────────────────────────────────────────────
 
   async listCategories(options = {}) {
     const params = new URLSearchParams();
+    if (options.page) params.set("page", options.page);
+    if (options.per_page) params.set("per_page", options.per_page);
     if (options.tree) params.set("tree", "true");
     const qs = params.toString();
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/categories${qs ? `?${qs}` : ""}`);
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/categories${qs ? `?${qs}` : ""}`, {}, options);
   }
 
-  async getCategory(categoryId) {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/categories/${categoryId}`);
+  async getCategory(categoryId, options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/categories/${categoryId}`, {}, options);
   }
 
-  async createCategory(data) {
+  async createCategory(data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/categories`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async updateCategory(categoryId, data) {
+  async updateCategory(categoryId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/categories/${categoryId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async deleteCategory(categoryId) {
+  async deleteCategory(categoryId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/categories/${categoryId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
-  async importCategories(data) {
+  async importCategories(data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/categories/import`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   // ─── Brands ─────────────────────────────────────────────────────────
 
-  async listBrands() {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/brands`);
+  async listBrands(options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/brands`, {}, options);
   }
 
-  async createBrand(data) {
+  async createBrand(data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/brands`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async updateBrand(brandId, data) {
+  async updateBrand(brandId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/brands/${brandId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async deleteBrand(brandId) {
+  async deleteBrand(brandId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/brands/${brandId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
   // ─── Blog ───────────────────────────────────────────────────────────
 
   async listPosts(options = {}) {
     const params = new URLSearchParams();
+    if (options.per_page) params.set("per_page", options.per_page);
     if (options.page) params.set("page", options.page);
     if (options.search) params.set("search", options.search);
     if (options.status) params.set("status", options.status);
     const qs = params.toString();
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/posts${qs ? `?${qs}` : ""}`);
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/posts${qs ? `?${qs}` : ""}`, {}, options);
   }
 
-  async getPost(postId) {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/posts/${postId}`);
+  async getPost(postId, options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/posts/${postId}`, {}, options);
   }
 
-  async createPost(data) {
+  async createPost(data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/posts`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async updatePost(postId, data) {
+  async updatePost(postId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/posts/${postId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async deletePost(postId) {
+  async deletePost(postId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/posts/${postId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
   // ─── Reviews ────────────────────────────────────────────────────────
 
   async listReviews(options = {}) {
     const params = new URLSearchParams();
+    if (options.per_page) params.set("per_page", options.per_page);
     if (options.page) params.set("page", options.page);
     if (options.product) params.set("product", options.product);
     if (options.status) params.set("status", options.status);
     const qs = params.toString();
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/reviews${qs ? `?${qs}` : ""}`);
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/reviews${qs ? `?${qs}` : ""}`, {}, options);
   }
 
-  async updateReview(reviewId, data) {
+  async updateReview(reviewId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/reviews/${reviewId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async deleteReview(reviewId) {
+  async deleteReview(reviewId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/reviews/${reviewId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
   // ─── Contact Forms ──────────────────────────────────────────────────
 
   async listContactForms(options = {}) {
     const params = new URLSearchParams();
+    if (options.page) params.set("page", options.page);
+    if (options.per_page) params.set("per_page", options.per_page);
     if (options.status) params.set("status", options.status);
     if (options.search) params.set("search", options.search);
     const qs = params.toString();
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/contact-forms${qs ? `?${qs}` : ""}`);
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/contact-forms${qs ? `?${qs}` : ""}`, {}, options);
   }
 
-  async getContactForm(formId) {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/contact-forms/${formId}`);
+  async getContactForm(formId, options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/contact-forms/${formId}`, {}, options);
   }
 
-  async updateContactForm(formId, data) {
+  async updateContactForm(formId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/contact-forms/${formId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async deleteContactForm(formId) {
+  async deleteContactForm(formId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/contact-forms/${formId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
-  async replyContactForm(formId, body) {
+  async replyContactForm(formId, body, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/contact-forms/${formId}/reply`, {
       method: "POST",
       body: JSON.stringify({ body }),
-    });
+    }, options);
   }
 
   // ─── Orders ─────────────────────────────────────────────────────────
 
   async listOrders(options = {}) {
     const params = new URLSearchParams();
+    if (options.per_page) params.set("per_page", options.per_page);
     if (options.page) params.set("page", options.page);
     if (options.status) params.set("status", options.status);
     if (options.search) params.set("search", options.search);
     const qs = params.toString();
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/orders${qs ? `?${qs}` : ""}`);
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/orders${qs ? `?${qs}` : ""}`, {}, options);
   }
 
-  async getOrder(orderId) {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/orders/${orderId}`);
+  async getOrder(orderId, options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/orders/${orderId}`, {}, options);
   }
 
-  async updateOrder(orderId, data) {
+  async updateOrder(orderId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/orders/${orderId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   // ─── Customers ──────────────────────────────────────────────────────
 
   async listCustomers(options = {}) {
     const params = new URLSearchParams();
+    if (options.per_page) params.set("per_page", options.per_page);
     if (options.page) params.set("page", options.page);
     if (options.search) params.set("search", options.search);
     const qs = params.toString();
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/customers${qs ? `?${qs}` : ""}`);
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/customers${qs ? `?${qs}` : ""}`, {}, options);
   }
 
-  async getCustomer(customerId) {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/customers/${customerId}`);
+  async getCustomer(customerId, options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/customers/${customerId}`, {}, options);
   }
 
-  async updateCustomer(customerId, data) {
+  async updateCustomer(customerId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/customers/${customerId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   // ─── Media ──────────────────────────────────────────────────────────
 
   async listMedia(options = {}) {
     const params = new URLSearchParams();
+    if (options.page) params.set("page", options.page);
+    if (options.per_page) params.set("per_page", options.per_page);
     if (options.folder) params.set("folder", options.folder);
     if (options.search) params.set("search", options.search);
     const qs = params.toString();
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/media${qs ? `?${qs}` : ""}`);
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/media${qs ? `?${qs}` : ""}`, {}, options);
   }
 
-  async deleteMedia(mediaId) {
+  async deleteMedia(mediaId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/media/${mediaId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
   // ─── Emails ─────────────────────────────────────────────────────────
 
-  async sendEmail(data) {
+  async sendEmail(data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/emails/send`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   async listEmailThreads(options = {}) {
     const params = new URLSearchParams();
+    if (options.page) params.set("page", options.page);
+    if (options.per_page) params.set("per_page", options.per_page);
     if (options.filter) params.set("filter", options.filter);
     if (options.search) params.set("search", options.search);
     const qs = params.toString();
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/emails/threads${qs ? `?${qs}` : ""}`);
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/emails/threads${qs ? `?${qs}` : ""}`, {}, options);
   }
 
-  async getEmailThread(threadId) {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/emails/threads/${threadId}`);
+  async getEmailThread(threadId, options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/emails/threads/${threadId}`, {}, options);
   }
 
   // ─── Discount Codes ─────────────────────────────────────────────────
 
   async listDiscountCodes(options = {}) {
     const params = new URLSearchParams();
+    if (options.page) params.set("page", options.page);
+    if (options.per_page) params.set("per_page", options.per_page);
     if (options.search) params.set("search", options.search);
     const qs = params.toString();
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/discount-codes${qs ? `?${qs}` : ""}`);
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/discount-codes${qs ? `?${qs}` : ""}`, {}, options);
   }
 
-  async createDiscountCode(data) {
+  async createDiscountCode(data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/discount-codes`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async updateDiscountCode(codeId, data) {
+  async updateDiscountCode(codeId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/discount-codes/${codeId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async deleteDiscountCode(codeId) {
+  async deleteDiscountCode(codeId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/discount-codes/${codeId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
   // ─── Product Variations (Attributes & Options) ──────────────────────
 
-  async listProductVariations(productId) {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/attributes`);
+  async listProductVariations(productId, options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/attributes`, {}, options);
   }
 
-  async createProductAttribute(productId, data) {
+  async createProductAttribute(productId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/attributes`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async updateProductAttribute(productId, attributeId, data) {
+  async updateProductAttribute(productId, attributeId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/attributes/${attributeId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async deleteProductAttribute(productId, attributeId) {
+  async deleteProductAttribute(productId, attributeId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/attributes/${attributeId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
-  async createVariation(productId, attributeId, data) {
+  async createVariation(productId, attributeId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/attributes/${attributeId}/options`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async updateVariation(productId, attributeId, optionId, data) {
+  async updateVariation(productId, attributeId, optionId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/attributes/${attributeId}/options/${optionId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async deleteVariation(productId, attributeId, optionId) {
+  async deleteVariation(productId, attributeId, optionId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/attributes/${attributeId}/options/${optionId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
   // ─── Product Sizes ──────────────────────────────────────────────────
 
-  async listProductSizes(productId) {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/sizes`);
+  async listProductSizes(productId, options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/sizes`, {}, options);
   }
 
-  async createProductSize(productId, data) {
+  async createProductSize(productId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/sizes`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async updateProductSize(productId, sizeId, data) {
+  async updateProductSize(productId, sizeId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/sizes/${sizeId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async deleteProductSize(productId, sizeId) {
+  async deleteProductSize(productId, sizeId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/sizes/${sizeId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
   // ─── Product Files (Lab Reports, etc.) ──────────────────────────────
 
-  async listProductFiles(productId) {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/files`);
+  async listProductFiles(productId, options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/files`, {}, options);
   }
 
-  async deleteProductFile(productId, fileId) {
+  async deleteProductFile(productId, fileId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/products/${productId}/files/${fileId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 
   // ─── Email Replies ──────────────────────────────────────────────────
 
-  async replyToThread(threadId, data) {
+  async replyToThread(threadId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/emails/threads/${threadId}/reply`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   // ─── Contact Form Replies ───────────────────────────────────────────
 
-  async listContactFormReplies(formId) {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/contact-forms/${formId}/replies`);
+  async listContactFormReplies(formId, options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/contact-forms/${formId}/replies`, {}, options);
   }
 
   // ─── Blog Categories ───────────────────────────────────────────────
 
-  async listBlogCategories() {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/categories`);
+  async listBlogCategories(options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/categories`, {}, options);
   }
 
-  async createBlogCategory(data) {
+  async createBlogCategory(data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/categories`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async updateBlogCategory(categoryId, data) {
+  async updateBlogCategory(categoryId, data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/categories/${categoryId}`, {
       method: "PUT",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
-  async deleteBlogCategory(categoryId) {
+  async deleteBlogCategory(categoryId, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/admin/blog/categories/${categoryId}`, {
       method: "DELETE",
-    });
+    }, options);
   }
 }
 
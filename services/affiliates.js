@@ -4,6 +4,9 @@
  * Provides affiliate program application functionality for storefronts.
  */
 
+import { DashAuthError } from "../core/errors.js";
+import { Paginator, splitPagingOptions } from "../core/paginate.js";
+
 export class AffiliatesModule {
   constructor(client) {
     this.client = client;
@@ -11,6 +14,7 @@ export class AffiliatesModule {
 
   /**
    * Get the affiliate application form configuration
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{is_active: boolean, custom_fields: Array, welcome_message: string}>}
    *
    * @example
@@ -19,9 +23,9 @@ export class AffiliatesModule {
    *   // Render form with config.custom_fields
    * }
    */
-  async getFormConfig() {
+  async getFormConfig(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/affiliates/form-config`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -34,6 +38,7 @@ export class AffiliatesModule {
    * @param {Object} [data.custom_fields] - Custom field values (optional)
    * @param {string} [data.source_url] - URL where form was submitted from (optional)
    * @param {string} [data.turnstile_token] - Cloudflare Turnstile token (optional)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, message: string, request_id: string}>}
    *
    * @example
@@ -44,41 +49,43 @@ export class AffiliatesModule {
    *   custom_fields: { website: "https://janeblog.com", audience_size: "10000" }
    * });
    */
-  async apply(data) {
+  async apply(data, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/affiliates/apply`;
 
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   /**
    * Get current customer's affiliate status
    * Requires authentication (Bearer token)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{is_affiliate: boolean, has_pending_request: boolean, request_status: string|null, rejection_reason: string|null}>}
    */
-  async getMyStatus() {
+  async getMyStatus(options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/affiliates/status`;
     return this.client._fetch(url, {
       headers: { Authorization: `Bearer ${token}` },
-    });
+    }, options);
   }
 
   /**
    * Get affiliate dashboard data for the current customer
    * Requires authentication + approved affiliate status
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{tier_name: string, commission_rate: number, total_orders: number, total_revenue: string, total_earned: string, paypal_email: string, discount_codes: Array}>}
    */
-  async getMyDashboard() {
+  async getMyDashboard(options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/affiliates/dashboard`;
     return this.client._fetch(url, {
       headers: { Authorization: `Bearer ${token}` },
-    });
+    }, options);
   }
 
   /**
@@ -86,17 +93,18 @@ export class AffiliatesModule {
    * Requires authentication + approved affiliate status
    * @param {Object} data
    * @param {string} data.code - The code to create (3-50 chars, alphanumeric + hyphens/underscores)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, message: string, discount_code: Object}>}
    */
-  async createCode(data) {
+  async createCode(data, options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/affiliates/create-code`;
     return this.client._fetch(url, {
       method: "POST",
       headers: { Authorization: `Bearer ${token}` },
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   /**
@@ -104,34 +112,36 @@ export class AffiliatesModule {
    * Requires authentication + approved affiliate status
    * @param {Object} data
    * @param {string} [data.paypal_email] - PayPal email for commission payouts
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, paypal_email: string}>}
    */
-  async updateProfile(data) {
+  async updateProfile(data, options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/affiliates/dashboard`;
     return this.client._fetch(url, {
       method: "PUT",
       headers: { Authorization: `Bearer ${token}` },
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   /**
    * Deactivate one of the affiliate's own discount codes (one-way)
    * Requires authentication + approved affiliate status
    * @param {string} codeId - The discount code ID to deactivate
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, message: string}>}
    */
-  async deactivateCode(codeId) {
+  async deactivateCode(codeId, options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/affiliates/deactivate-code`;
     return this.client._fetch(url, {
       method: "POST",
       headers: { Authorization: `Bearer ${token}` },
       body: JSON.stringify({ code_id: codeId }),
-    });
+    }, options);
   }
 
   // ── Product Requests (creator seeding kits) ────────────────────────────
@@ -140,17 +150,34 @@ export class AffiliatesModule {
    * List the current affiliate's product requests
    * @param {Object} [params] - Optional query params
    * @param {number} [params.page] - Page number
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{requests: Array, pagination: Object}>}
    */
-  async listProductRequests(params = {}) {
+  async listProductRequests(params = {}, options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const query = new URLSearchParams();
     if (params.page) query.set("page", String(params.page));
     const qs = query.toString();
     const url = `${this.client.baseURL}/api/storefront/affiliates/product-requests${qs ? `?${qs}` : ""}`;
     return this.client._fetch(url, {
       headers: { Authorization: `Bearer ${token}` },
+    }, options);
+  }
+
+  /**
+   * Iterate all of the current affiliate's product requests, page by page.
+   * @param {Object} [params] - `listProductRequests()` params; `page` sets the first page
+   * @param {Object} [options] - Request options plus `concurrency`
+   * @returns {Paginator} Async-iterable; also has `.pages()` and `.toArray({ max })`
+   */
+  iterateProductRequests(params = {}, options = {}) {
+    const { paging, rest } = splitPagingOptions({ ...params, concurrency: options.concurrency });
+    return new Paginator({
+      ...paging,
+      style: "page",
+      itemsKey: "requests",
+      fetchPage: ({ page }) => this.listProductRequests({ ...rest, page }, options),
     });
   }
 
@@ -170,48 +197,51 @@ export class AffiliatesModule {
    * @param {string} data.expected_sales
    * @param {string} [data.content_links]
    * @param {string} [data.additional_notes]
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, message: string, request_id: string}>}
    */
-  async createProductRequest(data) {
+  async createProductRequest(data, options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/affiliates/product-requests`;
     return this.client._fetch(url, {
       method: "POST",
       headers: { Authorization: `Bearer ${token}` },
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   /**
    * Get a single product request by ID
    * @param {string} requestId
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{request: Object}>}
    */
-  async getProductRequest(requestId) {
+  async getProductRequest(requestId, options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/affiliates/product-requests/${requestId}`;
     return this.client._fetch(url, {
       headers: { Authorization: `Bearer ${token}` },
-    });
+    }, options);
   }
 
   /**
    * Update a pending product request
    * @param {string} requestId
    * @param {Object} data - Fields to update
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, message: string}>}
    */
-  async updateProductRequest(requestId, data) {
+  async updateProductRequest(requestId, data, options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/affiliates/product-requests/${requestId}`;
     return this.client._fetch(url, {
       method: "PUT",
       headers: { Authorization: `Bearer ${token}` },
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 }
 
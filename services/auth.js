@@ -3,14 +3,61 @@
  *
  * Provides customer authentication via OTP (one-time password).
  * Handles sessions and customer data.
+ *
+ * Access tokens are refreshed transparently: the client refreshes shortly
+ * before `expires_in` runs out, and a 401 on any Bearer-authenticated call
+ * triggers one shared refresh followed by a replay of the call. Subscribe to
+ * `token-refreshed` to persist rotated tokens and to `session-expired` to send
+ * the customer back to login when the refresh itself is rejected.
  */
 
+import { Emitter } from "../core/events.js";
+import { DashValidationError, DashAuthError } from "../core/errors.js";
+import { Paginator, splitPagingOptions } from "../core/paginate.js";
+
+/** Refresh this long before the access token's `expires_in` runs out. */
+const REFRESH_SKEW_MS = 30 * 1000;
+
 export class AuthModule {
   constructor(client) {
     this.client = client;
     this.__customer = null;
     this._accessToken = null;
     this._refreshToken = null;
+    this._expiresAt = null;
+    this._refreshing = null;
+    this._events = new Emitter();
+  }
+
+  /**
+   * Subscribe to an auth event.
+   *
+   * - `token-refreshed` — `{ access_token, refresh_token, expires_in }` after a
+   *   successful (automatic or manual) refresh
+   * - `session-expired` — `{ error }` when the refresh token was rejected; the
+   *   local session has already been cleared
+   * - `login` — `{ customer }` after `verifyOTP()`, `login()` or
+   *   `loginWithCheckoutToken()` started a session
+   * - `logout` — `{}` after `logout()` cleared the session
+   *
+   * @param {"token-refreshed"|"session-expired"|"login"|"logout"} event
+   * @param {Function} handler
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * dash.auth.on("session-expired", () => router.push("/login"));
+   */
+  on(event, handler) {
+    return this._events.on(event, handler);
+  }
+
+  /**
+   * Unsubscribe a handler previously passed to `on()`.
+   * @param {string} event
+   * @param {Function} handler
+   */
+  off(event, handler) {
+    this._events.off(event, handler);
   }
 
   /**
@@ -70,28 +117,34 @@ export class AuthModule {
    * Set auth token (for restoring session)
    * @param {string} token - Access token
    * @param {string} [refreshToken] - Refresh token
+   * @param {number} [expiresIn] - Seconds until the access token expires, if
+   *   known. Enables proactive refresh for restored sessions.
    */
-  setToken(token, refreshToken) {
+  setToken(token, refreshToken, expiresIn) {
     this._accessToken = token;
     if (refreshToken) {
       this._refreshToken = refreshToken;
     }
+    this._trackExpiry(token ? expiresIn : null);
   }
 
   /**
    * Refresh the access token using the stored refresh token
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{access_token: string, token_type: string, expires_in: number}>}
    */
-  async refreshAccessToken() {
+  async refreshAccessToken(options = {}) {
     if (!this._refreshToken) {
-      throw new Error("No refresh token available");
+      throw new DashAuthError("No refresh token available");
     }
 
     const url = `${this.client.baseURL}/api/storefront/auth/refresh`;
     const response = await this.client._fetch(url, {
       method: "POST",
+      // The refresh call must not itself trigger a refresh on 401.
+      authRefresh: false,
       body: JSON.stringify({ refresh_token: this._refreshToken }),
-    });
+    }, options);
 
     this._accessToken = response.access_token;
     // Refresh-token rotation (server may issue a fresh refresh token on
@@ -100,9 +153,106 @@ export class AuthModule {
     if (response.refresh_token) {
       this._refreshToken = response.refresh_token;
     }
+    this._trackExpiry(response.expires_in);
+    this._events.emit("token-refreshed", {
+      access_token: this._accessToken,
+      refresh_token: this._refreshToken,
+      expires_in: response.expires_in ?? null,
+    });
     return response;
   }
 
+  /**
+   * Refresh the session once, however many callers ask at the same time:
+   * ten concurrent 401s share a single `/auth/refresh` request. When the
+   * server rejects the refresh token (4xx) the local session is cleared and
+   * `session-expired` is emitted; network and 5xx failures leave it intact.
+   *
+   * @returns {Promise<{access_token: string, token_type: string, expires_in: number}>}
+   */
+  refreshSession() {
+    if (!this._refreshing) {
+      this._refreshing = this.refreshAccessToken()
+        .catch((error) => {
+          if (error && error.status >= 400 && error.status < 500) this._expireSession(error);
+          throw error;
+        })
+        .finally(() => {
+          this._refreshing = null;
+        });
+    }
+    return this._refreshing;
+  }
+
+  /**
+   * Called by the client when a request sent with `sentToken` came back 401.
+   * Resolves to true when the request should be replayed with the current
+   * access token.
+   *
+   * @param {string} sentToken - The Bearer token the failed request carried
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _recoverFromUnauthorized(sentToken) {
+    if (!this._accessToken) return false;
+    // Another call already refreshed while this one was in flight.
+    if (sentToken !== this._accessToken) return true;
+    if (!this._refreshToken) return false;
+    try {
+      await this.refreshSession();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Refresh ahead of time when the access token is about to expire, so the
+   * request that follows doesn't have to eat a 401 first. Never throws — a
+   * failed proactive refresh falls back to the reactive 401 path.
+   * @private
+   */
+  async _refreshIfExpiring() {
+    if (!this._expiresAt || !this._refreshToken || !this._accessToken) return;
+    if (Date.now() < this._expiresAt - REFRESH_SKEW_MS) return;
+    try {
+      await this.refreshSession();
+    } catch { /* handled by the 401 path */ }
+  }
+
+  /**
+   * @param {number|null|undefined} expiresIn - Seconds until expiry
+   * @private
+   */
+  _trackExpiry(expiresIn) {
+    const seconds = Number(expiresIn);
+    this._expiresAt = expiresIn != null && Number.isFinite(seconds) ? Date.now() + seconds * 1000 : null;
+  }
+
+  /**
+   * Adopt the tokens and customer of a login response.
+   * @private
+   */
+  _startSession(response) {
+    this._customer = response.customer;
+    this._accessToken = response.access_token;
+    this._refreshToken = response.refresh_token;
+    this._trackExpiry(response.expires_in);
+    this._events.emit("login", { customer: response.customer });
+  }
+
+  /**
+   * Drop the local session after the refresh token was rejected.
+   * @private
+   */
+  _expireSession(error) {
+    this._customer = null;
+    this._accessToken = null;
+    this._refreshToken = null;
+    this._expiresAt = null;
+    this._events.emit("session-expired", { error });
+  }
+
   /**
    * Request OTP code for authentication
    * @param {string} email - Customer email
@@ -115,19 +265,20 @@ export class AuthModule {
    * @param {Object} params
    * @param {string} [params.email]
    * @param {string} [params.phone] - E.164 or any format
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{email_exists: boolean, phone_exists: boolean}>}
    */
-  async checkExists({ email, phone } = {}) {
+  async checkExists({ email, phone } = {}, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/auth/check-exists`;
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify({ email: email || "", phone: phone || "" }),
-    });
+    }, options);
   }
 
   async requestOTP(email, options = {}) {
     if (!email) {
-      throw new Error("email is required");
+      throw new DashValidationError("email is required");
     }
 
     const body = { email };
@@ -142,7 +293,7 @@ export class AuthModule {
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify(body),
-    });
+    }, options);
   }
 
   /**
@@ -150,25 +301,24 @@ export class AuthModule {
    * @param {Object} options - Verification options
    * @param {string} options.email - Customer email
    * @param {string} options.code - OTP code
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{access_token: string, refresh_token: string, customer: Object}>}
    */
   async verifyOTP(options) {
     const { email, code } = options;
 
     if (!email || !code) {
-      throw new Error("email and code are required");
+      throw new DashValidationError("email and code are required");
     }
 
     const url = `${this.client.baseURL}/api/storefront/auth/verify-otp`;
     const response = await this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify({ email, code }),
-    });
+    }, options);
 
-    // Update local state
-    this._customer = response.customer;
-    this._accessToken = response.access_token;
-    this._refreshToken = response.refresh_token;
+    this._startSession(response);
 
     return response;
   }
@@ -178,13 +328,15 @@ export class AuthModule {
    * @param {Object} options
    * @param {string} options.email - Customer email
    * @param {string} options.password - Customer password
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{access_token: string, refresh_token: string, customer: Object}>}
    */
   async login(options) {
     const { email, password, captcha_token } = options;
 
     if (!email || !password) {
-      throw new Error("email and password are required");
+      throw new DashValidationError("email and password are required");
     }
 
     const body = { email, password };
@@ -194,11 +346,9 @@ export class AuthModule {
     const response = await this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify(body),
-    });
+    }, options);
 
-    this._customer = response.customer;
-    this._accessToken = response.access_token;
-    this._refreshToken = response.refresh_token;
+    this._startSession(response);
 
     return response;
   }
@@ -212,18 +362,17 @@ export class AuthModule {
    * `cart_id` should be persisted so the cart resumes too.
    *
    * @param {string} token - Recovery token, e.g. "checkout__abc123..."
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{access_token: string, refresh_token: string, token_type: string, expires_in: number, customer: Object, cart_id: string, cart_summary: Object}>}
    */
-  async loginWithCheckoutToken(token) {
+  async loginWithCheckoutToken(token, options = {}) {
     if (!token) {
-      throw new Error("token is required");
+      throw new DashValidationError("token is required");
     }
 
-    const response = await this.client.checkout.resume(token);
+    const response = await this.client.checkout.resume(token, options);
 
-    this._customer = response.customer;
-    this._accessToken = response.access_token;
-    this._refreshToken = response.refresh_token;
+    this._startSession(response);
 
     return response;
   }
@@ -231,15 +380,16 @@ export class AuthModule {
   /**
    * Set a password for the authenticated customer
    * @param {string} password - New password (min 8 characters)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{message: string, customer: Object}>}
    */
-  async setPassword(password) {
+  async setPassword(password, options = {}) {
     if (!this._accessToken) {
-      throw new Error("Not authenticated");
+      throw new DashAuthError("Not authenticated");
     }
 
     if (!password || password.length < 8) {
-      throw new Error("Password must be at least 8 characters");
+      throw new DashValidationError("Password must be at least 8 characters");
     }
 
     const url = `${this.client.baseURL}/api/storefront/auth/set-password`;
@@ -249,7 +399,7 @@ export class AuthModule {
         Authorization: `Bearer ${this._accessToken}`,
       },
       body: JSON.stringify({ password }),
-    });
+    }, options);
 
     if (response.customer) {
       this._customer = response.customer;
@@ -261,18 +411,19 @@ export class AuthModule {
   /**
    * Request a password reset code
    * @param {string} email - Customer email
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{message: string}>}
    */
-  async requestPasswordReset(email) {
+  async requestPasswordReset(email, options = {}) {
     if (!email) {
-      throw new Error("email is required");
+      throw new DashValidationError("email is required");
     }
 
     const url = `${this.client.baseURL}/api/storefront/auth/forgot-password`;
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify({ email }),
-    });
+    }, options);
   }
 
   /**
@@ -281,30 +432,33 @@ export class AuthModule {
    * @param {string} options.email - Customer email
    * @param {string} options.code - OTP code
    * @param {string} options.password - New password (min 8 characters)
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{message: string}>}
    */
   async resetPassword(options) {
     const { email, code, password } = options;
 
     if (!email || !code || !password) {
-      throw new Error("email, code, and password are required");
+      throw new DashValidationError("email, code, and password are required");
     }
 
     const url = `${this.client.baseURL}/api/storefront/auth/reset-password`;
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify({ email, code, password }),
-    });
+    }, options);
   }
 
   /**
    * Get current customer profile
    * Requires authentication
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{customer: Object}>}
    */
-  async getProfile() {
+  async getProfile(options = {}) {
     if (!this._accessToken) {
-      throw new Error("Not authenticated");
+      throw new DashAuthError("Not authenticated");
     }
 
     const url = `${this.client.baseURL}/api/storefront/auth/me`;
@@ -312,7 +466,7 @@ export class AuthModule {
       headers: {
         Authorization: `Bearer ${this._accessToken}`,
       },
-    });
+    }, options);
 
     this._customer = response.customer;
     return response;
@@ -325,11 +479,12 @@ export class AuthModule {
    * - address_line1, address_line2, city, state, zip_code, country
    * - accepts_marketing
    * @param {Object} data - Profile data to update (snake_case format)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{customer: Object}>}
    */
-  async updateProfile(data) {
+  async updateProfile(data, options = {}) {
     if (!this._accessToken) {
-      throw new Error("Not authenticated");
+      throw new DashAuthError("Not authenticated");
     }
 
     const url = `${this.client.baseURL}/api/storefront/auth/me`;
@@ -340,7 +495,7 @@ export class AuthModule {
       },
       // Pass through data as-is - backend expects snake_case
       body: JSON.stringify(data),
-    });
+    }, options);
 
     this._customer = response.customer;
     return response;
@@ -348,9 +503,10 @@ export class AuthModule {
 
   /**
    * Logout - clear local state
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<void>}
    */
-  async logout() {
+  async logout(options = {}) {
     if (this._accessToken) {
       try {
         const url = `${this.client.baseURL}/api/storefront/auth/logout`;
@@ -359,21 +515,25 @@ export class AuthModule {
           headers: {
             Authorization: `Bearer ${this._accessToken}`,
           },
-        });
+        }, options);
       } catch (e) {
         // Ignore logout errors
       }
     }
 
+    const hadSession = !!(this._accessToken || this._customer);
     this._customer = null;
     this._accessToken = null;
     this._refreshToken = null;
+    this._expiresAt = null;
+    if (hadSession) this._events.emit("logout", {});
   }
 
   /**
    * Update customer metadata (key-value pairs)
    * Merges with existing metadata. Set a key to null to remove it.
    * @param {Object} metadata - Key-value pairs to merge
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{customer: Object}>}
    *
    * @example
@@ -381,12 +541,12 @@ export class AuthModule {
    * // Remove a key:
    * await dash.auth.updateMetadata({ preferred_color: null });
    */
-  async updateMetadata(metadata) {
+  async updateMetadata(metadata, options = {}) {
     if (!this._accessToken) {
-      throw new Error("Not authenticated");
+      throw new DashAuthError("Not authenticated");
     }
 
-    return this.updateProfile({ metadata });
+    return this.updateProfile({ metadata }, options);
   }
 
   /**
@@ -395,77 +555,82 @@ export class AuthModule {
    * Part of the multi-address feature. The single `customer.address` and the
    * flat `address_line1/city/...` fields still work for older integrations —
    * the "main" address is kept in sync with them automatically.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{addresses: Object[]}>}
    */
-  async getAddresses() {
+  async getAddresses(options = {}) {
     if (!this._accessToken) {
-      throw new Error("Not authenticated");
+      throw new DashAuthError("Not authenticated");
     }
     const url = `${this.client.baseURL}/api/storefront/auth/addresses`;
     return this.client._fetch(url, {
       headers: { Authorization: `Bearer ${this._accessToken}` },
-    });
+    }, options);
   }
 
   /**
    * Create a new saved address.
    * @param {Object} data - { label?, line1, line2?, city, state?, zip_code?, country?, is_main? }
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{address: Object}>}
    */
-  async createAddress(data) {
+  async createAddress(data, options = {}) {
     if (!this._accessToken) {
-      throw new Error("Not authenticated");
+      throw new DashAuthError("Not authenticated");
     }
     const url = `${this.client.baseURL}/api/storefront/auth/addresses`;
     return this.client._fetch(url, {
       method: "POST",
       headers: { Authorization: `Bearer ${this._accessToken}` },
       body: JSON.stringify(data || {}),
-    });
+    }, options);
   }
 
   /**
    * Update a saved address. Pass `{ is_main: true }` to make it the main address.
    * @param {string} addressId
    * @param {Object} data - Fields to update
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{address: Object}>}
    */
-  async updateAddress(addressId, data) {
+  async updateAddress(addressId, data, options = {}) {
     if (!this._accessToken) {
-      throw new Error("Not authenticated");
+      throw new DashAuthError("Not authenticated");
     }
     const url = `${this.client.baseURL}/api/storefront/auth/addresses/${addressId}`;
     return this.client._fetch(url, {
       method: "PUT",
       headers: { Authorization: `Bearer ${this._accessToken}` },
       body: JSON.stringify(data || {}),
-    });
+    }, options);
   }
 
   /**
    * Delete a saved address. If it was the main address, another is promoted.
    * @param {string} addressId
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{deleted: boolean}>}
    */
-  async deleteAddress(addressId) {
+  async deleteAddress(addressId, options = {}) {
     if (!this._accessToken) {
-      throw new Error("Not authenticated");
+      throw new DashAuthError("Not authenticated");
     }
     const url = `${this.client.baseURL}/api/storefront/auth/addresses/${addressId}`;
     return this.client._fetch(url, {
       method: "DELETE",
       headers: { Authorization: `Bearer ${this._accessToken}` },
-    });
+    }, options);
   }
 
   /**
    * Mark a saved address as the customer's main address (mirrors to the flat
    * address fields for back-compat).
    * @param {string} addressId
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{address: Object}>}
    */
-  async setMainAddress(addressId) {
-    return this.updateAddress(addressId, { is_main: true });
+  async setMainAddress(addressId, options = {}) {
+    return this.updateAddress(addressId, { is_main: true }, options);
   }
 
   /**
@@ -473,11 +638,13 @@ export class AuthModule {
    * @param {Object} [options] - Pagination options
    * @param {number} [options.limit=20] - Number of orders per page
    * @param {number} [options.offset=0] - Pagination offset
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{orders: Object[], pagination: Object}>}
    */
   async getOrders(options = {}) {
     if (!this._accessToken) {
-      throw new Error("Not authenticated");
+      throw new DashAuthError("Not authenticated");
     }
 
     const params = new URLSearchParams();
@@ -490,17 +657,36 @@ export class AuthModule {
       headers: {
         Authorization: `Bearer ${this._accessToken}`,
       },
+    }, options);
+  }
+
+  /**
+   * Iterate the customer's whole order history, fetching pages as needed.
+   * @param {Object} [options]
+   * @param {number} [options.pageSize=50] - Orders per request
+   * @param {number} [options.concurrency=1] - Pages fetched at once
+   * @param {AbortSignal} [options.signal] - Cancel the requests
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout, per request
+   * @returns {Paginator} Async-iterable; also has `.pages()` and `.toArray({ max })`
+   */
+  iterateOrders(options = {}) {
+    const { paging, rest } = splitPagingOptions(options);
+    return new Paginator({
+      ...paging,
+      itemsKey: "orders",
+      fetchPage: ({ limit, offset }) => this.getOrders({ ...rest, limit, offset }),
     });
   }
 
   /**
    * Get a single order by ID
    * @param {string} orderId - Order ID
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{order: Object}>}
    */
-  async getOrder(orderId) {
+  async getOrder(orderId, options = {}) {
     if (!this._accessToken) {
-      throw new Error("Not authenticated");
+      throw new DashAuthError("Not authenticated");
     }
 
     const url = `${this.client.baseURL}/api/storefront/auth/orders/${orderId}`;
@@ -508,30 +694,32 @@ export class AuthModule {
       headers: {
         Authorization: `Bearer ${this._accessToken}`,
       },
-    });
+    }, options);
   }
 
   /**
    * Check if current IP/session is banned
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{banned: boolean, reason?: string}>}
    */
-  async checkBan() {
+  async checkBan(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/auth/check-ban`;
     const headers = {};
     if (this._accessToken) {
       headers.Authorization = `Bearer ${this._accessToken}`;
     }
-    return this.client._fetch(url, { headers });
+    return this.client._fetch(url, { headers }, options);
   }
 
   /**
    * Associate a guest cart with authenticated customer
    * @param {string} cartId - Guest cart ID to merge
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{cart: Object}>}
    */
-  async mergeCart(cartId) {
+  async mergeCart(cartId, options = {}) {
     if (!this._accessToken) {
-      throw new Error("Not authenticated");
+      throw new DashAuthError("Not authenticated");
     }
 
     const url = `${this.client.baseURL}/api/storefront/auth/merge-cart`;
@@ -541,7 +729,7 @@ export class AuthModule {
         Authorization: `Bearer ${this._accessToken}`,
       },
       body: JSON.stringify({ cart_id: cartId }),
-    });
+    }, options);
   }
 }
 
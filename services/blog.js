@@ -4,6 +4,8 @@
  * Provides access to blog posts and categories from the storefront API.
  */
 
+import { Paginator, splitPagingOptions } from "../core/paginate.js";
+
 export class BlogModule {
   constructor(client) {
     this.client = client;
@@ -19,6 +21,8 @@ export class BlogModule {
    * @param {string} options.search - Search in title and excerpt
    * @param {boolean} options.featured - Only featured posts
    * @param {Object} options.customFields - Filter by custom fields (e.g. {sidebar_featured: true})
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{posts: Array, pagination: Object}>}
    *
    * @example
@@ -60,7 +64,25 @@ export class BlogModule {
     const queryString = params.toString();
     const url = `${this.client.baseURL}/api/storefront/blog/posts${queryString ? `?${queryString}` : ""}`;
 
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
+  }
+
+  /**
+   * Iterate every blog post matching `options`. Accepts the same filters as
+   * `list()`, plus `pageSize` (default 50) and `concurrency`.
+   * @param {Object} [options] - `list()` options plus paging options
+   * @returns {Paginator} Async-iterable; also has `.pages()` and `.toArray({ max })`
+   *
+   * @example
+   * const posts = await client.blog.iterate({ category: "news" }).toArray();
+   */
+  iterate(options = {}) {
+    const { paging, rest } = splitPagingOptions(options);
+    return new Paginator({
+      ...paging,
+      itemsKey: "posts",
+      fetchPage: ({ limit, offset }) => this.list({ ...rest, limit, offset }),
+    });
   }
 
   /**
@@ -68,6 +90,8 @@ export class BlogModule {
    * @param {string} slug - Blog post slug
    * @param {Object} options - Options
    * @param {string} options.trackViews - View tracking mode: "session" (default, once per IP per 30min), "always", or "none"
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{post: Object}>}
    */
   async get(slug, options = {}) {
@@ -77,26 +101,28 @@ export class BlogModule {
 
     const queryString = params.toString();
     const url = `${this.client.baseURL}/api/storefront/blog/posts/${encodeURIComponent(slug)}${queryString ? `?${queryString}` : ""}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get SEO metadata for a blog post
    * @param {string} slug - Blog post slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{seo: Object}>}
    */
-  async getSeo(slug) {
+  async getSeo(slug, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/seo/blog/${encodeURIComponent(slug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * List active blog categories
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{categories: Array}>}
    */
-  async listCategories() {
+  async listCategories(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/blog/categories`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 }
 
@@ -11,15 +11,16 @@ export class BrandsModule {
 
   /**
    * List all active brands
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{brands: Array}>}
    *
    * @example
    * const { brands } = await client.brands.list();
    * console.log(brands); // [{ id, name, slug, image }, ...]
    */
-  async list() {
+  async list(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/brands`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -28,6 +29,8 @@ export class BrandsModule {
    * @param {Object} options - Query options
    * @param {number} options.limit - Number of products (default: 50)
    * @param {number} options.offset - Pagination offset
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{brand: Object, products: Array, pagination: Object}>}
    *
    * @example
@@ -40,7 +43,7 @@ export class BrandsModule {
 
     const queryString = params.toString();
     const url = `${this.client.baseURL}/api/storefront/brands/${encodeURIComponent(slug)}${queryString ? `?${queryString}` : ""}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 }
 
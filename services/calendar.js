@@ -12,29 +12,31 @@ export class CalendarModule {
 
   /**
    * Get calendar settings (business hours, overlap policy)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{settings: {allow_overlapping: boolean, business_hours: object}}>}
    */
-  async getSettings() {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/calendar/settings`);
+  async getSettings(options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/calendar/settings`, {}, options);
   }
 
   /**
    * Get all days off
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{days_off: Array<{id, title, start_date, end_date, recurring_yearly}>}>}
    */
-  async getDaysOff() {
-    return this.client._fetch(`${this.client.baseURL}/api/storefront/calendar/days-off`);
+  async getDaysOff(options = {}) {
+    return this.client._fetch(`${this.client.baseURL}/api/storefront/calendar/days-off`, {}, options);
   }
 
   /**
    * Get booked time slots for a given month
    * @param {string} month - Format: YYYY-MM
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{slots: Array<{start, end, all_day}>}>}
    */
-  async getAvailability(month) {
+  async getAvailability(month, options = {}) {
     return this.client._fetch(
-      `${this.client.baseURL}/api/storefront/calendar/availability?month=${encodeURIComponent(month)}`
-    );
+      `${this.client.baseURL}/api/storefront/calendar/availability?month=${encodeURIComponent(month)}`, {}, options);
   }
 
   /**
@@ -50,13 +52,14 @@ export class CalendarModule {
    * @param {string} [data.notes]
    * @param {boolean} [data.all_day]
    * @param {object} [data.metadata]
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success, message, booking: {id, start, end}}>}
    */
-  async book(data) {
+  async book(data, options = {}) {
     return this.client._fetch(`${this.client.baseURL}/api/storefront/calendar/book`, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 }
 
@@ -5,6 +5,9 @@
  * Cart state is synced between local memory and the backend.
  */
 
+import { createIdempotencyKey } from "../core/retry.js";
+import { DashError, DashValidationError, DashAuthError } from "../core/errors.js";
+
 export class CartModule {
   constructor(client) {
     this.client = client;
@@ -34,11 +37,12 @@ export class CartModule {
    * Load an existing cart by ID
    * Use this to restore a cart from localStorage on page load
    * @param {string} cartId - Cart ID to load
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{cart_id: string, items: Array, subtotal: string, item_count: number}>}
    */
-  async load(cartId) {
+  async load(cartId, options = {}) {
     this._cartId = cartId;
-    return this.get();
+    return this.get(options);
   }
 
   /**
@@ -47,13 +51,17 @@ export class CartModule {
    * @param {string} options.productId - Product ID
    * @param {string} options.sizeId - Size ID
    * @param {number} options.quantity - Quantity (default: 1)
+   * @param {string} [options.idempotencyKey] - Idempotency-Key sent with the
+   *   request (generated when omitted), so a retried add never doubles the line
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{cart_id: string, item: Object}>}
    */
   async add(options) {
-    const { productId, sizeId, quantity = 1, freestyleSelections } = options;
+    const { productId, sizeId, quantity = 1, freestyleSelections, idempotencyKey } = options;
 
     if (!productId || !sizeId) {
-      throw new Error("productId and sizeId are required");
+      throw new DashValidationError("productId and sizeId are required");
     }
 
     const body = {
@@ -69,14 +77,15 @@ export class CartModule {
     const url = `${this.client.baseURL}/api/storefront/cart/add`;
     const response = await this.client._fetch(url, {
       method: "POST",
+      headers: { "Idempotency-Key": idempotencyKey || createIdempotencyKey() },
       body: JSON.stringify(body),
-    });
+    }, options);
 
     // Update local state
     this._cartId = response.cart_id;
 
     // Sync with server - fetch full cart state
-    await this.get();
+    await this.get(options);
 
     return response;
   }
@@ -96,6 +105,7 @@ export class CartModule {
    * location removes that line.
    *
    * @param {Object} locations - {locationId: {label, state, items: {sizeId: qty}}}
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<Object>} the full cart state, incl. custom_fields.locations
    *
    * @example
@@ -104,22 +114,22 @@ export class CartModule {
    *   "loc-1": { label: "Dallas",  state: "TX", items: { [sizeId]: 6 } },
    * });
    */
-  async setLocations(locations) {
+  async setLocations(locations, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/cart/locations`;
 
     const state = await this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify({ cart_id: this._cartId || undefined, locations }),
-    });
+    }, options);
 
     // The server creates the cart on first write; remember its id like add() does.
     if (state && state.cart_id) this._cartId = state.cart_id;
     return state;
   }
 
-  async update(sizeId, quantity) {
+  async update(sizeId, quantity, options = {}) {
     if (!this._cartId) {
-      throw new Error("No cart loaded");
+      throw new DashError("No cart loaded", { code: "no_cart" });
     }
 
     const url = `${this.client.baseURL}/api/storefront/cart/${this._cartId}/update`;
@@ -129,25 +139,26 @@ export class CartModule {
         size_id: sizeId,
         quantity,
       }),
-    });
+    }, options);
 
     // Sync local state
-    await this.get();
+    await this.get(options);
 
     return response;
   }
 
   /**
    * Get cart contents from server
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{cart_id: string, items: Array, subtotal: string, item_count: number}>}
    */
-  async get() {
+  async get(options = {}) {
     if (!this._cartId) {
       return { cart_id: null, items: [], subtotal: "0.00", item_count: 0 };
     }
 
     const url = `${this.client.baseURL}/api/storefront/cart/${this._cartId}`;
-    const response = await this.client._fetch(url);
+    const response = await this.client._fetch(url, {}, options);
 
     // Update local state from server
     this._items = response.items || [];
@@ -160,17 +171,18 @@ export class CartModule {
   /**
    * Remove item from cart
    * @param {string} sizeId - Size ID of item to remove
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<Object>}
    */
-  async remove(sizeId) {
+  async remove(sizeId, options = {}) {
     if (!this._cartId) {
-      throw new Error("No cart loaded");
+      throw new DashError("No cart loaded", { code: "no_cart" });
     }
 
     const url = `${this.client.baseURL}/api/storefront/cart/${this._cartId}/remove/${encodeURIComponent(sizeId)}`;
     const response = await this.client._fetch(url, {
       method: "DELETE",
-    });
+    }, options);
 
     // Update local state from response
     if (response.cart) {
@@ -184,9 +196,10 @@ export class CartModule {
 
   /**
    * Clear all items from cart
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<Object>}
    */
-  async clear() {
+  async clear(options = {}) {
     if (!this._cartId) {
       this._items = [];
       this._subtotal = "0.00";
@@ -197,7 +210,7 @@ export class CartModule {
     const url = `${this.client.baseURL}/api/storefront/cart/${this._cartId}/clear`;
     const response = await this.client._fetch(url, {
       method: "DELETE",
-    });
+    }, options);
 
     // Clear local state
     this._items = [];
@@ -210,11 +223,13 @@ export class CartModule {
   /**
    * Apply a discount code to the cart
    * @param {string} code - Discount code
+   * @param {string} [email] - Guest email, for codes assigned to a specific customer
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{message: string, cart: Object}>}
    */
-  async applyDiscount(code, email) {
+  async applyDiscount(code, email, options = {}) {
     if (!this._cartId) {
-      throw new Error("No cart loaded");
+      throw new DashError("No cart loaded", { code: "no_cart" });
     }
 
     const url = `${this.client.baseURL}/api/storefront/cart/${this._cartId}/apply-discount`;
@@ -222,7 +237,7 @@ export class CartModule {
       method: "POST",
       // email lets a guest use a customer-specific code assigned to that email.
       body: JSON.stringify(email ? { code, email } : { code }),
-    });
+    }, options);
 
     // Update local state from cart response
     if (response.cart) {
@@ -236,17 +251,18 @@ export class CartModule {
 
   /**
    * Remove discount code from cart
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{message: string, cart: Object}>}
    */
-  async removeDiscount() {
+  async removeDiscount(options = {}) {
     if (!this._cartId) {
-      throw new Error("No cart loaded");
+      throw new DashError("No cart loaded", { code: "no_cart" });
     }
 
     const url = `${this.client.baseURL}/api/storefront/cart/${this._cartId}/remove-discount`;
     const response = await this.client._fetch(url, {
       method: "POST",
-    });
+    }, options);
 
     if (response.cart) {
       this._items = response.cart.items || [];
@@ -279,16 +295,17 @@ export class CartModule {
   /**
    * Migrate guest cart to authenticated user's cart
    * Call this after user logs in to merge their guest cart with their account
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{cart_id: string, items: Array, subtotal: string, item_count: number}>}
    */
-  async migrateToUser() {
+  async migrateToUser(options = {}) {
     if (!this._cartId) {
-      return this.loadUserCart();
+      return this.loadUserCart(options);
     }
 
     const token = this.client.auth?._accessToken;
     if (!token) {
-      throw new Error("Authentication required for cart migration");
+      throw new DashAuthError("Authentication required for cart migration");
     }
 
     const url = `${this.client.baseURL}/api/storefront/cart/${this._cartId}/migrate`;
@@ -296,7 +313,7 @@ export class CartModule {
       const response = await this.client._fetch(url, {
         method: "POST",
         headers: { Authorization: `Bearer ${token}` },
-      });
+      }, options);
 
       if (response.cart_id) {
         this._cartId = response.cart_id;
@@ -304,13 +321,13 @@ export class CartModule {
 
       // Always return the fresh, fully-hydrated cart state (tier discount,
       // next tier, etc.) rather than the bare migrate response.
-      return await this.get();
+      return await this.get(options);
     } catch (error) {
-      console.error("Cart migration failed:", error);
+      this.client.logger.child("cart").error("Cart migration failed", { error });
       // Fall back to a fresh loadUserCart in case the guest cart couldn't
       // be migrated but the user has a server-side cart waiting.
       try {
-        return await this.loadUserCart();
+        return await this.loadUserCart(options);
       } catch (e) {
         this._cartId = null;
         return { cart_id: null, items: [], subtotal: "0.00", item_count: 0 };
@@ -324,19 +341,20 @@ export class CartModule {
    * customer FK rather than by localStorage cart_id, so it works across
    * devices/browsers and always reflects the latest server state.
    *
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<Object>} Full cart state.
    */
-  async loadUserCart() {
+  async loadUserCart(options = {}) {
     const token = this.client.auth?._accessToken;
     if (!token) {
-      throw new Error("Authentication required to load user cart");
+      throw new DashAuthError("Authentication required to load user cart");
     }
 
     const url = `${this.client.baseURL}/api/storefront/cart/user`;
     try {
       const response = await this.client._fetch(url, {
         headers: { Authorization: `Bearer ${token}` },
-      });
+      }, options);
 
       // Always sync local state to the server response — including empty carts
       // (previously this was gated on response.cart_id which left stale data
@@ -348,7 +366,7 @@ export class CartModule {
 
       return response;
     } catch (error) {
-      console.error("Failed to load user cart:", error);
+      this.client.logger.child("cart").error("Failed to load user cart", { error });
       this.reset();
       return { cart_id: null, items: [], subtotal: "0.00", item_count: 0 };
     }
@@ -368,9 +386,10 @@ export class CartModule {
    * Always returns the full current cart state from the server.
    *
    * @param {string|null} fallbackCartId - Guest cart ID from localStorage, if any.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<Object>} Full cart state.
    */
-  async init(fallbackCartId = null) {
+  async init(fallbackCartId = null, options = {}) {
     const hasToken = !!this.client.auth?._accessToken;
 
     if (hasToken) {
@@ -380,20 +399,20 @@ export class CartModule {
         // migrateToUser falls back to loadUserCart if there's nothing to merge.
         this._cartId = fallbackCartId;
         try {
-          return await this.migrateToUser();
+          return await this.migrateToUser(options);
         } catch (e) {
           // If migration fails, just load the user's cart directly.
-          return await this.loadUserCart();
+          return await this.loadUserCart(options);
         }
       }
-      return await this.loadUserCart();
+      return await this.loadUserCart(options);
     }
 
     // Guest: restore by cart_id from localStorage if we have one.
     if (fallbackCartId) {
       try {
-        await this.load(fallbackCartId);
-        return await this.get();
+        await this.load(fallbackCartId, options);
+        return await this.get(options);
       } catch (e) {
         this.reset();
       }
@@ -419,36 +438,39 @@ export class CartModule {
 
   /**
    * Get upsell recommendations for the current cart.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{upsells: Array, timer_minutes: number, enabled: boolean}>}
    */
-  async getUpsells() {
-    if (!this._cartId) throw new Error("No active cart");
+  async getUpsells(options = {}) {
+    if (!this._cartId) throw new DashError("No active cart", { code: "no_cart" });
     const url = `${this.client.baseURL}/api/storefront/cart/${this._cartId}/upsells`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Start an upsell session (creates server-side timer).
    * @param {string[]} upsellIds - IDs of upsell products to offer
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{session_id: string, expires_at: string, remaining_seconds: number, timer_minutes: number}>}
    */
-  async startUpsellSession(upsellIds) {
-    if (!this._cartId) throw new Error("No active cart");
+  async startUpsellSession(upsellIds, options = {}) {
+    if (!this._cartId) throw new DashError("No active cart", { code: "no_cart" });
     const url = `${this.client.baseURL}/api/storefront/cart/${this._cartId}/upsells/start`;
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify({ upsell_ids: upsellIds }),
-    });
+    }, options);
   }
 
   /**
    * Check the status of the active upsell session.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{active: boolean, session_id?: string, expires_at?: string, remaining_seconds: number}>}
    */
-  async getUpsellStatus() {
-    if (!this._cartId) throw new Error("No active cart");
+  async getUpsellStatus(options = {}) {
+    if (!this._cartId) throw new DashError("No active cart", { code: "no_cart" });
     const url = `${this.client.baseURL}/api/storefront/cart/${this._cartId}/upsells/status`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -458,17 +480,18 @@ export class CartModule {
    * @param {string} [sizeId] - Optional size override when the upsell was
    *   created in "All variations" mode. Pass the ProductSize ID of the
    *   variation the customer picked. Ignored for fixed-variation upsells.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{cart_id: string, item: Object, message: string}>}
    */
-  async addUpsellToCart(upsellId, sessionId, sizeId = null) {
-    if (!this._cartId) throw new Error("No active cart");
+  async addUpsellToCart(upsellId, sessionId, sizeId = null, options = {}) {
+    if (!this._cartId) throw new DashError("No active cart", { code: "no_cart" });
     const url = `${this.client.baseURL}/api/storefront/cart/${this._cartId}/upsells/add`;
     const body = { upsell_id: upsellId, session_id: sessionId };
     if (sizeId) body.size_id = sizeId;
     const result = await this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify(body),
-    });
+    }, options);
     // Refresh cart state after adding upsell
     await this.load(this._cartId);
     return result;
@@ -481,11 +504,12 @@ export class CartModule {
   /**
    * Fetch active cart tier discounts for the organization.
    * Used to show discount incentives before a customer qualifies.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{tiers: Array<{id: string, name: string, min_subtotal: string, discount_percentage: string, display_order: number}>}>}
    */
-  async getTierDiscounts() {
+  async getTierDiscounts(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/cart-tier-discounts`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 }
 
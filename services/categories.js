@@ -17,6 +17,8 @@ export class CategoriesModule {
    * @param {string} options.parent - Filter by parent category slug
    * @param {number} options.depth - Filter by depth level (0 = root, 1 = first level children, etc.)
    * @param {Object} options.customFields - Filter by custom fields (e.g. {show_in_mega_menu: true})
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{categories: Array}>}
    *
    * @example
@@ -49,7 +51,7 @@ export class CategoriesModule {
     const queryString = params.toString();
     const url = `${this.client.baseURL}/api/storefront/categories${queryString ? `?${queryString}` : ""}`;
 
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -67,6 +69,8 @@ export class CategoriesModule {
    * @param {boolean} options.includeChildren - Include nested child categories (default: true)
    * @param {number} options.limit - Number of products
    * @param {number} options.offset - Pagination offset
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{category: Object}>}
    */
   async get(slug, options = {}) {
@@ -80,35 +84,38 @@ export class CategoriesModule {
     const queryString = params.toString();
     const url = `${this.client.baseURL}/api/storefront/categories/${encodeURIComponent(slug)}${queryString ? `?${queryString}` : ""}`;
 
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get categories at a specific depth level
    * Convenience method for building navbars (depth 0) or submenus
    * @param {number} depth - Depth level (0 = root categories)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{categories: Array}>}
    */
-  async getByDepth(depth = 0) {
-    return this.list({ depth });
+  async getByDepth(depth = 0, options = {}) {
+    return this.list({ ...options, depth });
   }
 
   /**
    * Get category tree starting from root
    * Returns full nested hierarchy
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{categories: Array}>}
    */
-  async getTree() {
-    return this.list({ tree: true });
+  async getTree(options = {}) {
+    return this.list({ ...options, tree: true });
   }
 
   /**
    * Get children of a specific category
    * @param {string} parentSlug - Parent category slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{categories: Array}>}
    */
-  async getChildren(parentSlug) {
-    return this.list({ parent: parentSlug });
+  async getChildren(parentSlug, options = {}) {
+    return this.list({ ...options, parent: parentSlug });
   }
 
   /**
@@ -119,13 +126,16 @@ export class CategoriesModule {
    * @param {string} slug - Category slug
    * @param {Object} [options]
    * @param {string} [options.label] - Only return files with this exact label
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<Array<{id: string, url: string, label: string, name: string, order: number}>>}
    *
    * @example
    * const menus = await dash.categories.getFiles("thca-flower", { label: "menu" });
    */
   async getFiles(slug, options = {}) {
-    const res = await this.get(slug, { includeProducts: false, includeChildren: false });
+    const { signal, timeoutMs } = options;
+    const res = await this.get(slug, { includeProducts: false, includeChildren: false, signal, timeoutMs });
     const files = (res && res.category && res.category.files) || [];
     if (options.label != null && options.label !== "") {
       return files.filter((f) => f.label === options.label);
@@ -139,14 +149,15 @@ export class CategoriesModule {
    *
    * @param {string} slug - Category slug
    * @param {string} label - The file label to select
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{id: string, url: string, label: string, name: string, order: number} | null>}
    *
    * @example
    * const coa = await dash.categories.getFile("thca-flower", "coa");
    * if (coa) window.open(coa.url);
    */
-  async getFile(slug, label) {
-    const files = await this.getFiles(slug, { label });
+  async getFile(slug, label, options = {}) {
+    const files = await this.getFiles(slug, { ...options, label });
     return files.length ? files[0] : null;
   }
 }
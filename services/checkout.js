@@ -10,6 +10,9 @@
  * 2. complete() — creates order directly (no code needed)
  */
 
+import { createIdempotencyKey } from "../core/retry.js";
+import { DashValidationError } from "../core/errors.js";
+
 export class CheckoutModule {
   constructor(client) {
     this.client = client;
@@ -22,19 +25,20 @@ export class CheckoutModule {
    * @param {Object} data
    * @param {string} data.cartId - Cart ID
    * @param {string} [data.email] - Customer email (required for guest checkout)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<Object>} Cart summary, customer preview, auth status
    */
-  async start(data) {
+  async start(data, options = {}) {
     const { cartId, email, acceptsMarketing } = data;
     if (!cartId) {
-      throw new Error("cartId is required");
+      throw new DashValidationError("cartId is required");
     }
 
     const headers = {};
     if (this.client.auth && this.client.auth.token) {
       headers["Authorization"] = `Bearer ${this.client.auth.token}`;
     } else if (!email) {
-      throw new Error("cartId and email are required for guest checkout");
+      throw new DashValidationError("cartId and email are required for guest checkout");
     }
 
     const body = { cart_id: cartId };
@@ -46,7 +50,7 @@ export class CheckoutModule {
       method: "POST",
       headers,
       body: JSON.stringify(body),
-    });
+    }, options);
   }
 
   /**
@@ -54,30 +58,32 @@ export class CheckoutModule {
    * Returns only locations the organization ships to.
    * If no restrictions are configured, returns all available locations.
    *
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{countries: Array<{id: string, name: string, code: string, states: Array}>}>}
    *
    * @example
    * const { countries } = await dash.checkout.getShippingLocations();
    * // countries = [{ id: "...", name: "United States", code: "US", states: [...] }]
    */
-  async getShippingLocations() {
+  async getShippingLocations(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/shipping-locations`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get the list of globally banned state names for the organization.
    * Useful for footer disclaimers (e.g. "Products not available for shipment to: ...").
    *
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{banned_states: Array<{code: string, name: string}>}>}
    *
    * @example
    * const { banned_states } = await dash.checkout.getBannedStateNames();
    * // banned_states = [{ code: "TX", name: "Texas" }, ...]
    */
-  async getBannedStateNames() {
+  async getBannedStateNames(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/banned-state-names`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -93,14 +99,15 @@ export class CheckoutModule {
    * and applies the returned session to the auth module for you.
    *
    * @param {string} token - Recovery token, e.g. "checkout__abc123..."
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{access_token: string, refresh_token: string, token_type: string, expires_in: number, customer: Object, cart_id: string, cart_summary: Object}>}
    */
-  async resume(token) {
+  async resume(token, options = {}) {
     if (!token) {
-      throw new Error("token is required");
+      throw new DashValidationError("token is required");
     }
     const url = `${this.client.baseURL}/api/storefront/checkout/resume?token=${encodeURIComponent(token)}`;
-    return this.client._fetch(url, { method: "GET" });
+    return this.client._fetch(url, { method: "GET" }, options);
   }
 
   /**
@@ -113,15 +120,20 @@ export class CheckoutModule {
    * @param {string} [data.code] - 6-digit OTP code (required for guest)
    * @param {Object} data.shipping - Shipping address
    * @param {string} [data.customerNotes] - Optional order notes
+   * @param {string} [data.idempotencyKey] - Idempotency-Key sent with the request
+   *   (generated when omitted). Pass the same key when retrying after an
+   *   ambiguous failure and the backend returns the original order instead of
+   *   placing a second one.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<Object>} Order data, customer, auth tokens (guest only)
    */
-  async complete(data) {
-    const { cartId, email, code, shipping, customerNotes, payment, payment_token, captcha_token, totals, analytics } = data;
+  async complete(data, options = {}) {
+    const { cartId, email, code, shipping, customerNotes, payment, payment_token, captcha_token, totals, analytics, idempotencyKey } = data;
     if (!cartId || !shipping) {
-      throw new Error("cartId and shipping are required");
+      throw new DashValidationError("cartId and shipping are required");
     }
 
-    const headers = {};
+    const headers = { "Idempotency-Key": idempotencyKey || createIdempotencyKey() };
     if (this.client.auth && this.client.auth.token) {
       headers["Authorization"] = `Bearer ${this.client.auth.token}`;
     }
@@ -154,7 +166,7 @@ export class CheckoutModule {
       method: "POST",
       headers,
       body: JSON.stringify(body),
-    });
+    }, options);
   }
 
   /**
@@ -174,12 +186,13 @@ export class CheckoutModule {
    * @param {Object} data.shipping - Shipping address (first_name, last_name,
    *   phone, address, address_line2, city, state, zip_code, country)
    * @param {string} [data.customerNotes] - Optional order notes
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{order: Object, customer: Object}>}
    */
-  async placeWholesaleRequest(data) {
+  async placeWholesaleRequest(data, options = {}) {
     const { cartId, email, shipping, customerNotes, totals } = data;
     if (!cartId || !email || !shipping) {
-      throw new Error("cartId, email and shipping are required");
+      throw new DashValidationError("cartId, email and shipping are required");
     }
 
     const url = `${this.client.baseURL}/api/storefront/wholesale/place-request`;
@@ -193,7 +206,7 @@ export class CheckoutModule {
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify(body),
-    });
+    }, options);
   }
 }
 
@@ -5,6 +5,8 @@
  * Products that have variations with lab-report files are considered to have COAs.
  */
 
+import { DashValidationError } from "../core/errors.js";
+
 export class CoaModule {
   constructor(client) {
     this.client = client;
@@ -14,6 +16,8 @@ export class CoaModule {
    * List products that have at least one variation with a lab-report file.
    * @param {Object} [options] - Query options
    * @param {string} [options.q] - Search query to filter by product name
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{products: Array, total_products: number}>}
    *
    * @example
@@ -27,44 +31,46 @@ export class CoaModule {
 
     const queryString = params.toString();
     const url = `${this.client.baseURL}/api/storefront/coa${queryString ? `?${queryString}` : ""}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get a product and its variations that have COA files.
    * @param {string} productSlug - Product SEO slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{product: Object, variations: Array, total_variations: number}>}
    *
    * @example
    * const { product, variations } = await client.coa.getProduct("my-product");
    */
-  async getProduct(productSlug) {
+  async getProduct(productSlug, options = {}) {
     if (!productSlug) {
-      throw new Error("productSlug is required");
+      throw new DashValidationError("productSlug is required");
     }
     const url = `${this.client.baseURL}/api/storefront/coa/${encodeURIComponent(productSlug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get a single variation's COA detail (lab report URL).
    * @param {string} productSlug - Product SEO slug
    * @param {string} variationSlug - Variation slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{product: Object, variation: Object}>}
    *
    * @example
    * const { product, variation } = await client.coa.getVariation("my-product", "strain-a");
    * console.log(variation.lab_report_url); // "https://..."
    */
-  async getVariation(productSlug, variationSlug) {
+  async getVariation(productSlug, variationSlug, options = {}) {
     if (!productSlug) {
-      throw new Error("productSlug is required");
+      throw new DashValidationError("productSlug is required");
     }
     if (!variationSlug) {
-      throw new Error("variationSlug is required");
+      throw new DashValidationError("variationSlug is required");
     }
     const url = `${this.client.baseURL}/api/storefront/coa/${encodeURIComponent(productSlug)}/${encodeURIComponent(variationSlug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 }
 
@@ -23,6 +23,7 @@ export class ContactModule {
    * @param {Object} [data.cookies] - Cookies object for tracking (optional)
    * @param {Object} [data.metadata] - Additional metadata (optional)
    * @param {string} [data.turnstile_token] - Cloudflare Turnstile token (optional - for spam protection)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, message: string, submission_id: string}>}
    *
    * @example
@@ -33,13 +34,13 @@ export class ContactModule {
    *   metadata: { page: "pricing", campaign: "summer2024" }
    * });
    */
-  async submit(data) {
+  async submit(data, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/contact`;
 
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 }
 
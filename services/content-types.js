@@ -13,15 +13,16 @@ export class ContentTypesModule {
   /**
    * List all active content types for this organization.
    *
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{content_types: Array}>}
    *
    * @example
    * const { content_types } = await dash.contentTypes.list();
    * // content_types = [{ id, name, plural_name, slug, singular_path, item_count, ... }]
    */
-  async list() {
+  async list(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/content-types`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -31,6 +32,8 @@ export class ContentTypesModule {
    * @param {Object} [options]
    * @param {number} [options.limit=50] - Max items to return
    * @param {number} [options.offset=0] - Pagination offset
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{content_type: Object, items: Array, total: number}>}
    *
    * @example
@@ -42,7 +45,7 @@ export class ContentTypesModule {
     if (options.offset) params.append("offset", String(options.offset));
     const qs = params.toString();
     const url = `${this.client.baseURL}/api/storefront/content-types/${encodeURIComponent(typeSlug)}${qs ? `?${qs}` : ""}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -50,15 +53,16 @@ export class ContentTypesModule {
    *
    * @param {string} typeSlug - The content type slug
    * @param {string} itemSlug - The item slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{item: Object}>}
    *
    * @example
    * const { item } = await dash.contentTypes.getItem("services", "plumbing");
    * // item = { id, title, slug, content, featured_image, custom_fields, seo_*, ... }
    */
-  async getItem(typeSlug, itemSlug) {
+  async getItem(typeSlug, itemSlug, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/content-types/${encodeURIComponent(typeSlug)}/${encodeURIComponent(itemSlug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 }
 
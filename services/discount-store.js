@@ -5,6 +5,8 @@
  * Customers spend points to receive one-time discount codes.
  */
 
+import { DashAuthError } from "../core/errors.js";
+
 export class DiscountStoreModule {
   constructor(client) {
     this.client = client;
@@ -13,28 +15,30 @@ export class DiscountStoreModule {
   /**
    * List available discount store products.
    * Optionally returns customer's point balance if authenticated.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{products: Array, customer_points: number|null}>}
    */
-  async list() {
+  async list(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/discount-store`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Redeem a discount store product using loyalty points.
    * Requires Bearer token authentication.
    * @param {string} productId - The discount store product ID to redeem
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, discount_code: Object, points_remaining: number}>}
    */
-  async redeem(productId) {
+  async redeem(productId, options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/discount-store/redeem`;
     return this.client._fetch(url, {
       method: "POST",
       headers: { Authorization: `Bearer ${token}` },
       body: JSON.stringify({ product_id: productId }),
-    });
+    }, options);
   }
 }
 
@@ -5,6 +5,8 @@
  * Each task can only be completed once per customer.
  */
 
+import { DashAuthError } from "../core/errors.js";
+
 export class EarnPointsModule {
   constructor(client) {
     this.client = client;
@@ -12,32 +14,34 @@ export class EarnPointsModule {
 
   /**
    * List completed earn-point tasks for the authenticated customer.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{completed_tasks: string[]}>}
    */
-  async list() {
+  async list(options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/earn-points/tasks`;
     return this.client._fetch(url, {
       headers: { Authorization: `Bearer ${token}` },
-    });
+    }, options);
   }
 
   /**
    * Mark a social task as completed and award points.
    * Each task can only be completed once.
    * @param {string} taskId - The task identifier (e.g. "follow_instagram", "join_discord")
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, task_id: string, points_awarded: number, points_remaining: number}>}
    */
-  async complete(taskId) {
+  async complete(taskId, options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/earn-points/complete`;
     return this.client._fetch(url, {
       method: "POST",
       headers: { Authorization: `Bearer ${token}` },
       body: JSON.stringify({ task_id: taskId }),
-    });
+    }, options);
   }
 }
 
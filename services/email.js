@@ -5,6 +5,8 @@
  * Klaviyo API keys stay server-side — this module proxies through the platform.
  */
 
+import { DashValidationError } from "../core/errors.js";
+
 export class EmailModule {
   constructor(client) {
     this.client = client;
@@ -18,13 +20,15 @@ export class EmailModule {
    * @param {string} [options.last_name] - Customer last name
    * @param {string} [options.phone] - Customer phone
    * @param {Object} [options.properties] - Additional custom properties
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{message: string}>}
    */
   async identify(options) {
     const { email, first_name, last_name, phone, properties } = options;
 
     if (!email) {
-      throw new Error("email is required");
+      throw new DashValidationError("email is required");
     }
 
     const url = `${this.client.baseURL}/api/storefront/email/identify`;
@@ -37,7 +41,7 @@ export class EmailModule {
         phone,
         properties,
       }),
-    });
+    }, options);
   }
 
   /**
@@ -47,16 +51,18 @@ export class EmailModule {
    * @param {string} options.email - Customer email (required)
    * @param {string} options.event - Event name (required, e.g. "Added to Cart")
    * @param {Object} [options.properties] - Event-specific data
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{message: string}>}
    */
   async track(options) {
     const { email, event, properties } = options;
 
     if (!email) {
-      throw new Error("email is required");
+      throw new DashValidationError("email is required");
     }
     if (!event) {
-      throw new Error("event name is required");
+      throw new DashValidationError("event name is required");
     }
 
     const url = `${this.client.baseURL}/api/storefront/email/track`;
@@ -67,7 +73,7 @@ export class EmailModule {
         event,
         properties,
       }),
-    });
+    }, options);
   }
 }
 
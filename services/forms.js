@@ -22,6 +22,8 @@
  *   {form.handleSubmit(onDone)}
  */
 
+import { DashValidationError } from "../core/errors.js";
+
 export class FormsModule {
   constructor(client) {
     this.client = client;
@@ -31,18 +33,19 @@ export class FormsModule {
    * Fetch the form schema for `slug`.
    *
    * @param {string} slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{ form: object }>}
    *
    * The returned `form.fields` is the canonical schema — list of field
    * descriptors with `name`, `label`, `type`, `required`, `options`,
    * `show_when`, etc.
    */
-  async get(slug) {
+  async get(slug, options = {}) {
     if (!slug || typeof slug !== "string") {
-      throw new Error("forms.get(slug): slug must be a non-empty string");
+      throw new DashValidationError("forms.get(slug): slug must be a non-empty string");
     }
     const url = `${this.client.baseURL}/api/storefront/forms/${encodeURIComponent(slug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -53,6 +56,7 @@ export class FormsModule {
    * @param {Record<string, unknown>} payload.answers           - Field-name keyed answers.
    * @param {Array<{field_name?: string, value: string}>} [payload.signatures]
    * @param {string} [payload.source_url]
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    *
    * @returns {Promise<{
    *   success: boolean,
@@ -67,15 +71,15 @@ export class FormsModule {
    * code (`required`, `invalid_option`, `too_long`). The caller can map
    * these to user-facing messages.
    */
-  async submit(slug, payload) {
+  async submit(slug, payload, options = {}) {
     if (!slug || typeof slug !== "string") {
-      throw new Error("forms.submit(slug, payload): slug must be a non-empty string");
+      throw new DashValidationError("forms.submit(slug, payload): slug must be a non-empty string");
     }
     if (!payload || typeof payload !== "object") {
-      throw new Error("forms.submit(slug, payload): payload must be an object");
+      throw new DashValidationError("forms.submit(slug, payload): payload must be an object");
     }
     if (!payload.answers || typeof payload.answers !== "object") {
-      throw new Error("forms.submit(slug, payload): payload.answers is required");
+      throw new DashValidationError("forms.submit(slug, payload): payload.answers is required");
     }
     const url = `${this.client.baseURL}/api/storefront/forms/${encodeURIComponent(slug)}/submit`;
     return this.client._fetch(url, {
@@ -85,7 +89,7 @@ export class FormsModule {
         signatures: payload.signatures ?? undefined,
         source_url: payload.source_url ?? undefined,
       }),
-    });
+    }, options);
   }
 }
 
@@ -0,0 +1,215 @@
+/**
+ * History Module
+ *
+ * Recently viewed products. `record()` is the one call a product page makes:
+ * it stores the view (newest first, one entry per product, capped) and fires
+ * Klaviyo's `marketing.viewedProduct` and an Insights `view_item` event.
+ *
+ *   // product page, in the browser
+ *   useEffect(() => { dash.history.record(product); }, [product.id]);
+ *
+ *   // "Recently viewed" strip
+ *   const { products } = await dash.history.recentlyViewed({ limit: 8, excludeIds: [product.id] });
+ *
+ * Views are kept with `StorageManager` (localStorage, falling back to cookies
+ * or memory), so the history belongs to the browser, not the customer.
+ */
+
+import { DashValidationError } from "../core/errors.js";
+import { StorageManager } from "../storage/storage.js";
+import { parsePrice } from "../utils/price.js";
+
+/** @private */
+const STORAGE_KEY = "history";
+
+/**
+ * A repeat view of the newest entry within this window (a reload, or React
+ * running an effect twice) updates its time but isn't tracked again.
+ * @private
+ */
+const REPEAT_VIEW_MS = 30 * 1000;
+
+/**
+ * Products `recentlyViewed()` fetches at once by default.
+ * @private
+ */
+const HYDRATE_CONCURRENCY = 4;
+
+/**
+ * A stored entry in the shape of a product.
+ * @private
+ */
+function fromEntry(entry) {
+  return {
+    id: entry.product_id,
+    slug: entry.slug,
+    name: entry.name,
+    main_image: entry.main_image,
+    price: entry.price,
+    viewed_at: entry.viewed_at,
+  };
+}
+
+export class HistoryModule {
+  constructor(client) {
+    this.client = client;
+    /** Most views kept; older ones are dropped. */
+    this.maxEntries = 50;
+    this._storage = null;
+  }
+
+  /**
+   * Where views are kept. Defaults to a `StorageManager` with the standard
+   * `dash4devs_` prefix; assign another one to change that.
+   * @type {StorageManager}
+   */
+  get storage() {
+    if (!this._storage) this._storage = new StorageManager({ logger: this.client.logger });
+    return this._storage;
+  }
+
+  set storage(storage) {
+    this._storage = storage;
+  }
+
+  /**
+   * Stored views, newest first, without a request. Each has `product_id`,
+   * `slug`, `viewed_at` and the name, image and price seen at the time.
+   * @returns {Array<Object>}
+   */
+  get entries() {
+    const entries = this.storage.get(STORAGE_KEY, []);
+    return Array.isArray(entries) ? entries : [];
+  }
+
+  /**
+   * Record a product detail view and fire the view events.
+   * @param {Object} product - From `products.get()` or `getCore()`; needs `id` and `slug`
+   * @param {Object} [options]
+   * @param {string} [options.url] - Absolute product URL for Klaviyo (default: the current page)
+   * @param {boolean} [options.track=true] - Fire `marketing.viewedProduct` and `insights.track("view_item")`
+   * @returns {Object} The stored entry
+   * @throws {DashValidationError} When `id` or `slug` is missing
+   *
+   * @example
+   * dash.history.record(product, { url: `https://shop.example.com/p/${product.slug}` });
+   */
+  record(product, options = {}) {
+    if (!product?.id || !product?.slug) {
+      throw new DashValidationError("product id and slug are required", {
+        fields: { [product?.id ? "slug" : "id"]: "required" },
+      });
+    }
+    const now = Date.now();
+    const previous = this.entries;
+    const repeat = previous[0]?.product_id === product.id && now - Date.parse(previous[0].viewed_at) < REPEAT_VIEW_MS;
+
+    const entry = {
+      product_id: product.id,
+      slug: product.slug,
+      name: product.name ?? null,
+      main_image: product.main_image ?? null,
+      price: product.discounted_price ?? product.price ?? product.price_range?.min ?? null,
+      viewed_at: new Date(now).toISOString(),
+    };
+    const entries = [entry, ...previous.filter((e) => e.product_id !== product.id)].slice(0, this.maxEntries);
+    this.storage.set(STORAGE_KEY, entries);
+
+    if (!repeat && options.track !== false) this._trackView(product, options.url);
+    return entry;
+  }
+
+  /**
+   * Recently viewed products, newest first, fetched with `products.getCore()`
+   * so names, images and prices are current — a few at a time, and only as
+   * many as `limit` needs. Products that no longer exist are dropped from the
+   * history and their places filled from older views; one that fails to load
+   * for another reason is returned from its stored entry.
+   * @param {Object} [options]
+   * @param {number} [options.limit=10]
+   * @param {string[]} [options.excludeIds] - Product ids to leave out (e.g. the one on screen)
+   * @param {boolean} [options.hydrate=true] - Set false to return the stored entries without requests
+   * @param {number} [options.concurrency=4] - Products fetched at once
+   * @param {AbortSignal} [options.signal] - Cancel the requests
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout, per request
+   * @returns {Promise<{products: Array<Object>}>} Each product with the `viewed_at` of its last view
+   */
+  async recentlyViewed(options = {}) {
+    const { limit = 10, excludeIds = [], hydrate = true, concurrency = HYDRATE_CONCURRENCY, signal, timeoutMs } = options;
+    const entries = this.entries.filter((e) => !excludeIds.includes(e.product_id));
+    if (!hydrate) return { products: entries.slice(0, limit).map(fromEntry) };
+
+    const load = async (entry) => {
+      try {
+        const { product } = await this.client.products.getCore(entry.slug, { signal, timeoutMs });
+        return { ...product, viewed_at: entry.viewed_at };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        if (error?.code === "not_found") {
+          gone.push(entry.product_id);
+          return null;
+        }
+        return fromEntry(entry);
+      }
+    };
+
+    // Oldest entries are only fetched to stand in for ones that are gone.
+    const gone = [];
+    const products = [];
+    let next = 0;
+    while (products.length < limit && next < entries.length) {
+      const batch = entries.slice(next, next + Math.max(1, Math.min(concurrency, limit - products.length)));
+      next += batch.length;
+      products.push(...(await Promise.all(batch.map(load))).filter(Boolean));
+    }
+
+    if (gone.length) {
+      this.storage.set(STORAGE_KEY, this.entries.filter((e) => !gone.includes(e.product_id)));
+    }
+    return { products };
+  }
+
+  /**
+   * Forget one product's views.
+   * @param {string} productId
+   */
+  remove(productId) {
+    this.storage.set(STORAGE_KEY, this.entries.filter((e) => e.product_id !== productId));
+  }
+
+  /** Forget every view. */
+  clear() {
+    this.storage.remove(STORAGE_KEY);
+  }
+
+  /** @private */
+  _trackView(product, url) {
+    const pageUrl = url ?? (typeof window !== "undefined" ? window.location?.href : undefined);
+    const price = product.discounted_price ?? product.price ?? product.price_range?.min;
+    const categories = (product.categories || (product.category ? [product.category] : [])).map((c) => c.name);
+
+    try {
+      this.client.marketing.viewedProduct({
+        id: product.id,
+        name: product.name,
+        url: pageUrl,
+        imageUrl: product.main_image || undefined,
+        price: price != null ? parsePrice(price) : undefined,
+        compareAtPrice: product.discounted_price != null ? parsePrice(product.price) : undefined,
+        brand: product.brand?.name,
+        categories,
+      });
+    } catch { /* ignore */ }
+
+    try {
+      this.client.insights.track("view_item", {
+        product_id: product.id,
+        product_slug: product.slug,
+        product_name: product.name,
+        ...(price != null ? { price: parsePrice(price) } : {}),
+      });
+    } catch { /* ignore */ }
+  }
+}
+
+export default HistoryModule;
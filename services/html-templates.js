@@ -16,15 +16,16 @@ export class HtmlTemplatesModule {
    * Fetch an HTML template by id or slug. Inactive templates return 404.
    *
    * @param {string} idOrSlug - Template id (e.g. "htmltmpl__...") or slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{template: {id: string, slug: string, name: string, html: string}}>}
    *
    * @example
    * const { template } = await dash.htmlTemplates.get("htmltmpl__abc123");
    * // template.html → raw HTML string ready to inject
    */
-  async get(idOrSlug) {
+  async get(idOrSlug, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/html-templates/${encodeURIComponent(idOrSlug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 }
 
@@ -406,7 +406,7 @@ export class InsightsModule {
         if (ok) return;
         // sendBeacon can fail (payload too large) — fall through to fetch.
       }
-      fetch(url, {
+      this.client.transport(url, {
         method: "POST",
         headers: { "Content-Type": "application/json", "X-API-Key": this.client.apiKey },
         body: payload,
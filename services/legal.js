@@ -12,21 +12,23 @@ export class LegalModule {
 
   /**
    * List all published legal documents (title, slug, updated_at)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{documents: Array}>}
    */
-  async list() {
+  async list(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/legal`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get a single legal document by slug (full content)
    * @param {string} slug - Document slug (e.g. "privacy-policy")
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{document: Object}>}
    */
-  async get(slug) {
+  async get(slug, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/legal/${encodeURIComponent(slug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 }
 
@@ -17,12 +17,13 @@ export class MarketingModule {
    * Fetches /api/storefront/email/config and injects the provider's client-side JS.
    * Safe to call multiple times — only runs once.
    *
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{active: boolean, provider: string|null}>}
    *
    * @example
    * await client.marketing.init();
    */
-  async init() {
+  async init(options = {}) {
     if (this._initialized) {
       return this._config;
     }
@@ -35,7 +36,7 @@ export class MarketingModule {
 
     try {
       const url = `${this.client.baseURL}/api/storefront/email/config`;
-      const data = await this.client._fetch(url);
+      const data = await this.client._fetch(url, {}, options);
       this._config = data;
 
       if (!data.active || !data.provider) {
@@ -50,7 +51,7 @@ export class MarketingModule {
 
       return data;
     } catch (err) {
-      console.warn("Marketing init failed:", err.message);
+      this.client.logger.child("marketing").warn("Marketing init failed", { error: err });
       this._config = { active: false, provider: null };
       return this._config;
     }
@@ -196,7 +197,7 @@ export class MarketingModule {
   _injectKlaviyo(config) {
     const companyId = config?.company_id;
     if (!companyId) {
-      console.warn("Klaviyo company_id not configured");
+      this.client.logger.child("marketing").warn("Klaviyo company_id not configured");
       return;
     }
 
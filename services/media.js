@@ -14,6 +14,8 @@ export class MediaModule {
    * @param {string} folderName - The folder name (e.g. "gallery_01")
    * @param {Object} [options] - Optional filters
    * @param {Object} [options.metadata] - Filter by metadata key-value pair (e.g. { type: "hero" })
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{folder: string, items: Array}>}
    *
    * @example
@@ -35,21 +37,22 @@ export class MediaModule {
     }
     const qs = params.toString();
     if (qs) url += `?${qs}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get a single media file by its name field
    * @param {string} name - The exact name of the media file (e.g. "brick_desktop")
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{file: {id, name, url, alt_text, width, height}}>}
    *
    * @example
    * const { file } = await client.media.getByName("brick_desktop");
    * console.log(file.url); // "https://cdn.example.com/media/brick_desktop.jpg"
    */
-  async getByName(name) {
+  async getByName(name, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/media/by-name/${encodeURIComponent(name)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 }
 
@@ -33,6 +33,9 @@
  * Returned by `dash.pageGroup(slug)` and `dash.pageGroups.group(slug)`.
  * Don't construct this directly; let the SDK hand it to you.
  */
+import { DashValidationError } from "../core/errors.js";
+import { Paginator, splitPagingOptions } from "../core/paginate.js";
+
 export class PageGroup {
   /**
    * @param {object} client    The DashClient instance (provides baseURL + _fetch).
@@ -40,7 +43,7 @@ export class PageGroup {
    */
   constructor(client, slug) {
     if (!slug || typeof slug !== "string") {
-      throw new Error("pageGroup(slug): slug must be a non-empty string");
+      throw new DashValidationError("pageGroup(slug): slug must be a non-empty string");
     }
     this.client = client;
     this.slug = slug;
@@ -52,6 +55,8 @@ export class PageGroup {
    * @param {object} [options]
    * @param {number} [options.limit=50]   Max items returned per page.
    * @param {number} [options.offset=0]   Pagination offset.
+   * @param {AbortSignal} [options.signal]  Cancel the request.
+   * @param {number} [options.timeoutMs]    Override the client-wide timeout.
    * @returns {Promise<{ content_type: object, items: Array<object>, total: number }>}
    *
    * @example
@@ -64,7 +69,31 @@ export class PageGroup {
     if (options.offset) params.append("offset", String(options.offset));
     const qs = params.toString();
     const url = `${this.client.baseURL}/api/storefront/content-types/${encodeURIComponent(this.slug)}${qs ? `?${qs}` : ""}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
+  }
+
+  /**
+   * Iterate every published item in this group, fetching pages as needed.
+   *
+   * @param {object} [options]
+   * @param {number} [options.pageSize=50]    Items per request.
+   * @param {number} [options.concurrency=1]  Pages fetched at once (bulk exports).
+   * @param {AbortSignal} [options.signal]    Cancel the requests.
+   * @param {number} [options.timeoutMs]      Override the client-wide timeout, per request.
+   * @returns {Paginator}   Async-iterable; also has `.pages()` and `.toArray({ max })`.
+   *
+   * @example
+   *   for await (const item of dash.pageGroup("locations").iterate()) {
+   *     console.log(item.slug);
+   *   }
+   */
+  iterate(options = {}) {
+    const { paging, rest } = splitPagingOptions(options);
+    return new Paginator({
+      ...paging,
+      itemsKey: "items",
+      fetchPage: ({ limit, offset }) => this.all({ ...rest, limit, offset }),
+    });
   }
 
   /**
@@ -117,18 +146,19 @@ export class PageGroup {
    * Fetch a single published item by its slug. Use this for detail pages.
    *
    * @param {string} itemSlug
+   * @param {object} [options]   Request options: `signal`, `timeoutMs`.
    * @returns {Promise<{ item: object }>}
    *
    * @example
    *   const { item } = await dash.pageGroup("services").get("kitchen-remodel");
    *   item.title; item.content; item.featured_image; item.metadata;
    */
-  async get(itemSlug) {
+  async get(itemSlug, options = {}) {
     if (!itemSlug || typeof itemSlug !== "string") {
-      throw new Error("pageGroup.get(itemSlug): itemSlug must be a non-empty string");
+      throw new DashValidationError("pageGroup.get(itemSlug): itemSlug must be a non-empty string");
     }
     const url = `${this.client.baseURL}/api/storefront/content-types/${encodeURIComponent(this.slug)}/${encodeURIComponent(itemSlug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -136,14 +166,15 @@ export class PageGroup {
    * Convenience wrapper around `.filter()`.
    *
    * @param {(item: object) => boolean | Record<string, unknown>} predicate
+   * @param {object} [options]   Same options as `.all()` (forwarded).
    * @returns {Promise<object | null>}
    *
    * @example
    *   const headline = await dash.pageGroup("services")
    *     .find({ headline: true });
    */
-  async find(predicate) {
-    const matches = await this.filter(predicate);
+  async find(predicate, options = {}) {
+    const matches = await this.filter(predicate, options);
     return matches[0] ?? null;
   }
 
@@ -151,10 +182,11 @@ export class PageGroup {
    * Count published items in this group (uses pagination metadata so it
    * doesn't need to fetch every record).
    *
+   * @param {object} [options]   Request options: `signal`, `timeoutMs`.
    * @returns {Promise<number>}
    */
-  async count() {
-    const { total = 0 } = await this.all({ limit: 1 });
+  async count(options = {}) {
+    const { total = 0 } = await this.all({ ...options, limit: 1 });
     return total;
   }
 }
@@ -173,6 +205,7 @@ export class PageGroupsModule {
   /**
    * List every published Page Group (collection metadata, not items).
    *
+   * @param {object} [options]   Request options: `signal`, `timeoutMs`.
    * @returns {Promise<{ content_types: Array<object> }>}
    *
    * @example
@@ -181,9 +214,9 @@ export class PageGroupsModule {
    *     console.log(g.slug, g.item_count);
    *   }
    */
-  async list() {
+  async list(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/content-types`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
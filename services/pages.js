@@ -14,16 +14,18 @@ export class PagesModule {
   /**
    * List all configured pages
    * Useful for generating sitemaps or navigation
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{pages: Array}>}
    */
-  async list() {
+  async list(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/pages`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get page data by path (with dynamic route support)
    * @param {string} path - URL path to match (e.g., "/", "/products/my-product")
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{page: Object, params: Object, global: Object, data: Object}>}
    *
    * @example
@@ -31,19 +33,20 @@ export class PagesModule {
    * // params = { slug: "my-product" }
    * // data = { product: {...}, related_products: [...] }
    */
-  async getByPath(path) {
+  async getByPath(path, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/page?path=${encodeURIComponent(path)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get page data by name
    * @param {string} name - Page name identifier (e.g., "home", "product-detail")
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{page: Object, params: Object, global: Object, data: Object}>}
    */
-  async getByName(name) {
+  async getByName(name, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/page?name=${encodeURIComponent(name)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 }
 
@@ -19,6 +19,8 @@
 import { AuthorizeNetCSR } from "../processors/authorize-net.js";
 import { QuickBooksCSR } from "../processors/quickbooks.js";
 import { GooglePayCSR } from "../processors/google-pay.js";
+import { createIdempotencyKey } from "../core/retry.js";
+import { DashError, DashValidationError } from "../core/errors.js";
 
 export class PaymentModule {
   constructor(client) {
@@ -41,6 +43,7 @@ export class PaymentModule {
    * 1. Fetch the processor info + public keys from the API
    * 2. Dynamically load only that processor's client library
    *
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{slug: string, name: string, environment: string}>}
    *
    * @example
@@ -48,20 +51,20 @@ export class PaymentModule {
    * const processor = await dash.payment.load();
    * console.log(processor.slug); // "authorize-net"
    */
-  async load() {
+  async load(options = {}) {
     if (this._loaded) return this._processor;
     if (this._loading) return this._loading;
 
     this._loading = (async () => {
       // Fetch processor info + public keys
       const url = `${this.client.baseURL}/api/storefront/payment/client-config`;
-      const data = await this.client._fetch(url);
+      const data = await this.client._fetch(url, {}, options);
 
       this._processor = data.processor;
       this._clientConfig = data.client_config;
 
       if (!this._processor) {
-        throw new Error("No active payment processor configured for this organization.");
+        throw new DashError("No active payment processor configured for this organization.", { code: "no_processor" });
       }
 
       // Initialize the correct CSR handler (browser only)
@@ -86,13 +89,14 @@ export class PaymentModule {
    * Get the active processor info.
    * Returns cached data if load() has been called, otherwise fetches.
    *
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{slug: string, name: string, environment: string} | null>}
    */
-  async getProcessor() {
+  async getProcessor(options = {}) {
     if (this._processor) return this._processor;
 
     const url = `${this.client.baseURL}/api/storefront/payment/processor`;
-    const data = await this.client._fetch(url);
+    const data = await this.client._fetch(url, {}, options);
     this._processor = data.processor;
     return data.processor;
   }
@@ -120,15 +124,17 @@ export class PaymentModule {
    */
   async tokenize(cardData) {
     if (!this._loaded || !this._handler) {
-      throw new Error(
-        "Payment processor not loaded. Call dash.payment.load() first."
+      throw new DashError(
+        "Payment processor not loaded. Call dash.payment.load() first.",
+        { code: "processor_not_loaded" }
       );
     }
 
     if (typeof window === "undefined") {
-      throw new Error(
+      throw new DashError(
         "tokenize() can only be called in a browser environment (CSR). " +
-        "Use charge() on the server side (SSR)."
+        "Use charge() on the server side (SSR).",
+        { code: "unsupported_environment" }
       );
     }
 
@@ -149,6 +155,9 @@ export class PaymentModule {
    * @param {string} [chargeData.invoiceNumber] - Invoice/order number
    * @param {string} [chargeData.description] - Charge description
    * @param {Object} [chargeData.billing] - Billing address
+   * @param {string} [chargeData.idempotencyKey] - Idempotency-Key sent with the request
+   *   (generated when omitted). Reuse the same key to safely retry a charge yourself.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, transaction: Object}>}
    *
    * @example
@@ -167,9 +176,9 @@ export class PaymentModule {
    *   },
    * });
    */
-  async charge(chargeData) {
+  async charge(chargeData, options = {}) {
     if (!chargeData || !chargeData.token || !chargeData.amount) {
-      throw new Error("token and amount are required for charge().");
+      throw new DashValidationError("token and amount are required for charge().");
     }
 
     const url = `${this.client.baseURL}/api/storefront/payment/charge`;
@@ -189,8 +198,9 @@ export class PaymentModule {
 
     return this.client._fetch(url, {
       method: "POST",
+      headers: { "Idempotency-Key": chargeData.idempotencyKey || createIdempotencyKey() },
       body: JSON.stringify(payload),
-    });
+    }, options);
   }
 
   // ===========================================================================
@@ -213,6 +223,8 @@ export class PaymentModule {
    * @param {string} [authData.invoiceNumber] - Invoice/order number
    * @param {string} [authData.description] - Description
    * @param {Object} [authData.billing] - Billing address
+   * @param {string} [authData.idempotencyKey] - Idempotency-Key sent with the request (generated when omitted)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, authorization: Object}>}
    *
    * @example
@@ -232,9 +244,9 @@ export class PaymentModule {
    * // OR Step 2b: Void if you don't want to charge
    * await dash.payment.void({ transactionId });
    */
-  async authorize(authData) {
+  async authorize(authData, options = {}) {
     if (!authData || !authData.token || !authData.amount) {
-      throw new Error("token and amount are required for authorize().");
+      throw new DashValidationError("token and amount are required for authorize().");
     }
 
     const url = `${this.client.baseURL}/api/storefront/payment/authorize`;
@@ -254,8 +266,9 @@ export class PaymentModule {
 
     return this.client._fetch(url, {
       method: "POST",
+      headers: { "Idempotency-Key": authData.idempotencyKey || createIdempotencyKey() },
       body: JSON.stringify(payload),
-    });
+    }, options);
   }
 
   /**
@@ -266,6 +279,8 @@ export class PaymentModule {
    * @param {string} captureData.transactionId - Transaction ID from authorize()
    * @param {string|number} [captureData.amount] - Amount to capture (optional,
    *   defaults to original auth amount. Can be less than original, not more.)
+   * @param {string} [captureData.idempotencyKey] - Idempotency-Key sent with the request (generated when omitted)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, transaction: Object}>}
    *
    * @example
@@ -274,9 +289,9 @@ export class PaymentModule {
    *   amount: "89.99", // Optional: capture less than authorized
    * });
    */
-  async capture(captureData) {
+  async capture(captureData, options = {}) {
     if (!captureData || !captureData.transactionId) {
-      throw new Error("transactionId is required for capture().");
+      throw new DashValidationError("transactionId is required for capture().");
     }
 
     const url = `${this.client.baseURL}/api/storefront/payment/capture`;
@@ -291,8 +306,9 @@ export class PaymentModule {
 
     return this.client._fetch(url, {
       method: "POST",
+      headers: { "Idempotency-Key": captureData.idempotencyKey || createIdempotencyKey() },
       body: JSON.stringify(body),
-    });
+    }, options);
   }
 
   /**
@@ -304,6 +320,8 @@ export class PaymentModule {
    *
    * @param {Object} voidData
    * @param {string} voidData.transactionId - Transaction ID from authorize()
+   * @param {string} [voidData.idempotencyKey] - Idempotency-Key sent with the request (generated when omitted)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{success: boolean, transaction: Object}>}
    *
    * @example
@@ -311,19 +329,20 @@ export class PaymentModule {
    *   transactionId: "123456789",
    * });
    */
-  async void(voidData) {
+  async void(voidData, options = {}) {
     if (!voidData || !voidData.transactionId) {
-      throw new Error("transactionId is required for void().");
+      throw new DashValidationError("transactionId is required for void().");
     }
 
     const url = `${this.client.baseURL}/api/storefront/payment/void`;
 
     return this.client._fetch(url, {
       method: "POST",
+      headers: { "Idempotency-Key": voidData.idempotencyKey || createIdempotencyKey() },
       body: JSON.stringify({
         transaction_id: voidData.transactionId,
       }),
-    });
+    }, options);
   }
 
   /**
@@ -333,7 +352,7 @@ export class PaymentModule {
    */
   getHandler() {
     if (!this._handler) {
-      throw new Error("Payment processor not loaded. Call load() first.");
+      throw new DashError("Payment processor not loaded. Call load() first.", { code: "processor_not_loaded" });
     }
     return this._handler;
   }
@@ -421,8 +440,9 @@ export class PaymentModule {
    */
   googlePay(options = {}) {
     if (!this._loaded) {
-      throw new Error(
-        "Call dash.payment.load() before dash.payment.googlePay()."
+      throw new DashError(
+        "Call dash.payment.load() before dash.payment.googlePay().",
+        { code: "processor_not_loaded" }
       );
     }
 
@@ -433,20 +453,23 @@ export class PaymentModule {
       gateway = "authorizenet";
       gatewayMerchantId = this._clientConfig?.api_login_id;
     } else {
-      throw new Error(
+      throw new DashError(
         `Google Pay is not supported for processor "${this._processor?.slug}". ` +
-        "Only Authorize.net is wired up for Google Pay."
+        "Only Authorize.net is wired up for Google Pay.",
+        { code: "unsupported_processor" }
       );
     }
 
     if (!gatewayMerchantId) {
-      throw new Error(
+      throw new DashError(
         "Google Pay could not resolve a gatewayMerchantId (api_login_id) from " +
-        "the processor config. Check the org's Authorize.net configuration."
+        "the processor config. Check the org's Authorize.net configuration.",
+        { code: "processor_misconfigured" }
       );
     }
 
     return new GooglePayCSR({
+      logger: this.client.logger,
       gateway,
       gatewayMerchantId,
       // Explicit override wins; otherwise follow the processor env ("test"|"live").
@@ -481,9 +504,10 @@ export class PaymentModule {
         return new QuickBooksCSR(config);
 
       default:
-        throw new Error(
+        throw new DashError(
           `Unsupported payment processor: ${slug}. ` +
-          `Supported: authorize-net, quickbooks.`
+          `Supported: authorize-net, quickbooks.`,
+          { code: "unsupported_processor" }
         );
     }
   }
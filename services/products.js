@@ -4,6 +4,50 @@
  * Provides access to product listing and details from the storefront API.
  */
 
+import { Paginator, splitPagingOptions } from "../core/paginate.js";
+import { DashValidationError } from "../core/errors.js";
+
+/**
+ * Operators accepted in a `customFields` filter object, e.g. `{ thc: { gte: 20 } }`.
+ * @private
+ */
+const CUSTOM_FIELD_OPERATORS = ["gt", "gte", "lt", "lte", "in"];
+
+/**
+ * Values accepted for `list({ sort })`.
+ * @private
+ */
+const SORT_OPTIONS = ["price_asc", "price_desc", "newest", "rating", "name"];
+
+/**
+ * `cf_` query params for one custom-field filter: a plain value (arrays
+ * included, as `String(value)`) matches exactly, an object applies operators —
+ * "any of" is `{ in: [...] }`.
+ * @private
+ */
+function appendCustomField(params, key, value) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    params.append(`cf_${key}`, String(value));
+    return;
+  }
+  for (const [op, operand] of Object.entries(value)) {
+    if (!CUSTOM_FIELD_OPERATORS.includes(op)) {
+      throw new DashValidationError(
+        `Unknown operator "${op}" for custom field "${key}" (use ${CUSTOM_FIELD_OPERATORS.join(", ")})`,
+        { fields: { [`customFields.${key}`]: "invalid_operator" } }
+      );
+    }
+    params.append(`cf_${key}__${op}`, Array.isArray(operand) ? operand.join(",") : String(operand));
+  }
+}
+
+/** @private */
+function checkPrice(name, value) {
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+    throw new DashValidationError(`${name} must be a non-negative number`, { fields: { [name]: "invalid" } });
+  }
+}
+
 export class ProductsModule {
   constructor(client) {
     this.client = client;
@@ -21,9 +65,24 @@ export class ProductsModule {
    * @param {string} options.brand - Filter by brand slug
    * @param {string} options.search - Search in product name
    * @param {string[]} options.include - Include additional fields (e.g. ["main_size", "variations"])
-   * @param {Object} options.customFields - Filter by custom fields (e.g. {popular: true, homepage_section: "hero"})
+   * @param {Object} options.customFields - Filter by custom fields (e.g. {popular: true, homepage_section: "hero"}).
+   *   An object applies operators: `{thc: {gte: 20, lt: 30}}`, `{strain: {in: ["indica", "hybrid"]}}`
+   * @param {number} [options.priceMin] - Lowest effective price (discounted when on sale), inclusive
+   * @param {number} [options.priceMax] - Highest effective price, inclusive
+   * @param {boolean} [options.inStock] - Only products with at least one size in stock
+   * @param {Object<string, string|string[]>} [options.attributes] - Attribute filters keyed by attribute
+   *   slug, e.g. {size: ["s", "m"], flavor: "mango"}. Values within one attribute match ANY; separate
+   *   attributes must ALL match
+   * @param {string} [options.sort] - "price_asc", "price_desc", "newest", "rating" or "name"
+   *   (default: the store's manual order, or relevance when searching)
+   * @param {boolean|string[]} [options.facets] - Also return facet counts; pass attribute slugs to limit
+   *   which attributes are counted
    * @param {boolean} options.expand - Whether to expand per_variation products into separate cards (default: true)
-   * @returns {Promise<{products: Array, pagination: Object}>}
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
+   * @returns {Promise<{products: Array, pagination: Object, facets?: Object}>}
+   * @throws {DashValidationError} For a negative or inverted price range, an unknown custom-field operator
+   *   or an unsupported `sort`
    *
    * @example
    * // Get featured products for homepage with main_size for pricing
@@ -50,6 +109,19 @@ export class ProductsModule {
    * deals.products.forEach((p) => {
    *   console.log(p.name, p.categories.map((c) => c.slug));
    * });
+   *
+   * @example
+   * // A filter sidebar: in-stock flower under $50, small or medium, cheapest first,
+   * // with counts for every option
+   * const { products, facets } = await client.products.list({
+   *   category: "flower",
+   *   priceMax: 50,
+   *   inStock: true,
+   *   attributes: { size: ["s", "m"] },
+   *   sort: "price_asc",
+   *   facets: true,
+   * });
+   * facets.attributes.forEach((a) => console.log(a.name, a.values.map((v) => `${v.value} (${v.count})`)));
    */
   async list(options = {}) {
     const params = new URLSearchParams();
@@ -68,49 +140,100 @@ export class ProductsModule {
     // Per-variation expansion control
     if (options.expand === false) params.append("expand", "false");
 
-    // Custom fields filtering - prefix with cf_
+    // Custom fields filtering - prefix with cf_, operators as cf_<key>__<op>
     if (options.customFields && typeof options.customFields === "object") {
       for (const [key, value] of Object.entries(options.customFields)) {
-        params.append(`cf_${key}`, String(value));
+        appendCustomField(params, key, value);
       }
     }
 
+    // Faceted filtering
+    if (options.priceMin != null) checkPrice("priceMin", options.priceMin);
+    if (options.priceMax != null) checkPrice("priceMax", options.priceMax);
+    if (options.priceMin != null && options.priceMax != null && options.priceMin > options.priceMax) {
+      throw new DashValidationError("priceMin must not be greater than priceMax", { fields: { priceMin: "invalid" } });
+    }
+    if (options.priceMin != null) params.append("price_min", options.priceMin);
+    if (options.priceMax != null) params.append("price_max", options.priceMax);
+    if (options.inStock) params.append("in_stock", "true");
+    if (options.attributes && typeof options.attributes === "object") {
+      for (const [slug, values] of Object.entries(options.attributes)) {
+        const list = Array.isArray(values) ? values : [values];
+        if (list.length) params.append(`attr_${slug}`, list.join(","));
+      }
+    }
+    if (options.sort) {
+      if (!SORT_OPTIONS.includes(options.sort)) {
+        throw new DashValidationError(
+          `Unknown sort "${options.sort}" (use ${SORT_OPTIONS.join(", ")})`,
+          { fields: { sort: "invalid" } }
+        );
+      }
+      params.append("sort", options.sort);
+    }
+    if (Array.isArray(options.facets)) params.append("facets", options.facets.join(","));
+    else if (options.facets) params.append("facets", "true");
+
     const queryString = params.toString();
     const url = `${this.client.baseURL}/api/storefront/products${queryString ? `?${queryString}` : ""}`;
 
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
+  }
+
+  /**
+   * Iterate every product matching `options`, fetching pages as needed.
+   * Accepts the same filters as `list()`, plus `pageSize` (default 50) and
+   * `concurrency` for bulk exports.
+   * @param {Object} [options] - `list()` options plus paging options
+   * @returns {Paginator} Async-iterable; also has `.pages()` and `.toArray({ max })`
+   *
+   * @example
+   * for await (const product of client.products.iterate({ category: "flower" })) {
+   *   console.log(product.name);
+   * }
+   */
+  iterate(options = {}) {
+    const { paging, rest } = splitPagingOptions(options);
+    return new Paginator({
+      ...paging,
+      itemsKey: "products",
+      fetchPage: ({ limit, offset }) => this.list({ ...rest, limit, offset }),
+    });
   }
 
   /**
    * Get a single product by slug
    * @param {string} slug - Product slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{product: Object}>}
    */
-  async get(slug) {
+  async get(slug, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/products/${encodeURIComponent(slug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get lightweight core product data for SSR (no variations/sizes/bulk discounts).
    * Returns name, description, images, features, qna, seo, avg_rating, reviews_count, price_range.
    * @param {string} slug - Product slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{product: Object}>}
    */
-  async getCore(slug) {
+  async getCore(slug, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/products/${encodeURIComponent(slug)}/core`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get heavy options data for a product (variations, sizes, bulk discounts, related, includes).
    * Intended for client-side fetching after SSR of core data.
    * @param {string} slug - Product slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{options: Object}>}
    */
-  async getOptions(slug) {
+  async getOptions(slug, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/products/${encodeURIComponent(slug)}/options`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -119,6 +242,8 @@ export class ProductsModule {
    * @param {Object} options - Query options
    * @param {number} options.limit - Number of reviews per page (default: 20)
    * @param {number} options.offset - Pagination offset (default: 0)
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{reviews: Array, stats: Object, pagination: Object}>}
    *
    * @example
@@ -132,7 +257,7 @@ export class ProductsModule {
 
     const queryString = params.toString();
     const url = `${this.client.baseURL}/api/storefront/products/${encodeURIComponent(slug)}/reviews${queryString ? `?${queryString}` : ""}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -146,14 +271,15 @@ export class ProductsModule {
    * @param {string} [data.body] - Review content (optional)
    * @param {string} [data.variation_slug] - Variation slug (optional)
    * @param {string[]} [data.media_urls] - Array of media URLs (optional)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{review: Object}>}
    */
-  async submitReview(slug, data) {
+  async submitReview(slug, data, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/products/${encodeURIComponent(slug)}/reviews`;
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   /**
@@ -161,6 +287,8 @@ export class ProductsModule {
    * @param {Object} options - Query options
    * @param {number} [options.limit] - Number of reviews per page (default: 20)
    * @param {number} [options.offset] - Pagination offset (default: 0)
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{reviews: Array, avg_rating: number, total: number, pagination: Object}>}
    */
   async getAllReviews(options = {}) {
@@ -173,16 +301,32 @@ export class ProductsModule {
     if (options.has_media) params.append("has_media", options.has_media);
     const qs = params.toString();
     const url = `${this.client.baseURL}/api/storefront/reviews${qs ? `?${qs}` : ""}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
+  }
+
+  /**
+   * Iterate every approved review across all products. Accepts the same
+   * filters as `getAllReviews()`, plus `pageSize` and `concurrency`.
+   * @param {Object} [options] - `getAllReviews()` options plus paging options
+   * @returns {Paginator}
+   */
+  iterateAllReviews(options = {}) {
+    const { paging, rest } = splitPagingOptions(options);
+    return new Paginator({
+      ...paging,
+      itemsKey: "reviews",
+      fetchPage: ({ limit, offset }) => this.getAllReviews({ ...rest, limit, offset }),
+    });
   }
 
   /**
    * Get featured variations (variations with show_in_bg custom field)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{variations: Array}>}
    */
-  async getFeaturedVariations() {
+  async getFeaturedVariations(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/featured-variations`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -198,13 +342,15 @@ export class ProductsModule {
    * @param {string} slug - Product slug
    * @param {Object} [options]
    * @param {string} [options.label] - Only return files with this exact label
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<Array<{id: string, url: string, label: string, name: string, order: number}>>}
    *
    * @example
    * const coas = await dash.products.getFiles("thca-pre-rolls-classic", { label: "coa" });
    */
   async getFiles(slug, options = {}) {
-    const res = await this.get(slug);
+    const res = await this.get(slug, options);
     const files = (res && res.product && res.product.files) || [];
     if (options.label != null && options.label !== "") {
       return files.filter((f) => f.label === options.label);
@@ -218,14 +364,15 @@ export class ProductsModule {
    *
    * @param {string} slug - Product slug
    * @param {string} label - The file label to select
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{id: string, url: string, label: string, name: string, order: number} | null>}
    *
    * @example
    * const coa = await dash.products.getFile("thca-pre-rolls-classic", "coa");
    * if (coa) window.open(coa.url);
    */
-  async getFile(slug, label) {
-    const files = await this.getFiles(slug, { label });
+  async getFile(slug, label, options = {}) {
+    const files = await this.getFiles(slug, { ...options, label });
     return files.length ? files[0] : null;
   }
 }
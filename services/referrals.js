@@ -5,6 +5,8 @@
  * Simpler than affiliates: auto-enrolled, points-based.
  */
 
+import { DashAuthError } from "../core/errors.js";
+
 export class ReferralsModule {
   constructor(client) {
     this.client = client;
@@ -15,28 +17,30 @@ export class ReferralsModule {
    * @param {Object} data
    * @param {string} data.secret - Referral secret from the URL
    * @param {string|number} data.subtotal - Current cart subtotal
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{valid: boolean, referrer_first_name: string, code: string, is_percentage: boolean, rate: string, discount_amount: string, meetsMinimum: boolean}>}
    */
-  async validate(data) {
+  async validate(data, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/referrals/validate`;
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify(data),
-    });
+    }, options);
   }
 
   /**
    * Get referral dashboard data for the authenticated customer
    * Requires Bearer token authentication.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{referral_secret: string, referral_link: string, total_referrals: number, total_points_earned: number, points_balance: number, recent_referrals: Array}>}
    */
-  async dashboard() {
+  async dashboard(options = {}) {
     const token = this.client.auth._accessToken;
-    if (!token) throw new Error("Not authenticated");
+    if (!token) throw new DashAuthError("Not authenticated");
     const url = `${this.client.baseURL}/api/storefront/referrals/dashboard`;
     return this.client._fetch(url, {
       headers: { Authorization: `Bearer ${token}` },
-    });
+    }, options);
   }
 }
 
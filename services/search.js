@@ -0,0 +1,215 @@
+/**
+ * Search Module
+ *
+ * Instant, typo-tolerant search that runs in the browser. Build the index
+ * once (at build time, or on the server) from the catalog and content, ship
+ * it as a static asset, and query it with no network:
+ *
+ *   // scripts/build-search.mjs
+ *   const index = await dash.search.build({ synonyms: [["tee", "tshirt"]] });
+ *   await writeFile("public/search-index.json", JSON.stringify(index));
+ *
+ *   // in the browser
+ *   dash.search.load(await fetch("/search-index.json").then((r) => r.json()));
+ *   const results = dash.search.query("blu drem");
+ *
+ * The matching itself lives in core/search-index.js.
+ */
+
+import { DashError, DashValidationError } from "../core/errors.js";
+import { SearchIndex } from "../core/search-index.js";
+
+/** Every source `build()` reads by default. */
+export const SEARCH_SOURCES = ["products", "categories", "brands", "blog", "pageGroups"];
+
+/** @private */
+const PAGE_SIZE = 100;
+
+/**
+ * Plain text of an HTML fragment, cut at a word boundary.
+ * @private
+ */
+function plainText(html, maxLength) {
+  const text = String(html || "")
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (text.length <= maxLength) return text;
+  const cut = text.lastIndexOf(" ", maxLength);
+  return `${text.slice(0, cut > 0 ? cut : maxLength)}…`;
+}
+
+/** @private */
+function flattenTree(categories, parent = null, out = []) {
+  for (const category of categories || []) {
+    out.push({ category, parent });
+    flattenTree(category.children, category, out);
+  }
+  return out;
+}
+
+export class SearchModule {
+  constructor(client) {
+    this.client = client;
+    /** The index `query()` searches; set by `build()` and `load()`. */
+    this.index = null;
+  }
+
+  /**
+   * Fetch the catalog and content and index them. Documents get a `type`
+   * ("product", "category", "brand", "post" or "page") and keep a few display
+   * fields (slug, image, price…) in `data`.
+   * @param {Object} [options]
+   * @param {string[]} [options.sources] - Which of `SEARCH_SOURCES` to read (default: all)
+   * @param {string[]} [options.pageGroups] - Page group slugs to index (default: every group)
+   * @param {Array<string[]>|Object<string, string[]>} [options.synonyms] - See `SearchIndex`
+   * @param {Object<string, number>} [options.boost] - Field weights: `title`, `keywords`, `body`
+   * @param {number} [options.bodyLength=300] - Characters of description/excerpt kept per document
+   * @param {(doc: Object, item: Object) => Object|null} [options.transform] - Adjust each document
+   *   (set `url`, add `data`) or return null to leave it out
+   * @param {AbortSignal} [options.signal] - Cancel the requests
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout, per request
+   * @returns {Promise<SearchIndex>}
+   * @throws {DashValidationError} For an unknown source
+   *
+   * @example
+   * const index = await dash.search.build({
+   *   sources: ["products", "categories"],
+   *   synonyms: { pen: ["vape", "cartridge"] },
+   *   transform: (doc) => ({ ...doc, url: doc.type === "product" ? `/p/${doc.data.slug}` : `/c/${doc.data.slug}` }),
+   * });
+   */
+  async build(options = {}) {
+    const { sources = SEARCH_SOURCES, bodyLength = 300, transform, signal, timeoutMs } = options;
+    const request = { signal, timeoutMs };
+    const body = (html) => plainText(html, bodyLength);
+    const readers = {
+      products: async () => {
+        const products = await this.client.products.iterate({ ...request, pageSize: PAGE_SIZE }).toArray();
+        return products.map((p) => [p, {
+          type: "product",
+          id: p.id,
+          title: p.name,
+          keywords: [
+            ...(p.categories || (p.category ? [p.category] : [])).map((c) => c.name),
+            p.brand?.name,
+            ...(p.attributes || []).flatMap((a) => (a.options || []).map((o) => o.value)),
+          ],
+          body: body(p.description),
+          data: {
+            slug: p.slug,
+            price: p.price,
+            discounted_price: p.discounted_price,
+            main_image: p.main_image,
+            in_stock: p.in_stock,
+            category_slug: p.category?.slug || null,
+          },
+        }]);
+      },
+      categories: async () => {
+        const { categories } = await this.client.categories.getTree(request);
+        return flattenTree(categories).map(({ category: c, parent }) => [c, {
+          type: "category",
+          id: c.id,
+          title: c.name,
+          keywords: [parent?.name, c.navbar_name],
+          body: body(c.short_description || c.description),
+          data: { slug: c.slug, image: c.image, parent_slug: parent?.slug || null },
+        }]);
+      },
+      brands: async () => {
+        const { brands } = await this.client.brands.list(request);
+        return (brands || []).map((b) => [b, {
+          type: "brand",
+          id: b.id,
+          title: b.name,
+          data: { slug: b.slug, image: b.image },
+        }]);
+      },
+      blog: async () => {
+        const posts = await this.client.blog.iterate({ ...request, pageSize: PAGE_SIZE }).toArray();
+        return posts.map((p) => [p, {
+          type: "post",
+          id: p.id,
+          title: p.title,
+          keywords: [...(p.tags || []), p.category?.name],
+          body: body(p.excerpt),
+          data: { slug: p.slug, featured_image: p.featured_image, published_at: p.published_at, category_slug: p.category?.slug || null },
+        }]);
+      },
+      pageGroups: async () => {
+        let groups = options.pageGroups?.map((slug) => ({ slug, name: slug }));
+        if (!groups) groups = (await this.client.pageGroups.list(request)).content_types || [];
+        const perGroup = await Promise.all(groups.map(async (group) => {
+          const items = await this.client.pageGroups.group(group.slug).iterate({ ...request, pageSize: PAGE_SIZE }).toArray();
+          return items.map((item) => [item, {
+            type: "page",
+            id: `${group.slug}/${item.id}`,
+            title: item.title,
+            keywords: [group.name],
+            body: body(item.excerpt || item.content),
+            data: { slug: item.slug, group: group.slug, featured_image: item.featured_image },
+          }]);
+        }));
+        return perGroup.flat();
+      },
+    };
+
+    const unknown = sources.filter((s) => !readers[s]);
+    if (unknown.length) {
+      throw new DashValidationError(`Unknown search source: ${unknown.join(", ")} (use ${SEARCH_SOURCES.join(", ")})`, {
+        fields: { sources: "invalid" },
+      });
+    }
+
+    const index = new SearchIndex({ synonyms: options.synonyms, boost: options.boost });
+    for (const entries of await Promise.all(sources.map((s) => readers[s]()))) {
+      for (const [item, doc] of entries) {
+        const final = transform ? transform(doc, item) : doc;
+        if (final) index.add(final);
+      }
+    }
+    this.index = index;
+    return index;
+  }
+
+  /**
+   * Use a serialized index (from `JSON.stringify(await dash.search.build())`).
+   * @param {Object|string} serialized
+   * @returns {SearchIndex}
+   * @throws {DashError} `invalid_search_index` when it was built by an incompatible version
+   */
+  load(serialized) {
+    this.index = serialized instanceof SearchIndex ? serialized : SearchIndex.load(serialized);
+    return this.index;
+  }
+
+  /**
+   * Search the loaded index. Synchronous — fast enough to run on every keystroke.
+   * @param {string} query
+   * @param {Object} [options] - `limit` (default 10), `types`, `prefix`, `fuzzy`; see `SearchIndex#search`
+   * @returns {Array<Object>} Best first, each with `score` and `highlights`
+   * @throws {DashError} `search_index_not_loaded` before `build()` or `load()`
+   *
+   * @example
+   * const results = dash.search.query(input.value, { limit: 8, types: ["product", "category"] });
+   * results.map((r) => r.highlights.title ?? [{ text: r.title, match: false }]);
+   */
+  query(query, options) {
+    if (!this.index) {
+      throw new DashError("No search index loaded. Call dash.search.load(index) or dash.search.build() first.", {
+        code: "search_index_not_loaded",
+      });
+    }
+    return this.index.search(query, options);
+  }
+}
+
+export default SearchModule;
@@ -13,6 +13,7 @@ export class SeoModule {
   /**
    * Get SEO metadata for a product
    * @param {string} slug - Product slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{seo: Object}>}
    *
    * @example
@@ -27,19 +28,20 @@ export class SeoModule {
    * //   canonical_slug: "my-product"
    * // }
    */
-  async product(slug) {
+  async product(slug, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/seo/product/${encodeURIComponent(slug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
    * Get SEO metadata for a blog post
    * @param {string} slug - Blog post slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{seo: Object}>}
    */
-  async blogPost(slug) {
+  async blogPost(slug, options = {}) {
     const url = `${this.client.baseURL}/api/storefront/seo/blog/${encodeURIComponent(slug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 }
 
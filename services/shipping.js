@@ -11,6 +11,8 @@
  *   const fastest = await dash.shipping.getFastestRate({ ... });
  */
 
+import { DashValidationError } from "../core/errors.js";
+
 export class ShippingModule {
   constructor(client) {
     this.client = client;
@@ -36,6 +38,8 @@ export class ShippingModule {
    * @param {string} options.to_postal - Destination zip code
    * @param {number} options.weight_oz - Package weight in ounces
    * @param {Object} [options.dimensions] - Package dimensions { length, width, height, units }
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{rates: Array<ShippingRate>, provider?: string}>} List of available rates
    *
    * @example
@@ -57,10 +61,10 @@ export class ShippingModule {
     } = options;
 
     if (!to_postal) {
-      throw new Error("to_postal is required");
+      throw new DashValidationError("to_postal is required");
     }
     if (!weight_oz) {
-      throw new Error("weight_oz is required");
+      throw new DashValidationError("weight_oz is required");
     }
 
     const body = {
@@ -91,7 +95,7 @@ export class ShippingModule {
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify(body),
-    });
+    }, options);
   }
 
   /**
@@ -100,15 +104,16 @@ export class ShippingModule {
    *
    * @param {string} trackingNumber - The tracking number
    * @param {string} [carrierCode] - Optional carrier code for accurate tracking URL
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{tracking_number: string, carrier_code: string, tracking_url: string}>}
    *
    * @example
    * const tracking = await dash.shipping.track("1Z999AA10123456784", "ups");
    * console.log(tracking.tracking_url); // "https://www.ups.com/track?tracknum=..."
    */
-  async track(trackingNumber, carrierCode = "") {
+  async track(trackingNumber, carrierCode = "", options = {}) {
     if (!trackingNumber) {
-      throw new Error("trackingNumber is required");
+      throw new DashValidationError("trackingNumber is required");
     }
 
     let url = `${this.client.baseURL}/api/storefront/shipping/track/${encodeURIComponent(trackingNumber)}`;
@@ -117,7 +122,7 @@ export class ShippingModule {
     }
     return this.client._fetch(url, {
       method: "GET",
-    });
+    }, options);
   }
 
   /**
@@ -131,6 +136,7 @@ export class ShippingModule {
    * @param {string} address.state - State abbreviation (e.g. "CA")
    * @param {string} address.postal_code - ZIP / postal code
    * @param {string} [address.country_code="US"] - Country code
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{status: string, original_address: Object, matched_address: Object, messages: string[]}>}
    *
    * @example
@@ -144,11 +150,11 @@ export class ShippingModule {
    *   console.log(result.matched_address);
    * }
    */
-  async validateAddress(address) {
+  async validateAddress(address, options = {}) {
     const { address_line1, address_line2, city, state, postal_code, country_code } = address;
 
     if (!address_line1 || !city || !state || !postal_code) {
-      throw new Error("address_line1, city, state, and postal_code are required");
+      throw new DashValidationError("address_line1, city, state, and postal_code are required");
     }
 
     const body = { address_line1, city, state, postal_code };
@@ -159,7 +165,7 @@ export class ShippingModule {
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify(body),
-    });
+    }, options);
   }
 
   // ===========================================================================
@@ -283,6 +289,7 @@ export class ShippingModule {
    * Compares the subtotal against the store's min_for_free_shipping threshold.
    *
    * @param {number|string} subtotal - Cart subtotal
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{qualifies: boolean, threshold: number|null, remaining: number}>}
    *
    * @example
@@ -293,8 +300,8 @@ export class ShippingModule {
    *   console.log(`Add $${result.remaining.toFixed(2)} more for free shipping`);
    * }
    */
-  async checkFreeShipping(subtotal) {
-    const data = await this.client.getGlobalData();
+  async checkFreeShipping(subtotal, options = {}) {
+    const data = await this.client.getGlobalData(options);
     const global = data?.global || {};
     const threshold = global.min_for_free_shipping
       ? parseFloat(global.min_for_free_shipping)
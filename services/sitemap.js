@@ -11,14 +11,15 @@ export class SitemapModule {
 
   /**
    * Get all sitemap data (products, categories, brands, blogs)
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{products: Array<{slug: string, updated_at: string}>, categories: Array<{slug: string, updated_at: string}>, brands: Array<{slug: string, updated_at: string}>, blogs: Array<{slug: string, updated_at: string}>}>}
    *
    * @example
    * const { products, categories, brands, blogs } = await client.sitemap.get();
    */
-  async get() {
+  async get(options = {}) {
     const url = `${this.client.baseURL}/api/storefront/sitemap`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 }
 
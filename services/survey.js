@@ -25,6 +25,8 @@
  */
 
 // Types whose answer must be one (or, for checkbox, several) of `options`.
+import { DashValidationError } from "../core/errors.js";
+
 const CHOICE_TYPES = new Set(["radio", "checkbox", "dropdown"]);
 
 export class SurveyModule {
@@ -36,18 +38,19 @@ export class SurveyModule {
    * Fetch a published survey's schema/metadata for `slug`.
    *
    * @param {string} slug
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{ survey: object }>}
    *
    * `survey.questions` is the canonical schema — a list of question descriptors
    * with `id`, `type`, `label`, `required`, `options`, `placeholder`,
    * `help_text`, and optional `show_when` ({ field, equals }).
    */
-  async get(slug) {
+  async get(slug, options = {}) {
     if (!slug || typeof slug !== "string") {
-      throw new Error("survey.get(slug): slug must be a non-empty string");
+      throw new DashValidationError("survey.get(slug): slug must be a non-empty string");
     }
     const url = `${this.client.baseURL}/api/storefront/surveys/${encodeURIComponent(slug)}`;
-    return this.client._fetch(url);
+    return this.client._fetch(url, {}, options);
   }
 
   /**
@@ -115,6 +118,8 @@ export class SurveyModule {
    * @param {string} [options.sourceUrl]        Defaults to the current page URL in the browser.
    * @param {string} [options.respondentName]   Optional identity for anonymous submissions.
    * @param {string} [options.respondentEmail]
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    *
    * @returns {Promise<{ success: boolean, response_id: string, success_message: string }>}
    *
@@ -123,10 +128,10 @@ export class SurveyModule {
    */
   async submit(slug, values, options = {}) {
     if (!slug || typeof slug !== "string") {
-      throw new Error("survey.submit(slug, values): slug must be a non-empty string");
+      throw new DashValidationError("survey.submit(slug, values): slug must be a non-empty string");
     }
     if (!values || typeof values !== "object") {
-      throw new Error("survey.submit(slug, values): values must be an object");
+      throw new DashValidationError("survey.submit(slug, values): values must be an object");
     }
 
     const sourceUrl =
@@ -142,7 +147,7 @@ export class SurveyModule {
         respondent_name: options.respondentName ?? undefined,
         respondent_email: options.respondentEmail ?? undefined,
       }),
-    });
+    }, options);
   }
 
   /**
@@ -165,9 +170,10 @@ export class SurveyModule {
    * @param {string}   [payload.change_mind]     Path B free text.
    * @param {string}   [payload.followup_email]  Optional email for anonymous respondents.
    * @param {string}   [payload.source_url]      Defaults to the current page URL in the browser.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{ success: boolean, response_id: string }>}
    */
-  async submitLanding(payload = {}) {
+  async submitLanding(payload = {}, options = {}) {
     const sourceUrl =
       payload.source_url ??
       (typeof window !== "undefined" && window.location ? window.location.href : undefined);
@@ -176,7 +182,7 @@ export class SurveyModule {
     return this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify({ ...payload, source_url: sourceUrl }),
-    });
+    }, options);
   }
 }
 
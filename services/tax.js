@@ -11,6 +11,8 @@
  *   const legal  = result.is_legal;
  */
 
+import { DashError } from "../core/errors.js";
+
 export class TaxModule {
   constructor(client) {
     this.client = client;
@@ -33,6 +35,7 @@ export class TaxModule {
    * @param {string} options.state - Two-letter US state code (e.g., "CA")
    * @param {string} [options.cart_id] - Cart ID to calculate tax for
    * @param {Array} [options.items] - Manual items list [{price, quantity, cannabinoid_type}]
+   * @param {Object} [requestOptions] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<TaxCalculateResponse>} Tax calculation result
    *
    * @example
@@ -46,12 +49,12 @@ export class TaxModule {
    *   items: [{ price: 49.99, quantity: 2, cannabinoid_type: "delta9" }]
    * });
    */
-  async calculate(options = {}) {
+  async calculate(options = {}, requestOptions = {}) {
     const url = `${this.client.baseURL}/api/storefront/tax/calculate`;
     const result = await this.client._fetch(url, {
       method: "POST",
       body: JSON.stringify(options),
-    });
+    }, requestOptions);
 
     // Cache the result for quick re-access
     const cacheKey = this._getCacheKey(options);
@@ -69,6 +72,7 @@ export class TaxModule {
    * Automatically uses the cart module's cart ID — no need to pass it manually.
    *
    * @param {string} state - Two-letter US state code (e.g., "CA")
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<TaxCalculateResponse>} Tax calculation result
    * @throws {Error} If no cart exists (cart is empty or not initialized)
    *
@@ -77,12 +81,12 @@ export class TaxModule {
    * console.log(result.total_tax);  // "8.50"
    * console.log(result.is_legal);   // true
    */
-  async calculateForCart(state) {
+  async calculateForCart(state, options = {}) {
     const cartId = this.client.cart?.cartId;
     if (!cartId) {
-      throw new Error("No active cart. Add items to cart before calculating tax.");
+      throw new DashError("No active cart. Add items to cart before calculating tax.", { code: "no_cart" });
     }
-    return this.calculate({ state, cart_id: cartId });
+    return this.calculate({ state, cart_id: cartId }, options);
   }
 
   // ===========================================================================
@@ -97,6 +101,8 @@ export class TaxModule {
    * @param {Object} [options] - Additional options
    * @param {string} [options.cart_id] - Cart ID (defaults to current cart)
    * @param {Array} [options.items] - Manual items list
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{legal: boolean, illegal_items: Array, state_name: string}>}
    *
    * @example
@@ -107,7 +113,8 @@ export class TaxModule {
    * }
    */
   async checkLegality(state, options = {}) {
-    const calcOptions = { state, ...options };
+    const { signal, timeoutMs, ...rest } = options;
+    const calcOptions = { state, ...rest };
 
     // Default to current cart if no items or cart_id provided
     if (!calcOptions.cart_id && !calcOptions.items) {
@@ -117,7 +124,7 @@ export class TaxModule {
       }
     }
 
-    const result = await this.calculate(calcOptions);
+    const result = await this.calculate(calcOptions, { signal, timeoutMs });
 
     return {
       legal: result.is_legal,
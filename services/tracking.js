@@ -12,9 +12,12 @@
  *   dash.tracking.debug();  // Show debug overlay
  */
 
+import { DashValidationError } from "../core/errors.js";
+
 export class TrackingModule {
   constructor(client) {
     this.client = client;
+    this._logger = client.logger.child("tracking");
     this._initialized = false;
     this._provider = null;
     this._engine = null;
@@ -45,12 +48,12 @@ export class TrackingModule {
        * Safe to call on every page load — the backend get-or-creates.
        *
        * @param {string} name e.g. "product.view"
-       * @param {{ include?: object, description?: string }} [options]
+       * @param {{ include?: object, description?: string, signal?: AbortSignal, timeoutMs?: number }} [options]
        * @returns {Promise<{ tracking: object, created: boolean }>}
        */
       create: async (name, options = {}) => {
         if (!name || typeof name !== "string") {
-          throw new Error("tracking.actions.create: name (string) is required");
+          throw new DashValidationError("tracking.actions.create: name (string) is required");
         }
         const url = `${this.client.baseURL}/api/storefront/analytics/tracking/actions/create`;
         const res = await this.client._fetch(url, {
@@ -60,7 +63,7 @@ export class TrackingModule {
             include: options.include ?? null,
             description: options.description ?? "",
           }),
-        });
+        }, options);
         this._actionDefCache.set(name, res?.tracking ?? null);
         return res;
       },
@@ -72,11 +75,12 @@ export class TrackingModule {
        * @param {string} name
        * @param {object} [data]
        * @param {{ customer_id?: string, user_id?: string, session_id?: string, contains_phi?: boolean }} [meta]
+       * @param {{ signal?: AbortSignal, timeoutMs?: number }} [options]
        * @returns {Promise<{ recorded: boolean, trigger_fired: boolean }>}
        */
-      emit: async (name, data = {}, meta = {}) => {
+      emit: async (name, data = {}, meta = {}, options = {}) => {
         if (!name || typeof name !== "string") {
-          throw new Error("tracking.actions.emit: name (string) is required");
+          throw new DashValidationError("tracking.actions.emit: name (string) is required");
         }
         const url = `${this.client.baseURL}/api/storefront/analytics/tracking/events`;
         return this.client._fetch(url, {
@@ -89,7 +93,7 @@ export class TrackingModule {
             session_id: meta.session_id || "",
             contains_phi: !!meta.contains_phi,
           }),
-        });
+        }, options);
       },
     };
   }
@@ -105,9 +109,10 @@ export class TrackingModule {
    * - Error tracking (autocapture exceptions)
    * - Web analytics (referrers, UTMs, etc.)
    *
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
    * @returns {Promise<{active: boolean}>}
    */
-  async init() {
+  async init(options = {}) {
     if (this._initialized) {
       return { active: !!this._provider };
     }
@@ -120,7 +125,7 @@ export class TrackingModule {
     try {
       this._log("Fetching tracking config...");
       const url = `${this.client.baseURL}/api/storefront/analytics/config`;
-      const data = await this.client._fetch(url, { method: "GET" });
+      const data = await this.client._fetch(url, { method: "GET" }, options);
 
       if (!data.active || !data.provider) {
         this._log("No active tracking provider found", "warn");
@@ -323,6 +328,8 @@ export class TrackingModule {
    * @param {Object} [options] - Optional overrides
    * @param {string} [options.customer_id] - Customer ID if authenticated
    * @param {string} [options.session_id] - Session ID override
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
    * @returns {Promise<{success: boolean}>}
    *
    * @example
@@ -363,7 +370,7 @@ export class TrackingModule {
       const data = await this.client._fetch(url, {
         method: "POST",
         body: JSON.stringify(body),
-      });
+      }, options);
 
       this._log(`Visit tracked: ${window.location.pathname}${customerId ? ` (customer: ${customerId.slice(0, 8)}...)` : ""}`);
       return data;
@@ -444,14 +451,9 @@ export class TrackingModule {
     this._debugLogs.push(entry);
     if (this._debugLogs.length > 50) this._debugLogs.shift();
 
-    // Silence logs in production (live keys)
+    // Demote to debug in production (live keys) so they stay quiet by default
     const isLive = this.client?.apiKey?.startsWith("pk_live") || this.client?.apiKey?.startsWith("sk_live");
-    if (!isLive) {
-      const prefix = "[Tracking]";
-      if (level === "error") console.error(prefix, message);
-      else if (level === "warn") console.warn(prefix, message);
-      else console.log(prefix, message);
-    }
+    this._logger.log(isLive ? "debug" : level, message);
 
     this._updateOverlay();
   }
@@ -4,6 +4,9 @@
  * Provides file upload functionality for contact form attachments.
  */
 
+import { DashApiError, DashValidationError, DashNetworkError, DashTimeoutError, errorFromResponse } from "../core/errors.js";
+import { abortReason } from "../core/timeout.js";
+
 // Allowed file extensions
 const ALLOWED_EXTENSIONS = new Set([
   // Images
@@ -69,7 +72,10 @@ export class UploadModule {
    * @param {File} file - The file to upload
    * @param {Object} [options] - Upload options
    * @param {function} [options.onProgress] - Progress callback (percent)
+   * @param {AbortSignal} [options.signal] - Cancel the upload
+   * @param {number} [options.timeoutMs] - Give up after this long (uploads are not bound by the client-wide timeout)
    * @returns {Promise<{success: boolean, url: string, filename: string, size: number}>}
+   * @throws {DOMException} The signal's reason (an `AbortError`) when cancelled, as for every other call
    *
    * @example
    * const result = await dash.upload.file(file);
@@ -79,21 +85,29 @@ export class UploadModule {
     // Validate file type
     const validation = this.isAllowed(file.name);
     if (!validation.allowed) {
-      throw new Error(validation.reason);
+      throw new DashValidationError(validation.reason, { fields: { file: validation.reason } });
     }
 
     // Validate file size (25MB max)
     const maxSize = 25 * 1024 * 1024;
     if (file.size > maxSize) {
-      throw new Error('File size exceeds maximum of 25MB');
+      throw new DashValidationError('File size exceeds maximum of 25MB', { fields: { file: 'too_large' } });
     }
 
     const url = `${this.client.baseURL}/api/storefront/upload`;
     const formData = new FormData();
     formData.append('file', file);
 
+    const { signal, timeoutMs } = options;
+    if (signal?.aborted) {
+      throw abortReason(signal);
+    }
+
     return new Promise((resolve, reject) => {
       const xhr = new XMLHttpRequest();
+      const onAbort = () => xhr.abort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+      xhr.addEventListener('loadend', () => signal?.removeEventListener('abort', onAbort));
 
       xhr.upload.addEventListener('progress', (e) => {
         if (e.lengthComputable && options.onProgress) {
@@ -108,27 +122,37 @@ export class UploadModule {
             const response = JSON.parse(xhr.responseText);
             resolve(response);
           } catch (e) {
-            reject(new Error('Invalid response from server'));
+            reject(new DashApiError('Invalid response from server', {
+              code: 'invalid_response',
+              status: xhr.status,
+              details: { body: String(xhr.responseText).slice(0, 500) },
+            }));
           }
         } else {
+          let error = null;
           try {
-            const error = JSON.parse(xhr.responseText);
-            reject(new Error(error.message || 'Upload failed'));
+            error = JSON.parse(xhr.responseText);
           } catch (e) {
-            reject(new Error('Upload failed'));
+            // Not JSON (e.g. a proxy error page) — fall back to a generic message.
           }
+          reject(errorFromResponse(xhr.status, error || { message: 'Upload failed' }));
         }
       });
 
       xhr.addEventListener('error', () => {
-        reject(new Error('Network error during upload'));
+        reject(new DashNetworkError('Network error during upload'));
       });
 
       xhr.addEventListener('abort', () => {
-        reject(new Error('Upload cancelled'));
+        reject(abortReason(signal));
+      });
+
+      xhr.addEventListener('timeout', () => {
+        reject(new DashTimeoutError(`Upload timed out after ${timeoutMs}ms`, { timeoutMs }));
       });
 
       xhr.open('POST', url);
+      if (timeoutMs > 0) xhr.timeout = timeoutMs;
       xhr.setRequestHeader('X-API-Key', this.client.apiKey);
       xhr.send(formData);
     });
@@ -140,6 +164,8 @@ export class UploadModule {
    * @param {Object} [options] - Upload options
    * @param {function} [options.onFileProgress] - Per-file progress callback (index, percent)
    * @param {function} [options.onOverallProgress] - Overall progress callback (percent)
+   * @param {AbortSignal} [options.signal] - Cancel the remaining uploads; rejects with the signal's reason
+   * @param {number} [options.timeoutMs] - Per-file upload timeout
    * @returns {Promise<Array<{success: boolean, url: string, filename: string, size: number}>>}
    *
    * @example
@@ -156,6 +182,8 @@ export class UploadModule {
 
       try {
         const result = await this.file(file, {
+          signal: options.signal,
+          timeoutMs: options.timeoutMs,
           onProgress: (percent) => {
             if (options.onFileProgress) {
               options.onFileProgress(i, percent);
@@ -168,6 +196,7 @@ export class UploadModule {
         });
         results.push(result);
       } catch (error) {
+        if (options.signal?.aborted) throw error;
         results.push({ success: false, error: error.message, filename: file.name });
       }
     }
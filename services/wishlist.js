@@ -0,0 +1,427 @@
+/**
+ * Wishlist Module
+ *
+ * Products saved for later. A guest's wishlist is kept in the browser with
+ * `StorageManager` (localStorage, falling back to cookies or memory); a
+ * logged-in customer's lives on their account. When a guest logs in, their
+ * items are merged into the account wishlist — the way `auth.mergeCart()`
+ * merges carts — and the browser copy is cleared. A server client keeps no
+ * guest items unless `storage` is assigned: its default would be one memory
+ * store shared by every visitor the process serves.
+ *
+ *   await dash.wishlist.add({ productId: product.id, product });
+ *   const { items } = await dash.wishlist.list();
+ *   await dash.wishlist.moveToCart({ productId: product.id, sizeId });
+ *
+ * Adding fires the Meta Pixel `AddToWishlist` event and an
+ * `added_to_wishlist` capture; removing captures `removed_from_wishlist`.
+ * Both fire only when the wishlist actually changed, judged against the
+ * account's list for a logged-in customer (loaded first if need be), so
+ * saving an item the account already has is not tracked again.
+ */
+
+import { Emitter } from "../core/events.js";
+import { DashValidationError, DashAuthError } from "../core/errors.js";
+import { StorageManager } from "../storage/storage.js";
+import { parsePrice } from "../utils/price.js";
+
+/** @private */
+const STORAGE_KEY = "wishlist";
+
+/**
+ * `"prod_1"` or `{ productId, sizeId, product }` → one shape.
+ * @private
+ */
+function toTarget(item) {
+  const target = typeof item === "string" ? { productId: item } : item || {};
+  if (!target.productId) {
+    throw new DashValidationError("productId is required", { fields: { productId: "required" } });
+  }
+  return { productId: target.productId, sizeId: target.sizeId ?? null, product: target.product || null };
+}
+
+/** @private */
+function sameItem(item, productId, sizeId) {
+  return item.product_id === productId && (item.size_id ?? null) === (sizeId ?? null);
+}
+
+/**
+ * What a guest item keeps of the product, so a wishlist page renders without
+ * fetching every product.
+ * @private
+ */
+function snapshot(product) {
+  if (!product) return null;
+  return {
+    id: product.id,
+    name: product.name,
+    slug: product.slug,
+    main_image: product.main_image ?? null,
+    price: product.price ?? null,
+    discounted_price: product.discounted_price ?? null,
+    in_stock: product.in_stock ?? null,
+  };
+}
+
+export class WishlistModule {
+  constructor(client) {
+    this.client = client;
+    this._items = null;
+    this._storage = null;
+    this._merging = null;
+    this._warnedNoStorage = false;
+    this._events = new Emitter();
+  }
+
+  /**
+   * Subscribe to wishlist changes.
+   *
+   * - `change` — `{ items }` after every add, remove, clear, list and merge,
+   *   and when logging out swaps the account wishlist for the (empty) guest one
+   *
+   * @param {"change"} event
+   * @param {Function} handler
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, handler) {
+    return this._events.on(event, handler);
+  }
+
+  /**
+   * Unsubscribe a handler previously passed to `on()`.
+   * @param {string} event
+   * @param {Function} handler
+   */
+  off(event, handler) {
+    this._events.off(event, handler);
+  }
+
+  /**
+   * Where guest items are kept. Defaults to a `StorageManager` with the
+   * standard `dash4devs_` prefix; assign another one to change that. On a
+   * server, guest items are only kept once one is assigned.
+   * @type {StorageManager}
+   */
+  get storage() {
+    if (!this._storage) this._storage = new StorageManager({ logger: this.client.logger });
+    return this._storage;
+  }
+
+  set storage(storage) {
+    this._storage = storage;
+    this._items = null;
+  }
+
+  /**
+   * The last known items, without a request: the guest items, or the
+   * account's as of the last call. Call `list()` once to load them.
+   * @returns {Array<Object>}
+   */
+  get items() {
+    if (this._items) return this._items;
+    return this._loggedIn ? [] : this._guestItems();
+  }
+
+  /**
+   * Whether a product (and size, when given) is on the wishlist, going by
+   * `items`. Synchronous, for rendering a heart icon.
+   * @param {string|{productId: string, sizeId?: string}} item
+   * @returns {boolean}
+   */
+  has(item) {
+    const { productId, sizeId } = toTarget(item);
+    return this.items.some((i) => sameItem(i, productId, sizeId));
+  }
+
+  /**
+   * Get the wishlist. For a logged-in customer this reads their account
+   * (merging any guest items first); otherwise it reads the browser.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
+   * @returns {Promise<{items: Array<Object>}>}
+   */
+  async list(options = {}) {
+    if (!this._loggedIn) return this._update(this._guestItems());
+    if (this._guestItems().length) return this.merge(options);
+
+    const url = `${this.client.baseURL}/api/storefront/auth/wishlist`;
+    const response = await this.client._fetch(url, {
+      headers: this._authHeaders(),
+    }, options);
+    return this._update(response.items || []);
+  }
+
+  /**
+   * Save a product. Adding one that is already saved changes nothing.
+   * @param {string|Object} item - Product id, or:
+   * @param {string} item.productId
+   * @param {string} [item.sizeId] - Save one size rather than the product
+   * @param {Object} [item.product] - The product, for the guest snapshot and tracking
+   * @param {Object} [options]
+   * @param {boolean} [options.track=true] - Fire the wishlist tracking events
+   * @param {string} [options.currency] - ISO 4217 code for the pixel's `value` (default: `product.currency`);
+   *   without one the value is left out
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
+   * @returns {Promise<{items: Array<Object>}>}
+   *
+   * @example
+   * await dash.wishlist.add({ productId: product.id, product });
+   * await dash.wishlist.add({ productId: product.id, sizeId: "size_456" }, { track: false });
+   */
+  async add(item, options = {}) {
+    const { productId, sizeId, product } = toTarget(item);
+    let added;
+    let items;
+
+    if (this._loggedIn) {
+      const before = await this._accountItems(options);
+      const url = `${this.client.baseURL}/api/storefront/auth/wishlist`;
+      const response = await this.client._fetch(url, {
+        method: "POST",
+        headers: this._authHeaders(),
+        body: JSON.stringify({ product_id: productId, size_id: sizeId }),
+      }, options);
+      items = response.items || [];
+      added = !before.some((i) => sameItem(i, productId, sizeId)) && items.some((i) => sameItem(i, productId, sizeId));
+    } else if (!this._guestStore()) {
+      if (!this._warnedNoStorage) {
+        this._warnedNoStorage = true;
+        this.client.logger.warn("Guest wishlist items are not kept on the server; assign dash.wishlist.storage to keep them");
+      }
+      items = [];
+      added = false;
+    } else {
+      items = this._guestItems();
+      added = !items.some((i) => sameItem(i, productId, sizeId));
+      if (added) {
+        items.push({ product_id: productId, size_id: sizeId, added_at: new Date().toISOString(), product: snapshot(product) });
+        this._saveGuest(items);
+      }
+    }
+
+    if (added && options.track !== false) this._trackAdd(productId, sizeId, product, options.currency);
+    return this._update(items);
+  }
+
+  /**
+   * Remove a product (or one size of it).
+   * @param {string|{productId: string, sizeId?: string}} item
+   * @param {Object} [options]
+   * @param {boolean} [options.track=true] - Capture `removed_from_wishlist`
+   * @param {AbortSignal} [options.signal] - Cancel the request
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
+   * @returns {Promise<{items: Array<Object>}>}
+   */
+  async remove(item, options = {}) {
+    const { productId, sizeId } = toTarget(item);
+    let before;
+    let items;
+
+    if (this._loggedIn) {
+      before = await this._accountItems(options);
+      const query = sizeId ? `?size_id=${encodeURIComponent(sizeId)}` : "";
+      const url = `${this.client.baseURL}/api/storefront/auth/wishlist/${encodeURIComponent(productId)}${query}`;
+      const response = await this.client._fetch(url, {
+        method: "DELETE",
+        headers: this._authHeaders(),
+      }, options);
+      items = response.items || [];
+    } else {
+      before = this._guestItems();
+      items = before.filter((i) => !sameItem(i, productId, sizeId));
+      this._saveGuest(items);
+    }
+
+    if (items.length < before.length && options.track !== false) {
+      try {
+        this.client.tracking.capture("removed_from_wishlist", { product_id: productId, size_id: sizeId });
+      } catch { /* ignore */ }
+    }
+    return this._update(items);
+  }
+
+  /**
+   * Add the product if it isn't saved, remove it if it is.
+   * @param {string|Object} item - As for `add()`
+   * @param {Object} [options] - As for `add()`
+   * @returns {Promise<{items: Array<Object>, added: boolean}>}
+   */
+  async toggle(item, options = {}) {
+    if (this._loggedIn) await this._accountItems(options);
+    const added = !this.has(item);
+    const { items } = added ? await this.add(item, options) : await this.remove(item, options);
+    return { items, added };
+  }
+
+  /**
+   * Add a saved product to the cart and take it off the wishlist.
+   * @param {string|{productId: string, sizeId?: string}} item - The size comes from
+   *   here, or from the saved item
+   * @param {Object} [options]
+   * @param {number} [options.quantity=1]
+   * @param {AbortSignal} [options.signal] - Cancel the requests
+   * @param {number} [options.timeoutMs] - Override the client-wide timeout
+   * @returns {Promise<{cart: {cart_id: string, item: Object}, items: Array<Object>}>}
+   * @throws {DashValidationError} When no size is known — products are added to the cart by size
+   *
+   * @example
+   * await dash.wishlist.moveToCart({ productId: item.product_id, sizeId: item.size_id ?? chosenSizeId });
+   */
+  async moveToCart(item, options = {}) {
+    const { productId, sizeId } = toTarget(item);
+    const saved = sizeId
+      ? this.items.find((i) => sameItem(i, productId, sizeId)) || this.items.find((i) => sameItem(i, productId, null))
+      : this.items.find((i) => i.product_id === productId);
+    const cartSizeId = sizeId ?? saved?.size_id;
+    if (!cartSizeId) {
+      throw new DashValidationError("sizeId is required to move a product to the cart", { fields: { sizeId: "required" } });
+    }
+
+    const { quantity = 1, signal, timeoutMs } = options;
+    const cart = await this.client.cart.add({ productId, sizeId: cartSizeId, quantity, signal, timeoutMs });
+    const { items } = await this.remove({ productId, sizeId: saved ? saved.size_id : sizeId }, { signal, timeoutMs });
+    return { cart, items };
+  }
+
+  /**
+   * Empty the wishlist.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
+   * @returns {Promise<{items: Array<Object>}>}
+   */
+  async clear(options = {}) {
+    if (this._loggedIn) {
+      const url = `${this.client.baseURL}/api/storefront/auth/wishlist`;
+      await this.client._fetch(url, {
+        method: "DELETE",
+        headers: this._authHeaders(),
+      }, options);
+    }
+    this._saveGuest([]);
+    return this._update([]);
+  }
+
+  /**
+   * Merge the guest wishlist into the logged-in customer's and clear the
+   * browser copy. Runs on its own after `auth` logs a customer in and before
+   * the first account read; with nothing to merge it just lists.
+   * @param {Object} [options] - Request options: `signal` to cancel, `timeoutMs` to override the client timeout
+   * @returns {Promise<{items: Array<Object>}>}
+   * @throws {DashAuthError} When no customer is logged in
+   */
+  async merge(options = {}) {
+    if (!this._loggedIn) {
+      throw new DashAuthError("Not authenticated");
+    }
+    const guest = this._guestItems();
+    if (!guest.length) return this.list(options);
+
+    if (!this._merging) {
+      const url = `${this.client.baseURL}/api/storefront/auth/merge-wishlist`;
+      this._merging = this.client._fetch(url, {
+        method: "POST",
+        headers: this._authHeaders(),
+        body: JSON.stringify({
+          items: guest.map(({ product_id, size_id, added_at }) => ({ product_id, size_id, added_at })),
+        }),
+      }, options)
+        .then((response) => {
+          this._saveGuest([]);
+          return response;
+        })
+        .finally(() => {
+          this._merging = null;
+        });
+    }
+    const response = await this._merging;
+    return this._update(response.items || []);
+  }
+
+  /**
+   * Merge once a customer logs in; the client subscribes this to `auth`.
+   * @private
+   */
+  _onLogin() {
+    // The guest items no longer describe the wishlist; the account's load on demand.
+    this._items = null;
+    if (!this._guestItems().length) return;
+    this.merge().catch((error) => {
+      this.client.logger.warn("Wishlist merge after login failed; it will be retried on the next wishlist call", { error });
+    });
+  }
+
+  /**
+   * Back to the guest wishlist once the session ends.
+   * @private
+   */
+  _onLogout() {
+    this._update(this._guestItems());
+  }
+
+  /**
+   * The account's items, merging guest items and loading the list first
+   * when they aren't known yet.
+   * @private
+   */
+  async _accountItems(options) {
+    if (this._guestItems().length) return (await this.merge(options)).items;
+    if (this._items) return this._items;
+    return (await this.list(options)).items;
+  }
+
+  /** @private */
+  get _loggedIn() {
+    return !!this.client.auth._accessToken;
+  }
+
+  /** @private */
+  _authHeaders() {
+    return { Authorization: `Bearer ${this.client.auth._accessToken}` };
+  }
+
+  /**
+   * Storage for guest items, or null on a server client with none assigned.
+   * @private
+   */
+  _guestStore() {
+    return this._storage || typeof window !== "undefined" ? this.storage : null;
+  }
+
+  /** @private */
+  _guestItems() {
+    const items = this._guestStore()?.get(STORAGE_KEY, []);
+    return Array.isArray(items) ? items : [];
+  }
+
+  /** @private */
+  _saveGuest(items) {
+    const store = this._guestStore();
+    if (!store) return;
+    if (items.length) store.set(STORAGE_KEY, items);
+    else store.remove(STORAGE_KEY);
+  }
+
+  /** @private */
+  _update(items) {
+    this._items = items;
+    this._events.emit("change", { items });
+    return { items };
+  }
+
+  /** @private */
+  _trackAdd(productId, sizeId, product, currency = product?.currency) {
+    const tracking = this.client.tracking;
+    // A value in the wrong currency is worse than none: send it only with its currency.
+    const price = product && currency ? parsePrice(product.discounted_price ?? product.price) : null;
+    try {
+      tracking.fbqAddToWishlist({
+        content_ids: [productId],
+        content_type: "product",
+        ...(product?.name ? { content_name: product.name } : {}),
+        ...(price ? { value: price, currency } : {}),
+      });
+      tracking.capture("added_to_wishlist", { product_id: productId, size_id: sizeId, product_name: product?.name });
+    } catch { /* ignore */ }
+  }
+}
+
+export default WishlistModule;
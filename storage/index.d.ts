@@ -35,6 +35,8 @@ export interface StorageOptions {
   type?: StorageType;
   prefix?: string;
   cookieDays?: number;
+  /** Where fallback warnings go: `dash.logger`, a function or a pino/winston-style logger. Default: the console */
+  logger?: ((entry: Record<string, unknown>) => void) | Record<string, any>;
 }
 
 export class StorageManager {
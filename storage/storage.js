@@ -6,6 +6,7 @@
  */
 
 import { setCookie, getCookie, deleteCookie, areCookiesEnabled } from "./cookies.js";
+import { createLogger } from "../core/logger.js";
 
 /**
  * @typedef {'local'|'session'|'cookie'|'auto'} StorageType
@@ -16,6 +17,8 @@ import { setCookie, getCookie, deleteCookie, areCookiesEnabled } from "./cookies
  * @property {StorageType} [type='auto'] - Storage type to use
  * @property {string} [prefix='dash4devs_'] - Key prefix
  * @property {number} [cookieDays=30] - Default cookie expiration days
+ * @property {Function|Object} [logger] - Where fallback warnings go (a DashClient's
+ *   `dash.logger`, a function or a pino/winston-style logger; default: the console)
  */
 
 /**
@@ -63,11 +66,12 @@ export class StorageManager {
    * @param {StorageOptions} [options]
    */
   constructor(options = {}) {
-    const { type = "auto", prefix = "dash4devs_", cookieDays = 30 } = options;
+    const { type = "auto", prefix = "dash4devs_", cookieDays = 30, logger } = options;
 
     this.prefix = prefix;
     this.cookieDays = cookieDays;
     this.type = type;
+    this._logger = createLogger(logger).child("storage");
 
     // Determine best available storage
     if (type === "auto") {
@@ -82,11 +86,11 @@ export class StorageManager {
     } else {
       this._storage = type;
       if (type === "cookie" && !areCookiesEnabled()) {
-        console.warn("Cookies not available, falling back to memory storage");
+        this._logger.warn("Cookies not available, falling back to memory storage");
         this._storage = "memory";
         this._memoryStorage = {};
       } else if (type === "local" && !isLocalStorageAvailable()) {
-        console.warn("localStorage not available, falling back to memory storage");
+        this._logger.warn("localStorage not available, falling back to memory storage");
         this._storage = "memory";
         this._memoryStorage = {};
       }
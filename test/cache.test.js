@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DashClient } from "../index.js";
+
+function client() {
+  const calls = [];
+  const transport = async (url) => {
+    calls.push(url);
+    return new Response(JSON.stringify({ products: [{ id: "p1", name: "Tee" }] }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+  const dash = new DashClient({ apiKey: "pk_test_cache", env: {}, transport, cache: true, logger: () => {} });
+  return { dash, calls };
+}
+
+test("a caller mutating its result doesn't change later cache hits", async () => {
+  const { dash, calls } = client();
+  const first = await dash.products.list();
+  first.products.push({ id: "x" });
+  first.products[0].name = "MUTATED";
+
+  const second = await dash.products.list();
+  second.products[0].name = "ALSO MUTATED";
+  const third = await dash.products.list();
+
+  assert.equal(calls.length, 1);
+  assert.equal(second.products.length, 1);
+  assert.deepEqual(third, { products: [{ id: "p1", name: "Tee" }] });
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DashClient } from "../index.js";
+
+function client() {
+  const seen = [];
+  const transport = async (url, init) => {
+    seen.push(init.headers["Accept-Language"]);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return new Response(JSON.stringify({ global: { lang: init.headers["Accept-Language"] } }), { status: 200 });
+  };
+  const dash = new DashClient({ apiKey: "pk_test_dedupe", env: {}, transport, logger: () => {} });
+  return { dash, seen };
+}
+
+test("identical concurrent reads share one call, each with its own data", async () => {
+  const { dash, seen } = client();
+  const [a, b] = await Promise.all([dash.getGlobalData(), dash.getGlobalData()]);
+
+  assert.equal(seen.length, 1);
+  assert.deepEqual(a, b);
+  assert.notEqual(a, b);
+});
+
+test("reads that differ only by a middleware-set header are not coalesced", async () => {
+  const { dash, seen } = client();
+  let n = 0;
+  dash.use(async (ctx, next) => {
+    ctx.headers["Accept-Language"] = n++ % 2 ? "es" : "en";
+    await next();
+  });
+  const [en, es] = await Promise.all([dash.getGlobalData(), dash.getGlobalData()]);
+
+  assert.equal(seen.length, 2);
+  assert.equal(en.global.lang, "en");
+  assert.equal(es.global.lang, "es");
+});
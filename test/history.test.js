@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DashClient } from "../index.js";
+import { StorageManager } from "../storage/index.js";
+
+test("recentlyViewed fills places of deleted products from older views, a few at a time", async () => {
+  const gone = new Set(["p2", "p3"]);
+  let inFlight = 0;
+  let maxInFlight = 0;
+  let calls = 0;
+  const transport = async (url) => {
+    calls++;
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    inFlight--;
+    const slug = new URL(url).pathname.split("/")[4];
+    const id = slug.replace("slug-", "");
+    if (gone.has(id)) return new Response(JSON.stringify({ error: "Not found" }), { status: 404 });
+    return new Response(JSON.stringify({ product: { id, slug, name: id.toUpperCase() } }), { status: 200 });
+  };
+  const dash = new DashClient({ apiKey: "pk_test_history", env: {}, transport, retry: false, logger: () => {} });
+  dash.history.storage = new StorageManager({ type: "cookie", logger: () => {} }); // memory, on Node
+  for (let i = 8; i >= 1; i--) dash.history.record({ id: `p${i}`, slug: `slug-p${i}` }, { track: false });
+
+  const { products } = await dash.history.recentlyViewed({ limit: 4, concurrency: 2 });
+
+  assert.deepEqual(products.map((p) => p.id), ["p1", "p4", "p5", "p6"]);
+  assert.equal(calls, 6);
+  assert.equal(maxInFlight, 2);
+  assert.deepEqual(dash.history.entries.map((e) => e.product_id), ["p1", "p4", "p5", "p6", "p7", "p8"]);
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DashClient, createLogger, redactLogValue } from "../index.js";
+
+test("publishable and secret API keys are redacted", () => {
+  const entries = [];
+  const logger = createLogger((entry) => entries.push(entry));
+  logger.info("using pk_live_abc123XYZ and sk_test_def456", { key: "pk_test_ghi789" });
+
+  assert.equal(entries[0].message, "using pk_live_[REDACTED] and sk_test_[REDACTED]");
+  assert.equal(entries[0].key, "pk_test_[REDACTED]");
+  assert.equal(redactLogValue("pk_test_abc"), "pk_test_[REDACTED]");
+});
+
+test("the startup banner shows the masked key unmangled", (t) => {
+  const lines = [];
+  for (const level of ["log", "info"]) t.mock.method(console, level, (...args) => lines.push(args.join(" ")));
+  new DashClient({ apiKey: "pk_test_x", baseURL: "http://banner.test", env: {} });
+  new DashClient({ apiKey: "pk_test_abcdefgh1234", baseURL: "http://banner.test", env: {} });
+
+  const banner = lines.join("\n");
+  assert.match(banner, /pk_test_\* /);
+  assert.match(banner, /pk_test_\*{8}1234/);
+  assert.doesNotMatch(banner, /REDACTED/);
+});
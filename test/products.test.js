@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DashClient } from "../index.js";
+
+test("customFields: plain arrays keep the exact-match format, { in } asks for any", async () => {
+  const urls = [];
+  const transport = async (url) => {
+    urls.push(new URL(url));
+    return new Response(JSON.stringify({ products: [] }), { status: 200 });
+  };
+  const dash = new DashClient({ apiKey: "pk_test_products", env: {}, transport, logger: () => {} });
+  await dash.products.list({ customFields: { flavor: ["mango", "berry"], strain: { in: ["indica", "hybrid"] } } });
+
+  assert.equal(urls[0].searchParams.get("cf_flavor"), "mango,berry");
+  assert.equal(urls[0].searchParams.get("cf_flavor__in"), null);
+  assert.equal(urls[0].searchParams.get("cf_strain__in"), "indica,hybrid");
+});
@@ -0,0 +1,92 @@
+/**
+ * Conformance suite: the client under the Web runtime shim (see
+ * testing/web-runtime.js), talking to a local HTTP server through the host's
+ * real fetch. Run with `npm test`.
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { createWebRuntime, NODE_ONLY_GLOBALS } from "../testing/index.js";
+
+const hits = new Map();
+let replies = {};
+let server;
+let baseURL;
+let runtime;
+let sdk;
+
+before(async () => {
+  server = createServer((req, res) => {
+    const path = new URL(req.url, "http://localhost").pathname;
+    hits.set(path, (hits.get(path) || 0) + 1);
+    const reply = replies[path]?.shift() ?? { status: 200, body: { products: [], total: 0 } };
+    setTimeout(() => {
+      res.writeHead(reply.status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply.body ?? {}));
+    }, reply.delayMs ?? 0);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+
+  runtime = await createWebRuntime();
+  sdk = await runtime.import("dash4devs");
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function client(options = {}) {
+  hits.clear();
+  replies = {};
+  return new sdk.DashClient({ apiKey: "pk_test_conformance", baseURL, env: { DASH4DEVS_SILENT: "1" }, ...options });
+}
+
+test("the shim has no Node-only globals", () => {
+  for (const name of NODE_ONLY_GLOBALS) {
+    assert.equal(name in runtime.global, false, `${name} is defined`);
+  }
+  assert.equal(runtime.global.EdgeRuntime, "edge-runtime");
+});
+
+test("fetches through the host's fetch", async () => {
+  const dash = client({ cache: false });
+  replies["/api/storefront/products"] = [{ status: 200, body: { products: [{ id: "p1", slug: "tee" }], total: 1 } }];
+  const result = await dash.products.list();
+  assert.equal(result.products.length, 1);
+  assert.equal(hits.get("/api/storefront/products"), 1);
+});
+
+test("times out with DashTimeoutError", async () => {
+  const dash = client({ cache: false, retry: false });
+  replies["/api/storefront/products"] = [{ status: 200, delayMs: 200 }];
+  await assert.rejects(dash.products.list({ timeoutMs: 20 }), (error) => error instanceof sdk.DashTimeoutError);
+});
+
+test("retries a 503", async () => {
+  const dash = client({ cache: false, retry: { retries: 2, minDelayMs: 1, maxDelayMs: 5 } });
+  replies["/api/storefront/products"] = [{ status: 503 }, { status: 200 }];
+  const retries = [];
+  dash.on("response", ({ meta }) => retries.push(meta.retries));
+  await dash.products.list();
+  assert.equal(hits.get("/api/storefront/products"), 2);
+  assert.deepEqual(retries, [1]);
+});
+
+test("serves a repeat read from the cache", async () => {
+  const dash = client({ cache: true });
+  const cache = [];
+  dash.on("response", ({ meta }) => cache.push(meta.cache));
+  await dash.products.list();
+  await dash.products.list();
+  assert.equal(hits.get("/api/storefront/products"), 1);
+  assert.equal(cache[1], "hit");
+});
+
+test("no Node built-in is reached", async () => {
+  await runtime.import("dash4devs/utils");
+  await runtime.import("dash4devs/storage");
+  assert.deepEqual(runtime.reached, []);
+});
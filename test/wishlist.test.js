@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DashClient } from "../index.js";
+import { StorageManager } from "../storage/index.js";
+
+function client() {
+  const transport = async () => new Response("{}", { status: 200 });
+  return new DashClient({ apiKey: "pk_test_wishlist", env: {}, transport, logger: () => {} });
+}
+
+test("a server client keeps no guest items without assigned storage", async () => {
+  const a = client();
+  const b = client();
+  await a.wishlist.add("prod_1");
+
+  assert.deepEqual((await a.wishlist.list()).items, []);
+  assert.deepEqual((await b.wishlist.list()).items, []);
+});
+
+test("guest items are kept in assigned storage", async () => {
+  const dash = client();
+  dash.wishlist.storage = new StorageManager({ type: "cookie", logger: () => {} }) // memory, on Node;
+  await dash.wishlist.add("prod_1");
+
+  assert.deepEqual((await dash.wishlist.list()).items.map((i) => i.product_id), ["prod_1"]);
+});
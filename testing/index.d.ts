@@ -0,0 +1,218 @@
+// ============================================================================
+// Mock Backend
+// ============================================================================
+
+export interface MockSizeFixture {
+  id?: string;
+  label?: string;
+  price: string | number;
+  /** Default: 100 */
+  stock?: number;
+  [key: string]: unknown;
+}
+
+export interface MockProductFixture {
+  id?: string;
+  /** One of `name` / `slug` is required; the other is derived */
+  name?: string;
+  slug?: string;
+  /** Category slug or id */
+  category?: string;
+  sizes?: MockSizeFixture[];
+  /** Counted and filtered by `products.list({ attributes, facets })`; option slugs derive from `value` */
+  attributes?: Array<{ name: string; slug?: string; options: Array<{ value: string; slug?: string }> }>;
+  /** Filtered by `products.list({ customFields })` */
+  custom_fields?: Record<string, string | number | boolean>;
+  [key: string]: unknown;
+}
+
+export interface MockCategoryFixture {
+  id?: string;
+  name?: string;
+  slug?: string;
+  /** Parent category slug */
+  parent?: string;
+  [key: string]: unknown;
+}
+
+export interface MockCustomerFixture {
+  email: string;
+  first_name?: string;
+  last_name?: string;
+  address?: Record<string, unknown> | null;
+  [key: string]: unknown;
+}
+
+export interface MockFixtures {
+  products?: MockProductFixture[];
+  categories?: MockCategoryFixture[];
+  global?: Record<string, unknown>;
+  customers?: MockCustomerFixture[];
+  /** The code every OTP email "contains". Default: "123456" */
+  otpCode?: string;
+}
+
+export interface MockRequest {
+  method: string;
+  /** Path below /api/storefront, e.g. "/products/tee" */
+  path: string;
+  params: Record<string, string>;
+  query: Record<string, string>;
+  /** Lower-cased header names */
+  headers: Record<string, string>;
+  body: any;
+}
+
+export interface MockLoggedRequest {
+  method: string;
+  path: string;
+  query: Record<string, string>;
+  body: any;
+}
+
+/** Return the JSON body, or `{ status, body }` for a non-200 answer. */
+export type MockRouteHandler = (req: MockRequest) => unknown | Promise<unknown>;
+
+export declare class MockBackend {
+  constructor(fixtures?: MockFixtures);
+
+  /** Pass to `new DashClient({ transport })` */
+  readonly transport: (url: string, init?: RequestInit) => Promise<Response>;
+  /** Every request received, oldest first */
+  requests: MockLoggedRequest[];
+  otpCode: string;
+
+  products: Record<string, any>[];
+  categories: Record<string, any>[];
+  customers: Record<string, any>[];
+  global: Record<string, unknown>;
+  carts: Map<string, { id: string; lines: Array<{ id: string; product_id: string; size_id: string; quantity: number }> }>;
+  orders: Record<string, any>[];
+  /** Wishlist entries by customer id */
+  wishlists: Map<string, Array<{ product_id: string; size_id: string | null; added_at: string }>>;
+
+  /** Replace the data with `fixtures` */
+  seed(fixtures?: MockFixtures): this;
+  /** Restore the seeded fixtures and clear carts, orders, sessions, wishlists and the request log */
+  reset(): this;
+  /** Add or override a route; later routes win */
+  route(method: string, path: string, handler: MockRouteHandler): this;
+  /** The transport, unbound */
+  fetch(url: string, init?: RequestInit): Promise<Response>;
+}
+
+export function createMockBackend(fixtures?: MockFixtures): MockBackend;
+
+// ============================================================================
+// Record & Replay
+// ============================================================================
+
+export declare const REDACTED: "[REDACTED]";
+export declare const FIXTURES_VERSION: 1;
+
+export interface RecordedExchange {
+  request: {
+    method: string;
+    /** Path and query, without the origin */
+    url: string;
+    body: any;
+  };
+  response: {
+    status: number;
+    contentType: string | null;
+    body: any;
+  };
+}
+
+export interface RecordedFixtures {
+  version: number;
+  recordedAt: string;
+  entries: RecordedExchange[];
+}
+
+export interface RecorderOptions {
+  /** Transport to record. Default: the global `fetch` */
+  transport?: (url: string, init?: RequestInit) => Promise<Response>;
+  /** Extra body fields to redact */
+  redactKeys?: string[];
+  /** Final hook to rewrite each entry before it is stored */
+  redact?: (entry: RecordedExchange) => RecordedExchange;
+}
+
+export declare class Recorder {
+  constructor(options?: RecorderOptions);
+  /** Pass to `new DashClient({ transport })` */
+  readonly transport: (url: string, init?: RequestInit) => Promise<Response>;
+  /** The redacted recording, oldest first */
+  readonly entries: RecordedExchange[];
+  fetch(url: string, init?: RequestInit): Promise<Response>;
+  toJSON(): RecordedFixtures;
+  /** Write the redacted fixtures as JSON (Node only) */
+  save(file: string): Promise<void>;
+  clear(): void;
+}
+
+export interface ReplayerOptions {
+  /** Also require the (redacted) request body to match. Default: false */
+  matchBody?: boolean;
+}
+
+export declare class Replayer {
+  constructor(fixtures: RecordedFixtures | RecordedExchange[], options?: ReplayerOptions);
+  /** Pass to `new DashClient({ transport })` */
+  readonly transport: (url: string, init?: RequestInit) => Promise<Response>;
+  entries: RecordedExchange[];
+  matchBody: boolean;
+  /** Every request received, oldest first */
+  requests: Array<{ method: string; url: string; body: any }>;
+  fetch(url: string, init?: RequestInit): Promise<Response>;
+  /** Recordings not served yet */
+  unused(): RecordedExchange[];
+  /** Serve every recording from the beginning again */
+  rewind(): this;
+}
+
+export function createRecorder(options?: RecorderOptions): Recorder;
+export function createReplayer(fixtures: RecordedFixtures | RecordedExchange[], options?: ReplayerOptions): Replayer;
+/** Read a fixtures file written by `Recorder#save()` (Node only) */
+export function loadFixtures(file: string): Promise<RecordedFixtures>;
+/** Redact credentials and PII from a body */
+export function redactBody<T>(value: T, options?: { keys?: string[]; secrets?: string[] }): T;
+
+// ============================================================================
+// Web Runtime Shim
+// ============================================================================
+
+/** Globals that don't exist in the shim: process, Buffer, global, setImmediate, clearImmediate */
+export declare const NODE_ONLY_GLOBALS: string[];
+/** Web-standard globals copied from the host into the shim */
+export declare const WEB_GLOBALS: string[];
+
+export interface WebRuntimeOptions {
+  /** Export condition used for `#platform` (default: "edge-light") */
+  condition?: "edge-light" | "workerd" | "worker" | "browser";
+  /** Extra globals (default: `{ EdgeRuntime: "edge-runtime" }`) */
+  globals?: Record<string, unknown>;
+}
+
+/**
+ * A fresh V8 context holding only Web-standard globals, into which the SDK
+ * is loaded as an edge runtime would load it. Needs
+ * `node --experimental-vm-modules`.
+ */
+export declare class WebRuntime {
+  constructor(options?: WebRuntimeOptions);
+  readonly condition: string;
+  /** Node built-ins something tried to import, in order */
+  readonly reached: string[];
+  /** The shim's global object (null before `setup()`) */
+  readonly global: Record<string, any> | null;
+  /** Load the Node modules the shim runs on and create its context */
+  setup(): Promise<this>;
+  /** Import "dash4devs", a subpath such as "dash4devs/utils", or a file URL inside the shim */
+  import<T = any>(specifier: string): Promise<T>;
+}
+
+export function createWebRuntime(options?: WebRuntimeOptions): Promise<WebRuntime>;
+/** Run `fn` with a fresh `WebRuntime` */
+export function withWebRuntime<T>(fn: (runtime: WebRuntime) => T | Promise<T>, options?: WebRuntimeOptions): Promise<T>;
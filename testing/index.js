@@ -0,0 +1,18 @@
+/**
+ * Testing helpers for dash4devs
+ */
+
+export { MockBackend, createMockBackend } from "./mock-backend.js";
+
+export {
+  Recorder,
+  Replayer,
+  createRecorder,
+  createReplayer,
+  loadFixtures,
+  redactBody,
+  REDACTED,
+  FIXTURES_VERSION,
+} from "./recorder.js";
+
+export { WebRuntime, createWebRuntime, withWebRuntime, NODE_ONLY_GLOBALS, WEB_GLOBALS } from "./web-runtime.js";
@@ -0,0 +1,795 @@
+/**
+ * In-memory Mock Backend
+ *
+ * An offline stand-in for the storefront API, for unit and CI tests of code
+ * that uses DashClient. It implements the routes the service modules call for
+ * the catalog, cart, checkout, OTP login and wishlist, backed by seedable
+ * fixtures, and plugs into the client as its transport:
+ *
+ *   import { DashClient } from "dash4devs";
+ *   import { createMockBackend } from "dash4devs/testing";
+ *
+ *   const backend = createMockBackend({
+ *     products: [{ slug: "tee", name: "Tee", sizes: [{ id: "tee-m", label: "M", price: "20.00", stock: 5 }] }],
+ *   });
+ *   const dash = new DashClient({ apiKey: "pk_test_mock", transport: backend.transport });
+ *
+ *   await dash.cart.add({ productId: backend.products[0].id, sizeId: "tee-m", quantity: 2 });
+ *   await dash.checkout.start({ cartId: dash.cart.cartId, email: "a@b.co" });
+ *   const { order } = await dash.checkout.complete({
+ *     cartId: dash.cart.cartId, email: "a@b.co", code: backend.otpCode, shipping,
+ *   });
+ *
+ * Everything is deterministic: ids are sequential, there are no timers, and
+ * `reset()` restores the seeded state. Unmatched routes answer 404 with the
+ * method and path, so a missing route is obvious in test output. Add or
+ * override routes with `route()`.
+ */
+
+const PREFIX = "/api/storefront";
+
+/** @private */
+function money(value) {
+  return (Math.round(Number(value || 0) * 100) / 100).toFixed(2);
+}
+
+/** @private */
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+/** Upper edges of the price facet's buckets; the last bucket is open-ended. @private */
+const PRICE_BUCKET_EDGES = [25, 50, 100, 250];
+
+/** @private */
+const PRODUCT_SORTS = {
+  price_asc: (a, b) => a.effective - b.effective,
+  price_desc: (a, b) => b.effective - a.effective,
+  newest: (a, b) => b.index - a.index,
+  rating: (a, b) => (b.product.avg_rating || 0) - (a.product.avg_rating || 0),
+  name: (a, b) => a.product.name.localeCompare(b.product.name),
+};
+
+/** @private */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/** @private */
+function compilePath(pattern) {
+  const names = [];
+  const source = pattern
+    .split("/")
+    .map((part) => {
+      if (part.startsWith(":")) {
+        names.push(part.slice(1));
+        return "([^/]+)";
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+/**
+ * Thrown by route handlers to answer with an error status.
+ * @private
+ */
+class MockHttpError extends Error {
+  constructor(status, body) {
+    super(body.error || `HTTP ${status}`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+export class MockBackend {
+  /**
+   * @param {Object} [fixtures] - See seed()
+   */
+  constructor(fixtures = {}) {
+    this._routes = [];
+    this.requests = [];
+    this.transport = (url, init) => this.fetch(url, init);
+    this._registerDefaultRoutes();
+    this.seed(fixtures);
+  }
+
+  /**
+   * Replace the backend's data with `fixtures`.
+   *
+   * @param {Object} [fixtures]
+   * @param {Object[]} [fixtures.products] - Products; each needs `name` or `slug` and
+   *   `sizes: [{ id, label, price, stock }]`. Missing fields get defaults.
+   * @param {Object[]} [fixtures.categories] - Categories (`name`/`slug`, optional `parent` slug)
+   * @param {Object} [fixtures.global] - Body of `getGlobalData().global`
+   * @param {Object[]} [fixtures.customers] - Existing customers (`email`, names, address)
+   * @param {string} [fixtures.otpCode="123456"] - The code every OTP email "contains"
+   * @returns {MockBackend} this
+   */
+  seed(fixtures = {}) {
+    this._fixtures = clone(fixtures);
+    this.otpCode = fixtures.otpCode || "123456";
+    this._ids = 0;
+    this.categories = (fixtures.categories || []).map((c) => this._normalizeCategory(c));
+    this.products = (fixtures.products || []).map((p) => this._normalizeProduct(p));
+    this.global = { store_name: "Mock Store", currency: "USD", ...(fixtures.global || {}) };
+    this.customers = (fixtures.customers || []).map((c) => this._normalizeCustomer(c));
+    this.carts = new Map();
+    this.orders = [];
+    this.sessions = new Map();
+    this.wishlists = new Map();
+    this._idempotent = new Map();
+    return this;
+  }
+
+  /**
+   * Restore the seeded fixtures and clear carts, orders, sessions, wishlists and the request log.
+   * @returns {MockBackend} this
+   */
+  reset() {
+    this.requests = [];
+    return this.seed(this._fixtures);
+  }
+
+  /**
+   * Add or override a route. Later routes win over earlier ones (and over the
+   * defaults). The handler gets `{ method, path, params, query, body, headers }`
+   * and returns the JSON body, or `{ status, body }` for a non-200 answer.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /api/storefront, with `:params` (e.g. "/products/:slug")
+   * @param {Function} handler
+   * @returns {MockBackend} this
+   *
+   * @example
+   * backend.route("GET", "/products/:slug", () => ({ status: 503, body: { error: "down" } }));
+   */
+  route(method, path, handler) {
+    this._routes.unshift({ method: method.toUpperCase(), handler, ...compilePath(path) });
+    return this;
+  }
+
+  /**
+   * The transport: a fetch-compatible function. `backend.transport` is this,
+   * bound, for `new DashClient({ transport })`.
+   * @param {string} url
+   * @param {Object} [init]
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, init = {}) {
+    if (init.signal?.aborted) throw init.signal.reason;
+
+    const parsed = new URL(url, "http://mock.invalid");
+    const method = (init.method || "GET").toUpperCase();
+    const headers = Object.fromEntries(
+      Object.entries(init.headers || {}).map(([k, v]) => [k.toLowerCase(), v])
+    );
+    let body = null;
+    if (typeof init.body === "string" && init.body) {
+      try {
+        body = JSON.parse(init.body);
+      } catch {
+        body = init.body;
+      }
+    }
+    const req = {
+      method,
+      path: parsed.pathname.startsWith(PREFIX) ? parsed.pathname.slice(PREFIX.length) || "/" : parsed.pathname,
+      query: Object.fromEntries(parsed.searchParams),
+      headers,
+      body,
+      params: {},
+    };
+    this.requests.push({ method, path: req.path, query: req.query, body });
+
+    let status = 200;
+    let payload;
+    try {
+      if (!headers["x-api-key"]) throw new MockHttpError(401, { error: "Missing API key" });
+      const route = this._match(req);
+      if (!route) throw new MockHttpError(404, { error: `No mock route for ${method} ${req.path}` });
+      const result = await route.handler(req);
+      if (result && typeof result.status === "number" && "body" in result) {
+        status = result.status;
+        payload = result.body;
+      } else {
+        payload = result;
+      }
+    } catch (err) {
+      if (!(err instanceof MockHttpError)) throw err;
+      status = err.status;
+      payload = err.body;
+    }
+
+    if (status === 204 || payload === undefined) return new Response(null, { status: status === 200 ? 204 : status });
+    return new Response(JSON.stringify(payload), {
+      status,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  /** @private */
+  _match(req) {
+    for (const route of this._routes) {
+      if (route.method !== req.method) continue;
+      const m = route.regex.exec(req.path);
+      if (!m) continue;
+      route.names.forEach((name, i) => {
+        req.params[name] = decodeURIComponent(m[i + 1]);
+      });
+      return route;
+    }
+    return null;
+  }
+
+  // ===========================================================================
+  // FIXTURE NORMALISATION
+  // ===========================================================================
+
+  /** @private */
+  _id(prefix) {
+    this._ids += 1;
+    return `${prefix}_${String(this._ids).padStart(4, "0")}`;
+  }
+
+  /** @private */
+  _normalizeCategory(c) {
+    const slug = c.slug || slugify(c.name);
+    return {
+      description: "",
+      image: null,
+      hero_image: null,
+      navbar_name: null,
+      navbar_caption: null,
+      ...c,
+      id: c.id || this._id("cat"),
+      name: c.name || slug,
+      slug,
+      parent_id: null,
+    };
+  }
+
+  /** @private */
+  _normalizeProduct(p) {
+    const slug = p.slug || slugify(p.name);
+    const sizes = (p.sizes || []).map((s, i) => ({
+      discounted_price: null,
+      image: null,
+      main: i === 0,
+      weight: null,
+      weight_unit: "g",
+      cannabinoid_type: "general",
+      points: 0,
+      ...s,
+      id: s.id || this._id("size"),
+      label: s.label || `Size ${i + 1}`,
+      price: money(s.price),
+      stock: s.stock ?? 100,
+      in_stock: (s.stock ?? 100) > 0,
+    }));
+    const category = p.category ? this.categories.find((c) => c.slug === p.category || c.id === p.category) : null;
+    const summary = (c) => ({ id: c.id, name: c.name, slug: c.slug, parent: null });
+    return {
+      description: "",
+      main_image: null,
+      images: [],
+      features: [],
+      attributes: [],
+      ...p,
+      id: p.id || this._id("prod"),
+      name: p.name || slug,
+      slug,
+      sizes,
+      category: category ? summary(category) : null,
+      categories: category ? [summary(category)] : [],
+      price: sizes.length ? sizes[0].price : null,
+      discounted_price: null,
+      in_stock: sizes.some((s) => s.in_stock),
+    };
+  }
+
+  /** @private */
+  _normalizeCustomer(c) {
+    return {
+      first_name: "",
+      last_name: "",
+      phone: "",
+      address: null,
+      metadata: {},
+      ...c,
+      id: c.id || this._id("cus"),
+      email: String(c.email).toLowerCase(),
+    };
+  }
+
+  // ===========================================================================
+  // STATE HELPERS
+  // ===========================================================================
+
+  /** @private */
+  _findSize(productId, sizeId) {
+    const product = this.products.find((p) => p.id === productId || p.slug === productId);
+    if (!product) throw new MockHttpError(404, { error: "Product not found" });
+    const size = product.sizes.find((s) => s.id === sizeId);
+    if (!size) throw new MockHttpError(404, { error: "Size not found" });
+    return { product, size };
+  }
+
+  /**
+   * `/products` filtering, sorting and facets. Facets are disjunctive: each
+   * one is counted with every filter applied except its own, so a sidebar
+   * can show what choosing another value would return.
+   * @private
+   */
+  _listProducts(query) {
+    const entries = this.products.map((product, index) => ({
+      product,
+      index,
+      effective: Number(product.discounted_price ?? product.price ?? 0),
+    }));
+    const optionSlugs = (product, attr) => {
+      const attribute = (product.attributes || []).find((a) => (a.slug || slugify(a.name)) === attr);
+      return (attribute?.options || []).map((o) => o.slug || slugify(o.value));
+    };
+
+    const filters = {};
+    if (query.category) {
+      const slugs = query.category.split(",");
+      filters.category = ({ product }) => product.categories.some((c) => slugs.includes(c.slug));
+    }
+    const term = (query.search || query.q || "").toLowerCase();
+    if (term) filters.search = ({ product }) => product.name.toLowerCase().includes(term);
+    if (query.price_min != null || query.price_max != null) {
+      const min = query.price_min != null ? Number(query.price_min) : -Infinity;
+      const max = query.price_max != null ? Number(query.price_max) : Infinity;
+      filters.price = ({ effective }) => effective >= min && effective <= max;
+    }
+    if (query.in_stock === "true") filters.in_stock = ({ product }) => product.in_stock;
+    for (const [key, raw] of Object.entries(query)) {
+      if (key.startsWith("attr_")) {
+        const attr = key.slice(5);
+        const wanted = raw.split(",").map(slugify);
+        filters[key] = ({ product }) => optionSlugs(product, attr).some((o) => wanted.includes(o));
+      } else if (key.startsWith("cf_")) {
+        const [field, op = "eq"] = key.slice(3).split("__");
+        const test = {
+          eq: (v) => String(v) === raw,
+          in: (v) => raw.split(",").includes(String(v)),
+          gt: (v) => Number(v) > Number(raw),
+          gte: (v) => Number(v) >= Number(raw),
+          lt: (v) => Number(v) < Number(raw),
+          lte: (v) => Number(v) <= Number(raw),
+        }[op];
+        if (!test) throw new MockHttpError(400, { error: `Unknown operator: ${op}` });
+        filters[key] = ({ product }) => product.custom_fields?.[field] != null && test(product.custom_fields[field]);
+      }
+    }
+    const matching = (except) => entries.filter((e) => Object.entries(filters).every(([k, f]) => k === except || f(e)));
+
+    let results = matching(null);
+    if (query.sort) {
+      const compare = PRODUCT_SORTS[query.sort];
+      if (!compare) throw new MockHttpError(400, { error: `Unknown sort: ${query.sort}` });
+      results = [...results].sort(compare);
+    }
+    if (!query.facets || query.facets === "false") return { results, facets: undefined };
+
+    const requested = query.facets === "true" ? null : query.facets.split(",");
+    const attributes = new Map();
+    for (const { product } of entries) {
+      for (const a of product.attributes || []) {
+        const slug = a.slug || slugify(a.name);
+        if ((requested && !requested.includes(slug)) || attributes.has(slug)) continue;
+        attributes.set(slug, { name: a.name, slug });
+      }
+    }
+    const priced = matching("price");
+    const buckets = [...PRICE_BUCKET_EDGES, null].map((max, i) => ({
+      min: money(i === 0 ? 0 : PRICE_BUCKET_EDGES[i - 1]),
+      max: max === null ? null : money(max),
+      count: priced.filter((e) => e.effective >= (i === 0 ? 0 : PRICE_BUCKET_EDGES[i - 1]) && (max === null || e.effective < max)).length,
+    }));
+    const prices = priced.map((e) => e.effective);
+    return {
+      results,
+      facets: {
+        attributes: [...attributes.values()].map(({ name, slug }) => {
+          const pool = matching(`attr_${slug}`);
+          const counts = new Map();
+          for (const { product } of pool) {
+            const attribute = product.attributes.find((a) => (a.slug || slugify(a.name)) === slug);
+            for (const o of attribute?.options || []) {
+              const value = { value: o.value, slug: o.slug || slugify(o.value) };
+              const seen = counts.get(value.slug) || { ...value, count: 0 };
+              seen.count += 1;
+              counts.set(value.slug, seen);
+            }
+          }
+          return { name, slug, values: [...counts.values()] };
+        }),
+        price: {
+          min: prices.length ? money(Math.min(...prices)) : null,
+          max: prices.length ? money(Math.max(...prices)) : null,
+          buckets: buckets.filter((b) => b.count > 0),
+        },
+        in_stock: matching("in_stock").filter((e) => e.product.in_stock).length,
+      },
+    };
+  }
+
+  /** @private */
+  _cart(cartId) {
+    const cart = this.carts.get(cartId);
+    if (!cart) throw new MockHttpError(404, { error: "Cart not found" });
+    return cart;
+  }
+
+  /** @private */
+  _cartItem(cart, line) {
+    const { product, size } = this._findSize(line.product_id, line.size_id);
+    return {
+      id: line.id,
+      product_id: product.id,
+      product_name: product.name,
+      product_slug: product.slug,
+      product_active: true,
+      product_image: size.image || product.main_image,
+      category_slug: product.category?.slug || null,
+      size_id: size.id,
+      size_label: size.label,
+      quantity: line.quantity,
+      unit_price: size.price,
+      total_price: money(Number(size.price) * line.quantity),
+      cannabinoid_type: size.cannabinoid_type,
+      is_active: true,
+    };
+  }
+
+  /** @private */
+  _cartState(cart) {
+    const items = cart.lines.map((line) => this._cartItem(cart, line));
+    return {
+      cart_id: cart.id,
+      items,
+      subtotal: money(items.reduce((sum, i) => sum + Number(i.total_price), 0)),
+      item_count: items.reduce((sum, i) => sum + i.quantity, 0),
+    };
+  }
+
+  /** @private */
+  _customerFromAuth(req) {
+    const token = /^Bearer (.+)$/.exec(req.headers.authorization || "")?.[1];
+    return token ? this.sessions.get(token) || null : null;
+  }
+
+  /** @private */
+  _requireCustomer(req) {
+    const customer = this._customerFromAuth(req);
+    if (!customer) throw new MockHttpError(401, { error: "Not authenticated" });
+    return customer;
+  }
+
+  /** @private */
+  _wishlistState(customer) {
+    const entries = this.wishlists.get(customer.id) || [];
+    const items = entries.map((entry) => {
+      const product = this.products.find((p) => p.id === entry.product_id);
+      return {
+        ...entry,
+        product: product
+          ? (({ id, name, slug, main_image, price, discounted_price, in_stock }) =>
+            clone({ id, name, slug, main_image, price, discounted_price, in_stock }))(product)
+          : null,
+      };
+    });
+    return { items };
+  }
+
+  /** @private */
+  _addToWishlist(customer, { product_id, size_id = null, added_at }) {
+    if (!this.products.some((p) => p.id === product_id)) {
+      throw new MockHttpError(404, { error: "Product not found" });
+    }
+    const entries = this.wishlists.get(customer.id) || [];
+    if (!entries.some((e) => e.product_id === product_id && e.size_id === size_id)) {
+      entries.push({ product_id, size_id, added_at: added_at || new Date().toISOString() });
+    }
+    this.wishlists.set(customer.id, entries);
+  }
+
+  /** @private */
+  _issueTokens(customer) {
+    const access = this._id("at");
+    this.sessions.set(access, customer);
+    return {
+      access_token: access,
+      refresh_token: this._id("rt"),
+      token_type: "Bearer",
+      expires_in: 3600,
+      customer: clone(customer),
+    };
+  }
+
+  /** @private */
+  _findOrCreateCustomer(email) {
+    const normalized = String(email).toLowerCase();
+    let customer = this.customers.find((c) => c.email === normalized);
+    if (!customer) {
+      customer = this._normalizeCustomer({ email: normalized });
+      this.customers.push(customer);
+    }
+    return customer;
+  }
+
+  /**
+   * Replay the stored answer for a repeated Idempotency-Key.
+   * @private
+   */
+  _idempotently(req, produce) {
+    const key = req.headers["idempotency-key"];
+    if (key && this._idempotent.has(key)) return clone(this._idempotent.get(key));
+    const result = produce();
+    if (key) this._idempotent.set(key, clone(result));
+    return result;
+  }
+
+  // ===========================================================================
+  // ROUTES
+  // ===========================================================================
+
+  /** @private */
+  _registerDefaultRoutes() {
+    const get = (path, fn) => this.route("GET", path, fn);
+    const post = (path, fn) => this.route("POST", path, fn);
+    const del = (path, fn) => this.route("DELETE", path, fn);
+
+    get("/ping", () => ({
+      status: "ok",
+      organization: { name: this.global.store_name, is_locked: false },
+      environment: "test",
+    }));
+    get("/global", () => ({ global: clone(this.global) }));
+    post("/analytics/collect", () => ({ status: 204, body: undefined }));
+
+    // ── Catalog ────────────────────────────────────────────────────────
+    get("/products", ({ query }) => {
+      const { results, facets } = this._listProducts(query);
+      const products = results.map((e) => e.product);
+      const limit = Number(query.limit) || 20;
+      const offset = Number(query.offset) || 0;
+      return {
+        products: clone(products.slice(offset, offset + limit)),
+        pagination: { total: products.length, limit, offset, has_more: offset + limit < products.length },
+        ...(facets && { facets }),
+      };
+    });
+    const product = ({ params }) => {
+      const found = this.products.find((p) => p.slug === params.slug);
+      if (!found) throw new MockHttpError(404, { error: "Product not found" });
+      return found;
+    };
+    get("/products/:slug", (req) => ({ product: clone(product(req)) }));
+    get("/products/:slug/core", (req) => {
+      const { sizes, attributes, ...core } = product(req);
+      return { product: clone(core) };
+    });
+    get("/products/:slug/options", (req) => {
+      const { sizes, attributes } = product(req);
+      return { options: clone({ has_variations: false, sizes, attributes, selectable_variations: null }) };
+    });
+
+    get("/categories", ({ query }) => {
+      let categories = this.categories;
+      if (query.parent) {
+        const parent = this.categories.find((c) => c.slug === query.parent);
+        categories = categories.filter((c) => parent && c.parent === parent.slug);
+      } else if (query.depth === "0" || query.tree === "true") {
+        categories = categories.filter((c) => !c.parent);
+      }
+      const withChildren = (c) => ({
+        ...c,
+        children: query.tree === "true" ? this.categories.filter((x) => x.parent === c.slug).map(withChildren) : undefined,
+      });
+      return { categories: clone(categories.map(withChildren)) };
+    });
+    get("/categories/:slug", ({ params, query }) => {
+      const category = this.categories.find((c) => c.slug === params.slug);
+      if (!category) throw new MockHttpError(404, { error: "Category not found" });
+      const result = { ...category };
+      if (query.include_children !== "false") {
+        result.children = this.categories.filter((c) => c.parent === category.slug);
+      }
+      if (query.include_products !== "false") {
+        const items = this.products.filter((p) => p.category?.slug === category.slug);
+        const limit = Number(query.limit) || 20;
+        const offset = Number(query.offset) || 0;
+        result.products = {
+          items: items.slice(offset, offset + limit),
+          pagination: { total: items.length, limit, offset, has_more: offset + limit < items.length },
+        };
+      }
+      return { category: clone(result) };
+    });
+
+    // ── Cart ───────────────────────────────────────────────────────────
+    post("/cart/add", (req) =>
+      this._idempotently(req, () => {
+        const { product_id, size_id, quantity = 1, cart_id } = req.body || {};
+        const { size } = this._findSize(product_id, size_id);
+        let cart = cart_id ? this.carts.get(cart_id) : null;
+        if (!cart) {
+          cart = { id: this._id("cart"), lines: [] };
+          this.carts.set(cart.id, cart);
+        }
+        let line = cart.lines.find((l) => l.size_id === size.id);
+        const nextQuantity = (line ? line.quantity : 0) + quantity;
+        if (nextQuantity > size.stock) {
+          throw new MockHttpError(400, { error: `Only ${size.stock} in stock` });
+        }
+        if (line) {
+          line.quantity = nextQuantity;
+        } else {
+          line = { id: this._id("item"), product_id, size_id: size.id, quantity };
+          cart.lines.push(line);
+        }
+        return { cart_id: cart.id, item: this._cartItem(cart, line), message: "Item added to cart" };
+      })
+    );
+    get("/cart/:cartId", ({ params }) => this._cartState(this._cart(params.cartId)));
+    post("/cart/:cartId/update", ({ params, body }) => {
+      const cart = this._cart(params.cartId);
+      const line = cart.lines.find((l) => l.size_id === body?.size_id);
+      if (!line) throw new MockHttpError(404, { error: "Item not in cart" });
+      if (body.quantity <= 0) {
+        cart.lines = cart.lines.filter((l) => l !== line);
+        return { cart_id: cart.id, message: "Item removed" };
+      }
+      const { size } = this._findSize(line.product_id, line.size_id);
+      if (body.quantity > size.stock) {
+        throw new MockHttpError(400, { error: `Only ${size.stock} in stock` });
+      }
+      line.quantity = body.quantity;
+      return { cart_id: cart.id, item: this._cartItem(cart, line), message: "Cart updated" };
+    });
+    del("/cart/:cartId/remove/:sizeId", ({ params }) => {
+      const cart = this._cart(params.cartId);
+      cart.lines = cart.lines.filter((l) => l.size_id !== params.sizeId);
+      return { message: "Item removed", cart: this._cartState(cart) };
+    });
+    del("/cart/:cartId/clear", ({ params }) => {
+      const cart = this._cart(params.cartId);
+      cart.lines = [];
+      return { message: "Cart cleared", cart: this._cartState(cart) };
+    });
+
+    // ── Auth (OTP) ─────────────────────────────────────────────────────
+    post("/auth/request-otp", ({ body }) => {
+      if (!body?.email) throw new MockHttpError(422, { error: "Email is required", fields: { email: "required" } });
+      return { message: "Verification code sent", email: body.email };
+    });
+    post("/auth/verify-otp", ({ body }) => {
+      if (body?.code !== this.otpCode) throw new MockHttpError(400, { error: "Invalid or expired code" });
+      return this._issueTokens(this._findOrCreateCustomer(body.email));
+    });
+    get("/auth/me", (req) => {
+      const customer = this._customerFromAuth(req);
+      if (!customer) throw new MockHttpError(401, { error: "Not authenticated" });
+      return { customer: clone(customer) };
+    });
+
+    // ── Wishlist ───────────────────────────────────────────────────────
+    get("/auth/wishlist", (req) => this._wishlistState(this._requireCustomer(req)));
+    post("/auth/wishlist", (req) => {
+      const customer = this._requireCustomer(req);
+      this._addToWishlist(customer, req.body || {});
+      return this._wishlistState(customer);
+    });
+    post("/auth/merge-wishlist", (req) => {
+      const customer = this._requireCustomer(req);
+      for (const item of req.body?.items || []) {
+        if (this.products.some((p) => p.id === item.product_id)) this._addToWishlist(customer, item);
+      }
+      return this._wishlistState(customer);
+    });
+    del("/auth/wishlist/:productId", (req) => {
+      const customer = this._requireCustomer(req);
+      const sizeId = req.query.size_id || null;
+      const entries = this.wishlists.get(customer.id) || [];
+      this.wishlists.set(customer.id, entries.filter((e) => !(e.product_id === req.params.productId && e.size_id === sizeId)));
+      return this._wishlistState(customer);
+    });
+    del("/auth/wishlist", (req) => {
+      const customer = this._requireCustomer(req);
+      this.wishlists.delete(customer.id);
+      return this._wishlistState(customer);
+    });
+
+    // ── Checkout ───────────────────────────────────────────────────────
+    post("/checkout/start", (req) => {
+      const { cart_id, email } = req.body || {};
+      const cart = this._cart(cart_id);
+      if (!cart.lines.length) throw new MockHttpError(400, { error: "Cart is empty" });
+      const authed = this._customerFromAuth(req);
+      const customer = authed || this.customers.find((c) => c.email === String(email).toLowerCase());
+      return {
+        message: authed ? "Authenticated" : "Verification code sent",
+        email: authed ? authed.email : email,
+        authenticated: !!authed,
+        customer: {
+          first_name: customer?.first_name || "",
+          last_name: customer?.last_name || "",
+          has_address: !!customer?.address,
+          address: clone(customer?.address || null),
+        },
+        cart_summary: (({ item_count, subtotal, items }) => ({ item_count, subtotal, items }))(this._cartState(cart)),
+      };
+    });
+    post("/checkout/complete", (req) =>
+      this._idempotently(req, () => {
+        const { cart_id, email, code, shipping, customer_notes = "", totals } = req.body || {};
+        const cart = this._cart(cart_id);
+        if (!cart.lines.length) throw new MockHttpError(400, { error: "Cart is empty" });
+
+        let customer = this._customerFromAuth(req);
+        if (!customer) {
+          if (!email || code !== this.otpCode) throw new MockHttpError(400, { error: "Invalid or expired code" });
+          customer = this._findOrCreateCustomer(email);
+        }
+
+        const state = this._cartState(cart);
+        for (const line of cart.lines) {
+          const { size } = this._findSize(line.product_id, line.size_id);
+          if (line.quantity > size.stock) {
+            throw new MockHttpError(409, { error: `Only ${size.stock} of ${size.label} left` });
+          }
+        }
+        for (const line of cart.lines) {
+          const { size } = this._findSize(line.product_id, line.size_id);
+          size.stock -= line.quantity;
+          size.in_stock = size.stock > 0;
+        }
+
+        const shippingCost = money(totals?.shipping_cost);
+        const taxAmount = money(totals?.tax_amount);
+        const order = {
+          id: this._id("ord"),
+          order_number: 1000 + this.orders.length + 1,
+          status: "pending",
+          payment_status: "paid",
+          email: customer.email,
+          shipping,
+          items: state.items.map((i) => ({
+            product_name: i.product_name,
+            size_label: i.size_label,
+            product_image: i.product_image,
+            quantity: i.quantity,
+            unit_price: i.unit_price,
+            total_price: i.total_price,
+          })),
+          subtotal: state.subtotal,
+          shipping_cost: shippingCost,
+          tax_amount: taxAmount,
+          total: money(Number(state.subtotal) + Number(shippingCost) + Number(taxAmount)),
+          customer_notes,
+          created_at: new Date(0).toISOString(),
+        };
+        this.orders.push(order);
+        cart.lines = [];
+
+        const { access_token, refresh_token } = this._issueTokens(customer);
+        return { order: clone(order), customer: clone(customer), access_token, refresh_token };
+      })
+    );
+  }
+}
+
+/**
+ * Create a mock backend seeded with `fixtures`. Pass `backend.transport` to
+ * `new DashClient({ transport })`.
+ * @param {Object} [fixtures] - See MockBackend#seed
+ * @returns {MockBackend}
+ */
+export function createMockBackend(fixtures) {
+  return new MockBackend(fixtures);
+}
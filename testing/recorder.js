@@ -0,0 +1,362 @@
+/**
+ * Record & Replay
+ *
+ * Snapshot a real store's API traffic once, then run regression tests against
+ * it offline. Both halves are transports for `new DashClient({ transport })`:
+ *
+ *   // 1. Record (against a real store)
+ *   const recorder = createRecorder();
+ *   const dash = new DashClient({ apiKey: process.env.DASH_PUBLIC_KEY, transport: recorder.transport });
+ *   await dash.products.list();
+ *   await recorder.save("test/fixtures/catalog.json");
+ *
+ *   // 2. Replay (in tests, no network)
+ *   const replayer = createReplayer(await loadFixtures("test/fixtures/catalog.json"));
+ *   const dash = new DashClient({ apiKey: "pk_test_replay", transport: replayer.transport });
+ *
+ * Fixtures are safe to commit. Request headers are never written (API key,
+ * bearer token, Idempotency-Key); any API key or token seen during the
+ * session is scrubbed wherever else it appears; token fields, OTP codes and
+ * customer PII (email, name, phone, address) in bodies are replaced with
+ * "[REDACTED]", and email addresses inside other strings are masked. Pass
+ * `redactKeys` for store-specific fields, or `redact` to rewrite entries.
+ *
+ * URLs are stored without their origin, so fixtures recorded against one
+ * baseURL replay under any other.
+ */
+
+export const REDACTED = "[REDACTED]";
+
+export const FIXTURES_VERSION = 1;
+
+/** Body fields holding credentials. */
+const SECRET_KEYS = [
+  "access_token",
+  "refresh_token",
+  "token",
+  "id_token",
+  "api_key",
+  "apiKey",
+  "secret",
+  "password",
+  "otp",
+  "captcha_token",
+  "payment_token",
+  "card_number",
+  "cvv",
+];
+
+/** Body fields holding customer PII. */
+const PII_KEYS = [
+  "email",
+  "phone",
+  "first_name",
+  "last_name",
+  "full_name",
+  "address",
+  "address_line2",
+  "zip_code",
+  "postal_code",
+  "date_of_birth",
+  "dob",
+  "ip",
+  "ip_address",
+  "user_agent",
+];
+
+/**
+ * Fields redacted in request bodies only: `code` is the OTP there, but an
+ * error or discount code in responses.
+ */
+const REQUEST_ONLY_KEYS = ["code"];
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+/** @private */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/** @private */
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") return headers.get(name) ?? undefined;
+  const lower = name.toLowerCase();
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === lower) return value;
+  }
+  return undefined;
+}
+
+/** @private */
+function parseBody(text) {
+  if (text == null || text === "") return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/** @private */
+function pathOf(url) {
+  const parsed = new URL(url, "http://replay.invalid");
+  return parsed.pathname + parsed.search;
+}
+
+/**
+ * Redact credentials and PII from a request or response body.
+ * @param {*} value - Parsed body
+ * @param {Object} [options]
+ * @param {string[]} [options.keys] - Field names to replace (default: tokens, OTP codes and PII)
+ * @param {string[]} [options.secrets] - Literal strings to scrub wherever they appear
+ * @returns {*} A redacted copy
+ */
+export function redactBody(value, { keys = [...SECRET_KEYS, ...PII_KEYS], secrets = [] } = {}) {
+  const keySet = new Set(keys.map((k) => k.toLowerCase()));
+  const secretPattern = secrets.length
+    ? new RegExp(secrets.filter(Boolean).map(escapeRegExp).join("|"), "g")
+    : null;
+
+  const scrub = (str) => {
+    let out = str.replace(EMAIL_PATTERN, REDACTED);
+    if (secretPattern) out = out.replace(secretPattern, REDACTED);
+    return out;
+  };
+
+  const walk = (node) => {
+    if (typeof node === "string") return scrub(node);
+    if (Array.isArray(node)) return node.map(walk);
+    if (node && typeof node === "object") {
+      const out = {};
+      for (const [key, child] of Object.entries(node)) {
+        out[key] = keySet.has(key.toLowerCase()) && child != null ? REDACTED : walk(child);
+      }
+      return out;
+    }
+    return node;
+  };
+
+  return walk(value);
+}
+
+/** @private */
+function redactRequestBody(body) {
+  return redactBody(body, { keys: [...SECRET_KEYS, ...PII_KEYS, ...REQUEST_ONLY_KEYS] });
+}
+
+export class Recorder {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.transport] - Transport to record (default: global `fetch`)
+   * @param {string[]} [options.redactKeys] - Extra body fields to redact
+   * @param {(entry: Object) => Object} [options.redact] - Final hook to rewrite each
+   *   entry before it is stored
+   */
+  constructor({ transport, redactKeys = [], redact } = {}) {
+    this._send = transport || ((url, init) => fetch(url, init));
+    this._keys = [...SECRET_KEYS, ...PII_KEYS, ...redactKeys];
+    this._redact = redact;
+    this._secrets = new Set();
+    this._raw = [];
+    this.transport = (url, init) => this.fetch(url, init);
+  }
+
+  /**
+   * The recording transport, unbound. Sends through the wrapped transport and
+   * stores a copy of the exchange; the caller gets the real response.
+   * @param {string} url
+   * @param {Object} [init]
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, init = {}) {
+    this._rememberSecrets(init.headers, url);
+    const response = await this._send(url, init);
+    let text = null;
+    try {
+      text = await response.clone().text();
+    } catch {
+      // Unreadable body (opaque response) — record the status alone.
+    }
+    this._raw.push({
+      request: {
+        method: (init.method || "GET").toUpperCase(),
+        url: pathOf(url),
+        body: typeof init.body === "string" ? parseBody(init.body) : null,
+      },
+      response: {
+        status: response.status,
+        contentType: headerValue(response.headers, "content-type") || null,
+        body: parseBody(text),
+      },
+    });
+    return response;
+  }
+
+  /**
+   * The redacted recording, oldest first.
+   * @returns {Object[]} `{ request: {method, url, body}, response: {status, contentType, body} }`
+   */
+  get entries() {
+    const secrets = [...this._secrets];
+    const requestKeys = [...this._keys, ...REQUEST_ONLY_KEYS];
+    return this._raw.map((raw) => {
+      const entry = {
+        request: {
+          method: raw.request.method,
+          url: redactBody(raw.request.url, { keys: [], secrets }),
+          body: redactBody(raw.request.body, { keys: requestKeys, secrets }),
+        },
+        response: { ...raw.response, body: redactBody(raw.response.body, { keys: this._keys, secrets }) },
+      };
+      return this._redact ? this._redact(entry) : entry;
+    });
+  }
+
+  /**
+   * Serializable fixtures object (what `save()` writes).
+   * @returns {Object}
+   */
+  toJSON() {
+    return { version: FIXTURES_VERSION, recordedAt: new Date().toISOString(), entries: this.entries };
+  }
+
+  /**
+   * Write the redacted fixtures as JSON. Node only.
+   * @param {string} file
+   */
+  async save(file) {
+    const { writeFile } = await import("node:fs/promises");
+    await writeFile(file, JSON.stringify(this.toJSON(), null, 2) + "\n");
+  }
+
+  /** Forget everything recorded so far. */
+  clear() {
+    this._raw = [];
+  }
+
+  /**
+   * Collect the key and bearer tokens sent this session so they can be
+   * scrubbed from bodies (e.g. a token echoed back by /auth/verify-otp).
+   * @private
+   */
+  _rememberSecrets(headers, url) {
+    const apiKey = headerValue(headers, "x-api-key");
+    if (apiKey) this._secrets.add(apiKey);
+    const bearer = /^Bearer (.+)$/.exec(headerValue(headers, "authorization") || "")?.[1];
+    if (bearer) this._secrets.add(bearer);
+    const queryKey = new URL(url, "http://replay.invalid").searchParams.get("k");
+    if (queryKey) this._secrets.add(queryKey);
+  }
+}
+
+export class Replayer {
+  /**
+   * @param {Object|Object[]} fixtures - Fixtures object from `Recorder#toJSON()` /
+   *   `loadFixtures()`, or its `entries` array
+   * @param {Object} [options]
+   * @param {boolean} [options.matchBody=false] - Also require the (redacted) request
+   *   body to match
+   */
+  constructor(fixtures, { matchBody = false } = {}) {
+    this.entries = Array.isArray(fixtures) ? fixtures : fixtures?.entries || [];
+    this.matchBody = matchBody;
+    this.requests = [];
+    this.transport = (url, init) => this.fetch(url, init);
+    this.rewind();
+  }
+
+  /**
+   * The replaying transport, unbound. Identical requests are answered with
+   * their recordings in order; once those run out the last one repeats.
+   * Requests with no recording answer 404 naming the method and path.
+   * @param {string} url
+   * @param {Object} [init]
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, init = {}) {
+    if (init.signal?.aborted) throw init.signal.reason;
+
+    const method = (init.method || "GET").toUpperCase();
+    // Recorded URLs had emails masked; mask the live one the same way.
+    const path = redactBody(pathOf(url), { keys: [] });
+    const body = typeof init.body === "string" ? parseBody(init.body) : null;
+    this.requests.push({ method, url: path, body });
+
+    const queue = this._queues.get(`${method} ${path}`) || [];
+    const candidates = this.matchBody
+      ? queue.filter((e) => JSON.stringify(e.request.body) === JSON.stringify(redactRequestBody(body)))
+      : queue;
+    if (!candidates.length) {
+      return new Response(JSON.stringify({ error: `No recorded response for ${method} ${path}` }), {
+        status: 404,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    const entry = candidates[0];
+    if (queue.length > 1) queue.splice(queue.indexOf(entry), 1);
+    this._served.add(entry);
+
+    const { status, contentType, body: recorded } = entry.response;
+    if (recorded == null) return new Response(null, { status });
+    const text = typeof recorded === "string" ? recorded : JSON.stringify(recorded);
+    return new Response(text, {
+      status,
+      headers: { "Content-Type": contentType || "application/json" },
+    });
+  }
+
+  /**
+   * Recordings not served yet — useful to assert a test exercised them all.
+   * @returns {Object[]}
+   */
+  unused() {
+    return this.entries.filter((e) => !this._served.has(e));
+  }
+
+  /** Start serving every recording from the beginning again. */
+  rewind() {
+    this._queues = new Map();
+    this._served = new Set();
+    for (const entry of this.entries) {
+      const key = `${entry.request.method} ${entry.request.url}`;
+      if (!this._queues.has(key)) this._queues.set(key, []);
+      this._queues.get(key).push(entry);
+    }
+    return this;
+  }
+}
+
+/**
+ * Create a recorder. Pass `recorder.transport` to `new DashClient({ transport })`.
+ * @param {Object} [options] - See Recorder
+ * @returns {Recorder}
+ */
+export function createRecorder(options) {
+  return new Recorder(options);
+}
+
+/**
+ * Create a replayer. Pass `replayer.transport` to `new DashClient({ transport })`.
+ * @param {Object|Object[]} fixtures
+ * @param {Object} [options] - See Replayer
+ * @returns {Replayer}
+ */
+export function createReplayer(fixtures, options) {
+  return new Replayer(fixtures, options);
+}
+
+/**
+ * Read a fixtures file written by `Recorder#save()`. Node only.
+ * @param {string} file
+ * @returns {Promise<Object>}
+ */
+export async function loadFixtures(file) {
+  const { readFile } = await import("node:fs/promises");
+  const fixtures = JSON.parse(await readFile(file, "utf8"));
+  if (fixtures.version !== FIXTURES_VERSION) {
+    throw new Error(`Unsupported fixtures version ${fixtures.version} in ${file}`);
+  }
+  return fixtures;
+}
@@ -0,0 +1,171 @@
+/**
+ * Web Runtime Shim
+ *
+ * Loads the SDK into a fresh V8 context whose global object holds only the
+ * Web-standard globals an edge runtime provides (fetch, Request, Response,
+ * URL, crypto, TextEncoder, AbortController, timers…). `process`, `Buffer`,
+ * `global` and `setImmediate` don't exist there at all, `#platform` resolves
+ * to its Web flavour, and an import of a Node built-in fails and is recorded
+ * in `reached` — so code that passes here isn't leaning on Node:
+ *
+ *   const runtime = await createWebRuntime();
+ *   const { DashClient } = await runtime.import("dash4devs");
+ *   const dash = new DashClient({ apiKey: "pk_test_x", env: {}, transport: backend.transport });
+ *   await dash.products.list();
+ *   assert.deepEqual(runtime.reached, []);
+ *
+ * The host's own fetch and Response are handed in, so they keep working with
+ * the Node internals they are built on. Modules are linked with Node's `vm`
+ * modules, which need `node --experimental-vm-modules`; they are imported
+ * lazily so `dash4devs/testing` itself still loads outside Node.
+ */
+
+/** Globals that edge runtimes don't provide; none of them exist in the shim. */
+export const NODE_ONLY_GLOBALS = ["process", "Buffer", "global", "setImmediate", "clearImmediate"];
+
+/** Web-standard globals copied from the host into the shim. */
+export const WEB_GLOBALS = [
+  "fetch", "Request", "Response", "Headers", "FormData", "Blob", "URL", "URLSearchParams",
+  "AbortController", "AbortSignal", "Event", "EventTarget", "DOMException",
+  "TextEncoder", "TextDecoder", "ReadableStream", "WritableStream", "TransformStream",
+  "crypto", "atob", "btoa", "structuredClone", "queueMicrotask", "performance", "console",
+  "setTimeout", "clearTimeout", "setInterval", "clearInterval",
+];
+
+/** @private */
+const PACKAGE_ROOT = new URL("../", import.meta.url);
+
+/** @private */
+const PACKAGE_NAME = "dash4devs";
+
+export class WebRuntime {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.condition="edge-light"] - Export condition used for `#platform`
+   *   ("edge-light", "workerd", "worker" or "browser")
+   * @param {Object} [options.globals] - Extra globals (default: `{ EdgeRuntime: "edge-runtime" }`,
+   *   which is how Vercel Edge announces itself)
+   */
+  constructor({ condition = "edge-light", globals = { EdgeRuntime: "edge-runtime" } } = {}) {
+    this.condition = condition;
+    /** Node built-ins something tried to import, in order. */
+    this.reached = [];
+    this._globals = globals;
+    this._context = null;
+    this._modules = new Map();
+    this._evaluations = new Map();
+  }
+
+  /**
+   * Load the Node modules the shim runs on and create its context. Called by
+   * `createWebRuntime()`.
+   * @returns {Promise<WebRuntime>} this
+   */
+  async setup() {
+    if (this._context) return this;
+    const [{ default: vm }, { isBuiltin }, { readFile }] = await Promise.all([
+      import("node:vm"),
+      import("node:module"),
+      import("node:fs/promises"),
+    ]);
+    if (typeof vm.SourceTextModule !== "function") {
+      throw new Error("The web runtime shim needs Node's vm modules: run node with --experimental-vm-modules");
+    }
+    this._vm = vm;
+    this._isBuiltin = isBuiltin;
+    this._readFile = readFile;
+    this._package = JSON.parse(await readFile(new URL("package.json", PACKAGE_ROOT), "utf8"));
+
+    const host = {};
+    for (const name of WEB_GLOBALS) {
+      if (globalThis[name] !== undefined) host[name] = globalThis[name];
+    }
+    this._context = vm.createContext({ ...host, ...this._globals });
+    return this;
+  }
+
+  /** The shim's global object (null before `setup()`). */
+  get global() {
+    return this._context;
+  }
+
+  /**
+   * Import a module inside the shim: "dash4devs", "dash4devs/utils", … or a
+   * file URL.
+   * @param {string} specifier
+   * @returns {Promise<Object>} Its namespace
+   */
+  async import(specifier) {
+    await this.setup();
+    const module = await this._load(this._resolve(specifier, PACKAGE_ROOT.href));
+    await this._run(module);
+    return module.namespace;
+  }
+
+  /** @private */
+  _resolve(specifier, referrer) {
+    if (this._isBuiltin(specifier)) {
+      this.reached.push(specifier);
+      throw new Error(`${referrer} imports the Node built-in "${specifier}", which edge runtimes don't have`);
+    }
+    if (specifier.startsWith("./") || specifier.startsWith("../") || specifier.startsWith("file:")) {
+      return new URL(specifier, referrer).href;
+    }
+    if (specifier === "#platform") {
+      const target = this._package.imports["#platform"];
+      return new URL(target[this.condition] || target.default, PACKAGE_ROOT).href;
+    }
+    if (specifier === PACKAGE_NAME || specifier.startsWith(`${PACKAGE_NAME}/`)) {
+      const entry = this._package.exports[`.${specifier.slice(PACKAGE_NAME.length)}`];
+      if (entry) return new URL(entry.import, PACKAGE_ROOT).href;
+    }
+    throw new Error(`Cannot import "${specifier}" from ${referrer} in the web runtime shim`);
+  }
+
+  /** @private */
+  async _load(url) {
+    if (this._modules.has(url)) return this._modules.get(url);
+    const pending = this._readFile(new URL(url), "utf8").then((source) => new this._vm.SourceTextModule(source, {
+      identifier: url,
+      context: this._context,
+      initializeImportMeta: (meta) => {
+        meta.url = url;
+      },
+      importModuleDynamically: async (specifier, referrer) => {
+        const module = await this._load(this._resolve(specifier, referrer.identifier));
+        await this._run(module);
+        return module;
+      },
+    }));
+    this._modules.set(url, pending);
+    return pending;
+  }
+
+  /** @private */
+  async _run(module) {
+    if (module.status === "unlinked") {
+      await module.link((specifier, referrer) => this._load(this._resolve(specifier, referrer.identifier)));
+    }
+    if (!this._evaluations.has(module)) this._evaluations.set(module, module.evaluate());
+    await this._evaluations.get(module);
+  }
+}
+
+/**
+ * @param {Object} [options] - See `WebRuntime`
+ * @returns {Promise<WebRuntime>}
+ */
+export function createWebRuntime(options) {
+  return new WebRuntime(options).setup();
+}
+
+/**
+ * Run `fn` with a fresh `WebRuntime`.
+ * @template T
+ * @param {(runtime: WebRuntime) => T|Promise<T>} fn
+ * @param {Object} [options] - See `WebRuntime`
+ * @returns {Promise<T>}
+ */
+export async function withWebRuntime(fn, options) {
+  return fn(await createWebRuntime(options));
+}
@@ -69,3 +69,117 @@ export function calculateBulkDiscount(options: CalculateBulkDiscountOptions): Bu
 export function getNextDiscountTier(options: GetNextDiscountTierOptions): NextDiscountTier | null;
 export function getDiscountTiersSummary(options: GetDiscountTiersSummaryOptions): DiscountTierSummary[];
 export function hasBulkDiscounts(bulkDiscounts?: BulkDiscount[]): boolean;
+
+// ============================================================================
+// Product Configurator
+// ============================================================================
+
+export interface ConfiguratorSelection {
+  /** Needed by `toCartItem()` when the source isn't a product */
+  productId?: string;
+  /** Variation slug, id or name (default: main, or first in stock) */
+  variation?: string;
+  /** Size label or id (default: the variation's main, or first in stock) */
+  size?: string;
+  /** Default: 1; clamped to 1…`maxQuantity` */
+  quantity?: number;
+  freestyleSelections?: { slot_id: string; option_id: string }[];
+  /** Picks a "choose" bundle needs (default: at least one) */
+  chooseCount?: number;
+}
+
+export interface ConfiguratorVariation {
+  id: string;
+  slug: string;
+  name: string;
+  image: string | null;
+  selected: boolean;
+  /** No size of this variation is in stock */
+  disabled: boolean;
+}
+
+export interface ConfiguratorSize {
+  id: string;
+  label: string;
+  /** Sale price when on sale, before bulk tiers */
+  price: number;
+  originalPrice: number;
+  image: string | null;
+  selected: boolean;
+  /** Out of stock in the selected variation */
+  disabled: boolean;
+}
+
+export interface ConfiguratorPrice {
+  /** One unit after the sale price and bulk tier */
+  unit: number;
+  /** List price of one unit */
+  original: number;
+  onSale: boolean;
+  /** Quantity × sale price, before the bulk tier */
+  subtotal: number;
+  total: number;
+  bulkPercent: number;
+  bulkTier: BulkDiscount | null;
+  /** For "buy N more to save" messaging */
+  nextTier: NextDiscountTier | null;
+}
+
+export interface ConfiguratorSlot {
+  id: string;
+  name: string;
+  /** Options picked in this slot */
+  picks: number;
+  options: Array<Record<string, any> & { id: string; in_stock: boolean; picked: number; disabled: boolean }>;
+}
+
+export interface ConfiguratorIssue {
+  /** "variation", "size" or a bundle slot id */
+  field: string;
+  code: "required" | "unavailable" | "out_of_stock" | "count";
+  message: string;
+}
+
+export interface ConfiguratorCartItem {
+  productId: string;
+  sizeId: string;
+  quantity: number;
+  freestyleSelections?: { slot_id: string; option_id: string }[];
+}
+
+/**
+ * Resolves a product's options payload into selectable variations and sizes,
+ * the size for `cart.add`, pricing with bulk tiers, stock limits and bundle
+ * picks. Immutable: `select()` and the pick methods return a new configurator.
+ */
+export declare class ProductConfigurator {
+  /**
+   * @param source `products.getOptions()` response (or its `options`), or a product from `products.get()`
+   */
+  constructor(source: any, selection?: ConfiguratorSelection);
+  readonly productId: string | null;
+  readonly bundleType: string;
+  readonly chooseCount: number | null;
+  readonly quantity: number;
+  select(changes: { variation?: string; size?: string; quantity?: number }): ProductConfigurator;
+  /** Freestyle: replace the slot's pick. Choose: add one more. */
+  pickSlotOption(slotId: string, optionId: string): ProductConfigurator;
+  unpickSlotOption(slotId: string, optionId: string): ProductConfigurator;
+  readonly variations: ConfiguratorVariation[];
+  readonly sizes: ConfiguratorSize[];
+  /** The selected variation from the payload */
+  readonly variation: Record<string, any> | null;
+  /** The selected size from the payload */
+  readonly size: Record<string, any> | null;
+  readonly sizeId: string | null;
+  /** The size's stock, 0 when sold out, null when stock isn't tracked */
+  readonly maxQuantity: number | null;
+  /** Null while no size is selected */
+  readonly price: ConfiguratorPrice | null;
+  readonly slots: ConfiguratorSlot[];
+  readonly freestyleSelections: { slot_id: string; option_id: string }[];
+  readonly errors: ConfiguratorIssue[];
+  readonly canAddToCart: boolean;
+  /** @throws DashValidationError while `errors` isn't empty */
+  toCartItem(): ConfiguratorCartItem;
+}
@@ -15,3 +15,5 @@ export {
   getDiscountTiersSummary,
   hasBulkDiscounts,
 } from "./bulk-discount.js";
+
+export { ProductConfigurator } from "./product-configurator.js";
@@ -0,0 +1,323 @@
+/**
+ * Product configurator
+ *
+ * Turns a product's options payload (`products.getOptions(slug)`, or a full
+ * product from `products.get(slug)`) into what a product page renders:
+ * selectable variations and sizes with their disabled states, the resolved
+ * size for `cart.add`, the unit price after sale and bulk tiers, the stock
+ * limit, and freestyle / choose bundle picks.
+ *
+ * Configurators are immutable: `select()` and the pick methods return a new
+ * one, so one can live in React state as is.
+ *
+ *   let config = new ProductConfigurator(await dash.products.getOptions(slug), { productId });
+ *   config = config.select({ variation: "blue-razz", size: "3.5g", quantity: 2 });
+ *   config.price.unit;                  // after the sale price and bulk tier
+ *   if (config.canAddToCart) await dash.cart.add(config.toCartItem());
+ *
+ * Variation is the primary choice: a sold-out variation is disabled, and
+ * sizes are disabled relative to the selected variation. Picking a variation
+ * keeps the selected size when that variation has it in stock, and otherwise
+ * moves to its main (or first in-stock) size.
+ */
+
+import { DashValidationError } from "../core/errors.js";
+import { calculateBulkDiscount, getNextDiscountTier } from "./bulk-discount.js";
+import { parsePrice } from "./price.js";
+
+/**
+ * @typedef {Object} ConfiguratorIssue
+ * @property {string} field - "variation", "size" or a bundle slot id
+ * @property {string} code - "required", "unavailable", "out_of_stock" or "count"
+ * @property {string} message
+ */
+
+/** @private */
+function preferred(items, isAvailable) {
+  return items.find((i) => i.main && isAvailable(i)) || items.find(isAvailable) || items.find((i) => i.main) || items[0] || null;
+}
+
+/** @private */
+function sameVariation(variation, key) {
+  return variation.slug === key || variation.id === key || variation.name === key;
+}
+
+/** @private */
+function sameSize(size, key) {
+  return size.label === key || size.id === key;
+}
+
+export class ProductConfigurator {
+  /**
+   * @param {Object} source - `getOptions()` response (or its `options`), or a product from `get()`
+   * @param {Object} [selection]
+   * @param {string} [selection.productId] - Needed by `toCartItem()` when `source` isn't a product
+   * @param {string} [selection.variation] - Variation slug, id or name (default: main, or first in stock)
+   * @param {string} [selection.size] - Size label or id (default: the variation's main, or first in stock)
+   * @param {number} [selection.quantity=1]
+   * @param {Array<{slot_id: string, option_id: string}>} [selection.freestyleSelections] - Bundle picks
+   * @param {number} [selection.chooseCount] - Picks a "choose" bundle needs (default: at least one)
+   */
+  constructor(source, selection = {}) {
+    const options = source?.options ?? source ?? {};
+    this._options = options;
+    this.productId = selection.productId ?? source?.id ?? null;
+    this.bundleType = options.bundle_type || "";
+    this.chooseCount = selection.chooseCount ?? null;
+
+    this._variations = options.has_variations !== false && options.selectable_variations?.length
+      ? options.selectable_variations
+      : [];
+    this._directSizes = options.sizes || [];
+    this._slots = this.bundleType === "freestyle" || this.bundleType === "choose" ? options.freestyle_slots || [] : [];
+
+    const inStock = (s) => s.in_stock;
+    let variation = null;
+    if (this._variations.length) {
+      variation = (selection.variation != null && this._variations.find((v) => sameVariation(v, selection.variation)))
+        || preferred(this._variations, (v) => v.sizes.some(inStock));
+    }
+    this._variation = variation;
+
+    const sizes = variation ? variation.sizes : this._directSizes;
+    let size = selection.size != null ? sizes.find((s) => sameSize(s, selection.size)) || null : null;
+    if (!size && selection.size == null) size = preferred(sizes, inStock);
+    this._size = size;
+    this._requestedSize = selection.size ?? null;
+
+    const quantity = Math.max(1, Math.floor(Number(selection.quantity) || 1));
+    const max = this.maxQuantity;
+    this.quantity = max ? Math.min(quantity, max) : quantity;
+
+    this._picks = (selection.freestyleSelections || []).filter((p) => this._slots.some((s) => s.id === p.slot_id));
+  }
+
+  /** @private */
+  _with(changes) {
+    return new ProductConfigurator(this._options, {
+      productId: this.productId,
+      variation: this._variation?.slug ?? this._variation?.id,
+      size: this._size?.label ?? this._requestedSize ?? undefined,
+      quantity: this.quantity,
+      freestyleSelections: this._picks,
+      chooseCount: this.chooseCount,
+      ...changes,
+    });
+  }
+
+  /**
+   * A configurator with some choices changed.
+   * @param {Object} changes
+   * @param {string} [changes.variation] - Slug, id or name
+   * @param {string} [changes.size] - Label or id
+   * @param {number} [changes.quantity] - Clamped to 1…`maxQuantity`
+   * @returns {ProductConfigurator}
+   */
+  select({ variation, size, quantity } = {}) {
+    const changes = {};
+    if (quantity !== undefined) changes.quantity = quantity;
+    if (size !== undefined) changes.size = size;
+    if (variation !== undefined) {
+      changes.variation = variation;
+      if (size === undefined) {
+        // Keep the size if the new variation has it in stock.
+        const next = this._variations.find((v) => sameVariation(v, variation));
+        const keep = next?.sizes.find((s) => s.label === this._size?.label && s.in_stock);
+        changes.size = keep ? keep.label : undefined;
+      }
+    }
+    return this._with(changes);
+  }
+
+  /**
+   * Choose an option in a bundle slot. In a freestyle bundle it replaces the
+   * slot's pick; in a choose bundle it adds one more (the same option may be
+   * picked several times).
+   * @param {string} slotId
+   * @param {string} optionId
+   * @returns {ProductConfigurator}
+   */
+  pickSlotOption(slotId, optionId) {
+    const pick = { slot_id: slotId, option_id: optionId };
+    if (this.bundleType === "choose") {
+      if (this.chooseCount && this._picks.length >= this.chooseCount) return this;
+      return this._with({ freestyleSelections: [...this._picks, pick] });
+    }
+    return this._with({ freestyleSelections: [...this._picks.filter((p) => p.slot_id !== slotId), pick] });
+  }
+
+  /**
+   * Undo one pick of `optionId` in a slot.
+   * @param {string} slotId
+   * @param {string} optionId
+   * @returns {ProductConfigurator}
+   */
+  unpickSlotOption(slotId, optionId) {
+    const at = this._picks.findIndex((p) => p.slot_id === slotId && p.option_id === optionId);
+    if (at === -1) return this;
+    return this._with({ freestyleSelections: this._picks.filter((_, i) => i !== at) });
+  }
+
+  /**
+   * Variations to choose from (empty for a product without variations).
+   * @returns {Array<{id: string, slug: string, name: string, image: string|null, selected: boolean, disabled: boolean}>}
+   */
+  get variations() {
+    return this._variations.map((v) => ({
+      id: v.id,
+      slug: v.slug,
+      name: v.name,
+      image: v.image,
+      selected: v === this._variation,
+      disabled: !v.sizes.some((s) => s.in_stock),
+    }));
+  }
+
+  /**
+   * Sizes of the selected variation (or the product's own sizes).
+   * @returns {Array<{id: string, label: string, price: number, originalPrice: number, image: string|null, selected: boolean, disabled: boolean}>}
+   */
+  get sizes() {
+    const sizes = this._variation ? this._variation.sizes : this._directSizes;
+    return sizes.map((s) => ({
+      id: s.id,
+      label: s.label,
+      price: parsePrice(s.discounted_price ?? s.price),
+      originalPrice: parsePrice(s.price),
+      image: s.image,
+      selected: s === this._size,
+      disabled: !s.in_stock,
+    }));
+  }
+
+  /** The selected variation from the payload, or null. */
+  get variation() {
+    return this._variation;
+  }
+
+  /** The selected size from the payload, or null when none (or an unavailable one) is selected. */
+  get size() {
+    return this._size;
+  }
+
+  /** Size id for `cart.add`, or null. */
+  get sizeId() {
+    return this._size?.id ?? null;
+  }
+
+  /**
+   * Most units that can be added: the size's stock, 0 when sold out, or null
+   * when the store doesn't track stock for it.
+   * @returns {number|null}
+   */
+  get maxQuantity() {
+    if (!this._size) return 0;
+    if (!this._size.in_stock) return 0;
+    return this._size.stock > 0 ? this._size.stock : null;
+  }
+
+  /**
+   * Pricing for the current size and quantity. `unit` is what one unit costs
+   * after the sale price and any bulk tier; `nextTier` is for "buy N more"
+   * messaging.
+   * @returns {{unit: number, original: number, onSale: boolean, subtotal: number, total: number,
+   *   bulkPercent: number, bulkTier: Object|null, nextTier: {tier: Object, quantityNeeded: number}|null}|null}
+   *   Null while no size is selected
+   */
+  get price() {
+    if (!this._size) return null;
+    const original = parsePrice(this._size.price);
+    const base = this._size.discounted_price != null ? parsePrice(this._size.discounted_price) : original;
+    const bulkDiscounts = this._size.bulk_discounts || [];
+    const bulk = calculateBulkDiscount({ price: base, quantity: this.quantity, bulkDiscounts });
+    return {
+      unit: Math.round((bulk.total / this.quantity) * 100) / 100,
+      original,
+      onSale: base < original,
+      subtotal: Math.round(bulk.subtotal * 100) / 100,
+      total: Math.round(bulk.total * 100) / 100,
+      bulkPercent: bulk.percentage,
+      bulkTier: bulk.appliedTier,
+      nextTier: getNextDiscountTier({ quantity: this.quantity, bulkDiscounts }),
+    };
+  }
+
+  /**
+   * Bundle slots with their options (empty unless the product is a freestyle
+   * or choose bundle). `picked` counts how often an option is chosen.
+   * @returns {Array<{id: string, name: string, picks: number, options: Array<Object>}>}
+   */
+  get slots() {
+    return this._slots.map((slot) => ({
+      id: slot.id,
+      name: slot.name,
+      picks: this._picks.filter((p) => p.slot_id === slot.id).length,
+      options: slot.options.map((o) => ({
+        ...o,
+        picked: this._picks.filter((p) => p.slot_id === slot.id && p.option_id === o.id).length,
+        disabled: !o.in_stock,
+      })),
+    }));
+  }
+
+  /** Bundle picks in the shape `cart.add` takes. */
+  get freestyleSelections() {
+    return this._picks.map((p) => ({ ...p }));
+  }
+
+  /**
+   * What stands between the current choices and `cart.add`.
+   * @returns {ConfiguratorIssue[]}
+   */
+  get errors() {
+    const errors = [];
+    if (this._variations.length && !this._variation) {
+      errors.push({ field: "variation", code: "required", message: "Choose an option" });
+    }
+    if (!this._size) {
+      errors.push(this._requestedSize != null
+        ? { field: "size", code: "unavailable", message: `${this._requestedSize} isn't available in this option` }
+        : { field: "size", code: "required", message: "Choose a size" });
+    } else if (!this._size.in_stock) {
+      errors.push({ field: "size", code: "out_of_stock", message: `${this._size.label} is out of stock` });
+    }
+
+    for (const slot of this._slots) {
+      const picks = this._picks.filter((p) => p.slot_id === slot.id);
+      const unavailable = picks.find((p) => !slot.options.some((o) => o.id === p.option_id && o.in_stock));
+      if (unavailable) {
+        errors.push({ field: slot.id, code: "out_of_stock", message: `That ${slot.name} choice is no longer available` });
+      } else if (this.bundleType === "choose" && this.chooseCount && picks.length !== this.chooseCount) {
+        errors.push({ field: slot.id, code: "count", message: `Choose ${this.chooseCount} (${picks.length} chosen)` });
+      } else if (picks.length === 0) {
+        errors.push({ field: slot.id, code: "required", message: `Choose a ${slot.name}` });
+      }
+    }
+    return errors;
+  }
+
+  /** Whether `toCartItem()` will succeed. */
+  get canAddToCart() {
+    return this.errors.length === 0;
+  }
+
+  /**
+   * Options for `cart.add`.
+   * @returns {{productId: string, sizeId: string, quantity: number, freestyleSelections?: Array<{slot_id: string, option_id: string}>}}
+   * @throws {DashValidationError} With `fields` keyed by `ConfiguratorIssue.field`, while `errors` isn't empty
+   */
+  toCartItem() {
+    const errors = this.errors;
+    if (!this.productId) errors.push({ field: "productId", code: "required", message: "productId is required" });
+    if (errors.length) {
+      throw new DashValidationError(errors[0].message, {
+        fields: Object.fromEntries(errors.map((e) => [e.field, e.code])),
+      });
+    }
+    const item = { productId: this.productId, sizeId: this._size.id, quantity: this.quantity };
+    if (this._slots.length) item.freestyleSelections = this.freestyleSelections;
+    return item;
+  }
+}
+
+export default ProductConfigurator;